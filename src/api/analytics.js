@@ -3,18 +3,16 @@
 // Handles daily/monthly stats and reporting
 // =====================================================
 
-import { 
-  collection,
-  doc,
-  query,
-  where,
-  orderBy,
+import BaseCRUD, {
+  validateRequired,
   serverTimestamp,
-  getDocs,
-  setDoc
-} from 'firebase/firestore';
-import { db } from '../firebase-config.js';
-import BaseCRUD, { validateRequired, APIError, formatResponse, formatError } from './base.js';
+  increment,
+  APIError,
+  pageOptions,
+  formatResponse,
+  formatError
+} from './base.js';
+import { authorize, authorizeUser } from './context.js';
 
 class AnalyticsAPI extends BaseCRUD {
   constructor() {
@@ -55,15 +53,30 @@ class AnalyticsAPI extends BaseCRUD {
         updatedAt: serverTimestamp()
       };
 
-      await setDoc(doc(db, 'daily_stats', docId), statsDoc);
-      return { id: docId, ...statsDoc };
+      return await this.create(statsDoc, docId);
     } catch (error) {
       throw error;
     }
   }
 
-  async getDailyStats(businessId, startDate, endDate) {
+  // Queue a response onto the business's daily stats in a batch or transaction.
+  // Merge-sets so the day's document is created on the first response.
+  queueResponseStats(batch, businessId, date = new Date().toISOString().split('T')[0]) {
+    return batch.set(this, `${businessId}_${date}`, {
+      businessId,
+      date,
+      responses: {
+        total: increment(1),
+        new: increment(1)
+      },
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  }
+
+  async getDailyStats(businessId, startDate, endDate, context) {
     try {
+      await authorize(context, 'analytics.read', businessId);
+
       const filters = [
         { field: 'businessId', operator: '==', value: businessId }
       ];
@@ -118,15 +131,16 @@ class AnalyticsAPI extends BaseCRUD {
         updatedAt: serverTimestamp()
       };
 
-      await setDoc(doc(db, 'monthly_stats', docId), statsDoc);
-      return { id: docId, ...statsDoc };
+      return await this.monthlyStats.create(statsDoc, docId);
     } catch (error) {
       throw error;
     }
   }
 
-  async getMonthlyStats(businessId, options = {}) {
+  async getMonthlyStats(businessId, context, options = {}) {
     try {
+      await authorize(context, 'analytics.read', businessId);
+
       const filters = [
         { field: 'businessId', operator: '==', value: businessId }
       ];
@@ -149,8 +163,10 @@ class AnalyticsAPI extends BaseCRUD {
   // API USAGE
   // =====================================================
 
-  async updateApiUsage(userId, date, usageData) {
+  // Usage is metered by the backend (system contexts); users read their own
+  async updateApiUsage(userId, date, usageData, context) {
     try {
+      const ctx = await authorizeUser(context, 'usage.write', userId);
       const docId = `${userId}_${date}`;
       const usageDoc = {
         userId,
@@ -169,23 +185,23 @@ class AnalyticsAPI extends BaseCRUD {
         updatedAt: serverTimestamp()
       };
 
-      await setDoc(doc(db, 'api_usage', docId), usageDoc);
-      return { id: docId, ...usageDoc };
+      return await this.apiUsage.create(usageDoc, docId, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  async getApiUsage(userId, options = {}) {
+  async getApiUsage(context, options = {}) {
     try {
+      const ctx = await authorizeUser(context, 'usage.read');
       const filters = [
-        { field: 'userId', operator: '==', value: userId }
+        { field: 'userId', operator: '==', value: ctx.userId }
       ];
 
       return await this.apiUsage.getWhere(filters, {
         orderByField: 'date',
         orderDirection: 'desc',
-        limitCount: options.limit || 30
+        ...pageOptions(options, 30)
       });
     } catch (error) {
       throw error;
@@ -196,12 +212,14 @@ class AnalyticsAPI extends BaseCRUD {
   // AGGREGATE ANALYTICS
   // =====================================================
 
-  async getBusinessOverview(businessId, days = 30) {
+  // Totals and trends of a business over the last options.days days (30 by default)
+  async getBusinessOverview(businessId, context, options = {}) {
     try {
+      const days = options.days || 30;
       const endDate = new Date().toISOString().split('T')[0];
       const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-      const dailyStats = await this.getDailyStats(businessId, startDate, endDate);
+      const dailyStats = await this.getDailyStats(businessId, startDate, endDate, context);
       const stats = dailyStats.documents;
 
       if (stats.length === 0) {
@@ -276,45 +294,45 @@ export const createDailyStats = async (businessId, date, statsData) => {
   }
 };
 
-export const getDailyStats = async (businessId, startDate, endDate) => {
+export const getDailyStats = async (businessId, startDate, endDate, context) => {
   try {
-    const result = await analyticsAPI.getDailyStats(businessId, startDate, endDate);
+    const result = await analyticsAPI.getDailyStats(businessId, startDate, endDate, context);
     return formatResponse(result, 'Daily stats retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getMonthlyStats = async (businessId, options) => {
+export const getMonthlyStats = async (businessId, context, options) => {
   try {
-    const result = await analyticsAPI.getMonthlyStats(businessId, options);
+    const result = await analyticsAPI.getMonthlyStats(businessId, context, options);
     return formatResponse(result, 'Monthly stats retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getBusinessOverview = async (businessId, days) => {
+export const getBusinessOverview = async (businessId, context, options) => {
   try {
-    const result = await analyticsAPI.getBusinessOverview(businessId, days);
+    const result = await analyticsAPI.getBusinessOverview(businessId, context, options);
     return formatResponse(result, 'Business overview retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateApiUsage = async (userId, date, usageData) => {
+export const updateApiUsage = async (userId, date, usageData, context) => {
   try {
-    const result = await analyticsAPI.updateApiUsage(userId, date, usageData);
+    const result = await analyticsAPI.updateApiUsage(userId, date, usageData, context);
     return formatResponse(result, 'API usage updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getApiUsage = async (userId, options) => {
+export const getApiUsage = async (context, options) => {
   try {
-    const result = await analyticsAPI.getApiUsage(userId, options);
+    const result = await analyticsAPI.getApiUsage(context, options);
     return formatResponse(result, 'API usage retrieved successfully');
   } catch (error) {
     return formatError(error);
@@ -0,0 +1,167 @@
+// =====================================================
+// AUDIT TRAIL
+// Builds audit log entries (who changed what) for BaseCRUD writes
+// =====================================================
+
+import { Timestamp } from 'firebase/firestore';
+import { serverTimestamp, isFieldValue, isPlainObject } from './storage/field-values.js';
+
+export const AUDIT_COLLECTION = 'audit_logs';
+
+// Where a change came from: the app UI, a platform sync, or background/system code
+export const AUDIT_SOURCES = ['ui', 'sync', 'system'];
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'soft_delete', 'restore'];
+
+// Bookkeeping fields left out of diffs; searchKeywords is derived from the
+// indexed text fields (see search.js), whose own changes are recorded
+const IGNORED_FIELDS = ['id', 'updatedAt', 'searchKeywords'];
+
+// Deep equality of stored values; map key order doesn't matter
+export const isEqualValue = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (a instanceof Timestamp && b instanceof Timestamp) {
+    return a.isEqual(b);
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => isEqualValue(value, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqualValue(a[key], b[key]));
+  }
+  return false;
+};
+
+// A removed field is written as null; other sentinels (creates only) are
+// resolved by the storage adapter when the entry itself is written
+const auditValue = (value) => {
+  if (value === undefined || (isFieldValue(value) && value.kind === 'delete')) {
+    return null;
+  }
+  return value;
+};
+
+// A field value's result against the current value; a server timestamp is
+// kept as is and resolved when the entry is written
+const resolveFieldValue = (current, value) => {
+  switch (value.kind) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'arrayUnion': {
+      const next = Array.isArray(current) ? [...current] : [];
+      value.operand.forEach(element => {
+        if (!next.some(existing => isEqualValue(existing, element))) {
+          next.push(element);
+        }
+      });
+      return next;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter(existing =>
+        !value.operand.some(element => isEqualValue(existing, element))
+      );
+    default:
+      return value;
+  }
+};
+
+// Deep-merge source into a copy of target, resolving field values
+const mergeValues = (target, source) => {
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.keys(source).forEach(key => {
+    const value = source[key];
+    if (isFieldValue(value) && value.kind === 'delete') {
+      delete result[key];
+    } else if (isFieldValue(value)) {
+      result[key] = resolveFieldValue(result[key], value);
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeValues(result[key], value);
+    } else {
+      result[key] = isPlainObject(value) ? mergeValues({}, value) : value;
+    }
+  });
+  return result;
+};
+
+// Copy of data with value written at a dotted path, copying the maps along it
+const setPath = (data, [key, ...rest], value) => {
+  const result = isPlainObject(data) ? { ...data } : {};
+  if (rest.length > 0) {
+    result[key] = setPath(result[key], rest, value);
+  } else if (isFieldValue(value) && value.kind === 'delete') {
+    delete result[key];
+  } else if (isFieldValue(value)) {
+    result[key] = resolveFieldValue(result[key], value);
+  } else {
+    result[key] = isPlainObject(value) ? mergeValues({}, value) : value;
+  }
+  return result;
+};
+
+// The document a write leaves behind, worked out locally for writes that are
+// logged without reading the document back (batches and transactions).
+// mode: 'set' replaces the document, 'merge' deep-merges maps, 'update'
+// accepts dotted field paths. before is null when the document is unknown.
+export const applyWriteData = (before, data, mode = 'update') => {
+  if (mode === 'set') {
+    return mergeValues({}, data);
+  }
+  if (mode === 'merge') {
+    return mergeValues(before, data);
+  }
+  return Object.keys(data).reduce((result, key) => setPath(result, key.split('.'), data[key]), before || {});
+};
+
+// Field-level differences between two states of a document (null when it
+// doesn't exist), as { 'dotted.path': { before, after } }. Nested maps are
+// compared field by field, anything else as a whole.
+export const diffDocuments = (before, after, prefix = '') => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) {
+      return;
+    }
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      Object.assign(changes, diffDocuments(oldValue, newValue, path));
+    } else if (!isEqualValue(auditValue(oldValue), auditValue(newValue))) {
+      changes[path] = { before: auditValue(oldValue), after: auditValue(newValue) };
+    }
+  });
+
+  return changes;
+};
+
+// The business a change belongs to, for activity feeds: the business itself,
+// the parent of a business subcollection, or the document's businessId field
+export const resolveBusinessId = (collectionPath, documentId, before, after) => {
+  const segments = collectionPath.split('/');
+  if (segments[0] === 'businesses') {
+    return segments.length > 1 ? segments[1] : documentId;
+  }
+  return after?.businessId || before?.businessId || null;
+};
+
+// audit: the per-call { actorId, source } option of the write
+export const buildAuditEntry = ({ action, collectionPath, documentId, before, after, audit = {} }) => ({
+  collection: collectionPath,
+  documentId,
+  businessId: resolveBusinessId(collectionPath, documentId, before, after),
+  action,
+  actorId: audit.actorId || null,
+  source: audit.source || 'system',
+  changes: diffDocuments(before, after),
+  createdAt: serverTimestamp()
+});
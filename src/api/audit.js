@@ -0,0 +1,81 @@
+// =====================================================
+// AUDIT LOG API - Read Operations
+// Document history and business activity feeds from the audit trail
+// Entries are written by BaseCRUD for audited collections (see audit-trail.js)
+// =====================================================
+
+import BaseCRUD, {
+  validateRequired,
+  AUDIT_COLLECTION,
+  pageOptions,
+  formatResponse,
+  formatError
+} from './base.js';
+
+class AuditLogAPI extends BaseCRUD {
+  constructor() {
+    super(AUDIT_COLLECTION);
+  }
+
+  // Every logged change to one document, newest first.
+  // collectionPath is the full path for subcollections ('businesses/<id>/team_members').
+  async getDocumentHistory(collectionPath, documentId, options = {}) {
+    try {
+      validateRequired({ collectionPath, documentId }, ['collectionPath', 'documentId']);
+
+      const filters = [
+        { field: 'collection', operator: '==', value: collectionPath },
+        { field: 'documentId', operator: '==', value: documentId }
+      ];
+
+      return await this.getWhere(filters, {
+        orderByField: 'createdAt',
+        orderDirection: 'desc',
+        ...pageOptions(options, 50)
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Changes to a business, its subcollections and documents carrying its businessId
+  async getBusinessActivity(businessId, options = {}) {
+    try {
+      validateRequired({ businessId }, ['businessId']);
+
+      const filters = [
+        { field: 'businessId', operator: '==', value: businessId }
+      ];
+
+      return await this.getWhere(filters, {
+        orderByField: 'createdAt',
+        orderDirection: 'desc',
+        ...pageOptions(options, 50)
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+const auditAPI = new AuditLogAPI();
+
+export const getDocumentHistory = async (collectionPath, documentId, options) => {
+  try {
+    const result = await auditAPI.getDocumentHistory(collectionPath, documentId, options);
+    return formatResponse(result, 'Document history retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getBusinessActivity = async (businessId, options) => {
+  try {
+    const result = await auditAPI.getBusinessActivity(businessId, options);
+    return formatResponse(result, 'Business activity retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export default auditAPI;
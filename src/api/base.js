@@ -3,64 +3,119 @@
 // Common functions and error handling for all CRUD operations
 // =====================================================
 
-import { 
-  collection, 
-  doc, 
-  addDoc, 
-  setDoc, 
-  getDoc, 
-  getDocs, 
-  updateDoc, 
-  deleteDoc, 
-  query, 
-  where, 
-  orderBy, 
-  limit, 
-  startAfter,
+import { Timestamp } from 'firebase/firestore';
+import {
+  getStorageAdapter,
   serverTimestamp,
-  increment
-} from 'firebase/firestore';
-import { db } from '../firebase-config.js';
+  increment,
+  arrayUnion,
+  arrayRemove,
+  deleteField
+} from './storage/index.js';
+import { withRetry, resolveRetryPolicy, isIdempotentWrite } from './retry.js';
+import { getCollectionValidator } from './validation.js';
+import { getDocumentCache, resolveCacheOptions } from './cache.js';
+import { AUDIT_COLLECTION, AUDIT_SOURCES, applyWriteData, buildAuditEntry } from './audit-trail.js';
+import { HookRegistry } from './hooks.js';
+import { logger, startSpan } from './logging.js';
+
+export {
+  getStorageAdapter,
+  setStorageAdapter,
+  FirestoreAdapter,
+  MemoryAdapter
+} from './storage/index.js';
+export { serverTimestamp, increment, arrayUnion, arrayRemove, deleteField };
+export { DEFAULT_RETRY_POLICY, withRetry } from './retry.js';
+export { compileSchema, registerSchema, getCollectionValidator } from './validation.js';
+export { DEFAULT_CACHE_TTL_MS, getDocumentCache } from './cache.js';
+export { AUDIT_COLLECTION, AUDIT_SOURCES, AUDIT_ACTIONS, diffDocuments } from './audit-trail.js';
+export { HOOK_EVENTS, HookRegistry } from './hooks.js';
+export {
+  LOG_LEVELS,
+  ConsoleSink,
+  MemorySink,
+  configureLogging,
+  getLogSinks,
+  logger,
+  createTraceId,
+  startSpan
+} from './logging.js';
 
 // =====================================================
 // ERROR HANDLING
 // =====================================================
 
 export class APIError extends Error {
-  constructor(message, code = 'UNKNOWN_ERROR', statusCode = 500) {
-    super(message);
+  // options.cause keeps the underlying error, options.retryable marks transient failures
+  constructor(message, code = 'UNKNOWN_ERROR', statusCode = 500, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
     this.name = 'APIError';
     this.code = code;
     this.statusCode = statusCode;
+    this.retryable = !!options.retryable;
+    if (options.details) {
+      this.details = options.details;
+    }
   }
 }
 
+// Firestore error codes (shared with the memory adapter) -> API errors
+const FIREBASE_ERROR_MAP = {
+  'cancelled': { message: 'Operation cancelled', code: 'CANCELLED', statusCode: 499 },
+  'invalid-argument': { message: 'Invalid argument provided', code: 'INVALID_ARGUMENT', statusCode: 400 },
+  'out-of-range': { message: 'Value out of range', code: 'OUT_OF_RANGE', statusCode: 400 },
+  'failed-precondition': { message: 'Operation rejected, a precondition failed (for example a missing index)', code: 'FAILED_PRECONDITION', statusCode: 400 },
+  'unauthenticated': { message: 'User not authenticated', code: 'UNAUTHENTICATED', statusCode: 401 },
+  'permission-denied': { message: 'Permission denied', code: 'PERMISSION_DENIED', statusCode: 403 },
+  'not-found': { message: 'Document not found', code: 'NOT_FOUND', statusCode: 404 },
+  'already-exists': { message: 'Document already exists', code: 'ALREADY_EXISTS', statusCode: 409 },
+  'aborted': { message: 'Operation aborted due to contention', code: 'ABORTED', statusCode: 409, retryable: true },
+  'resource-exhausted': { message: 'Quota exceeded or rate limited', code: 'RESOURCE_EXHAUSTED', statusCode: 429, retryable: true },
+  'unimplemented': { message: 'Operation not supported', code: 'UNIMPLEMENTED', statusCode: 501 },
+  'unavailable': { message: 'Service temporarily unavailable', code: 'UNAVAILABLE', statusCode: 503, retryable: true },
+  'deadline-exceeded': { message: 'Operation timed out', code: 'DEADLINE_EXCEEDED', statusCode: 504, retryable: true },
+  'data-loss': { message: 'Unrecoverable data loss', code: 'DATA_LOSS', statusCode: 500 },
+  'internal': { message: 'Internal server error', code: 'INTERNAL_ERROR', statusCode: 500 },
+  'unknown': { message: 'Internal server error', code: 'INTERNAL_ERROR', statusCode: 500 }
+};
+
+// Convert any error into an APIError. APIErrors pass through
+// untouched; storage errors keep the original error as `cause`.
+export const toAPIError = (error) => {
+  if (error instanceof APIError) {
+    return error;
+  }
+
+  const mapped = FIREBASE_ERROR_MAP[error?.code] || FIREBASE_ERROR_MAP.unknown;
+  return new APIError(mapped.message, mapped.code, mapped.statusCode, {
+    cause: error,
+    retryable: !!mapped.retryable
+  });
+};
+
 export const handleFirebaseError = (error) => {
-  console.error('Firebase Error:', error);
-  
-  switch (error.code) {
-    case 'permission-denied':
-      throw new APIError('Permission denied', 'PERMISSION_DENIED', 403);
-    case 'not-found':
-      throw new APIError('Document not found', 'NOT_FOUND', 404);
-    case 'already-exists':
-      throw new APIError('Document already exists', 'ALREADY_EXISTS', 409);
-    case 'invalid-argument':
-      throw new APIError('Invalid argument provided', 'INVALID_ARGUMENT', 400);
-    case 'unauthenticated':
-      throw new APIError('User not authenticated', 'UNAUTHENTICATED', 401);
-    default:
-      throw new APIError('Internal server error', 'INTERNAL_ERROR', 500);
+  if (!(error instanceof APIError)) {
+    logger.error('Unexpected storage error', {
+      errorCode: error?.code || null,
+      errorMessage: error?.message || String(error),
+      error
+    });
   }
+
+  throw toAPIError(error);
 };
 
 // =====================================================
 // VALIDATION HELPERS
 // =====================================================
 
+// Read a dotted field path ('flagging.isFlagged') from a document
+export const getFieldValue = (data, path) => path.split('.').reduce((obj, key) => obj?.[key], data);
+
 export const validateRequired = (data, requiredFields) => {
   const missing = requiredFields.filter(field => {
-    const value = field.split('.').reduce((obj, key) => obj?.[key], data);
+    const value = getFieldValue(data, field);
     return value === undefined || value === null || value === '';
   });
   
@@ -86,241 +141,1114 @@ export const validateObjectId = (id) => {
 // PAGINATION HELPERS
 // =====================================================
 
-export const createPaginatedQuery = (collectionRef, options = {}) => {
+export const DEFAULT_PAGE_SIZE = 25;
+
+// Translate BaseCRUD query options into an adapter query spec.
+// Pass orderByField: null or limitCount: null to skip ordering or limiting.
+export const createQuerySpec = (options = {}) => {
   const {
     orderByField = 'createdAt',
     orderDirection = 'desc',
-    limitCount = 25,
-    startAfterDoc = null,
+    limitCount = DEFAULT_PAGE_SIZE,
+    startAfter = null,
     filters = []
   } = options;
 
-  let q = query(collectionRef);
+  return {
+    filters,
+    orderBy: orderByField ? [{ field: orderByField, direction: orderDirection }] : [],
+    limit: limitCount,
+    startAfter
+  };
+};
+
+// Page size from getWhere-style options; limitCount: null means no limit
+const resolvePageSize = (options) => (options.limitCount !== undefined
+  ? options.limitCount
+  : (options.limit || DEFAULT_PAGE_SIZE));
+
+// Map the public list options ({ limit, pageToken, includeTotal }) onto getWhere options
+export const pageOptions = (options = {}, defaultLimit = DEFAULT_PAGE_SIZE) => ({
+  limitCount: options.limit || defaultLimit,
+  pageToken: options.pageToken || null,
+  includeTotal: !!options.includeTotal
+});
+
+const encodeCursorValue = (value) => {
+  if (value instanceof Timestamp) {
+    return { __timestamp: [value.seconds, value.nanoseconds] };
+  }
+  if (value instanceof Date) {
+    const timestamp = Timestamp.fromDate(value);
+    return { __timestamp: [timestamp.seconds, timestamp.nanoseconds] };
+  }
+  return value === undefined ? null : value;
+};
+
+const decodeCursorValue = (value) => {
+  if (value && Array.isArray(value.__timestamp)) {
+    return new Timestamp(value.__timestamp[0], value.__timestamp[1]);
+  }
+  return value;
+};
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (token) => {
+  const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+// Page tokens are opaque to callers: base64url JSON holding the boundary document's
+// orderBy values and ID, the paging direction and the ordering they are valid for.
+export const encodePageToken = ({ values, id, direction, orderBy }) => toBase64Url(JSON.stringify({
+  v: values.map(encodeCursorValue),
+  id,
+  d: direction,
+  o: orderBy.map(({ field, direction: order }) => `${field}:${order}`)
+}));
+
+// Page token pointing at a query result snapshot
+const pageTokenFor = (snap, ordering, direction) => encodePageToken({
+  values: ordering.map(({ field }) => getFieldValue(snap.data, field)),
+  id: snap.id,
+  direction,
+  orderBy: ordering
+});
+
+export const decodePageToken = (token, orderBy) => {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(token));
+  } catch (error) {
+    throw new APIError('Malformed page token', 'INVALID_ARGUMENT', 400);
+  }
+
+  const expectedOrder = orderBy.map(({ field, direction }) => `${field}:${direction}`);
+  const valid = payload
+    && typeof payload.id === 'string'
+    && (payload.d === 'next' || payload.d === 'prev')
+    && Array.isArray(payload.v)
+    && Array.isArray(payload.o)
+    && payload.o.join(',') === expectedOrder.join(',');
+
+  if (!valid) {
+    throw new APIError('Page token does not match this query', 'INVALID_ARGUMENT', 400);
+  }
+
+  return {
+    values: payload.v.map(decodeCursorValue),
+    id: payload.id,
+    direction: payload.d
+  };
+};
+
+// =====================================================
+// WRITE PREPARATION
+// Shared by direct writes, batches and transactions
+// =====================================================
+
+// Check data against the collection schema (see validation.js). Field-level
+// problems are listed in error.details as { field, code, message }.
+const validateSchema = (api, data, mode) => {
+  const validator = api.validator;
+  if (!validator) {
+    return;
+  }
+
+  const errors = validator(data, { mode });
+  if (errors.length > 0) {
+    throw new APIError(
+      `Invalid ${api.collectionName} data: ${errors.map(error => error.message).join('; ')}`,
+      'VALIDATION_ERROR',
+      400,
+      { details: errors }
+    );
+  }
+};
+
+const prepareCreateData = (api, data) => {
+  validateRequired(data, ['createdAt']);
+
+  const docData = {
+    ...data,
+    createdAt: data.createdAt || serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+
+  validateSchema(api, docData, 'create');
+  return docData;
+};
+
+const prepareSetData = (api, data, options = {}) => {
+  validateSchema(api, data, options.merge ? 'merge' : 'create');
+  return data;
+};
 
-  // Apply filters
-  filters.forEach(filter => {
-    if (filter.operator === 'array-contains') {
-      q = query(q, where(filter.field, 'array-contains', filter.value));
-    } else {
-      q = query(q, where(filter.field, filter.operator, filter.value));
+const prepareUpdateData = (api, data) => {
+  const updateData = {
+    ...data,
+    updatedAt: serverTimestamp()
+  };
+
+  // Remove undefined values
+  Object.keys(updateData).forEach(key => {
+    if (updateData[key] === undefined) {
+      delete updateData[key];
     }
   });
 
-  // Apply ordering
-  q = query(q, orderBy(orderByField, orderDirection));
+  validateSchema(api, updateData, 'update');
+  return updateData;
+};
 
-  // Apply pagination
-  if (startAfterDoc) {
-    q = query(q, startAfter(startAfterDoc));
+// =====================================================
+// RETRIES
+// =====================================================
+
+// Run a storage call, mapping failures to APIErrors, retried under the given
+// policy (see retry.js). idempotent: false limits retries to errors where the
+// write is known not to have been applied.
+const retryStorageCall = (operation, retry, { idempotent = true } = {}) => withRetry(async (attempt) => {
+  try {
+    return await operation(attempt);
+  } catch (error) {
+    handleFirebaseError(error);
   }
+}, retry, { idempotent });
 
-  q = query(q, limit(limitCount));
+// =====================================================
+// CACHE INVALIDATION
+// =====================================================
 
-  return q;
+// Drop written documents from the adapter's read cache (see cache.js). Runs after
+// every write, whether or not the writing instance has caching enabled.
+const invalidateCached = (adapter, writes) => {
+  const cache = getDocumentCache(adapter);
+  writes.forEach(({ collectionPath, id }) => cache.invalidate(`${collectionPath}/${id}`));
 };
 
+// =====================================================
+// AUDIT TRAIL
+// =====================================================
+
+// Checked before the write, so a bad audit option never leaves an unlogged change
+const validateAuditOptions = (audit) => {
+  if (audit?.source !== undefined && !AUDIT_SOURCES.includes(audit.source)) {
+    throw new APIError(`Audit source must be one of: ${AUDIT_SOURCES.join(', ')}`, 'INVALID_ARGUMENT', 400);
+  }
+};
+
+// Who made a write: options.audit, else the API context the call was made with
+const auditOf = (options) => options.audit || options.context?.audit;
+
+// =====================================================
+// STOCK HOOKS
+// Register with BaseCRUD.hook(), usually scoped to named operations
+// =====================================================
+
+// beforeUpdate: keep only the given fields (a dotted path counts as its top-level field)
+export const allowFields = (fields) => ({ data }) => {
+  const allowed = {};
+  Object.keys(data).forEach(key => {
+    if (fields.includes(key.split('.')[0])) {
+      allowed[key] = data[key];
+    }
+  });
+  return allowed;
+};
+
+// beforeUpdate/beforeDelete: only the document's owner (context.actorId) may write
+export const requireOwner = (ownerField = 'userId') => async (context) => {
+  const current = await context.current();
+  if (!context.actorId || getFieldValue(current, ownerField) !== context.actorId) {
+    throw new APIError('Permission denied', 'PERMISSION_DENIED', 403);
+  }
+};
+
+// =====================================================
+// BATCHED WRITES & TRANSACTIONS
+// =====================================================
+
+// Firestore rejects batches and transactions with more than 500 writes
+export const MAX_BATCH_WRITES = 500;
+
+// Queues writes across any BaseCRUD collections and commits them atomically.
+// Batches larger than MAX_BATCH_WRITES are committed in sequential chunks,
+// each of which is atomic on its own.
+// Writes to audited collections queue their audit log entry alongside (see
+// BaseCRUD.auditEntry), so the change and its entry commit together. Each
+// write method takes options.audit or options.context for who made it, and
+// options.before: the document as it stands (null when unknown) for the diff.
+export class WriteBatch {
+  // options.retry is the default retry policy for commit()
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.retry = options.retry || null;
+    this.operations = [];
+  }
+
+  // Writes queued, audit log entries included
+  get size() {
+    return this.operations.reduce((count, { logs }) => count + 1 + logs.length, 0);
+  }
+
+  create(api, data, customId = null, options = {}) {
+    const docData = prepareCreateData(api, data);
+    if (customId) {
+      validateObjectId(customId);
+    }
+    const id = customId || this.adapter.generateId(api.collectionName);
+
+    this.queue(api, { type: 'set', collectionPath: api.collectionName, id, data: docData }, 'create', null, docData, options);
+    return { id, ...docData };
+  }
+
+  set(api, id, data, options = {}) {
+    validateObjectId(id);
+    prepareSetData(api, data, options);
+    const after = applyWriteData(options.before, data, options.merge ? 'merge' : 'set');
+    this.queue(api, { type: 'set', collectionPath: api.collectionName, id, data, options: { merge: !!options.merge } },
+      options.before ? 'update' : 'create', options.before || null, after, options);
+    return { id, ...data };
+  }
+
+  // options.action names the change for the audit trail ('update' by default)
+  update(api, id, data, options = {}) {
+    validateObjectId(id);
+    const updateData = prepareUpdateData(api, data);
+
+    const after = applyWriteData(options.before, updateData);
+    this.queue(api, { type: 'update', collectionPath: api.collectionName, id, data: updateData },
+      options.action || 'update', options.before || null, after, options);
+    return { id, ...updateData };
+  }
+
+  delete(api, id, options = {}) {
+    validateObjectId(id);
+    this.queue(api, { type: 'delete', collectionPath: api.collectionName, id }, 'delete', options.before || null, null, options);
+    return { success: true, id };
+  }
+
+  queue(api, operation, action, before, after, options) {
+    const entry = api.auditEntry(action, operation.id, before, after, options);
+    const logs = entry
+      ? [{ type: 'set', collectionPath: AUDIT_COLLECTION, id: this.adapter.generateId(AUDIT_COLLECTION), data: entry }]
+      : [];
+    this.operations.push({ ...operation, logs });
+  }
+
+  // Queued writes in chunks of at most MAX_BATCH_WRITES, each write in the
+  // same chunk as its audit log entries
+  chunks() {
+    const chunks = [];
+    let chunk = [];
+    this.operations.forEach(({ logs, ...operation }) => {
+      if (chunk.length + 1 + logs.length > MAX_BATCH_WRITES) {
+        chunks.push(chunk);
+        chunk = [];
+      }
+      chunk.push(operation, ...logs);
+    });
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  // Each chunk is retried on its own, so chunks already committed are never re-sent.
+  // options.trace links the commit to the caller's span (see logging.js).
+  async commit(options = {}) {
+    const retry = options.retry !== undefined ? options.retry : this.retry;
+    const span = startSpan('batch.commit', { parent: options.trace });
+    const writeCount = this.size;
+    let batchCount = 0;
+
+    try {
+      for (const chunk of this.chunks()) {
+        const idempotent = chunk.every(({ data }) => isIdempotentWrite(data));
+        try {
+          await retryStorageCall(() => this.adapter.commitBatch(chunk), retry, { idempotent });
+        } finally {
+          invalidateCached(this.adapter, chunk);
+        }
+        batchCount++;
+      }
+    } catch (error) {
+      span.fail(error, { writeCount, batchCount });
+      throw error;
+    }
+
+    this.operations = [];
+    span.end(null, { count: writeCount, batchCount });
+    return { success: true, writeCount, batchCount };
+  }
+}
+
+// Transaction handle passed to runTransaction callbacks. Same write API as
+// WriteBatch (audit log entries included), plus get(); all reads must happen
+// before the first write.
+export class Transaction {
+  constructor(transaction, adapter) {
+    this.transaction = transaction;
+    this.adapter = adapter;
+    this.writeCount = 0;
+    // Documents written, for cache invalidation once the transaction settles
+    this.written = [];
+  }
+
+  async get(api, id) {
+    validateObjectId(id);
+    const docSnap = await this.transaction.get(api.collectionName, id);
+    return docSnap ? { id: docSnap.id, ...docSnap.data } : null;
+  }
+
+  create(api, data, customId = null, options = {}) {
+    const docData = prepareCreateData(api, data);
+    if (customId) {
+      validateObjectId(customId);
+    }
+    const id = customId || this.adapter.generateId(api.collectionName);
+
+    this.queue(api, id, () => this.transaction.set(api.collectionName, id, docData));
+    this.log(api, 'create', id, null, docData, options);
+    return { id, ...docData };
+  }
+
+  set(api, id, data, options = {}) {
+    validateObjectId(id);
+    prepareSetData(api, data, options);
+    this.queue(api, id, () => this.transaction.set(api.collectionName, id, data, { merge: !!options.merge }));
+    const after = applyWriteData(options.before, data, options.merge ? 'merge' : 'set');
+    this.log(api, options.before ? 'update' : 'create', id, options.before || null, after, options);
+    return { id, ...data };
+  }
+
+  update(api, id, data, options = {}) {
+    validateObjectId(id);
+    const updateData = prepareUpdateData(api, data);
+    this.queue(api, id, () => this.transaction.update(api.collectionName, id, updateData));
+    this.log(api, options.action || 'update', id, options.before || null, applyWriteData(options.before, updateData), options);
+    return { id, ...updateData };
+  }
+
+  delete(api, id, options = {}) {
+    validateObjectId(id);
+    this.queue(api, id, () => this.transaction.delete(api.collectionName, id));
+    this.log(api, 'delete', id, options.before || null, null, options);
+    return { success: true, id };
+  }
+
+  queue(api, id, write) {
+    if (this.writeCount >= MAX_BATCH_WRITES) {
+      throw new APIError(`Transactions are limited to ${MAX_BATCH_WRITES} writes`, 'INVALID_ARGUMENT', 400);
+    }
+    this.writeCount++;
+    this.written.push({ collectionPath: api.collectionName, id });
+    write();
+  }
+
+  // Write the audit log entry of a change in the same transaction
+  log(api, action, id, before, after, options) {
+    const entry = api.auditEntry(action, id, before, after, options);
+    if (entry) {
+      const entryId = this.adapter.generateId(AUDIT_COLLECTION);
+      this.queue({ collectionName: AUDIT_COLLECTION }, entryId, () => this.transaction.set(AUDIT_COLLECTION, entryId, entry));
+    }
+  }
+}
+
 // =====================================================
 // BASE CRUD OPERATIONS
 // =====================================================
 
 export class BaseCRUD {
-  constructor(collectionName) {
+  // collectionName may be a slash-separated subcollection path.
+  // options.adapter pins this instance to a specific storage adapter.
+  // options.retry opts every call into retries (true or a partial policy);
+  // individual calls can override it with their own { retry } option.
+  // options.validate: false skips schema validation of writes.
+  // options.cache caches getById results (true or { ttlMs }); see cache.js.
+  // options.softDelete: true hides soft-deleted documents (isActive: false)
+  // from queries unless a call passes includeDeleted or onlyDeleted.
+  // options.audit: true logs create/update/delete to the audit trail; calls pass
+  // { audit: { actorId, source } } or their API context ({ context }, see
+  // context.js) to say who made the change (see audit-trail.js).
+  // options.hooks shares a HookRegistry between instances (see hook()).
+  constructor(collectionName, options = {}) {
     this.collectionName = collectionName;
-    this.collectionRef = collection(db, collectionName);
+    this.adapter = options.adapter || null;
+    this.retryPolicy = resolveRetryPolicy(options.retry);
+    this.validate = options.validate !== false;
+    this.cacheOptions = resolveCacheOptions(options.cache);
+    this.softDeletes = options.softDelete === true;
+    this.auditing = options.audit === true;
+    this.hooks = options.hooks || new HookRegistry();
   }
 
-  // CREATE
-  async create(data, customId = null) {
+  // Schema validator for this collection, null when it has none or validation is off
+  get validator() {
+    return this.validate ? getCollectionValidator(this.collectionName) : null;
+  }
+
+  // Storage adapter is resolved per call so it can be swapped after import
+  get storage() {
+    return this.adapter || getStorageAdapter();
+  }
+
+  // CRUD helper for a subcollection of one of this collection's documents.
+  // options adds per-subcollection settings such as { audit: true }.
+  subcollection(parentId, name, options = {}) {
+    validateObjectId(parentId);
+    return new BaseCRUD(`${this.collectionName}/${parentId}/${name}`, {
+      adapter: this.adapter,
+      retry: this.retryPolicy,
+      validate: this.validate,
+      ...options
+    });
+  }
+
+  get cache() {
+    return getDocumentCache(this.storage);
+  }
+
+  // Retry policy for one call: options.retry when given, else the instance's
+  retryPolicyFor(options = {}) {
+    return options.retry !== undefined ? resolveRetryPolicy(options.retry) : this.retryPolicy;
+  }
+
+  // Query filters for one call with soft-deleted documents excluded (soft-delete
+  // collections only), kept with options.includeDeleted, or alone with options.onlyDeleted
+  deletionFilters(filters = [], options = {}) {
+    if (options.onlyDeleted) {
+      return [...filters, { field: 'isActive', operator: '==', value: false }];
+    }
+    if (!this.softDeletes || options.includeDeleted) {
+      return filters;
+    }
+    return [...filters, { field: 'isActive', operator: '==', value: true }];
+  }
+
+  // Run one operation in a tracing span (see logging.js) that logs its duration,
+  // document count or error code. fn gets options whose trace is the new span, so
+  // nested calls share the correlation ID of the caller's options.trace.
+  async traced(operation, options, fn) {
+    const span = startSpan(operation, { collection: this.collectionName, parent: options.trace });
     try {
-      validateRequired(data, ['createdAt']);
-      
-      const docData = {
-        ...data,
-        createdAt: data.createdAt || serverTimestamp(),
-        updatedAt: serverTimestamp()
-      };
-
-      if (customId) {
-        validateObjectId(customId);
-        const docRef = doc(this.collectionRef, customId);
-        await setDoc(docRef, docData);
-        return { id: customId, ...docData };
-      } else {
-        const docRef = await addDoc(this.collectionRef, docData);
-        return { id: docRef.id, ...docData };
-      }
+      const result = await fn({ ...options, trace: span });
+      span.end(result);
+      return result;
     } catch (error) {
-      handleFirebaseError(error);
+      span.fail(toAPIError(error));
+      throw error;
     }
   }
 
-  // READ (single document)
-  async getById(id) {
-    try {
-      validateObjectId(id);
-      const docRef = doc(this.collectionRef, id);
-      const docSnap = await getDoc(docRef);
-      
-      if (!docSnap.exists()) {
-        throw new APIError('Document not found', 'NOT_FOUND', 404);
+  // Register a before/after hook for create, update or delete (see hooks.js):
+  // handler(context) with { api, action, operation, actorId, id, data, options,
+  // result, current() }. Batch and transaction writes don't run hooks.
+  // Returns a function that removes the hook.
+  hook(event, handler, options = {}) {
+    return this.hooks.register(event, handler, options);
+  }
+
+  // Context passed to this call's hooks. current() reads the stored document
+  // once, fresh, and is shared by the hooks and the audit trail (null for creates).
+  hookContext(action, id, data, options) {
+    let current = null;
+    return {
+      api: this,
+      action,
+      operation: options.operation || null,
+      actorId: auditOf(options)?.actorId || null,
+      id,
+      data,
+      options,
+      result: undefined,
+      current: () => {
+        if (action === 'create') {
+          return Promise.resolve(null);
+        }
+        current = current || this.fetchById(id, options);
+        return current;
       }
-      
-      return { id: docSnap.id, ...docSnap.data() };
-    } catch (error) {
-      handleFirebaseError(error);
+    };
+  }
+
+  // Audit log entry for a write, or null when this collection isn't audited
+  // or an update changed nothing. Throws on an unknown audit source.
+  auditEntry(action, id, before, after, options = {}) {
+    if (!this.auditing) {
+      return null;
+    }
+    validateAuditOptions(auditOf(options));
+
+    const entry = buildAuditEntry({
+      action,
+      collectionPath: this.collectionName,
+      documentId: id,
+      before,
+      after,
+      audit: auditOf(options)
+    });
+    if (action === 'update' && Object.keys(entry.changes).length === 0) {
+      return null;
     }
+    return entry;
   }
 
-  // READ (multiple documents with pagination)
-  async getAll(options = {}) {
+  // Append an audit log entry for a write (audited collections only). The write
+  // has already been applied, so a failure here is logged rather than thrown.
+  async recordAudit(action, id, before, after, options = {}) {
+    const entry = this.auditEntry(action, id, before, after, options);
+    if (!entry) {
+      return;
+    }
+
     try {
-      const q = createPaginatedQuery(this.collectionRef, options);
-      const querySnapshot = await getDocs(q);
-      
-      const documents = [];
-      querySnapshot.forEach(doc => {
-        documents.push({ id: doc.id, ...doc.data() });
+      const log = new BaseCRUD(AUDIT_COLLECTION, { adapter: this.adapter });
+      await log.create(entry, null, { retry: this.retryPolicyFor(options), trace: options.trace });
+    } catch (error) {
+      logger.error('Audit log write failed', {
+        collection: this.collectionName,
+        documentId: id,
+        action,
+        correlationId: options.trace?.correlationId || null,
+        errorCode: error?.code || null,
+        errorMessage: error?.message
       });
+    }
+  }
 
-      return {
-        documents,
-        lastDoc: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
-        hasMore: querySnapshot.docs.length === (options.limitCount || 25)
-      };
-    } catch (error) {
-      handleFirebaseError(error);
+  // Start a write batch on this instance's storage adapter
+  batch() {
+    return new WriteBatch(this.storage, { retry: this.retryPolicy });
+  }
+
+  // Run updateFn(transaction) atomically; retried by the adapter on contention.
+  // With a retry policy the whole transaction is re-run after a rejected commit,
+  // but never after a timeout, where it may already have been applied.
+  async runTransaction(updateFn, options = {}) {
+    return this.traced('transaction', options, async (options) => {
+      const adapter = this.storage;
+      const attempts = [];
+
+      try {
+        return await retryStorageCall(
+          () => adapter.runTransaction(transaction => {
+            const handle = new Transaction(transaction, adapter);
+            attempts.push(handle);
+            return updateFn(handle);
+          }),
+          this.retryPolicyFor(options),
+          { idempotent: false }
+        );
+      } catch (error) {
+        handleFirebaseError(error);
+      } finally {
+        attempts.forEach(handle => invalidateCached(adapter, handle.written));
+      }
+    });
+  }
+
+  // CREATE
+  async create(data, customId = null, options = {}) {
+    return this.traced('create', options, async (options) => {
+      try {
+        if (customId) {
+          validateObjectId(customId);
+        }
+        if (this.auditing) {
+          validateAuditOptions(auditOf(options));
+        }
+
+        const context = this.hookContext('create', customId, data, options);
+        await this.hooks.run('beforeCreate', context);
+
+        const docData = prepareCreateData(this, context.data);
+        const retry = this.retryPolicyFor(options);
+        const idempotent = isIdempotentWrite(docData);
+        let id = customId;
+
+        // Retried creates need their ID up front: re-sending an auto-ID add after a
+        // timeout could create the document twice, re-sending a set cannot
+        if (customId || retry) {
+          id = customId || this.storage.generateId(this.collectionName);
+          try {
+            await retryStorageCall(() => this.storage.setDoc(this.collectionName, id, docData), retry, { idempotent });
+          } finally {
+            this.invalidateCached(id);
+          }
+        } else {
+          id = await this.storage.addDoc(this.collectionName, docData);
+        }
+
+        await this.recordAudit('create', id, null, docData, options);
+
+        context.id = id;
+        context.result = { id, ...docData };
+        await this.hooks.run('afterCreate', context);
+        return context.result;
+      } catch (error) {
+        handleFirebaseError(error);
+      }
+    });
+  }
+
+  // READ (single document). With caching enabled, served from the cache while
+  // fresh and concurrent reads of the same document share one request;
+  // options.cache: false forces a fresh read.
+  async getById(id, options = {}) {
+    return this.traced('getById', options, async (options) => {
+      try {
+        validateObjectId(id);
+
+        if (!this.cacheOptions) {
+          return await this.fetchById(id, options);
+        }
+
+        const key = `${this.collectionName}/${id}`;
+        const cached = options.cache === false ? undefined : this.cache.get(key);
+        const document = cached || await this.cache.load(key, () => this.fetchById(id, options), this.cacheOptions.ttlMs);
+
+        // Copy, so callers can't modify the cached document
+        return { ...document };
+      } catch (error) {
+        handleFirebaseError(error);
+      }
+    });
+  }
+
+  // Uncached single-document read
+  async fetchById(id, options = {}) {
+    const docSnap = await retryStorageCall(
+      () => this.storage.getDoc(this.collectionName, id),
+      this.retryPolicyFor(options)
+    );
+
+    if (!docSnap) {
+      throw new APIError('Document not found', 'NOT_FOUND', 404);
     }
+
+    return { id: docSnap.id, ...docSnap.data };
+  }
+
+  // Drop a document of this collection from the read cache
+  invalidateCached(id) {
+    invalidateCached(this.storage, [{ collectionPath: this.collectionName, id }]);
+  }
+
+  // READ (multiple documents with pagination)
+  async getAll(options = {}) {
+    return await this.getWhere(options.filters || [], options);
   }
 
-  // READ (with filters)
+  // READ (with filters), one page at a time.
+  // options: orderByField, orderDirection, limitCount (or limit), pageToken, includeTotal,
+  // includeDeleted, onlyDeleted, retry, and match: a test each document of the
+  // page must pass, for what queries can't express (such as a missing field);
+  // such pages can come back short, and totalCount doesn't apply it.
+  // Returns { documents, hasMore, hasPrevious, nextPageToken, prevPageToken[, totalCount] };
+  // pass nextPageToken/prevPageToken back as pageToken with the same ordering to move pages.
   async getWhere(filters, options = {}) {
-    try {
-      const q = createPaginatedQuery(this.collectionRef, { ...options, filters });
-      const querySnapshot = await getDocs(q);
-      
-      const documents = [];
-      querySnapshot.forEach(doc => {
-        documents.push({ id: doc.id, ...doc.data() });
+    return this.traced('getWhere', options, async (options) => {
+      const {
+        orderByField = 'createdAt',
+        orderDirection = 'desc',
+        pageToken = null,
+        includeTotal = false
+      } = options;
+      const limitCount = resolvePageSize(options);
+      const ordering = orderByField ? [{ field: orderByField, direction: orderDirection }] : [];
+      const cursor = pageToken ? decodePageToken(pageToken, ordering) : null;
+      const backwards = cursor?.direction === 'prev';
+
+      try {
+        // Previous pages walk the reversed ordering from the cursor, then flip back.
+        // One extra document is fetched to tell whether another page exists.
+        const snapshots = await retryStorageCall(() => this.storage.query(this.collectionName, {
+          filters: this.deletionFilters(filters, options),
+          orderBy: backwards
+            ? ordering.map(({ field, direction }) => ({ field, direction: direction === 'desc' ? 'asc' : 'desc' }))
+            : ordering,
+          limit: limitCount === null ? null : limitCount + 1,
+          startAfter: cursor ? { values: cursor.values, id: cursor.id } : null
+        }), this.retryPolicyFor(options));
+
+        const overflow = limitCount !== null && snapshots.length > limitCount;
+        const page = overflow ? snapshots.slice(0, limitCount) : snapshots;
+        if (backwards) {
+          page.reverse();
+        }
+
+        const documents = page.map(snap => ({ id: snap.id, ...snap.data })).filter(options.match || (() => true));
+        const hasMore = backwards ? true : overflow;
+        const hasPrevious = backwards ? overflow : !!cursor;
+
+        const result = {
+          documents,
+          hasMore,
+          hasPrevious,
+          nextPageToken: hasMore && page.length > 0 ? pageTokenFor(page[page.length - 1], ordering, 'next') : null,
+          prevPageToken: hasPrevious && page.length > 0 ? pageTokenFor(page[0], ordering, 'prev') : null
+        };
+
+        if (includeTotal) {
+          result.totalCount = await this.count(filters, options);
+        }
+
+        return result;
+      } catch (error) {
+        handleFirebaseError(error);
+      }
+    });
+  }
+
+  // READ across every subcollection named collectionId (a collection group,
+  // e.g. 'team_members' under all businesses). Unordered and unpaged; options.limit
+  // caps the result. Documents carry their collectionPath.
+  async getGroupWhere(collectionId, filters = [], options = {}) {
+    return this.traced('getGroupWhere', options, async (options) => {
+      try {
+        const snapshots = await retryStorageCall(() => this.storage.queryGroup(collectionId, {
+          filters,
+          limit: options.limit ?? null
+        }), this.retryPolicyFor(options));
+
+        return snapshots.map(snap => ({ id: snap.id, collectionPath: snap.collectionPath, ...snap.data }));
+      } catch (error) {
+        handleFirebaseError(error);
+      }
+    });
+  }
+
+  // LIVE QUERY over one page of getWhere results.
+  // callback({ documents, changes, hasMore, nextPageToken }) runs with the initial page
+  // (every document 'added') and again whenever it changes; changes are
+  // [{ type: 'added' | 'modified' | 'removed', document, newIndex }].
+  // options: as getWhere (only next-page tokens, match included), plus onError(apiError).
+  // Returns an unsubscribe function.
+  subscribe(filters, options = {}, callback) {
+    const {
+      orderByField = 'createdAt',
+      orderDirection = 'desc',
+      pageToken = null,
+      onError = (error) => logger.error('Live query failed', {
+        collection: this.collectionName,
+        errorCode: error.code,
+        errorMessage: error.message
+      })
+    } = options;
+    const limitCount = resolvePageSize(options);
+    const ordering = orderByField ? [{ field: orderByField, direction: orderDirection }] : [];
+    const cursor = pageToken ? decodePageToken(pageToken, ordering) : null;
+
+    if (cursor?.direction === 'prev') {
+      throw new APIError('Live queries only accept next-page tokens', 'INVALID_ARGUMENT', 400);
+    }
+
+    let previous = null;
+
+    return this.storage.subscribe(this.collectionName, {
+      filters: this.deletionFilters(filters, options),
+      orderBy: ordering,
+      limit: limitCount === null ? null : limitCount + 1,
+      startAfter: cursor ? { values: cursor.values, id: cursor.id } : null
+    }, ({ docs, changes }) => {
+      const hasMore = limitCount !== null && docs.length > limitCount;
+      const page = hasMore ? docs.slice(0, limitCount) : docs;
+      const documents = page.map(snap => ({ id: snap.id, ...snap.data })).filter(options.match || (() => true));
+
+      // Diff against the last delivered page, so the over-fetched document and
+      // documents pushed on or off the page are reported as the caller sees them
+      const modified = new Set(changes.filter(change => change.type === 'modified').map(change => change.id));
+      const current = new Map(documents.map(document => [document.id, document]));
+      const pageChanges = [];
+
+      documents.forEach((document, newIndex) => {
+        if (!previous || !previous.has(document.id)) {
+          pageChanges.push({ type: 'added', document, newIndex });
+        } else if (modified.has(document.id)) {
+          pageChanges.push({ type: 'modified', document, newIndex });
+        }
       });
+      if (previous) {
+        previous.forEach((document, id) => {
+          if (!current.has(id)) {
+            pageChanges.push({ type: 'removed', document, newIndex: -1 });
+          }
+        });
+      }
+
+      const initial = previous === null;
+      previous = current;
+      if (!initial && pageChanges.length === 0) {
+        return;
+      }
 
-      return {
+      callback({
         documents,
-        lastDoc: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
-        hasMore: querySnapshot.docs.length === (options.limitCount || 25)
-      };
-    } catch (error) {
-      handleFirebaseError(error);
-    }
+        changes: pageChanges,
+        hasMore,
+        nextPageToken: hasMore && page.length > 0 ? pageTokenFor(page[page.length - 1], ordering, 'next') : null
+      });
+    }, (error) => onError(toAPIError(error)));
   }
 
-  // UPDATE
-  async update(id, data) {
-    try {
-      validateObjectId(id);
-      
-      const updateData = {
-        ...data,
-        updatedAt: serverTimestamp()
-      };
-
-      // Remove undefined values
-      Object.keys(updateData).forEach(key => {
-        if (updateData[key] === undefined) {
-          delete updateData[key];
+  // UPDATE. options.action names the kind of change for hooks and the audit
+  // trail ('update' by default; softDelete and restore set their own).
+  async update(id, data, options = {}) {
+    return this.traced(options.action || 'update', options, async (options) => {
+      try {
+        validateObjectId(id);
+        if (this.auditing) {
+          validateAuditOptions(auditOf(options));
         }
-      });
 
-      const docRef = doc(this.collectionRef, id);
-      await updateDoc(docRef, updateData);
+        const action = options.action || 'update';
+        const context = this.hookContext(action, id, data, options);
+        await this.hooks.run('beforeUpdate', context);
+
+        const updateData = prepareUpdateData(this, context.data);
+
+        // Audited updates read the current state first for the before/after diff
+        const before = this.auditing ? await context.current() : null;
+
+        try {
+          await retryStorageCall(
+            () => this.storage.updateDoc(this.collectionName, id, updateData),
+            this.retryPolicyFor(options),
+            { idempotent: isIdempotentWrite(updateData) }
+          );
+        } finally {
+          this.invalidateCached(id);
+        }
       
-      // Return updated document
-      return await this.getById(id);
-    } catch (error) {
-      handleFirebaseError(error);
-    }
+        // Return updated document
+        context.result = await this.getById(id, options);
+        await this.recordAudit(action, id, before, context.result, options);
+
+        await this.hooks.run('afterUpdate', context);
+        return context.result;
+      } catch (error) {
+        handleFirebaseError(error);
+      }
+    });
   }
 
   // DELETE
-  async delete(id) {
-    try {
-      validateObjectId(id);
-      
-      // Check if document exists first
-      await this.getById(id);
-      
-      const docRef = doc(this.collectionRef, id);
-      await deleteDoc(docRef);
+  async delete(id, options = {}) {
+    return this.traced('delete', options, async (options) => {
+      try {
+        validateObjectId(id);
+        if (this.auditing) {
+          validateAuditOptions(auditOf(options));
+        }
+
+        const context = this.hookContext('delete', id, null, options);
+        await this.hooks.run('beforeDelete', context);
+
+        // Check if document exists first (fresh when audited, for the log entry)
+        const before = this.auditing ? await context.current() : await this.getById(id, options);
       
-      return { success: true, id };
-    } catch (error) {
-      handleFirebaseError(error);
-    }
+        try {
+          await retryStorageCall(
+            () => this.storage.deleteDoc(this.collectionName, id),
+            this.retryPolicyFor(options)
+          );
+        } finally {
+          this.invalidateCached(id);
+        }
+
+        await this.recordAudit('delete', id, before, null, options);
+
+        context.result = { success: true, id };
+        await this.hooks.run('afterDelete', context);
+        return context.result;
+      } catch (error) {
+        handleFirebaseError(error);
+      }
+    });
   }
 
   // SOFT DELETE (mark as inactive)
-  async softDelete(id) {
+  async softDelete(id, options = {}) {
     try {
       return await this.update(id, { 
         isActive: false, 
         deletedAt: serverTimestamp() 
-      });
+      }, { ...options, action: 'soft_delete' });
     } catch (error) {
       handleFirebaseError(error);
     }
   }
 
-  // COUNT documents
-  async count(filters = []) {
+  // RESTORE a soft-deleted document
+  async restore(id, options = {}) {
     try {
-      const q = createPaginatedQuery(this.collectionRef, { 
-        filters, 
-        limitCount: 1000 // Firestore limit for count queries
-      });
-      const querySnapshot = await getDocs(q);
-      return querySnapshot.size;
+      return await this.update(id, {
+        isActive: true,
+        deletedAt: deleteField()
+      }, { ...options, action: 'restore' });
     } catch (error) {
       handleFirebaseError(error);
     }
   }
 
-  // BATCH OPERATIONS
-  async batchCreate(documents) {
-    try {
-      const results = [];
-      for (const doc of documents) {
-        const result = await this.create(doc);
-        results.push(result);
+  // PURGE documents soft-deleted before olderThan, permanently. olderThan is a
+  // cutoff Date/Timestamp or a retention period in milliseconds. Subcollections
+  // of purged documents are left in place.
+  async purgeDeleted(olderThan, options = {}) {
+    return this.traced('purgeDeleted', options, async (options) => {
+      try {
+        let cutoffMillis = NaN;
+        if (typeof olderThan === 'number') {
+          cutoffMillis = Date.now() - olderThan;
+        } else if (olderThan instanceof Timestamp) {
+          cutoffMillis = olderThan.toMillis();
+        } else if (olderThan instanceof Date) {
+          cutoffMillis = olderThan.getTime();
+        }
+        if (!Number.isFinite(cutoffMillis)) {
+          throw new APIError('purgeDeleted needs a cutoff date or a retention period in milliseconds', 'INVALID_ARGUMENT', 400);
+        }
+        const cutoff = Timestamp.fromMillis(cutoffMillis);
+
+        const filters = [{ field: 'deletedAt', operator: '<', value: cutoff }];
+        let purgedCount = 0;
+        let hasMore = true;
+
+        // Purged documents drop out of the query, so each round starts from the top
+        while (hasMore) {
+          const page = await this.getWhere(filters, {
+            orderByField: 'deletedAt',
+            orderDirection: 'asc',
+            limitCount: MAX_BATCH_WRITES,
+            onlyDeleted: true,
+            retry: options.retry,
+            trace: options.trace
+          });
+          if (page.documents.length === 0) {
+            break;
+          }
+
+          await this.batchDelete(page.documents.map(document => document.id), { ...options, documents: page.documents });
+          purgedCount += page.documents.length;
+          hasMore = page.hasMore;
+        }
+
+        return { success: true, purgedCount, cutoff };
+      } catch (error) {
+        handleFirebaseError(error);
       }
-      return results;
-    } catch (error) {
-      handleFirebaseError(error);
-    }
+    });
   }
 
-  async batchUpdate(updates) {
-    try {
-      const results = [];
-      for (const { id, data } of updates) {
-        const result = await this.update(id, data);
-        results.push(result);
+  // AGGREGATE matching documents server-side, without loading them.
+  // aggregations: { alias: { type: 'count' | 'sum' | 'average', field } }, at most 5 per call
+  async aggregate(aggregations, filters = [], options = {}) {
+    return this.traced('aggregate', options, async (options) => {
+      try {
+        return await retryStorageCall(() => this.storage.aggregate(
+          this.collectionName,
+          createQuerySpec({ filters: this.deletionFilters(filters, options), orderByField: null, limitCount: null }),
+          aggregations
+        ), this.retryPolicyFor(options));
+      } catch (error) {
+        handleFirebaseError(error);
       }
-      return results;
-    } catch (error) {
-      handleFirebaseError(error);
-    }
+    });
   }
 
-  async batchDelete(ids) {
-    try {
-      const results = [];
-      for (const id of ids) {
-        const result = await this.delete(id);
-        results.push(result);
+  // COUNT documents
+  async count(filters = [], options = {}) {
+    const result = await this.aggregate({ count: { type: 'count' } }, filters, options);
+    return result.count;
+  }
+
+  // SUM a numeric field (non-numeric values are ignored)
+  async sum(field, filters = [], options = {}) {
+    const result = await this.aggregate({ sum: { type: 'sum', field } }, filters, options);
+    return result.sum;
+  }
+
+  // AVERAGE a numeric field, null when no document has a numeric value
+  async average(field, filters = [], options = {}) {
+    const result = await this.aggregate({ average: { type: 'average', field } }, filters, options);
+    return result.average;
+  }
+
+  // BATCH OPERATIONS (atomic per chunk of MAX_BATCH_WRITES, no read-backs).
+  // Audited collections log each write in the same chunk; updates and deletes
+  // read the documents first for the diff, unless options.documents already
+  // has them.
+  async batchCreate(documents, options = {}) {
+    return this.traced('batchCreate', options, async (options) => {
+      try {
+        const batch = this.batch();
+        const results = documents.map(data => batch.create(this, data, null, options));
+        await batch.commit({ retry: this.retryPolicyFor(options), trace: options.trace });
+        return results;
+      } catch (error) {
+        handleFirebaseError(error);
       }
-      return results;
-    } catch (error) {
-      handleFirebaseError(error);
+    });
+  }
+
+  async batchUpdate(updates, options = {}) {
+    return this.traced('batchUpdate', options, async (options) => {
+      try {
+        const current = await this.currentDocuments(updates.map(({ id }) => id), options);
+        const batch = this.batch();
+        const results = updates.map(({ id, data }) => batch.update(this, id, data, { ...options, before: current.get(id) }));
+        await batch.commit({ retry: this.retryPolicyFor(options), trace: options.trace });
+        return results;
+      } catch (error) {
+        handleFirebaseError(error);
+      }
+    });
+  }
+
+  async batchDelete(ids, options = {}) {
+    return this.traced('batchDelete', options, async (options) => {
+      try {
+        const current = await this.currentDocuments(ids, options);
+        const batch = this.batch();
+        const results = ids.map(id => batch.delete(this, id, { ...options, before: current.get(id) }));
+        await batch.commit({ retry: this.retryPolicyFor(options), trace: options.trace });
+        return results;
+      } catch (error) {
+        handleFirebaseError(error);
+      }
+    });
+  }
+
+  // Stored state of documents about to be batch-written, for the audit trail,
+  // by ID (null when missing): options.documents where given, else read fresh.
+  // Empty for collections that aren't audited.
+  async currentDocuments(ids, options = {}) {
+    if (!this.auditing) {
+      return new Map();
     }
+
+    const known = new Map((options.documents || []).map(document => [document.id, document]));
+    const documents = await Promise.all(ids.map(id => {
+      if (known.has(id)) {
+        return known.get(id);
+      }
+      return this.fetchById(id, options).catch(error => {
+        if (toAPIError(error).code === 'NOT_FOUND') {
+          return null;
+        }
+        throw error;
+      });
+    }));
+    return new Map(ids.map((id, i) => [id, documents[i]]));
   }
 }
 
@@ -356,7 +1284,9 @@ export const formatError = (error) => {
     error: {
       code: error.code || 'UNKNOWN_ERROR',
       message: error.message || 'An unknown error occurred',
-      statusCode: error.statusCode || 500
+      statusCode: error.statusCode || 500,
+      retryable: !!error.retryable,
+      ...(error.details ? { details: error.details } : {})
     },
     timestamp: new Date().toISOString()
   };
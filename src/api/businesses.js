@@ -3,41 +3,125 @@
 // Handles business profile management and team members
 // =====================================================
 
-import { 
-  collection,
-  doc,
-  query,
-  where,
-  orderBy,
+import BaseCRUD, {
+  validateRequired,
+  validateEmail,
   serverTimestamp,
-  getDocs,
-  addDoc,
-  updateDoc,
-  deleteDoc
-} from 'firebase/firestore';
-import { db } from '../firebase-config.js';
-import BaseCRUD, { validateRequired, validateEmail, APIError, formatResponse, formatError } from './base.js';
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+  APIError,
+  pageOptions,
+  allowFields,
+  formatResponse,
+  formatError
+} from './base.js';
+import { toAPIContext, authorize, requirePermission } from './context.js';
+import { TEAM_ROLES, assertCanGrant } from './policy.js';
+import subscriptionsAPI from './subscriptions.js';
+import { searchIndex, searchCollection, rankDocuments } from './search.js';
+
+// Fields members with canManageSettings can change through updateBusiness
+const PROFILE_FIELDS = [
+  'name', 'description', 'category', 'industry',
+  'address', 'city', 'state', 'country', 'postalCode',
+  'phone', 'website', 'email', 'location', 'platformIds',
+  'businessHours', 'specialties', 'brandVoice'
+];
+
+// Text indexed for searchBusinesses, with its ranking weight
+export const BUSINESS_SEARCH_FIELDS = { name: 3, specialties: 2, city: 1, description: 1 };
+
+// Pending invitations hold a team seat until they expire (see invitations.js)
+const invitations = new BaseCRUD('team_invitations');
+// Same TTL as OrganizationsAPI; only read here for the org's billing user
+const organizations = new BaseCRUD('organizations', { cache: { ttlMs: 60 * 1000 } });
+
+// Collections holding a business's data (by businessId) and what deleteBusiness
+// does to them. archive(doc, ctx) returns the update that archives a document,
+// or false to leave it; documents archived this way are marked
+// archivedWithBusiness and restoreBusiness applies restore() to them.
+// Collections without archive are kept as they are. Purging deletes every
+// document, with the listed subcollections. audit: as the collection's own API.
+const BUSINESS_DATA = [
+  {
+    collection: 'reviews',
+    audit: true,
+    subcollections: ['media', 'history'],
+    // Reviews archived by hand stay archived after a restore
+    archive: review => !review.isArchived && { isArchived: true, archivedAt: serverTimestamp() },
+    restore: () => ({ isArchived: false, unarchivedAt: serverTimestamp() })
+  },
+  { collection: 'review_responses', audit: true },
+  {
+    collection: 'response_templates',
+    audit: true,
+    archive: template => template.isActive !== false && { isActive: false, deletedAt: serverTimestamp() },
+    restore: () => ({ isActive: true, deletedAt: deleteField() })
+  },
+  {
+    // Deactivated so syncs stop
+    collection: 'platform_integrations',
+    subcollections: ['sync_logs'],
+    archive: integration => integration.isActive !== false && { isActive: false },
+    restore: () => ({ isActive: true })
+  },
+  {
+    // Pending invitations are revoked for good
+    collection: 'team_invitations',
+    audit: true,
+    archive: (invitation, ctx) => invitation.status === 'pending' && {
+      status: 'revoked',
+      revokedBy: ctx.userId,
+      revokedAt: serverTimestamp()
+    }
+  },
+  { collection: 'alert_settings', keyedByBusinessId: true },
+  { collection: 'daily_stats' },
+  { collection: 'monthly_stats' }
+].map(spec => ({ ...spec, api: new BaseCRUD(spec.collection, { audit: spec.audit === true }) }));
+
+const DELETE_MODES = ['archive', 'purge'];
 
 class BusinessesAPI extends BaseCRUD {
   constructor() {
-    super('businesses');
+    // Read on every access check; ownership rarely changes
+    super('businesses', { cache: { ttlMs: 60 * 1000 }, softDelete: true, audit: true });
+
+    // Permission checks against the call's context; profile edits are limited to PROFILE_FIELDS
+    this.hook('beforeUpdate', requirePermission('business.update'), { operations: ['updateBusiness'] });
+    this.hook('beforeUpdate', requirePermission('business.verify'), { operations: ['verifyBusiness'] });
+    this.hook('beforeUpdate', requirePermission('business.delete'), {
+      operations: ['deleteBusiness', 'restoreBusiness']
+    });
+    this.hook('beforeUpdate', allowFields(PROFILE_FIELDS), { operations: ['updateBusiness'] });
+    this.hook('beforeUpdate', ({ data }) => {
+      if (data.email) {
+        validateEmail(data.email);
+      }
+    }, { operations: ['updateBusiness'] });
+
+    // Registered after allowFields so the index survives it
+    this.hook('beforeCreate', searchIndex(BUSINESS_SEARCH_FIELDS));
+    this.hook('beforeUpdate', searchIndex(BUSINESS_SEARCH_FIELDS));
   }
 
   // =====================================================
   // BUSINESS-SPECIFIC CRUD OPERATIONS
   // =====================================================
 
-  // Create new business
-  async createBusiness(businessData, userId) {
+  // Create new business, owned by the context's user
+  async createBusiness(businessData, context) {
     try {
+      const ctx = toAPIContext(context);
       validateRequired(businessData, ['name', 'userId']);
 
-      if (businessData.userId !== userId) {
+      if (businessData.userId !== ctx.userId) {
         throw new APIError('User can only create businesses for themselves', 'PERMISSION_DENIED', 403);
       }
 
       const businessDoc = {
-        userId: userId,
+        userId: ctx.userId,
         name: businessData.name.trim(),
         description: businessData.description?.trim() || '',
         category: businessData.category || '',
@@ -79,7 +163,11 @@ class BusinessesAPI extends BaseCRUD {
 
         specialties: businessData.specialties || [],
         brandVoice: businessData.brandVoice || 'professional',
-        
+
+        // Team seats and plan (see TEAM SEATS)
+        teamMemberIds: [],
+        planId: await subscriptionsAPI.getSubscribedPlanId(ctx.userId),
+
         isActive: true,
         verificationStatus: 'pending',
         createdAt: serverTimestamp(),
@@ -91,90 +179,420 @@ class BusinessesAPI extends BaseCRUD {
         validateEmail(businessDoc.email);
       }
 
-      return await this.create(businessDoc);
+      return await this.create(businessDoc, null, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  // Get businesses by user
-  async getBusinessesByUser(userId, options = {}) {
+  // Get a business the context's user is a member of
+  async getBusiness(businessId, context) {
     try {
+      await authorize(context, 'business.read', businessId);
+      return await this.getById(businessId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get businesses owned by the context's user (see getBusinessesForUser for
+  // every business they can access)
+  async getBusinessesByUser(context, options = {}) {
+    try {
+      const ctx = toAPIContext(context);
       const filters = [
-        { field: 'userId', operator: '==', value: userId },
-        { field: 'isActive', operator: '==', value: true }
+        { field: 'userId', operator: '==', value: ctx.userId }
       ];
 
       return await this.getWhere(filters, {
         orderByField: 'createdAt',
         orderDirection: 'desc',
-        limitCount: options.limit || 25,
-        startAfterDoc: options.startAfter || null
+        includeDeleted: options.includeDeleted,
+        onlyDeleted: options.onlyDeleted,
+        ...pageOptions(options)
       });
     } catch (error) {
       throw error;
     }
   }
 
+  // Every business the context's user can access: owned, through team
+  // membership, or through an organization. Each carries accessVia
+  // ('owner', 'team', 'organization'). Sorted by name, not paged.
+  async getBusinessesForUser(context, options = {}) {
+    try {
+      const ctx = toAPIContext(context);
+      const byId = new Map();
+      const add = (business, via) => {
+        const entry = byId.get(business.id) || { ...business, accessVia: [] };
+        entry.accessVia.push(via);
+        byId.set(business.id, entry);
+      };
+
+      const [owned, teamMemberships, orgMemberships] = await Promise.all([
+        this.getWhere([{ field: 'userId', operator: '==', value: ctx.userId }], {
+          orderByField: null,
+          limitCount: null,
+          includeDeleted: options.includeDeleted
+        }),
+        this.getGroupWhere('team_members', [{ field: 'userId', operator: '==', value: ctx.userId }]),
+        this.getGroupWhere('members', [{ field: 'userId', operator: '==', value: ctx.userId }])
+      ]);
+      owned.documents.forEach(business => add(business, 'owner'));
+
+      // Paths look like businesses/<id>/team_members and organizations/<id>/members
+      const parentIds = (memberships, parent) => memberships
+        .filter(member => member.status === 'active' && member.collectionPath.startsWith(`${parent}/`))
+        .map(member => member.collectionPath.split('/')[1]);
+
+      // Member documents without a seat in teamMemberIds give no access, and
+      // the rules deny reading those businesses
+      const teamBusinesses = await Promise.all(parentIds(teamMemberships, 'businesses').map(id =>
+        this.getById(id).catch(error => {
+          if (error.statusCode === 404 || error.code === 'PERMISSION_DENIED') {
+            return null;
+          }
+          throw error;
+        })
+      ));
+      teamBusinesses
+        .filter(business => business && business.isActive !== false && (business.teamMemberIds || []).includes(ctx.userId))
+        .forEach(business => add(business, 'team'));
+
+      // Skips deleted organizations. One '==' query per organization: the rules
+      // check membership of the queried organizationId, which they can't do for 'in'.
+      const organizationIds = (await Promise.all(parentIds(orgMemberships, 'organizations').map(async id =>
+        (await ctx.organizationMembership(id)) ? id : null
+      ))).filter(Boolean);
+      const orgBusinesses = await Promise.all(organizationIds.map(id => this.getWhere(
+        [{ field: 'organizationId', operator: '==', value: id }],
+        { orderByField: null, limitCount: null }
+      )));
+      orgBusinesses.forEach(result => result.documents.forEach(business => add(business, 'organization')));
+
+      const documents = [...byId.values()].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      return {
+        documents,
+        hasMore: false,
+        hasPrevious: false,
+        nextPageToken: null,
+        prevPageToken: null
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Update business profile
-  async updateBusiness(businessId, businessData, userId) {
+  // Permission, allowed fields and email are checked by the updateBusiness hooks
+  async updateBusiness(businessId, businessData, context) {
     try {
-      // Verify ownership
+      return await this.update(businessId, businessData, {
+        operation: 'updateBusiness',
+        context: toAPIContext(context)
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Soft delete a business (owner only)
+  // options.mode 'archive' (default) soft-deletes the business and archives its
+  // data (see BUSINESS_DATA) so restoreBusiness can bring it back. 'purge'
+  // permanently deletes the business and all of its data; audit logs are kept.
+  // options.dryRun reports what would change without writing anything.
+  // Returns { businessId, mode, dryRun, collections: [{ collection, action, count }], writeCount }
+  async deleteBusiness(businessId, context, options = {}) {
+    try {
+      const ctx = await authorize(context, 'business.delete', businessId);
+      const mode = options.mode || 'archive';
+      if (!DELETE_MODES.includes(mode)) {
+        throw new APIError(`Delete mode must be one of: ${DELETE_MODES.join(', ')}`, 'INVALID_ARGUMENT', 400);
+      }
+
       const business = await this.getById(businessId);
-      if (business.userId !== userId) {
-        throw new APIError('Permission denied', 'PERMISSION_DENIED', 403);
+      const data = await this.loadBusinessData(businessId);
+      const batch = this.batch();
+      const collections = [];
+      const track = (collection, action, count) => collections.push({ collection, action, count });
+
+      if (mode === 'purge') {
+        data.forEach(({ spec, documents, subcollections }) => {
+          subcollections.forEach(({ name, documents: children }) => {
+            children.forEach(child => batch.delete(child.api, child.id, { context: ctx }));
+            track(`${spec.collection}/*/${name}`, 'delete', children.length);
+          });
+          documents.forEach(document => batch.delete(spec.api, document.id, { before: document, context: ctx }));
+          track(spec.collection, 'delete', documents.length);
+        });
+
+        const members = await this.teamMembers(businessId).getWhere([], { orderByField: null, limitCount: null });
+        members.documents.forEach(member => batch.delete(this.teamMembers(businessId), member.id, { before: member, context: ctx }));
+        track(`businesses/${businessId}/team_members`, 'delete', members.documents.length);
+        track('businesses', 'delete', 1);
+      } else {
+        data.forEach(({ spec, documents }) => {
+          if (!spec.archive) {
+            track(spec.collection, 'keep', documents.length);
+            return;
+          }
+
+          const archived = documents.filter(document => {
+            const update = spec.archive(document, ctx);
+            if (update) {
+              batch.update(spec.api, document.id, spec.restore ? { ...update, archivedWithBusiness: true } : update, {
+                before: document,
+                context: ctx
+              });
+            }
+            return update;
+          });
+          track(spec.collection, 'archive', archived.length);
+        });
+        track('businesses', business.isActive === false ? 'keep' : 'archive', 1);
       }
 
-      const allowedFields = [
-        'name', 'description', 'category', 'industry',
-        'address', 'city', 'state', 'country', 'postalCode',
-        'phone', 'website', 'email', 'location', 'platformIds',
-        'businessHours', 'specialties', 'brandVoice'
-      ];
+      const softDeletes = business.isActive !== false;
+      const report = {
+        businessId,
+        mode,
+        dryRun: options.dryRun === true,
+        collections,
+        // Purging also marks the business before deleting it
+        writeCount: batch.size + (softDeletes ? 1 : 0) + (mode === 'purge' ? 2 : 0)
+      };
+      if (report.dryRun) {
+        return report;
+      }
 
-      const updateData = {};
-      allowedFields.forEach(field => {
-        if (businessData[field] !== undefined) {
-          updateData[field] = businessData[field];
+      const trash = () => softDeletes && this.softDelete(businessId, { operation: 'deleteBusiness', context: ctx });
+      if (mode === 'purge') {
+        // Security rules only allow purging the data of a deleted business; the
+        // business itself goes last, so a failed purge can simply be re-run.
+        // Until then it is marked, so it is never restored half purged.
+        await trash();
+        await this.update(businessId, {
+          purge: { status: 'in_progress', startedAt: serverTimestamp() }
+        }, { operation: 'deleteBusiness', context: ctx });
+        await batch.commit();
+        await this.delete(businessId, { operation: 'deleteBusiness', context: ctx });
+      } else {
+        await batch.commit();
+        await trash();
+      }
+
+      ctx.refresh();
+      return report;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Restore a soft-deleted business (owner only) and the data deleteBusiness
+  // archived with it. Not once a purge has started.
+  async restoreBusiness(businessId, context) {
+    try {
+      // Authorized before the business is read, so its state isn't revealed to others
+      const ctx = await authorize(context, 'business.delete', businessId);
+      if ((await this.getById(businessId)).purge) {
+        throw new APIError('The business is being purged and can\'t be restored', 'FAILED_PRECONDITION', 409);
+      }
+
+      const business = await this.restore(businessId, {
+        operation: 'restoreBusiness',
+        context: ctx
+      });
+
+      const batch = this.batch();
+      await Promise.all(BUSINESS_DATA.filter(spec => spec.restore).map(async (spec) => {
+        const result = await spec.api.getWhere([
+          { field: 'businessId', operator: '==', value: businessId },
+          { field: 'archivedWithBusiness', operator: '==', value: true }
+        ], { orderByField: null, limitCount: null });
+
+        result.documents.forEach(document => {
+          batch.update(spec.api, document.id, { ...spec.restore(), archivedWithBusiness: deleteField() }, {
+            before: document,
+            context: ctx
+          });
+        });
+      }));
+      await batch.commit();
+
+      ctx.refresh();
+      return business;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Every document of a business's data (BUSINESS_DATA), with their subcollections
+  async loadBusinessData(businessId) {
+    try {
+      const all = { orderByField: null, limitCount: null };
+
+      return await Promise.all(BUSINESS_DATA.map(async (spec) => {
+        let documents;
+        if (spec.keyedByBusinessId) {
+          const document = await spec.api.getById(businessId).catch(error => {
+            if (error.statusCode === 404) {
+              return null;
+            }
+            throw error;
+          });
+          documents = document ? [document] : [];
+        } else {
+          const result = await spec.api.getWhere([{ field: 'businessId', operator: '==', value: businessId }], all);
+          documents = result.documents;
         }
+
+        const subcollections = await Promise.all((spec.subcollections || []).map(async (name) => {
+          const children = await Promise.all(documents.map(async (document) => {
+            const api = spec.api.subcollection(document.id, name);
+            const result = await api.getWhere([], all);
+            return result.documents.map(child => ({ ...child, api }));
+          }));
+          return { name, documents: children.flat() };
+        }));
+
+        return { spec, documents, subcollections };
+      }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Hand the business to one of its active team members, who stops being a
+  // team member. The previous owner stays on the team as
+  // options.previousOwnerRole ('admin' by default, null to leave it). The team
+  // seat limit then comes from the new owner's plan, which the team must fit.
+  // The previous owner can't read that plan: planId is removed until the new
+  // owner calls refreshBusinessPlan.
+  async transferBusinessOwnership(businessId, newOwnerId, context, options = {}) {
+    try {
+      const ctx = await authorize(context, 'business.transfer', businessId);
+      validateRequired({ newOwnerId }, ['newOwnerId']);
+
+      const previousOwnerRole = options.previousOwnerRole === undefined ? 'admin' : options.previousOwnerRole;
+      if (previousOwnerRole !== null && !TEAM_ROLES.includes(previousOwnerRole)) {
+        throw new APIError(`Team role must be one of: ${TEAM_ROLES.join(', ')}`, 'VALIDATION_ERROR', 400);
+      }
+
+      const business = await this.getById(businessId);
+      if (business.isActive === false) {
+        throw new APIError('Restore the business before transferring it', 'FAILED_PRECONDITION', 409);
+      }
+      if (business.userId === newOwnerId) {
+        throw new APIError('User already owns this business', 'VALIDATION_ERROR', 400);
+      }
+
+      const member = await this.getTeamMember(businessId, newOwnerId);
+      if (!member || member.status !== 'active') {
+        throw new APIError('The new owner must be an active team member', 'VALIDATION_ERROR', 400);
+      }
+
+      const previousOwnerId = business.userId;
+      const team = this.teamMembers(businessId);
+
+      // The team after the transfer must fit the plan paying for it then: the
+      // organization's, or the new owner's. Only the new owner and backend
+      // code can read the new owner's subscription; for anyone else the
+      // security rules check it, and it is the one rule not checked here, so
+      // their refusal means the team doesn't fit.
+      const newOwnerPlanId = await subscriptionsAPI.getSubscribedPlanId(newOwnerId).catch(error => {
+        if (error.code === 'PERMISSION_DENIED') {
+          return undefined;
+        }
+        throw error;
       });
+      let plan;
+      if (business.organizationId) {
+        plan = await this.getBillingPlan(businessId);
+      } else if (newOwnerPlanId !== undefined) {
+        plan = await subscriptionsAPI.getPlanFromSnapshot(newOwnerPlanId);
+      }
 
-      // Validate email if provided
-      if (updateData.email) {
-        validateEmail(updateData.email);
+      const teamSize = (business.teamMemberIds || []).filter(userId => userId !== newOwnerId).length
+        + (previousOwnerRole ? 1 : 0);
+      const seatsError = (limit) => new APIError(
+        limit === null
+          ? 'The new owner\'s plan doesn\'t have enough team seats'
+          : `The new owner's plan allows ${limit} team members including the owner`,
+        'PLAN_LIMIT_EXCEEDED',
+        403,
+        { details: { businessId, newOwnerId, maxTeamMembers: limit, used: teamSize + 1 } }
+      );
+      const limit = plan?.maxTeamMembers;
+      if (plan && limit !== undefined && limit >= 0 && teamSize + 1 > limit) {
+        throw seatsError(limit);
       }
 
-      return await this.update(businessId, updateData);
+      await this.runTransaction(async (transaction) => {
+        const current = await transaction.get(this, businessId);
+        if (current.userId !== previousOwnerId) {
+          throw new APIError('Business ownership changed, please retry', 'FAILED_PRECONDITION', 409);
+        }
+        const newOwner = await transaction.get(team, newOwnerId);
+
+        const teamMemberIds = (current.teamMemberIds || []).filter(userId => userId !== newOwnerId);
+        if (previousOwnerRole) {
+          teamMemberIds.push(previousOwnerId);
+        }
+        transaction.update(this, businessId, {
+          userId: newOwnerId,
+          teamMemberIds,
+          planId: newOwnerPlanId === undefined ? deleteField() : newOwnerPlanId
+        }, { before: current, context: ctx });
+        transaction.delete(team, newOwnerId, { before: newOwner, context: ctx });
+        if (previousOwnerRole) {
+          transaction.set(team, previousOwnerId, {
+            userId: previousOwnerId,
+            role: previousOwnerRole,
+            permissions: {},
+            status: 'active',
+            invitedBy: newOwnerId,
+            invitationId: null,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+          }, { context: ctx });
+        }
+      }).catch(error => {
+        if (plan === undefined && error.code === 'PERMISSION_DENIED') {
+          throw seatsError(null);
+        }
+        throw error;
+      });
+
+      const updated = await this.getById(businessId);
+
+      ctx.refresh();
+      return { business: updated, previousOwnerId, newOwnerId, previousOwnerRole };
     } catch (error) {
       throw error;
     }
   }
 
-  // Verify business
-  async verifyBusiness(businessId, verificationData = {}) {
+  // Verify business (backend code, once the platform confirms ownership)
+  async verifyBusiness(businessId, verificationData = {}, context) {
     try {
       return await this.update(businessId, {
         verificationStatus: 'verified',
         verifiedAt: serverTimestamp(),
         ...verificationData
-      });
+      }, { operation: 'verifyBusiness', context: toAPIContext(context) });
     } catch (error) {
       throw error;
     }
   }
 
-  // Search businesses
-  async searchBusinesses(searchTerm, options = {}) {
+  // Search the businesses the context's user can access (see
+  // getBusinessesForUser) by name, specialties, city and description, best
+  // matches first (see search.js); system contexts search every business.
+  // options: category, verificationStatus, limit, pageToken.
+  async searchBusinesses(searchTerm, context, options = {}) {
     try {
-      if (!searchTerm || searchTerm.trim().length < 2) {
-        throw new APIError('Search term must be at least 2 characters', 'VALIDATION_ERROR', 400);
-      }
-
-      const term = searchTerm.toLowerCase().trim();
-      
-      const filters = [
-        { field: 'isActive', operator: '==', value: true }
-      ];
+      const ctx = toAPIContext(context);
+      const filters = [];
 
       if (options.category) {
         filters.push({ field: 'category', operator: '==', value: options.category });
@@ -184,39 +602,31 @@ class BusinessesAPI extends BaseCRUD {
         filters.push({ field: 'verificationStatus', operator: '==', value: options.verificationStatus });
       }
 
-      const results = await this.getWhere(filters, {
-        orderByField: 'createdAt',
-        orderDirection: 'desc',
-        limitCount: options.limit || 50
-      });
+      const searchOptions = {
+        fields: BUSINESS_SEARCH_FIELDS,
+        tieBreaker: 'createdAt',
+        limit: options.limit,
+        pageToken: options.pageToken
+      };
 
-      // Filter results client-side for name/description matching
-      const filteredDocs = results.documents.filter(business => {
-        const name = business.name.toLowerCase();
-        const description = business.description.toLowerCase();
-        const city = business.city.toLowerCase();
-        
-        return name.includes(term) || 
-               description.includes(term) ||
-               city.includes(term) ||
-               business.specialties.some(specialty => 
-                 specialty.toLowerCase().includes(term)
-               );
-      });
+      if (ctx.system) {
+        return await searchCollection(this, searchTerm, { ...searchOptions, filters });
+      }
 
-      return {
-        documents: filteredDocs,
-        hasMore: false
-      };
+      const accessible = await this.getBusinessesForUser(ctx);
+      const matching = accessible.documents.filter(business =>
+        filters.every(({ field, value }) => business[field] === value)
+      );
+      return rankDocuments(matching, searchTerm, searchOptions);
     } catch (error) {
       throw error;
     }
   }
 
-  // Get business statistics
-  async getBusinessStats(userId) {
+  // Get statistics for the context's businesses
+  async getBusinessStats(context) {
     try {
-      const userBusinesses = await this.getBusinessesByUser(userId);
+      const userBusinesses = await this.getBusinessesByUser(context);
       
       const total = userBusinesses.documents.length;
       const verified = userBusinesses.documents.filter(b => b.verificationStatus === 'verified').length;
@@ -237,16 +647,38 @@ class BusinessesAPI extends BaseCRUD {
   // TEAM MEMBERS SUBCOLLECTION
   // =====================================================
 
-  // Add team member
-  async addTeamMember(businessId, memberData, currentUserId) {
+  // Member documents are keyed by the member's userId, which is what the
+  // security rules look up for the signed-in user
+  teamMembers(businessId) {
+    return this.subcollection(businessId, 'team_members', { audit: true });
+  }
+
+  // Write a member change together with the business's teamMemberIds, which
+  // the security rules count seats from and require for access. joins: true
+  // adds the member's seat, false frees it, undefined leaves it.
+  async commitTeamChange(businessId, userId, write, joins, ctx) {
     try {
-      // Verify business ownership
-      const business = await this.getById(businessId);
-      if (business.userId !== currentUserId) {
-        throw new APIError('Only business owner can add team members', 'PERMISSION_DENIED', 403);
+      const batch = this.batch();
+      write(batch, this.teamMembers(businessId));
+      if (joins !== undefined) {
+        const business = await this.getById(businessId);
+        batch.update(this, businessId, {
+          teamMemberIds: joins ? arrayUnion(userId) : arrayRemove(userId)
+        }, { before: business, context: ctx });
       }
+      await batch.commit();
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Add team member (canInviteMembers, granting no more than the inviter has)
+  async addTeamMember(businessId, memberData, context) {
+    try {
+      const ctx = await authorize(context, 'team.invite', businessId);
 
       validateRequired(memberData, ['userId', 'role']);
+      assertCanGrant(await ctx.membership(businessId), memberData.role, memberData.permissions);
       
       // Check if user is already a team member
       const existingMember = await this.getTeamMember(businessId, memberData.userId);
@@ -254,9 +686,11 @@ class BusinessesAPI extends BaseCRUD {
         throw new APIError('User is already a team member', 'ALREADY_EXISTS', 409);
       }
 
+      await this.assertTeamSeats(businessId);
+
       const memberDoc = {
         userId: memberData.userId,
-        role: memberData.role, // owner, admin, member
+        role: memberData.role, // admin, member
         permissions: memberData.permissions || {
           canRespond: true,
           canViewAnalytics: false,
@@ -264,17 +698,17 @@ class BusinessesAPI extends BaseCRUD {
           canInviteMembers: false
         },
         status: 'active',
-        invitedBy: currentUserId,
-        invitationToken: memberData.invitationToken || null,
-        invitationExpires: memberData.invitationExpires || null,
+        invitedBy: ctx.userId,
+        invitationId: null,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp()
       };
 
-      const teamRef = collection(db, 'businesses', businessId, 'team_members');
-      const docRef = await addDoc(teamRef, memberDoc);
-      
-      return { id: docRef.id, ...memberDoc };
+      let member;
+      await this.commitTeamChange(businessId, memberData.userId, (batch, team) => {
+        member = batch.create(team, memberDoc, memberData.userId, { context: ctx });
+      }, true, ctx);
+      return member;
     } catch (error) {
       throw error;
     }
@@ -283,52 +717,57 @@ class BusinessesAPI extends BaseCRUD {
   // Get team member
   async getTeamMember(businessId, userId) {
     try {
-      const teamRef = collection(db, 'businesses', businessId, 'team_members');
-      const q = query(teamRef, where('userId', '==', userId));
-      
-      const querySnapshot = await getDocs(q);
-      
-      if (querySnapshot.empty) {
+      return await this.teamMembers(businessId).getById(userId);
+    } catch (error) {
+      if (error.statusCode === 404) {
         return null;
       }
-      
-      const doc = querySnapshot.docs[0];
-      return { id: doc.id, ...doc.data() };
-    } catch (error) {
       throw error;
     }
   }
 
   // Get all team members
-  async getTeamMembers(businessId, options = {}) {
+  async getTeamMembers(businessId, context, options = {}) {
     try {
-      const teamRef = collection(db, 'businesses', businessId, 'team_members');
-      let q = query(teamRef, orderBy('createdAt', 'desc'));
+      await authorize(context, 'team.read', businessId);
+
+      const filters = [];
 
       if (options.status) {
-        q = query(teamRef, where('status', '==', options.status), orderBy('createdAt', 'desc'));
+        filters.push({ field: 'status', operator: '==', value: options.status });
       }
 
-      const querySnapshot = await getDocs(q);
-      const members = [];
-      
-      querySnapshot.forEach(doc => {
-        members.push({ id: doc.id, ...doc.data() });
+      const result = await this.teamMembers(businessId).getWhere(filters, {
+        orderByField: 'createdAt',
+        orderDirection: 'desc',
+        limitCount: null
       });
 
-      return members;
+      return result.documents;
     } catch (error) {
       throw error;
     }
   }
 
-  // Update team member
-  async updateTeamMember(businessId, memberId, memberData, currentUserId) {
+  // Update team member (canManageSettings); memberId is the member's userId
+  async updateTeamMember(businessId, memberId, memberData, context) {
     try {
-      // Verify business ownership
-      const business = await this.getById(businessId);
-      if (business.userId !== currentUserId) {
-        throw new APIError('Only business owner can update team members', 'PERMISSION_DENIED', 403);
+      const ctx = await authorize(context, 'team.manage', businessId);
+      const member = await this.teamMembers(businessId).getById(memberId);
+
+      if (memberData.role !== undefined || memberData.permissions !== undefined) {
+        assertCanGrant(
+          await ctx.membership(businessId),
+          memberData.role ?? member.role,
+          memberData.permissions ?? member.permissions
+        );
+      }
+
+      // Reactivating a member takes a seat again; suspending frees it
+      const wasActive = member.status === 'active';
+      const isActive = memberData.status === undefined ? wasActive : memberData.status === 'active';
+      if (isActive && !wasActive) {
+        await this.assertTeamSeats(businessId);
       }
 
       const allowedFields = ['role', 'permissions', 'status'];
@@ -340,53 +779,118 @@ class BusinessesAPI extends BaseCRUD {
         }
       });
 
-      updateData.updatedAt = serverTimestamp();
+      await this.commitTeamChange(businessId, memberId, (batch, team) => {
+        batch.update(team, memberId, updateData, { before: member, context: ctx });
+      }, isActive === wasActive ? undefined : isActive, ctx);
+      return await this.teamMembers(businessId).getById(memberId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove team member (canManageSettings)
+  async removeTeamMember(businessId, memberId, context) {
+    try {
+      const ctx = await authorize(context, 'team.manage', businessId);
+      const member = await this.teamMembers(businessId).getById(memberId);
 
-      const memberRef = doc(db, 'businesses', businessId, 'team_members', memberId);
-      await updateDoc(memberRef, updateData);
+      await this.commitTeamChange(businessId, memberId, (batch, team) => {
+        batch.delete(team, memberId, { before: member, context: ctx });
+      }, false, ctx);
 
-      return { id: memberId, ...updateData };
+      return { success: true, memberId };
     } catch (error) {
       throw error;
     }
   }
 
-  // Remove team member
-  async removeTeamMember(businessId, memberId, currentUserId) {
+  // =====================================================
+  // TEAM SEATS
+  // The owner and every userId in the business's teamMemberIds hold a seat;
+  // the security rules only let members in that list access the business and
+  // only let it grow within the plan paying for the business. That plan is
+  // its organization's billing user's, otherwise its owner's; only they can
+  // read their subscription, so organizations and businesses keep a copy of
+  // its planId (see SubscriptionsAPI.syncPlanSnapshots).
+  // =====================================================
+
+  // Plan paying for a business (null without a subscription). Fails with
+  // FAILED_PRECONDITION while the copy isn't known, e.g. right after a
+  // transfer, rather than reading as unlimited.
+  async getBillingPlan(businessId) {
     try {
-      // Verify business ownership
       const business = await this.getById(businessId);
-      if (business.userId !== currentUserId) {
-        throw new APIError('Only business owner can remove team members', 'PERMISSION_DENIED', 403);
+      const planId = business.organizationId
+        ? (await organizations.getById(business.organizationId)).planId
+        : business.planId;
+
+      return await subscriptionsAPI.getPlanFromSnapshot(planId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Copy the owner's current plan onto their business (direct owner only)
+  async refreshBusinessPlan(businessId, context) {
+    try {
+      const ctx = toAPIContext(context);
+
+      const business = await this.getById(businessId);
+      if (business.userId !== ctx.userId) {
+        throw new APIError('Only the business owner can refresh its plan', 'PERMISSION_DENIED', 403);
       }
 
-      const memberRef = doc(db, 'businesses', businessId, 'team_members', memberId);
-      await deleteDoc(memberRef);
+      return await this.update(businessId, { planId: await subscriptionsAPI.getSubscribedPlanId(ctx.userId) }, { context: ctx });
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      return { success: true, memberId };
+  // Seats used by the owner, the team and unexpired pending invitations.
+  // limit is the plan's maxTeamMembers, null when unlimited or unsubscribed.
+  async getTeamSeats(businessId) {
+    try {
+      const [business, plan, pendingInvitations] = await Promise.all([
+        this.getById(businessId),
+        this.getBillingPlan(businessId),
+        invitations.count([
+          { field: 'businessId', operator: '==', value: businessId },
+          { field: 'status', operator: '==', value: 'pending' },
+          { field: 'expiresAt', operator: '>', value: new Date() }
+        ])
+      ]);
+
+      const limit = plan?.maxTeamMembers;
+      return {
+        used: 1 + (business.teamMemberIds || []).length + pendingInvitations,
+        limit: limit === undefined || limit < 0 ? null : limit
+      };
     } catch (error) {
       throw error;
     }
   }
 
-  // Check if user has access to business
-  async hasBusinessAccess(businessId, userId) {
+  // Throws PLAN_LIMIT_EXCEEDED unless `seats` more fit in the plan. With 0,
+  // checks that the current seats still fit (e.g. after a downgrade).
+  async assertTeamSeats(businessId, seats = 1) {
     try {
-      const business = await this.getById(businessId);
-      
-      // Owner has access
-      if (business.userId === userId) {
-        return { hasAccess: true, role: 'owner', permissions: 'all' };
+      const { used, limit } = await this.getTeamSeats(businessId);
+      if (limit !== null && used + seats > limit) {
+        throw new APIError(`The plan allows ${limit} team members including the owner`, 'PLAN_LIMIT_EXCEEDED', 403, {
+          details: { businessId, maxTeamMembers: limit, used }
+        });
       }
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      // Check team membership
-      const teamMember = await this.getTeamMember(businessId, userId);
-      if (teamMember && teamMember.status === 'active') {
-        return { 
-          hasAccess: true, 
-          role: teamMember.role, 
-          permissions: teamMember.permissions 
-        };
+  // Check the context's access to a business, with its effective permission flags
+  async hasBusinessAccess(businessId, context) {
+    try {
+      const membership = await toAPIContext(context).membership(businessId);
+      if (membership) {
+        return { hasAccess: true, role: membership.role, permissions: membership.permissions };
       }
 
       return { hasAccess: false };
@@ -403,78 +907,108 @@ class BusinessesAPI extends BaseCRUD {
 const businessesAPI = new BusinessesAPI();
 
 // Business management functions
-export const createBusiness = async (businessData, userId) => {
+export const createBusiness = async (businessData, context) => {
   try {
-    const result = await businessesAPI.createBusiness(businessData, userId);
+    const result = await businessesAPI.createBusiness(businessData, context);
     return formatResponse(result, 'Business created successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getBusinessById = async (businessId) => {
+export const getBusinessById = async (businessId, context) => {
   try {
-    const result = await businessesAPI.getById(businessId);
+    const result = await businessesAPI.getBusiness(businessId, context);
     return formatResponse(result, 'Business retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getBusinessesByUser = async (userId, options) => {
+export const getBusinessesByUser = async (context, options) => {
   try {
-    const result = await businessesAPI.getBusinessesByUser(userId, options);
+    const result = await businessesAPI.getBusinessesByUser(context, options);
     return formatResponse(result, 'User businesses retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateBusiness = async (businessId, businessData, userId) => {
+export const getBusinessesForUser = async (context, options) => {
+  try {
+    const result = await businessesAPI.getBusinessesForUser(context, options);
+    return formatResponse(result, 'Accessible businesses retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const updateBusiness = async (businessId, businessData, context) => {
   try {
-    const result = await businessesAPI.updateBusiness(businessId, businessData, userId);
+    const result = await businessesAPI.updateBusiness(businessId, businessData, context);
     return formatResponse(result, 'Business updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const deleteBusiness = async (businessId, userId) => {
+export const deleteBusiness = async (businessId, context, options) => {
   try {
-    // Verify ownership before deletion
-    const business = await businessesAPI.getById(businessId);
-    if (business.userId !== userId) {
-      throw new APIError('Permission denied', 'PERMISSION_DENIED', 403);
-    }
-    
-    const result = await businessesAPI.softDelete(businessId);
-    return formatResponse(result, 'Business deleted successfully');
+    const result = await businessesAPI.deleteBusiness(businessId, context, options);
+    return formatResponse(result, result.dryRun ? 'Business deletion preview generated' : 'Business deleted successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const transferBusinessOwnership = async (businessId, newOwnerId, context, options) => {
+  try {
+    const result = await businessesAPI.transferBusinessOwnership(businessId, newOwnerId, context, options);
+    return formatResponse(result, 'Business ownership transferred successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const refreshBusinessPlan = async (businessId, context) => {
+  try {
+    const result = await businessesAPI.refreshBusinessPlan(businessId, context);
+    return formatResponse(result, 'Business plan refreshed successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const restoreBusiness = async (businessId, context) => {
+  try {
+    const result = await businessesAPI.restoreBusiness(businessId, context);
+    return formatResponse(result, 'Business restored successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const verifyBusiness = async (businessId, verificationData) => {
+export const verifyBusiness = async (businessId, verificationData, context) => {
   try {
-    const result = await businessesAPI.verifyBusiness(businessId, verificationData);
+    const result = await businessesAPI.verifyBusiness(businessId, verificationData, context);
     return formatResponse(result, 'Business verified successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const searchBusinesses = async (searchTerm, options) => {
+export const searchBusinesses = async (searchTerm, context, options) => {
   try {
-    const result = await businessesAPI.searchBusinesses(searchTerm, options);
+    const result = await businessesAPI.searchBusinesses(searchTerm, context, options);
     return formatResponse(result, 'Business search completed successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getBusinessStats = async (userId) => {
+export const getBusinessStats = async (context) => {
   try {
-    const result = await businessesAPI.getBusinessStats(userId);
+    const result = await businessesAPI.getBusinessStats(context);
     return formatResponse(result, 'Business statistics retrieved successfully');
   } catch (error) {
     return formatError(error);
@@ -482,45 +1016,45 @@ export const getBusinessStats = async (userId) => {
 };
 
 // Team management functions
-export const addTeamMember = async (businessId, memberData, currentUserId) => {
+export const addTeamMember = async (businessId, memberData, context) => {
   try {
-    const result = await businessesAPI.addTeamMember(businessId, memberData, currentUserId);
+    const result = await businessesAPI.addTeamMember(businessId, memberData, context);
     return formatResponse(result, 'Team member added successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getTeamMembers = async (businessId, options) => {
+export const getTeamMembers = async (businessId, context, options) => {
   try {
-    const result = await businessesAPI.getTeamMembers(businessId, options);
+    const result = await businessesAPI.getTeamMembers(businessId, context, options);
     return formatResponse(result, 'Team members retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateTeamMember = async (businessId, memberId, memberData, currentUserId) => {
+export const updateTeamMember = async (businessId, memberId, memberData, context) => {
   try {
-    const result = await businessesAPI.updateTeamMember(businessId, memberId, memberData, currentUserId);
+    const result = await businessesAPI.updateTeamMember(businessId, memberId, memberData, context);
     return formatResponse(result, 'Team member updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const removeTeamMember = async (businessId, memberId, currentUserId) => {
+export const removeTeamMember = async (businessId, memberId, context) => {
   try {
-    const result = await businessesAPI.removeTeamMember(businessId, memberId, currentUserId);
+    const result = await businessesAPI.removeTeamMember(businessId, memberId, context);
     return formatResponse(result, 'Team member removed successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const checkBusinessAccess = async (businessId, userId) => {
+export const checkBusinessAccess = async (businessId, context) => {
   try {
-    const result = await businessesAPI.hasBusinessAccess(businessId, userId);
+    const result = await businessesAPI.hasBusinessAccess(businessId, context);
     return formatResponse(result, 'Business access checked successfully');
   } catch (error) {
     return formatError(error);
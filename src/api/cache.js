@@ -0,0 +1,90 @@
+// =====================================================
+// DOCUMENT CACHE
+// Opt-in read cache for BaseCRUD.getById, shared per storage adapter
+// =====================================================
+
+export const DEFAULT_CACHE_TTL_MS = 30 * 1000;
+
+// cache: true for the default TTL, false/null to disable, or { ttlMs }
+export const resolveCacheOptions = (cache) => {
+  if (!cache) {
+    return null;
+  }
+  return { ttlMs: DEFAULT_CACHE_TTL_MS, ...(cache === true ? {} : cache) };
+};
+
+export class DocumentCache {
+  constructor(clock = () => Date.now()) {
+    this.clock = clock;
+    this.entries = new Map();
+    // In-flight loads: key -> { promise, stale }
+    this.pending = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= this.clock()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: this.clock() + ttlMs });
+  }
+
+  // Run loader once for concurrent requests of the same key and cache the result
+  load(key, loader, ttlMs) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key).promise;
+    }
+
+    const request = { stale: false };
+    request.promise = (async () => {
+      try {
+        const value = await loader();
+        // A write during the load may have changed the document already
+        if (!request.stale) {
+          this.set(key, value, ttlMs);
+        }
+        return value;
+      } finally {
+        if (this.pending.get(key) === request) {
+          this.pending.delete(key);
+        }
+      }
+    })();
+
+    this.pending.set(key, request);
+    return request.promise;
+  }
+
+  invalidate(key) {
+    this.entries.delete(key);
+    const request = this.pending.get(key);
+    if (request) {
+      request.stale = true;
+      this.pending.delete(key);
+    }
+  }
+
+  clear() {
+    this.pending.forEach(request => { request.stale = true; });
+    this.pending.clear();
+    this.entries.clear();
+  }
+}
+
+// One cache per storage adapter, so swapping adapters never serves stale documents
+const caches = new WeakMap();
+
+export const getDocumentCache = (adapter) => {
+  if (!caches.has(adapter)) {
+    caches.set(adapter, new DocumentCache());
+  }
+  return caches.get(adapter);
+};
@@ -0,0 +1,245 @@
+// =====================================================
+// API CONTEXT
+// Who is making an API call and their standing on each business it touches.
+// Every API call takes a context and checks it against policy.js: business
+// calls against the user's membership, user calls against whose data it is.
+// =====================================================
+
+import BaseCRUD, { APIError, validateRequired } from './base.js';
+import { AUDIT_SOURCES, resolveBusinessId } from './audit-trail.js';
+import {
+  isAllowed,
+  isAllowedInOrganization,
+  isAllowedForUser,
+  mergeMemberships,
+  resolvePermissions,
+  USER_POLICIES
+} from './policy.js';
+
+// Same collections and TTLs as BusinessesAPI/OrganizationsAPI, so they share cached documents
+const businesses = new BaseCRUD('businesses', { cache: { ttlMs: 60 * 1000 } });
+const organizations = new BaseCRUD('organizations', { cache: { ttlMs: 60 * 1000 } });
+
+// Member documents (team_members, organization members) are keyed by userId,
+// as the security rules expect
+const getMemberDoc = (api, parentId, name, userId) => api.subcollection(parentId, name).getById(userId)
+  .catch(error => {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  });
+
+const loadOrganizationMembership = async (userId, organizationId) => {
+  validateRequired({ organizationId }, ['organizationId']);
+
+  const organization = await organizations.getById(organizationId);
+  if (organization.isActive === false) {
+    return null;
+  }
+
+  const member = await getMemberDoc(organizations, organizationId, 'members', userId);
+  if (!member || member.status !== 'active') {
+    return null;
+  }
+  return { organizationId, userId, role: member.role, status: member.status, permissions: member.permissions || {} };
+};
+
+const loadMembership = async (context, businessId) => {
+  validateRequired({ businessId }, ['businessId']);
+  const { userId } = context;
+
+  const business = await businesses.getById(businessId);
+  if (business.userId === userId) {
+    return {
+      businessId,
+      userId,
+      role: 'owner',
+      isOwner: true,
+      status: 'active',
+      via: ['owner'],
+      permissions: resolvePermissions('owner')
+    };
+  }
+
+  // Team and organization members lose access while the business is deleted
+  if (business.isActive === false) {
+    return null;
+  }
+
+  const [member, orgMember] = await Promise.all([
+    getMemberDoc(businesses, businessId, 'team_members', userId),
+    business.organizationId ? context.organizationMembership(business.organizationId) : null
+  ]);
+
+  // Like the security rules, team access needs an active member document and
+  // a seat in the business's teamMemberIds
+  const seated = (business.teamMemberIds || []).includes(userId);
+  const team = member && member.status === 'active' && seated ? {
+    memberId: member.id,
+    role: member.role,
+    isOwner: false,
+    via: 'team',
+    permissions: resolvePermissions(member.role, member.permissions)
+  } : null;
+
+  const organization = orgMember ? {
+    organizationId: business.organizationId,
+    role: orgMember.role,
+    isOwner: orgMember.role === 'owner',
+    via: 'organization',
+    permissions: resolvePermissions(orgMember.role, orgMember.permissions)
+  } : null;
+
+  const merged = mergeMemberships([team, organization]);
+  return merged && { businessId, userId, status: 'active', ...merged };
+};
+
+// Load once per key and context; failed loads are retried on the next call
+const memoize = (cache, key, load) => {
+  if (!cache.has(key)) {
+    const loading = load();
+    loading.catch(() => cache.delete(key));
+    cache.set(key, loading);
+  }
+  return cache.get(key);
+};
+
+export class APIContext {
+  // userId: the signed-in user. source: the audit source of calls made with
+  // this context. system: background code acting for the app, which skips
+  // permission checks.
+  constructor({ userId = null, source = 'ui', system = false } = {}) {
+    if (!AUDIT_SOURCES.includes(source)) {
+      throw new APIError(`Context source must be one of: ${AUDIT_SOURCES.join(', ')}`, 'INVALID_ARGUMENT', 400);
+    }
+    this.userId = userId;
+    this.source = source;
+    this.system = system;
+    this.memberships = new Map();
+    this.organizationMemberships = new Map();
+  }
+
+  // Audit option for writes made with this context
+  get audit() {
+    return { actorId: this.userId, source: this.source };
+  }
+
+  // Context for automatic follow-up work a call triggers, such as applying
+  // flagging rules after a user clears a spam detection: it skips permission
+  // checks like a system context, but its writes are audited as this
+  // context's user and source. Client writes can only be audited that way
+  // (see firestore.rules); 'sync' and 'system' entries come from backend code.
+  automation() {
+    return new APIContext({ userId: this.userId, source: this.source, system: true });
+  }
+
+  // The user's membership of a business, loaded once per context:
+  // { businessId, userId, role, isOwner, status, via, permissions } with
+  // effective permission flags, or null when they have no active membership.
+  // via lists how they reach it: 'owner', or 'team' and/or 'organization'
+  // (the most permissive role and flags win).
+  membership(businessId) {
+    return memoize(this.memberships, businessId, () => loadMembership(this, businessId));
+  }
+
+  // The user's membership of an organization: { organizationId, userId, role,
+  // status, permissions }, or null
+  organizationMembership(organizationId) {
+    return memoize(this.organizationMemberships, organizationId,
+      () => loadOrganizationMembership(this.userId, organizationId));
+  }
+
+  // Forget loaded memberships, e.g. after the user's team roles change
+  refresh() {
+    this.memberships.clear();
+    this.organizationMemberships.clear();
+  }
+
+  async can(action, businessId) {
+    if (this.system) {
+      return true;
+    }
+    return isAllowed(await this.membership(businessId), action);
+  }
+
+  async authorize(action, businessId) {
+    if (!(await this.can(action, businessId))) {
+      throw new APIError('Permission denied', 'PERMISSION_DENIED', 403, { details: { action, businessId } });
+    }
+    return this;
+  }
+
+  async canInOrganization(action, organizationId) {
+    if (this.system) {
+      return true;
+    }
+    return isAllowedInOrganization(await this.organizationMembership(organizationId), action);
+  }
+
+  async authorizeOrganization(action, organizationId) {
+    if (!(await this.canInOrganization(action, organizationId))) {
+      throw new APIError('Permission denied', 'PERMISSION_DENIED', 403, { details: { action, organizationId } });
+    }
+    return this;
+  }
+
+  // userId: whose account data the call touches, the context's user by
+  // default; 'system' actions such as listing users may touch no one's
+  canForUser(action, userId = this.userId) {
+    return isAllowedForUser(this, action, userId);
+  }
+
+  async authorizeUser(action, userId = this.userId) {
+    if (USER_POLICIES[action] === 'self') {
+      validateRequired({ userId }, ['userId']);
+    }
+    if (!this.canForUser(action, userId)) {
+      throw new APIError('Permission denied', 'PERMISSION_DENIED', 403, { details: { action, userId } });
+    }
+    return this;
+  }
+}
+
+// Context for the signed-in Firebase Auth user (auth.currentUser, or the
+// user onAuthStateChanged reports); the security rules check the same uid
+export const createAPIContext = (user, options = {}) => {
+  if (!user?.uid) {
+    throw new APIError('Authentication required', 'UNAUTHENTICATED', 401);
+  }
+  return new APIContext({ ...options, userId: user.uid });
+};
+
+// For background work (platform syncs, scheduled jobs) that acts for no user.
+// Its writes are audited with no actor, which only backend code may log.
+export const createSystemContext = (source = 'system') => new APIContext({ source, system: true });
+
+// Context for an API call: one made by createAPIContext or
+// createSystemContext; anything else is an unauthenticated call
+export const toAPIContext = (value) => {
+  if (value instanceof APIContext) {
+    return value;
+  }
+  throw new APIError('Authentication required', 'UNAUTHENTICATED', 401);
+};
+
+// Check a context against the policy for an action on a business; returns the context
+export const authorize = (context, action, businessId) => toAPIContext(context).authorize(action, businessId);
+
+export const authorizeOrganization = (context, action, organizationId) =>
+  toAPIContext(context).authorizeOrganization(action, organizationId);
+
+// Check a context against the policy for an action on a user's account data
+// (see USER_POLICIES); userId defaults to the context's own user
+export const authorizeUser = (context, action, userId) => toAPIContext(context).authorizeUser(action, userId);
+
+// Stock hook for beforeCreate/beforeUpdate/beforeDelete: the call's
+// options.context must be allowed the action on the business the document
+// belongs to (the business itself, its subcollection parent or businessId)
+export const requirePermission = (action) => async ({ api, action: write, id, data, options, current }) => {
+  const before = await current();
+  if (!before && write !== 'create') {
+    throw new APIError('Document not found', 'NOT_FOUND', 404);
+  }
+  await authorize(options.context, action, resolveBusinessId(api.collectionName, id, before, data));
+};
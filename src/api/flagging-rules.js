@@ -0,0 +1,342 @@
+// =====================================================
+// FLAGGING RULES
+// Per-business rules deciding what happens to a new or edited review. Rules
+// come from the business's alert_settings: its alertRules, followed by rules
+// built from its thresholds for the review's language. Evaluation is pure,
+// so it also powers the rule simulation in reviews.js.
+// =====================================================
+
+import { APIError } from './base.js';
+import { KEYWORD_DICTIONARIES, getKeywordDictionary, matchKeywords, resolveLanguage } from './keywords.js';
+import { SENTIMENT_LABELS } from './sentiment.js';
+
+// English keywords used when a business leaves thresholds.keywords/urgentKeywords unset
+export const DEFAULT_NEGATIVE_KEYWORDS = KEYWORD_DICTIONARIES.en.negative;
+export const DEFAULT_URGENT_KEYWORDS = KEYWORD_DICTIONARIES.en.urgent;
+export const DEFAULT_MIN_RATING = 3;
+
+export const MAX_ALERT_RULES = 50;
+const MAX_PATTERN_LENGTH = 200;
+// pattern.flags allowed; g and y would make test() depend on the previous review
+const PATTERN_FLAGS = /^[imsu]*$/;
+
+// alert_settings.notifications switches and the notification channels they enable
+export const NOTIFICATION_CHANNELS = { email: 'email', sms: 'sms', inApp: 'in_app', slack: 'slack', webhook: 'webhook' };
+
+// Keyword thresholds for a language: thresholds.keywords/urgentKeywords are
+// the English lists, thresholds.languageKeywords[language] the others'; the
+// built-in dictionary fills in whatever is unset
+const thresholdKeywords = (thresholds, language) => {
+  const custom = language === 'en' ? thresholds : thresholds.languageKeywords?.[language] || {};
+  return {
+    negative: custom.keywords || getKeywordDictionary(language, 'negative'),
+    urgent: custom.urgentKeywords || getKeywordDictionary(language, 'urgent')
+  };
+};
+
+// Rules built from alert_settings.thresholds for reviews in a language, in
+// the order checkAndFlag always applied them: urgent keywords, then low
+// ratings, then negative keywords. Urgent keywords count even when negated
+// ("no safety measures"). minRating: reviews rated below it are flagged (null turns this off).
+export const buildThresholdRules = (thresholds = {}, language = 'en') => {
+  const minRating = thresholds.minRating === undefined ? DEFAULT_MIN_RATING : thresholds.minRating;
+  const { negative: negativeKeywords, urgent: urgentKeywords } = thresholdKeywords(thresholds, resolveLanguage(language));
+
+  return [
+    urgentKeywords.length > 0 && {
+      id: 'urgent_keywords',
+      conditions: { keywords: { any: urgentKeywords, matchNegated: true } },
+      actions: { flag: { reason: 'urgent_keywords' } }
+    },
+    minRating && {
+      id: 'low_rating',
+      conditions: { rating: { max: minRating - 1 } },
+      actions: { flag: { reason: 'low_rating' } }
+    },
+    negativeKeywords.length > 0 && {
+      id: 'negative_keywords',
+      conditions: { keywords: { any: negativeKeywords } },
+      actions: { flag: { reason: 'negative_keywords' } }
+    }
+  ].filter(Boolean);
+};
+
+// Language of a review, from its analysis (English when unknown or unsupported)
+export const reviewLanguage = (review) => resolveLanguage(review.analysis?.languageDetected);
+
+// Every rule that applies to a business's reviews in a language, in
+// evaluation order. settings: its alert_settings document, or null
+export const getFlaggingRules = (settings, language = 'en') => [
+  ...(settings?.alertRules || []).filter(rule => rule.enabled !== false),
+  ...buildThresholdRules(settings?.thresholds, language)
+];
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+// Quantifier starting at source[index]: *, +, ? or {n}, {n,}, {n,m}; its length, or 0
+const quantifierLength = (source, index) => {
+  if ('*+?'.includes(source[index])) {
+    return 1;
+  }
+  return source[index] === '{' ? source.slice(index).match(/^\{\d+(,\d*)?\}/)?.[0].length || 0 : 0;
+};
+
+// Why a regex could backtrack for exponentially long on some review texts,
+// or null. Rejects backreferences, and quantified groups that contain a
+// quantifier themselves, such as (a+)+ or (\w+\s?)*.
+const unsafePatternReason = (source) => {
+  const groups = []; // per open group: whether it contains a quantifier
+  let quantifiedGroupBefore = false; // the previous token is a group containing one
+  let inClass = false;
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(source[index + 1] || '')) {
+        return 'backreferences are not allowed';
+      }
+      index++;
+      quantifiedGroupBefore = false;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+      quantifiedGroupBefore = false;
+    } else if (char === '(') {
+      groups.push(false);
+      quantifiedGroupBefore = false;
+      // (?:, (?=, (?<name> and the like: the ? is not a quantifier
+      if (source[index + 1] === '?') {
+        index++;
+      }
+    } else if (char === ')') {
+      quantifiedGroupBefore = groups.pop() === true;
+      if (groups.length > 0 && quantifiedGroupBefore) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (quantifierLength(source, index) > 0) {
+      if (quantifiedGroupBefore) {
+        return 'nested quantifiers such as (a+)+ are not allowed';
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      index += quantifierLength(source, index) - 1;
+      // Lazy quantifiers (a+?)
+      if (source[index + 1] === '?') {
+        index++;
+      }
+    } else {
+      quantifiedGroupBefore = false;
+    }
+  }
+  return null;
+};
+
+// Problem with a pattern condition, as a message, or null
+const patternProblem = (pattern) => {
+  if (typeof pattern.regex !== 'string' || !pattern.regex || pattern.regex.length > MAX_PATTERN_LENGTH) {
+    return `pattern.regex must be 1-${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (pattern.flags !== undefined && !(typeof pattern.flags === 'string' && PATTERN_FLAGS.test(pattern.flags))) {
+    return 'pattern.flags must be some of: i, m, s, u';
+  }
+  try {
+    new RegExp(pattern.regex, pattern.flags ?? 'i');
+  } catch (error) {
+    return `pattern.regex is invalid: ${error.message}`;
+  }
+  const unsafe = unsafePatternReason(pattern.regex);
+  return unsafe && `pattern.regex is unsafe: ${unsafe}`;
+};
+
+const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+// Problems with one rule, as messages
+const ruleProblems = (rule) => {
+  const problems = [];
+  const { conditions = {}, actions = {} } = rule;
+
+  if (typeof rule.id !== 'string' || !rule.id.trim()) {
+    problems.push('id is required');
+  }
+
+  const { rating, keywords, pattern, platforms, author, sentiment } = conditions;
+  if (rating && !['min', 'max'].every(bound => rating[bound] === undefined || isNumberIn(rating[bound], 1, 5))) {
+    problems.push('rating.min and rating.max must be between 1 and 5');
+  }
+  if (keywords && !['any', 'all', 'none'].every(list => keywords[list] === undefined || isStringList(keywords[list]))) {
+    problems.push('keywords.any, keywords.all and keywords.none must be lists of words');
+  }
+  if (pattern && patternProblem(pattern)) {
+    problems.push(patternProblem(pattern));
+  }
+  if (platforms !== undefined && !isStringList(platforms)) {
+    problems.push('platforms must be a list of platforms');
+  }
+  if (author && !['minReviewCount', 'maxReviewCount'].every(bound => author[bound] === undefined || isNumberIn(author[bound], 0, Infinity))) {
+    problems.push('author.minReviewCount and author.maxReviewCount must be 0 or more');
+  }
+  if (sentiment) {
+    if (!['min', 'max'].every(bound => sentiment[bound] === undefined || isNumberIn(sentiment[bound], -1, 1))) {
+      problems.push('sentiment.min and sentiment.max must be between -1 and 1');
+    }
+    if (sentiment.labels !== undefined
+      && !(isStringList(sentiment.labels) && sentiment.labels.every(label => SENTIMENT_LABELS.includes(label)))) {
+      problems.push(`sentiment.labels must be some of: ${SENTIMENT_LABELS.join(', ')}`);
+    }
+  }
+
+  if (!['flag', 'priority', 'notify', 'archive'].some(action => actions[action])) {
+    problems.push('at least one action (flag, priority, notify, archive) is required');
+  }
+  if (actions.flag && (typeof actions.flag.reason !== 'string' || !actions.flag.reason.trim())) {
+    problems.push('flag.reason is required');
+  }
+  if (actions.priority !== undefined && !isNumberIn(actions.priority, 1, 10)) {
+    problems.push('priority must be between 1 and 10');
+  }
+  if (actions.notify?.channels !== undefined
+    && !(isStringList(actions.notify.channels) && actions.notify.channels.every(channel => channel in NOTIFICATION_CHANNELS))) {
+    problems.push(`notify.channels must be some of: ${Object.keys(NOTIFICATION_CHANNELS).join(', ')}`);
+  }
+  return problems;
+};
+
+// Throws VALIDATION_ERROR with details.rules ({ [ruleId or index]: messages })
+// when any rule is malformed or rule IDs repeat
+export const validateFlaggingRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length > MAX_ALERT_RULES) {
+    throw new APIError(`Alert rules must be a list of at most ${MAX_ALERT_RULES} rules`, 'VALIDATION_ERROR', 400);
+  }
+
+  const problems = {};
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const ruleProblemList = rule && typeof rule === 'object' ? ruleProblems(rule) : ['must be an object'];
+    if (ids.has(rule?.id)) {
+      ruleProblemList.push('id is used by another rule');
+    }
+    ids.add(rule?.id);
+    if (ruleProblemList.length > 0) {
+      problems[rule?.id || index] = ruleProblemList;
+    }
+  });
+
+  if (Object.keys(problems).length > 0) {
+    throw new APIError('Invalid alert rules', 'VALIDATION_ERROR', 400, { details: { rules: problems } });
+  }
+};
+
+// =====================================================
+// EVALUATION
+// =====================================================
+
+// Compiled pattern conditions, so a rule's regex is compiled once however
+// many reviews it is evaluated against (e.g. by simulateFlaggingRules).
+// Patterns stored before validation rejected them compile to null and never match.
+const compiledPatterns = new WeakMap();
+
+const compilePattern = (pattern) => {
+  if (!compiledPatterns.has(pattern)) {
+    compiledPatterns.set(pattern, patternProblem(pattern) ? null : new RegExp(pattern.regex, pattern.flags ?? 'i'));
+  }
+  return compiledPatterns.get(pattern);
+};
+
+const inRange = (value, { min, max }) => typeof value === 'number'
+  && (min === undefined || value >= min)
+  && (max === undefined || value <= max);
+
+// Whether a review meets every condition of a rule, and the keywords that
+// made it match
+const matchConditions = (review, conditions = {}) => {
+  const { rating, keywords, pattern, platforms, author, sentiment } = conditions;
+  let matchedKeywords = [];
+
+  if (rating && !inRange(review.rating, rating)) {
+    return null;
+  }
+  if (platforms && !platforms.includes(review.platform)) {
+    return null;
+  }
+  if (author) {
+    const range = { min: author.minReviewCount, max: author.maxReviewCount };
+    if (!inRange(review.author?.reviewCount ?? 0, range)) {
+      return null;
+    }
+  }
+  if (sentiment) {
+    const { sentimentScore, sentimentLabel } = review.analysis || {};
+    if ((sentiment.min !== undefined || sentiment.max !== undefined) && !inRange(sentimentScore, sentiment)) {
+      return null;
+    }
+    if (sentiment.labels && !sentiment.labels.includes(sentimentLabel)) {
+      return null;
+    }
+  }
+  if (keywords) {
+    // Title and text are separate sentences, so negation doesn't carry over
+    const text = [review.title, review.text].filter(Boolean).join('. ');
+    const options = { language: reviewLanguage(review), matchNegated: keywords.matchNegated };
+    const any = keywords.any ? matchKeywords(text, keywords.any, options) : [];
+    const all = keywords.all ? matchKeywords(text, keywords.all, options) : [];
+    if ((keywords.any && any.length === 0)
+      || (keywords.all && all.length < keywords.all.length)
+      || (keywords.none && matchKeywords(text, keywords.none, options).length > 0)) {
+      return null;
+    }
+    matchedKeywords = [...new Set([...any, ...all])];
+  }
+  if (pattern && !compilePattern(pattern)?.test(review.text || '')) {
+    return null;
+  }
+  return { keywords: matchedKeywords };
+};
+
+// What the rules decide for a review:
+// { matchedRules, flag: { reason, keywords, ruleId } | null, priorityScore | null,
+//   notify: { channels, ruleIds } | null, archive }.
+// The first matching rule with a flag action sets the reason; keywords come
+// from every matching flag rule, priorityScore is the highest set, and
+// notify channels are combined (null channels: every enabled channel).
+export const evaluateFlaggingRules = (review, rules) => {
+  const outcome = { matchedRules: [], flag: null, priorityScore: null, notify: null, archive: false };
+  const keywords = new Set();
+
+  rules.forEach(rule => {
+    const match = matchConditions(review, rule.conditions);
+    if (!match) {
+      return;
+    }
+    const { actions = {} } = rule;
+    outcome.matchedRules.push(rule.id);
+
+    if (actions.flag) {
+      outcome.flag = outcome.flag || { reason: actions.flag.reason, keywords: [], ruleId: rule.id };
+      match.keywords.forEach(keyword => keywords.add(keyword));
+    }
+    if (actions.priority !== undefined) {
+      outcome.priorityScore = Math.max(outcome.priorityScore ?? 0, actions.priority);
+    }
+    if (actions.notify) {
+      const channels = actions.notify.channels || null;
+      const notify = outcome.notify || { channels, ruleIds: [] };
+      // Every enabled channel (null) outranks a list
+      notify.channels = notify.channels && channels ? [...new Set([...notify.channels, ...channels])] : null;
+      notify.ruleIds.push(rule.id);
+      outcome.notify = notify;
+    }
+    if (actions.archive) {
+      outcome.archive = true;
+    }
+  });
+
+  if (outcome.flag) {
+    outcome.flag.keywords = [...keywords];
+  }
+  return outcome;
+};
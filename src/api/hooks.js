@@ -0,0 +1,58 @@
+// =====================================================
+// OPERATION HOOKS
+// Before/after handlers around BaseCRUD create, update and delete
+// =====================================================
+
+export const HOOK_EVENTS = [
+  'beforeCreate',
+  'afterCreate',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeDelete',
+  'afterDelete'
+];
+
+export class HookRegistry {
+  constructor() {
+    this.handlers = new Map(HOOK_EVENTS.map(event => [event, []]));
+  }
+
+  // operations: only run for calls made with one of these options.operation
+  // names (e.g. ['updateBusiness']); every call when omitted.
+  // Returns a function that removes the hook again.
+  register(event, handler, { operations = null } = {}) {
+    if (!this.handlers.has(event)) {
+      throw new TypeError(`Unknown hook event "${event}", expected one of: ${HOOK_EVENTS.join(', ')}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Hook for ${event} must be a function`);
+    }
+
+    const entry = { handler, operations };
+    this.handlers.get(event).push(entry);
+    return () => {
+      const entries = this.handlers.get(event);
+      const index = entries.indexOf(entry);
+      if (index !== -1) {
+        entries.splice(index, 1);
+      }
+    };
+  }
+
+  // Run the event's handlers in registration order. A before-hook may return
+  // replacement data or change context.data in place; throwing stops the operation.
+  async run(event, context) {
+    const entries = [...this.handlers.get(event)];
+
+    for (const { handler, operations } of entries) {
+      if (operations && !operations.includes(context.operation)) {
+        continue;
+      }
+      const result = await handler(context);
+      if (result !== undefined && event.startsWith('before')) {
+        context.data = result;
+      }
+    }
+    return context;
+  }
+}
@@ -4,11 +4,116 @@
 // =====================================================
 
 // Base utilities
-export { default as BaseCRUD, APIError, formatResponse, formatError } from './base.js';
+export {
+  default as BaseCRUD,
+  WriteBatch,
+  Transaction,
+  MAX_BATCH_WRITES,
+  APIError,
+  formatResponse,
+  formatError
+} from './base.js';
+
+// Storage adapters
+export {
+  getStorageAdapter,
+  setStorageAdapter,
+  FirestoreAdapter,
+  MemoryAdapter,
+  serverTimestamp,
+  increment
+} from './base.js';
+
+// API context & access policy
+export {
+  APIContext,
+  createAPIContext,
+  createSystemContext,
+  toAPIContext,
+  authorize,
+  authorizeOrganization,
+  authorizeUser,
+  requirePermission
+} from './context.js';
+
+// Keyword matching & flagging rules
+export {
+  KEYWORD_DICTIONARIES,
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  getKeywordDictionary,
+  stem,
+  findKeywords,
+  matchKeywords
+} from './keywords.js';
+
+export {
+  DEFAULT_NEGATIVE_KEYWORDS,
+  DEFAULT_URGENT_KEYWORDS,
+  buildThresholdRules,
+  reviewLanguage,
+  getFlaggingRules,
+  validateFlaggingRules,
+  evaluateFlaggingRules
+} from './flagging-rules.js';
+
+// Sentiment & emotion analysis
+export {
+  ANALYSIS_VERSION,
+  SENTIMENT_LABELS,
+  EMOTIONS,
+  SENTIMENT_LEXICONS,
+  analyzeSentiment,
+  analyzeReview,
+  RATING_MISMATCH_THRESHOLD,
+  scoreRatingMismatch,
+  textRating,
+  responseCategory
+} from './sentiment.js';
+
+// Spam detection
+export {
+  SPAM_THRESHOLD,
+  SPAM_FLAG_THRESHOLD,
+  SPAM_SIGNALS,
+  SPAM_REVIEW_STATUSES,
+  textSimilarity,
+  scoreSpam
+} from './spam.js';
+
+// Full-text search
+export {
+  SEARCH_FIELD,
+  MAX_SEARCH_CANDIDATES,
+  SEARCH_BATCH_SIZE,
+  tokenize,
+  buildSearchKeywords,
+  parseSearchQuery,
+  searchIndex,
+  searchCollection,
+  rankDocuments,
+  reindexCollection
+} from './search.js';
+
+export {
+  PERMISSIONS,
+  TEAM_ROLES,
+  ROLE_PERMISSIONS,
+  POLICIES,
+  ORGANIZATION_ROLES,
+  ORGANIZATION_POLICIES,
+  USER_POLICIES,
+  resolvePermissions,
+  isAllowed,
+  isAllowedInOrganization,
+  isAllowedForUser
+} from './policy.js';
 
 // Import API instances for the main API object
 import usersAPI from './users.js';
 import businessesAPI from './businesses.js';
+import organizationsAPI from './organizations.js';
+import invitationsAPI from './invitations.js';
 import reviewsAPI from './reviews.js';
 import responsesAPI from './responses.js';
 import templatesAPI from './templates.js';
@@ -16,6 +121,7 @@ import integrationsAPI from './integrations.js';
 import subscriptionsAPI from './subscriptions.js';
 import notificationsAPI from './notifications.js';
 import analyticsAPI from './analytics.js';
+import auditAPI from './audit.js';
 
 // =====================================================
 // USERS API
@@ -34,6 +140,7 @@ export {
   getActiveUsers,
   searchUsers,
   getUserStats,
+  USER_SEARCH_FIELDS,
   
   // Session management
   createUserSession,
@@ -53,11 +160,16 @@ export {
   createBusiness,
   getBusinessById,
   getBusinessesByUser,
+  getBusinessesForUser,
   updateBusiness,
   deleteBusiness,
+  restoreBusiness,
+  transferBusinessOwnership,
+  refreshBusinessPlan,
   verifyBusiness,
   searchBusinesses,
   getBusinessStats,
+  BUSINESS_SEARCH_FIELDS,
   
   // Team management
   addTeamMember,
@@ -70,14 +182,71 @@ export {
   default as businessesAPI
 } from './businesses.js';
 
+// =====================================================
+// TEAM INVITATIONS API
+// =====================================================
+export {
+  // Inviting
+  createInvitation,
+  getBusinessInvitations,
+  resendInvitation,
+  revokeInvitation,
+
+  // Answering
+  getInvitationByToken,
+  acceptInvitation,
+  declineInvitation,
+
+  INVITATION_TTL_MS,
+  INVITATION_STATUSES,
+  isInvitationExpired,
+
+  // API instance
+  default as invitationsAPI
+} from './invitations.js';
+
+// =====================================================
+// ORGANIZATIONS API
+// =====================================================
+export {
+  // Organization management
+  createOrganization,
+  getOrganization,
+  getOrganizationsForUser,
+  updateOrganization,
+
+  // Member management
+  addOrganizationMember,
+  getOrganizationMembers,
+  updateOrganizationMember,
+  removeOrganizationMember,
+
+  // Businesses & billing
+  getOrganizationBusinesses,
+  addBusinessToOrganization,
+  removeBusinessFromOrganization,
+  getOrganizationBilling,
+  setOrganizationBillingUser,
+  refreshOrganizationPlan,
+
+  // API instance
+  default as organizationsAPI
+} from './organizations.js';
+
 // =====================================================
 // REVIEWS API
 // =====================================================
 export {
   // Review management
   createReview,
+  upsertReview,
   getReviewById,
   getBusinessReviews,
+  subscribeToBusinessReviews,
+  searchReviews,
+  reindexReviews,
+  reanalyzeReviews,
+  REVIEW_SEARCH_FIELDS,
   getFlaggedReviews,
   getReviewsNeedingResponse,
   updateReviewAnalysis,
@@ -87,7 +256,20 @@ export {
   unarchiveReview,
   markReviewAsResponded,
   getReviewStats,
+  simulateFlaggingRules,
+  deliverQueuedAlerts,
+
+  // Spam moderation
+  detectBusinessSpam,
+  getSpamQueue,
+  confirmSpam,
+  clearSpam,
   
+  // Review history
+  getReviewHistory,
+  reviewDocumentId,
+  REVIEW_CONTENT_FIELDS,
+
   // Media management
   addReviewMedia,
   getReviewMedia,
@@ -128,6 +310,7 @@ export {
   getBusinessTemplates,
   updateTemplate,
   deleteTemplate,
+  restoreTemplate,
   
   // API instance
   default as templatesAPI
@@ -179,6 +362,7 @@ export {
   // Notification management
   createNotification,
   getUserNotifications,
+  subscribeToUserNotifications,
   markNotificationAsSent,
   markNotificationAsFailed,
   markNotificationAsOpened,
@@ -213,12 +397,23 @@ export {
   default as analyticsAPI
 } from './analytics.js';
 
+// =====================================================
+// AUDIT LOG API
+// =====================================================
+export {
+  getDocumentHistory,
+  getBusinessActivity,
+
+  // API instance
+  default as auditAPI
+} from './audit.js';
+
 // =====================================================
 // SYSTEM SETTINGS
 // =====================================================
-import BaseCRUD from './base.js';
+import BaseCRUD, { setStorageAdapter, MemoryAdapter, APIError, formatResponse, formatError } from './base.js';
 
-const systemSettingsAPI = new BaseCRUD('system_settings');
+const systemSettingsAPI = new BaseCRUD('system_settings', { audit: true });
 
 export const getSystemSettings = async () => {
   try {
@@ -229,9 +424,10 @@ export const getSystemSettings = async () => {
   }
 };
 
-export const updateSystemSettings = async (settingsData) => {
+// options.audit: { actorId, source } recorded in the audit trail
+export const updateSystemSettings = async (settingsData, options = {}) => {
   try {
-    const result = await systemSettingsAPI.update('global', settingsData);
+    const result = await systemSettingsAPI.update('global', settingsData, { audit: options.audit });
     return { success: true, data: result };
   } catch (error) {
     return { success: false, error: error.message };
@@ -247,6 +443,8 @@ export const API = {
   // Core APIs
   users: usersAPI,
   businesses: businessesAPI,
+  organizations: organizationsAPI,
+  invitations: invitationsAPI,
   reviews: reviewsAPI,
   responses: responsesAPI,
   templates: templatesAPI,
@@ -254,12 +452,15 @@ export const API = {
   subscriptions: subscriptionsAPI,
   notifications: notificationsAPI,
   analytics: analyticsAPI,
+  audit: auditAPI,
   
   // System
   systemSettings: systemSettingsAPI,
   
   // Utilities
   BaseCRUD,
+  setStorageAdapter,
+  MemoryAdapter,
   APIError,
   formatResponse,
   formatError
@@ -271,19 +472,20 @@ export const API = {
 
 /* 
 
-// Example: Create a new user
-import { createUser } from './api/index.js';
+// Example: Create the signed-in Firebase Auth user's profile
+import { createAPIContext, createUser } from './api/index.js';
 
+const context = createAPIContext(auth.currentUser);
 const newUser = await createUser({
   email: 'user@example.com',
   firstName: 'John',
   lastName: 'Doe'
-}, 'user123');
+}, context);
 
-// Example: Get business reviews with filters
+// Example: Get business reviews with filters, as that user
 import { getBusinessReviews } from './api/index.js';
 
-const reviews = await getBusinessReviews('business123', {
+const reviews = await getBusinessReviews('business123', context, {
   platform: 'google',
   minRating: 1,
   maxRating: 3,
@@ -291,30 +493,48 @@ const reviews = await getBusinessReviews('business123', {
   limit: 25
 });
 
-// Example: Create AI-generated response
+// Example: Search reviews (ranked, with the usual filters)
+import { searchReviews } from './api/index.js';
+
+const results = await searchReviews('business123', 'cold "slow service"', context, { maxRating: 3, limit: 25 });
+
+// Example: Create AI-generated response as the signed-in user
 import { createResponse } from './api/index.js';
 
 const response = await createResponse({
   reviewId: 'review123',
   businessId: 'business123',
-  userId: 'user123',
   responseText: 'Thank you for your feedback!',
   responseType: 'ai_generated',
   aiProvider: 'claude',
   aiConfidence: 0.9
-});
+}, context);
 
-// Example: Get business analytics overview
+// Example: Get business analytics overview (needs canViewAnalytics)
 import { getBusinessOverview } from './api/index.js';
 
-const overview = await getBusinessOverview('business123', 30); // Last 30 days
+const overview = await getBusinessOverview('business123', context, { days: 30 });
+
+// Example: Group businesses under an organization and list everything the user can access
+import { createOrganization, addBusinessToOrganization, getBusinessesForUser } from './api/index.js';
+
+const org = await createOrganization({ name: 'Acme Agency' }, context);
+await addBusinessToOrganization('business123', org.data.id, context);
+const accessible = await getBusinessesForUser(context); // each business has accessVia
 
 // Example: Use the comprehensive API object
 import { API } from './api/index.js';
 
-const user = await API.users.getById('user123');
-const businesses = await API.businesses.getBusinessesByUser('user123');
-const stats = await API.analytics.getBusinessOverview('business123');
+const user = await API.users.getUser(context.userId, context);
+const businesses = await API.businesses.getBusinessesByUser(context);
+const stats = await API.analytics.getBusinessOverview('business123', context, { days: 30 });
+
+// Example: Run every API against the in-memory adapter (tests, demo mode)
+import { setStorageAdapter, MemoryAdapter } from './api/index.js';
+
+setStorageAdapter(new MemoryAdapter({
+  seed: { businesses: { business123: { userId: 'user123', name: 'Demo', isActive: true } } }
+}));
 
 */
 
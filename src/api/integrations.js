@@ -3,28 +3,27 @@
 // Handles Google, Yelp, Facebook platform connections
 // =====================================================
 
-import { 
-  collection,
-  doc,
-  query,
-  where,
-  orderBy,
+import BaseCRUD, {
+  validateRequired,
   serverTimestamp,
-  getDocs,
-  addDoc
-} from 'firebase/firestore';
-import { db } from '../firebase-config.js';
-import BaseCRUD, { validateRequired, APIError, formatResponse, formatError } from './base.js';
+  APIError,
+  pageOptions,
+  formatResponse,
+  formatError
+} from './base.js';
+import { authorize } from './context.js';
 
 class PlatformIntegrationsAPI extends BaseCRUD {
   constructor() {
-    super('platform_integrations');
+    // Platform syncs are long-running; one network blip shouldn't fail the whole sync
+    super('platform_integrations', { retry: true });
   }
 
-  // Create new integration
-  async createIntegration(integrationData) {
+  // Connect a platform to a business (canManageSettings)
+  async createIntegration(integrationData, context) {
     try {
       validateRequired(integrationData, ['businessId', 'platform', 'platformBusinessId']);
+      const ctx = await authorize(context, 'integration.manage', integrationData.businessId);
 
       const integrationDoc = {
         businessId: integrationData.businessId,
@@ -61,7 +60,7 @@ class PlatformIntegrationsAPI extends BaseCRUD {
 
       // Create document with custom ID: {businessId}_{platform}
       const docId = `${integrationData.businessId}_${integrationData.platform}`;
-      return await this.create(integrationDoc, docId);
+      return await this.create(integrationDoc, docId, { context: ctx });
     } catch (error) {
       throw error;
     }
@@ -139,7 +138,7 @@ class PlatformIntegrationsAPI extends BaseCRUD {
       return await this.getWhere(filters, {
         orderByField: 'nextSyncAt',
         orderDirection: 'asc',
-        limitCount: 50
+        ...pageOptions(options, 50)
       });
     } catch (error) {
       throw error;
@@ -150,6 +149,10 @@ class PlatformIntegrationsAPI extends BaseCRUD {
   // SYNC LOGS SUBCOLLECTION
   // =====================================================
 
+  syncLogs(integrationId) {
+    return this.subcollection(integrationId, 'sync_logs');
+  }
+
   async addSyncLog(integrationId, logData) {
     try {
       validateRequired(logData, ['syncType', 'status']);
@@ -164,13 +167,11 @@ class PlatformIntegrationsAPI extends BaseCRUD {
         errorDetails: logData.errorDetails || {},
         durationMs: logData.durationMs || 0,
         startedAt: logData.startedAt || serverTimestamp(),
-        completedAt: serverTimestamp()
+        completedAt: serverTimestamp(),
+        createdAt: serverTimestamp()
       };
 
-      const logsRef = collection(db, 'platform_integrations', integrationId, 'sync_logs');
-      const docRef = await addDoc(logsRef, logDoc);
-      
-      return { id: docRef.id, ...logDoc };
+      return await this.syncLogs(integrationId).create(logDoc);
     } catch (error) {
       throw error;
     }
@@ -178,17 +179,13 @@ class PlatformIntegrationsAPI extends BaseCRUD {
 
   async getSyncLogs(integrationId, options = {}) {
     try {
-      const logsRef = collection(db, 'platform_integrations', integrationId, 'sync_logs');
-      const q = query(logsRef, orderBy('startedAt', 'desc'));
-
-      const querySnapshot = await getDocs(q);
-      const logs = [];
-      
-      querySnapshot.forEach(doc => {
-        logs.push({ id: doc.id, ...doc.data() });
+      const result = await this.syncLogs(integrationId).getAll({
+        orderByField: 'startedAt',
+        orderDirection: 'desc',
+        limitCount: options.limit || 50
       });
 
-      return logs.slice(0, options.limit || 50);
+      return result.documents;
     } catch (error) {
       throw error;
     }
@@ -197,9 +194,9 @@ class PlatformIntegrationsAPI extends BaseCRUD {
 
 const integrationsAPI = new PlatformIntegrationsAPI();
 
-export const createIntegration = async (integrationData) => {
+export const createIntegration = async (integrationData, context) => {
   try {
-    const result = await integrationsAPI.createIntegration(integrationData);
+    const result = await integrationsAPI.createIntegration(integrationData, context);
     return formatResponse(result, 'Integration created successfully');
   } catch (error) {
     return formatError(error);
@@ -0,0 +1,378 @@
+// =====================================================
+// TEAM INVITATIONS API - CRUD Operations
+// Invites people to a business team by email. The invitee accepts with a
+// one-time token, which makes their user account a team member.
+// =====================================================
+
+import BaseCRUD, {
+  validateRequired,
+  validateEmail,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+  APIError,
+  pageOptions,
+  formatResponse,
+  formatError
+} from './base.js';
+import { toAPIContext, authorize } from './context.js';
+import { assertCanGrant } from './policy.js';
+import businessesAPI from './businesses.js';
+import usersAPI from './users.js';
+
+// How long an invitation link is valid; resending starts a new period
+export const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Stored statuses. Pending invitations past expiresAt read as 'expired'.
+export const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+
+// 32 random bytes, base64url encoded. Only its SHA-256 hash is stored, so the
+// token can't be read back from the invitation document.
+const generateToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const hashToken = async (token) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const normalizeEmail = (email) => email.toLowerCase().trim();
+
+const toMillis = (value) => (value instanceof Date ? value.getTime() : value?.toMillis?.() ?? 0);
+
+export const isInvitationExpired = (invitation, now = Date.now()) =>
+  invitation.status === 'pending' && toMillis(invitation.expiresAt) <= now;
+
+class InvitationsAPI extends BaseCRUD {
+  constructor() {
+    super('team_invitations', { audit: true });
+  }
+
+  // Invitation as returned to callers: without tokenHash, expiry applied to status
+  present(invitation) {
+    const { tokenHash, ...rest } = invitation;
+    return { ...rest, status: isInvitationExpired(invitation) ? 'expired' : invitation.status };
+  }
+
+  // Invitations can only be answered or changed while pending and unexpired
+  assertPending(invitation) {
+    if (invitation.status !== 'pending') {
+      throw new APIError(`Invitation has been ${invitation.status}`, 'FAILED_PRECONDITION', 409);
+    }
+    if (isInvitationExpired(invitation)) {
+      throw new APIError('Invitation has expired', 'INVITATION_EXPIRED', 410);
+    }
+  }
+
+  // Find an invitation by token for the signed-in user. It must have been sent
+  // to their account's email, so a forwarded link is useless to anyone else.
+  async findByToken(token, ctx) {
+    try {
+      validateRequired({ token }, ['token']);
+      const user = await usersAPI.getById(ctx.userId);
+
+      const result = await this.getWhere([
+        { field: 'tokenHash', operator: '==', value: await hashToken(token) },
+        { field: 'email', operator: '==', value: normalizeEmail(user.email) }
+      ], { orderByField: null, limitCount: 1 });
+
+      if (!result.documents[0]) {
+        throw new APIError('Invitation not found', 'NOT_FOUND', 404);
+      }
+      return result.documents[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // INVITING (canInviteMembers)
+  // =====================================================
+
+  // Invite an email address to the team. Returns the invitation with its
+  // token, which is only available here and from resendInvitation; deliver it
+  // to the invitee as part of the accept link.
+  async createInvitation(businessId, invitationData, context) {
+    try {
+      const ctx = await authorize(context, 'team.invite', businessId);
+
+      validateRequired(invitationData, ['email', 'role']);
+      const email = normalizeEmail(invitationData.email);
+      validateEmail(email);
+      assertCanGrant(await ctx.membership(businessId), invitationData.role, invitationData.permissions);
+
+      const pending = await this.getWhere([
+        { field: 'businessId', operator: '==', value: businessId },
+        { field: 'email', operator: '==', value: email },
+        { field: 'status', operator: '==', value: 'pending' }
+      ], { orderByField: null, limitCount: null });
+      if (pending.documents.some(invitation => !isInvitationExpired(invitation))) {
+        throw new APIError('An invitation is already pending for this email', 'ALREADY_EXISTS', 409);
+      }
+
+      // Whether the email belongs to a member already can't be told here (only
+      // users can read their own profile); acceptInvitation refuses members
+      const business = await businessesAPI.getById(businessId);
+      await businessesAPI.assertTeamSeats(businessId);
+
+      const token = generateToken();
+      const invitationDoc = {
+        businessId,
+        businessName: business.name,
+        email,
+        role: invitationData.role, // admin, member
+        permissions: invitationData.permissions || {},
+        status: 'pending',
+        tokenHash: await hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+        invitedBy: ctx.userId,
+        sendCount: 1,
+        lastSentAt: serverTimestamp(),
+        acceptedBy: null,
+        acceptedAt: null,
+        declinedAt: null,
+        revokedBy: null,
+        revokedAt: null,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+
+      const invitation = await this.create(invitationDoc, null, { context: ctx });
+      return { ...this.present(invitation), token };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Invitations of a business, newest first; options.status filters on the stored status
+  async getBusinessInvitations(businessId, context, options = {}) {
+    try {
+      await authorize(context, 'team.invite', businessId);
+
+      const filters = [
+        { field: 'businessId', operator: '==', value: businessId }
+      ];
+
+      if (options.status) {
+        filters.push({ field: 'status', operator: '==', value: options.status });
+      }
+
+      const result = await this.getWhere(filters, {
+        orderByField: 'createdAt',
+        orderDirection: 'desc',
+        ...pageOptions(options)
+      });
+
+      return { ...result, documents: result.documents.map(invitation => this.present(invitation)) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Send a pending (or expired) invitation again with a new token and expiry;
+  // links sent earlier stop working
+  async resendInvitation(invitationId, context) {
+    try {
+      const invitation = await this.getById(invitationId);
+      const ctx = await authorize(context, 'team.invite', invitation.businessId);
+
+      if (invitation.status !== 'pending') {
+        throw new APIError(`Invitation has been ${invitation.status}`, 'FAILED_PRECONDITION', 409);
+      }
+
+      // Expired invitations no longer hold a seat
+      if (isInvitationExpired(invitation)) {
+        await businessesAPI.assertTeamSeats(invitation.businessId);
+      }
+
+      const token = generateToken();
+      const updated = await this.update(invitationId, {
+        tokenHash: await hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+        sendCount: increment(1),
+        lastSentAt: serverTimestamp()
+      }, { context: ctx });
+
+      return { ...this.present(updated), token };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Withdraw a pending invitation so its link can't be used
+  async revokeInvitation(invitationId, context) {
+    try {
+      const invitation = await this.getById(invitationId);
+      const ctx = await authorize(context, 'team.invite', invitation.businessId);
+
+      if (invitation.status !== 'pending') {
+        throw new APIError(`Invitation has been ${invitation.status}`, 'FAILED_PRECONDITION', 409);
+      }
+
+      const updated = await this.update(invitationId, {
+        status: 'revoked',
+        revokedBy: ctx.userId,
+        revokedAt: serverTimestamp()
+      }, { context: ctx });
+
+      return this.present(updated);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // ANSWERING (the invitee)
+  // =====================================================
+
+  // Invitation details for the accept page
+  async getInvitationByToken(token, context) {
+    try {
+      return this.present(await this.findByToken(token, toAPIContext(context)));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Join the team: the signed-in user becomes an active team member, keyed by
+  // their userId, with the invitation's role and flags, and takes a seat in
+  // the business's teamMemberIds. The invitee can't read the business or its
+  // team yet, so only the invitation is read: the security rules refuse the
+  // owner, active members and a full team (PERMISSION_DENIED).
+  async acceptInvitation(token, context) {
+    try {
+      const ctx = toAPIContext(context);
+      const invitation = await this.findByToken(token, ctx);
+      this.assertPending(invitation);
+
+      const { businessId } = invitation;
+      const member = await this.runTransaction(async (transaction) => {
+        const current = await transaction.get(this, invitation.id);
+        if (!current || current.tokenHash !== invitation.tokenHash) {
+          throw new APIError('Invitation not found', 'NOT_FOUND', 404);
+        }
+        this.assertPending(current);
+
+        transaction.update(this, invitation.id, {
+          status: 'accepted',
+          acceptedBy: ctx.userId,
+          acceptedAt: serverTimestamp()
+        }, { before: current, context: ctx });
+
+        transaction.update(businessesAPI, businessId, {
+          teamMemberIds: arrayUnion(ctx.userId)
+        }, { context: ctx });
+
+        // Replaces the document of a suspended member who was invited again
+        return transaction.set(businessesAPI.teamMembers(businessId), ctx.userId, {
+          userId: ctx.userId,
+          email: invitation.email,
+          role: invitation.role,
+          permissions: invitation.permissions || {},
+          status: 'active',
+          invitedBy: invitation.invitedBy,
+          invitationId: invitation.id,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        }, { context: ctx });
+      });
+
+      ctx.refresh();
+      return member;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async declineInvitation(token, context) {
+    try {
+      const ctx = toAPIContext(context);
+      const invitation = await this.findByToken(token, ctx);
+      this.assertPending(invitation);
+
+      const updated = await this.update(invitation.id, {
+        status: 'declined',
+        declinedAt: serverTimestamp()
+      }, { context: ctx });
+
+      return this.present(updated);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// =====================================================
+// API WRAPPER FUNCTIONS
+// =====================================================
+
+const invitationsAPI = new InvitationsAPI();
+
+// Inviting functions
+export const createInvitation = async (businessId, invitationData, context) => {
+  try {
+    const result = await invitationsAPI.createInvitation(businessId, invitationData, context);
+    return formatResponse(result, 'Invitation created successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getBusinessInvitations = async (businessId, context, options) => {
+  try {
+    const result = await invitationsAPI.getBusinessInvitations(businessId, context, options);
+    return formatResponse(result, 'Invitations retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const resendInvitation = async (invitationId, context) => {
+  try {
+    const result = await invitationsAPI.resendInvitation(invitationId, context);
+    return formatResponse(result, 'Invitation resent successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const revokeInvitation = async (invitationId, context) => {
+  try {
+    const result = await invitationsAPI.revokeInvitation(invitationId, context);
+    return formatResponse(result, 'Invitation revoked successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+// Invitee functions
+export const getInvitationByToken = async (token, context) => {
+  try {
+    const result = await invitationsAPI.getInvitationByToken(token, context);
+    return formatResponse(result, 'Invitation retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const acceptInvitation = async (token, context) => {
+  try {
+    const result = await invitationsAPI.acceptInvitation(token, context);
+    return formatResponse(result, 'Invitation accepted successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const declineInvitation = async (token, context) => {
+  try {
+    const result = await invitationsAPI.declineInvitation(token, context);
+    return formatResponse(result, 'Invitation declined successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export default invitationsAPI;
@@ -0,0 +1,199 @@
+// =====================================================
+// KEYWORD MATCHING
+// Finds keywords in review text as whole words: "legal" doesn't match
+// "illegally", "rude" doesn't match "prudent". Words are compared by a light
+// per-language stem ("scammed" matches "scam"), keywords negated within their
+// clause ("not rude at all") don't count, and each supported language has its
+// own keyword dictionary, picked by the review's analysis.languageDetected.
+// =====================================================
+
+import { tokenize } from './search.js';
+
+// Built-in keywords, negation words and clause-joining contrast words per
+// language. Accents are optional: text and keywords are compared without them.
+export const KEYWORD_DICTIONARIES = {
+  en: {
+    negative: ['terrible', 'horrible', 'worst', 'awful', 'scam', 'rude', 'unprofessional'],
+    urgent: ['lawsuit', 'legal', 'health', 'safety', 'discrimination'],
+    negators: [
+      'not', 'no', 'never', 'nothing', 'none', 'nobody', 'neither', 'nor', 'without', 'hardly', 'barely',
+      'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'werent', 'wont', 'wouldnt', 'couldnt',
+      // "isn't" is split into "isn" + "t"
+      'don', 'doesn', 'didn', 'isn', 'wasn', 'aren', 'weren', 'won', 'wouldn', 'couldn'
+    ],
+    contrast: ['but', 'however', 'although', 'though', 'yet']
+  },
+  es: {
+    negative: ['terrible', 'horrible', 'peor', 'pésimo', 'asqueroso', 'estafa', 'grosero', 'maleducado'],
+    urgent: ['demanda', 'abogado', 'legal', 'salud', 'seguridad', 'discriminación', 'intoxicación'],
+    negators: ['no', 'nunca', 'jamás', 'sin', 'ni', 'tampoco', 'nada'],
+    contrast: ['pero', 'aunque', 'sino']
+  },
+  fr: {
+    negative: ['terrible', 'horrible', 'pire', 'affreux', 'arnaque', 'impoli', 'nul', 'dégoûtant'],
+    urgent: ['procès', 'avocat', 'plainte', 'santé', 'sécurité', 'discrimination', 'intoxication'],
+    negators: ['ne', 'pas', 'jamais', 'sans', 'aucun', 'aucune', 'rien', 'ni'],
+    contrast: ['mais', 'cependant', 'pourtant']
+  },
+  de: {
+    negative: ['schrecklich', 'furchtbar', 'schlimmste', 'schlecht', 'betrug', 'unhöflich', 'unfreundlich', 'ekelhaft'],
+    urgent: ['klage', 'anwalt', 'gesundheit', 'sicherheit', 'diskriminierung', 'vergiftung'],
+    negators: ['nicht', 'kein', 'keine', 'keinen', 'keiner', 'nie', 'niemals', 'ohne'],
+    contrast: ['aber', 'jedoch', 'sondern', 'obwohl']
+  },
+  pt: {
+    negative: ['terrível', 'horrível', 'pior', 'péssimo', 'golpe', 'grosseiro', 'nojento'],
+    urgent: ['processo', 'advogado', 'saúde', 'segurança', 'discriminação', 'intoxicação'],
+    negators: ['não', 'nunca', 'jamais', 'sem', 'nem', 'nada'],
+    contrast: ['mas', 'porém', 'embora']
+  },
+  it: {
+    negative: ['terribile', 'orribile', 'peggiore', 'pessimo', 'truffa', 'scortese', 'maleducato', 'schifoso'],
+    urgent: ['denuncia', 'avvocato', 'salute', 'sicurezza', 'discriminazione', 'intossicazione'],
+    negators: ['non', 'mai', 'senza', 'nessun', 'nessuno', 'nessuna', 'niente'],
+    contrast: ['ma', 'però', 'tuttavia', 'sebbene']
+  }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(KEYWORD_DICTIONARIES);
+export const DEFAULT_LANGUAGE = 'en';
+
+// Words after a negator that it still applies to ("not very rude", "never been so rude")
+const NEGATION_WINDOW = 3;
+
+// Supported language for a detected language tag ('pt-BR' -> 'pt'); others fall back to English
+export const resolveLanguage = (language) => {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+};
+
+// A dictionary list ('negative', 'urgent', ...) for a language
+export const getKeywordDictionary = (language, list) => KEYWORD_DICTIONARIES[resolveLanguage(language)][list] || [];
+
+// =====================================================
+// STEMMING
+// Suffix stripping, only so inflections of a keyword meet on the same stem;
+// stems aren't words. Both keywords and text go through it.
+// =====================================================
+
+// [suffix, replacement], longest first; the first that leaves 3+ characters applies.
+// A plural's replacement is its singular's stem ("-coes" and "-cao" both give "-ca")
+const SUFFIXES = {
+  en: [
+    ['ingly', ''], ['edly', ''], ['ibly', 'ible'], ['ably', 'able'], ['ness', ''], ['ment', ''],
+    ['sses', 'ss'], ['ies', 'y'], ['ied', 'y'], ['ches', 'ch'], ['shes', 'sh'], ['xes', 'x'],
+    ['ings', ''], ['ing', ''], ['ed', ''], ['ly', ''], ['s', '']
+  ],
+  es: [['amente', ''], ['mente', ''], ['ciones', 'cion'], ['es', ''], ['as', ''], ['os', ''], ['a', ''], ['o', ''], ['s', '']],
+  fr: [['ement', ''], ['ment', ''], ['euses', 'eu'], ['euse', 'eu'], ['eux', 'eu'], ['es', ''], ['e', ''], ['s', ''], ['x', '']],
+  de: [['ungen', 'ung'], ['en', ''], ['er', ''], ['es', ''], ['e', ''], ['n', ''], ['s', '']],
+  pt: [['amente', ''], ['mente', ''], ['coes', 'ca'], ['es', ''], ['as', ''], ['os', ''], ['a', ''], ['o', ''], ['s', '']],
+  it: [['amente', ''], ['mente', ''], ['zioni', 'zion'], ['i', ''], ['e', ''], ['a', ''], ['o', '']]
+};
+
+const MIN_STEM_LENGTH = 3;
+
+// English words ending in these keep their final s ("glass", "bus", "analysis")
+const KEEP_FINAL_S = ['ss', 'us', 'is'];
+
+export const stem = (word, language = DEFAULT_LANGUAGE) => {
+  const code = resolveLanguage(language);
+  let result = word;
+
+  for (const [suffix, replacement] of SUFFIXES[code]) {
+    if (!result.endsWith(suffix)) {
+      continue;
+    }
+    if (code === 'en' && suffix === 's' && KEEP_FINAL_S.some(ending => result.endsWith(ending))) {
+      break;
+    }
+    const stemmed = result.slice(0, -suffix.length) + replacement;
+    if (stemmed.length >= MIN_STEM_LENGTH) {
+      result = stemmed;
+    }
+    break;
+  }
+
+  if (code === 'en') {
+    // "scammed" -> "scamm" -> "scam"; "rude"/"ruder" agree once a final e goes
+    if (/([^aeiouslz])\1$/.test(result)) {
+      result = result.slice(0, -1);
+    }
+    if (result.endsWith('e') && result.length > MIN_STEM_LENGTH) {
+      result = result.slice(0, -1);
+    }
+  }
+  return result;
+};
+
+// =====================================================
+// MATCHING
+// =====================================================
+
+// Clauses of text as [{ word, stem, negated }], a word being negated when a
+// negator precedes it within NEGATION_WINDOW words of the same clause.
+// Shared with the sentiment analysis.
+export const analyzeText = (text, language = DEFAULT_LANGUAGE) => {
+  const code = resolveLanguage(language);
+  const dictionary = KEYWORD_DICTIONARIES[code];
+  const negators = new Set(dictionary.negators.flatMap(word => tokenize(word)));
+  const contrast = new Set(dictionary.contrast.flatMap(word => tokenize(word)));
+
+  return String(text || '')
+    .split(/[.!?;:,()\n]+/)
+    .flatMap(clause => {
+      const clauses = [[]];
+      tokenize(clause).forEach(word => {
+        if (contrast.has(word)) {
+          clauses.push([]);
+        } else {
+          clauses[clauses.length - 1].push(word);
+        }
+      });
+      return clauses;
+    })
+    .map(words => {
+      let lastNegator = -Infinity;
+      return words.map((word, index) => {
+        const isNegator = negators.has(word);
+        const negated = !isNegator && index - lastNegator <= NEGATION_WINDOW;
+        if (isNegator) {
+          lastNegator = index;
+        }
+        return { word, stem: stem(word, code), negated };
+      });
+    });
+};
+
+// Occurrences of each keyword in text: [{ keyword, count, negatedCount }].
+// A keyword of several words matches them in a row; it's negated when its
+// first word is.
+export const findKeywords = (text, keywords, language = DEFAULT_LANGUAGE) => {
+  const code = resolveLanguage(language);
+  const clauses = analyzeText(text, code);
+
+  return keywords.map(keyword => {
+    const stems = tokenize(keyword).map(word => stem(word, code));
+    let count = 0;
+    let negatedCount = 0;
+
+    if (stems.length > 0) {
+      clauses.forEach(words => {
+        for (let start = 0; start + stems.length <= words.length; start++) {
+          if (stems.every((keywordStem, offset) => words[start + offset].stem === keywordStem)) {
+            count++;
+            negatedCount += words[start].negated ? 1 : 0;
+          }
+        }
+      });
+    }
+    return { keyword, count, negatedCount };
+  });
+};
+
+// Keywords found in text. options.language picks the stemmer and negation
+// words; options.matchNegated counts negated occurrences too (for words like
+// "safety", where "no safety measures" is still a concern).
+export const matchKeywords = (text, keywords, options = {}) => findKeywords(text, keywords, options.language)
+  .filter(({ count, negatedCount }) => (options.matchNegated ? count > 0 : count > negatedCount))
+  .map(({ keyword }) => keyword);
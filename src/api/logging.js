@@ -0,0 +1,152 @@
+// =====================================================
+// LOGGING & TRACING
+// Structured log records for API operations, sent to pluggable sinks
+// =====================================================
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const levelRank = (level) => LOG_LEVELS.indexOf(level);
+
+// =====================================================
+// SINKS
+// A sink is any object with write(record); records below its level are skipped
+// =====================================================
+
+export class ConsoleSink {
+  constructor({ level = 'info' } = {}) {
+    this.level = level;
+  }
+
+  write(record) {
+    const { level, message, ...fields } = record;
+    console[level](`[api] ${message}`, fields);
+  }
+}
+
+// Keeps records in memory, for tests and debugging
+export class MemorySink {
+  constructor({ level = 'debug', limit = 1000 } = {}) {
+    this.level = level;
+    this.limit = limit;
+    this.records = [];
+  }
+
+  write(record) {
+    this.records.push(record);
+    if (this.records.length > this.limit) {
+      this.records.shift();
+    }
+  }
+
+  // Records whose fields match every given value, e.g. { correlationId, operation }
+  find(match = {}) {
+    return this.records.filter(record => Object.keys(match).every(key => record[key] === match[key]));
+  }
+
+  clear() {
+    this.records = [];
+  }
+}
+
+// Successful operations are logged at 'info', so only problems reach the console by default
+let sinks = [new ConsoleSink({ level: 'warn' })];
+
+export const configureLogging = (options = {}) => {
+  if (options.sinks) {
+    sinks = [...options.sinks];
+  }
+  return sinks;
+};
+
+export const getLogSinks = () => sinks;
+
+// =====================================================
+// LOGGER
+// =====================================================
+
+const write = (level, message, fields = {}) => {
+  const record = { timestamp: new Date().toISOString(), level, message, ...fields };
+
+  sinks.forEach(sink => {
+    if (levelRank(level) < levelRank(sink.level || 'debug')) {
+      return;
+    }
+    try {
+      sink.write(record);
+    } catch {
+      // A broken sink must never break the API call being logged
+    }
+  });
+};
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// =====================================================
+// TRACING
+// =====================================================
+
+export const createTraceId = () => {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID().replace(/-/g, '').slice(0, 16);
+  }
+  return Array.from({ length: 16 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+};
+
+// Documents in an operation's result: pages and arrays by length, single documents as 1
+const countDocuments = (result) => {
+  if (Array.isArray(result)) {
+    return result.length;
+  }
+  if (Array.isArray(result?.documents)) {
+    return result.documents.length;
+  }
+  return result && typeof result === 'object' && result.id ? 1 : undefined;
+};
+
+// Start timing one operation. parent is a span (or { correlationId }) from the
+// caller's options.trace; nested calls pass the new span on as their trace, so
+// every record of one request shares its correlationId.
+export const startSpan = (operation, { collection = null, parent = null } = {}) => {
+  const startedAt = Date.now();
+  const span = {
+    operation,
+    collection,
+    correlationId: parent?.correlationId || createTraceId(),
+    spanId: createTraceId(),
+    parentSpanId: parent?.spanId || null
+  };
+
+  const fields = (extra) => ({
+    operation,
+    collection,
+    correlationId: span.correlationId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    durationMs: Date.now() - startedAt,
+    ...extra
+  });
+
+  span.end = (result, extra = {}) => {
+    const count = countDocuments(result);
+    logger.info(`${operation} succeeded`, fields({ status: 'ok', ...(count !== undefined ? { count } : {}), ...extra }));
+  };
+
+  // Client errors (4xx: not found, validation...) are often expected, e.g. an
+  // existence check, so they are logged at 'info'; everything else is an error
+  span.fail = (error, extra = {}) => {
+    const level = error?.statusCode && error.statusCode < 500 ? 'info' : 'error';
+    logger[level](`${operation} failed`, fields({
+      status: 'error',
+      errorCode: error?.code || 'UNKNOWN_ERROR',
+      errorMessage: error?.message,
+      ...extra
+    }));
+  };
+
+  return span;
+};
@@ -3,19 +3,32 @@
 // Handles system alerts and user notifications
 // =====================================================
 
-import { 
-  query,
-  where,
-  orderBy,
+import BaseCRUD, {
+  validateRequired,
   serverTimestamp,
-  increment
-} from 'firebase/firestore';
-import BaseCRUD, { validateRequired, APIError, formatResponse, formatError } from './base.js';
+  increment,
+  APIError,
+  pageOptions,
+  logger,
+  toAPIError,
+  formatResponse,
+  formatError
+} from './base.js';
+import { authorize, authorizeUser } from './context.js';
+import { NOTIFICATION_CHANNELS, validateFlaggingRules } from './flagging-rules.js';
+
+// Same collection and TTL as BusinessesAPI; read for review alert recipients
+const businesses = new BaseCRUD('businesses', { cache: { ttlMs: 60 * 1000 } });
+
+// Channels used for businesses without alert settings
+const DEFAULT_ALERT_CHANNELS = { inApp: true };
 
 class NotificationsAPI extends BaseCRUD {
   constructor() {
-    super('notifications');
+    // Notifications are sent in bulk; ride out transient failures
+    super('notifications', { retry: true });
     this.alertSettings = new BaseCRUD('alert_settings');
+    this.alertQueue = new BaseCRUD('alert_queue');
   }
 
   // Create notification
@@ -61,36 +74,72 @@ class NotificationsAPI extends BaseCRUD {
     }
   }
 
-  // Get user notifications
-  async getUserNotifications(userId, options = {}) {
-    try {
-      const filters = [
-        { field: 'userId', operator: '==', value: userId }
-      ];
+  // Filters shared by getUserNotifications and subscribeToUserNotifications
+  buildUserNotificationFilters(userId, options = {}) {
+    const filters = [
+      { field: 'userId', operator: '==', value: userId }
+    ];
 
-      if (options.type) {
-        filters.push({ field: 'type', operator: '==', value: options.type });
-      }
+    if (options.type) {
+      filters.push({ field: 'type', operator: '==', value: options.type });
+    }
 
-      if (options.channel) {
-        filters.push({ field: 'channel', operator: '==', value: options.channel });
-      }
+    if (options.channel) {
+      filters.push({ field: 'channel', operator: '==', value: options.channel });
+    }
 
-      if (options.status) {
-        filters.push({ field: 'delivery.status', operator: '==', value: options.status });
-      }
+    if (options.status) {
+      filters.push({ field: 'delivery.status', operator: '==', value: options.status });
+    }
+
+    return filters;
+  }
 
-      return await this.getWhere(filters, {
+  // Get the context's user's notifications
+  async getUserNotifications(context, options = {}) {
+    try {
+      const ctx = await authorizeUser(context, 'notification.read');
+      return await this.getWhere(this.buildUserNotificationFilters(ctx.userId, options), {
         orderByField: 'createdAt',
         orderDirection: 'desc',
-        limitCount: options.limit || 50,
-        startAfterDoc: options.startAfter || null
+        ...pageOptions(options, 50)
       });
     } catch (error) {
       throw error;
     }
   }
 
+  // Live version of getUserNotifications (see BaseCRUD.subscribe); returns an unsubscribe function
+  subscribeToUserNotifications(context, options = {}, callback) {
+    let unsubscribe = null;
+    let stopped = false;
+    const onError = options.onError || (error => logger.error('Live query failed', {
+      collection: this.collectionName,
+      errorCode: error.code,
+      errorMessage: error.message
+    }));
+
+    Promise.resolve()
+      .then(() => authorizeUser(context, 'notification.read'))
+      .then(ctx => {
+        if (stopped) {
+          return;
+        }
+        unsubscribe = this.subscribe(this.buildUserNotificationFilters(ctx.userId, options), {
+          orderByField: 'createdAt',
+          orderDirection: 'desc',
+          ...pageOptions(options, 50),
+          onError
+        }, callback);
+      })
+      .catch(error => onError(toAPIError(error)));
+
+    return () => {
+      stopped = true;
+      unsubscribe?.();
+    };
+  }
+
   // Mark notification as sent
   async markAsSent(notificationId, deliveryData) {
     try {
@@ -154,6 +203,69 @@ class NotificationsAPI extends BaseCRUD {
     }
   }
 
+  // Alert the business about a review its flagging rules matched.
+  // outcome: from evaluateFlaggingRules; settings: the business's alert
+  // settings, or null. Goes to the owner, and active team members when
+  // settings.team.notifyMembers is on, on each channel both the rules and the
+  // settings enable. Returns the notifications created.
+  async sendReviewAlert(review, outcome, settings) {
+    try {
+      const enabled = settings?.notifications || DEFAULT_ALERT_CHANNELS;
+      const channels = Object.keys(NOTIFICATION_CHANNELS)
+        .filter(key => enabled[key] && (!outcome.notify.channels || outcome.notify.channels.includes(key)))
+        .map(key => NOTIFICATION_CHANNELS[key]);
+      if (channels.length === 0) {
+        return [];
+      }
+
+      const business = await businesses.getById(review.businessId);
+      const recipients = new Set([business.userId]);
+      if (settings?.team?.notifyMembers) {
+        const members = await businesses.subcollection(review.businessId, 'team_members').getWhere([
+          { field: 'status', operator: '==', value: 'active' }
+        ], { orderByField: null, limitCount: null });
+        // Only members with a seat can open the business (see TEAM SEATS in businesses.js)
+        const seated = new Set(business.teamMemberIds || []);
+        members.documents
+          .filter(member => seated.has(member.userId || member.id))
+          .forEach(member => recipients.add(member.userId || member.id));
+      }
+
+      const reason = outcome.flag ? ` (${outcome.flag.reason.replace(/_/g, ' ')})` : '';
+      const excerpt = review.text.length > 200 ? `${review.text.slice(0, 197)}...` : review.text;
+
+      return await Promise.all([...recipients].flatMap(userId => channels.map(channel => this.createNotification({
+        userId,
+        businessId: review.businessId,
+        reviewId: review.id,
+        type: 'review_alert',
+        channel,
+        title: `${review.rating}-star ${review.platform} review for ${business.name}${reason}`,
+        message: excerpt
+      }))));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Ask the backend to alert the business about a review: the security
+  // rules leave notifications to the backend, so calls made in the browser
+  // (members with canRespond) queue the review in alert_queue instead, for
+  // ReviewsAPI.deliverQueuedAlerts to send. Returns the queued request.
+  async queueReviewAlert(review, context) {
+    try {
+      const ctx = await authorize(context, 'review.flag', review.businessId);
+      return await this.alertQueue.create({
+        businessId: review.businessId,
+        reviewId: review.id,
+        requestedBy: ctx.userId,
+        createdAt: serverTimestamp()
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get alert settings
   async getAlertSettings(businessId) {
     try {
@@ -166,9 +278,14 @@ class NotificationsAPI extends BaseCRUD {
     }
   }
 
-  // Update alert settings
-  async updateAlertSettings(businessId, settingsData) {
+  // Update alert settings (canManageSettings). alertRules are checked with
+  // validateFlaggingRules; try them first with simulateFlaggingRules.
+  async updateAlertSettings(businessId, settingsData, context) {
     try {
+      const ctx = await authorize(context, 'alerts.manage', businessId);
+      if (settingsData.alertRules !== undefined) {
+        validateFlaggingRules(settingsData.alertRules);
+      }
       const allowedFields = ['thresholds', 'notifications', 'timing', 'alertRules', 'team'];
       
       const updateData = {};
@@ -178,7 +295,7 @@ class NotificationsAPI extends BaseCRUD {
         }
       });
 
-      return await this.alertSettings.update(businessId, updateData);
+      return await this.alertSettings.update(businessId, updateData, { context: ctx });
     } catch (error) {
       throw error;
     }
@@ -196,15 +313,29 @@ export const createNotification = async (notificationData) => {
   }
 };
 
-export const getUserNotifications = async (userId, options) => {
+export const getUserNotifications = async (context, options) => {
   try {
-    const result = await notificationsAPI.getUserNotifications(userId, options);
+    const result = await notificationsAPI.getUserNotifications(context, options);
     return formatResponse(result, 'Notifications retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
+// Callback receives formatResponse({ documents, changes, hasMore, nextPageToken })
+// on every change, or formatError(error). Returns an unsubscribe function.
+export const subscribeToUserNotifications = (context, options = {}, callback) => {
+  try {
+    return notificationsAPI.subscribeToUserNotifications(context, {
+      ...options,
+      onError: error => callback(formatError(error))
+    }, result => callback(formatResponse(result, 'Notifications updated')));
+  } catch (error) {
+    callback(formatError(error));
+    return () => {};
+  }
+};
+
 export const markNotificationAsSent = async (notificationId, deliveryData) => {
   try {
     const result = await notificationsAPI.markAsSent(notificationId, deliveryData);
@@ -241,9 +372,9 @@ export const getAlertSettings = async (businessId) => {
   }
 };
 
-export const updateAlertSettings = async (businessId, settingsData) => {
+export const updateAlertSettings = async (businessId, settingsData, context) => {
   try {
-    const result = await notificationsAPI.updateAlertSettings(businessId, settingsData);
+    const result = await notificationsAPI.updateAlertSettings(businessId, settingsData, context);
     return formatResponse(result, 'Alert settings updated successfully');
   } catch (error) {
     return formatError(error);
@@ -0,0 +1,508 @@
+// =====================================================
+// ORGANIZATIONS API - CRUD Operations
+// Groups businesses under an organization (e.g. an agency and its clients)
+// with org-wide membership, roles and billing
+// =====================================================
+
+import BaseCRUD, {
+  validateRequired,
+  serverTimestamp,
+  deleteField,
+  APIError,
+  allowFields,
+  pageOptions,
+  formatResponse,
+  formatError
+} from './base.js';
+import { toAPIContext, authorize, authorizeOrganization } from './context.js';
+import { ORGANIZATION_ROLES } from './policy.js';
+import businessesAPI from './businesses.js';
+import subscriptionsAPI from './subscriptions.js';
+
+// Fields owners and admins can change through updateOrganization
+const PROFILE_FIELDS = ['name', 'description'];
+
+// Roles that can be given to members; 'owner' belongs to the creator
+const GRANTABLE_ROLES = ORGANIZATION_ROLES.filter(role => role !== 'owner');
+
+class OrganizationsAPI extends BaseCRUD {
+  constructor() {
+    super('organizations', { cache: { ttlMs: 60 * 1000 }, audit: true });
+
+    this.hook('beforeUpdate', allowFields(PROFILE_FIELDS), { operations: ['updateOrganization'] });
+  }
+
+  // Member documents are keyed by the member's userId, like team_members
+  members(organizationId) {
+    return this.subcollection(organizationId, 'members', { audit: true });
+  }
+
+  // =====================================================
+  // ORGANIZATION CRUD OPERATIONS
+  // =====================================================
+
+  // Create an organization; the context's user becomes its owner and pays for it
+  async createOrganization(organizationData, context) {
+    try {
+      const ctx = toAPIContext(context);
+      validateRequired(organizationData, ['name']);
+
+      const organizationDoc = {
+        name: organizationData.name.trim(),
+        description: organizationData.description?.trim() || '',
+        ownerId: ctx.userId,
+        billingUserId: ctx.userId,
+        planId: await subscriptionsAPI.getSubscribedPlanId(ctx.userId),
+        isActive: true,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+
+      // The organization and its owner's membership commit together
+      const batch = this.batch();
+      const organization = batch.create(this, organizationDoc, null, { context: ctx });
+      batch.set(this.members(organization.id), ctx.userId, {
+        userId: ctx.userId,
+        role: 'owner',
+        status: 'active',
+        permissions: {},
+        invitedBy: null,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      }, { context: ctx });
+      await batch.commit();
+
+      ctx.refresh();
+      return organization;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getOrganization(organizationId, context) {
+    try {
+      await authorizeOrganization(context, 'organization.read', organizationId);
+      return await this.getById(organizationId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Organizations the context's user is an active member of
+  async getOrganizationsForUser(context) {
+    try {
+      const ctx = toAPIContext(context);
+      const memberships = await this.getGroupWhere('members', [
+        { field: 'userId', operator: '==', value: ctx.userId }
+      ]);
+
+      const organizations = await Promise.all(memberships
+        .filter(member => member.status === 'active' && member.collectionPath.startsWith('organizations/'))
+        .map(async member => {
+          const organization = await this.getById(member.collectionPath.split('/')[1]);
+          return { ...organization, role: member.role };
+        }));
+
+      return organizations
+        .filter(organization => organization.isActive !== false)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update name/description (owners and admins; see PROFILE_FIELDS)
+  async updateOrganization(organizationId, organizationData, context) {
+    try {
+      const ctx = await authorizeOrganization(context, 'organization.update', organizationId);
+      return await this.update(organizationId, organizationData, {
+        operation: 'updateOrganization',
+        context: ctx
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // ORGANIZATION MEMBERS SUBCOLLECTION
+  // =====================================================
+
+  // Add a member (owners and admins). Permission flags override the role's
+  // defaults on every business of the organization.
+  async addOrganizationMember(organizationId, memberData, context) {
+    try {
+      const ctx = await authorizeOrganization(context, 'organization.members', organizationId);
+      validateRequired(memberData, ['userId', 'role']);
+
+      if (!GRANTABLE_ROLES.includes(memberData.role)) {
+        throw new APIError(`Organization role must be one of: ${GRANTABLE_ROLES.join(', ')}`, 'VALIDATION_ERROR', 400);
+      }
+
+      const existing = await this.getOrganizationMember(organizationId, memberData.userId);
+      if (existing) {
+        throw new APIError('User is already an organization member', 'ALREADY_EXISTS', 409);
+      }
+
+      return await this.members(organizationId).create({
+        userId: memberData.userId,
+        role: memberData.role,
+        status: 'active',
+        permissions: memberData.permissions || {},
+        invitedBy: ctx.userId,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      }, memberData.userId, { context: ctx });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getOrganizationMember(organizationId, userId) {
+    try {
+      return await this.members(organizationId).getById(userId);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getOrganizationMembers(organizationId, context, options = {}) {
+    try {
+      await authorizeOrganization(context, 'organization.read', organizationId);
+
+      const result = await this.members(organizationId).getWhere([], {
+        orderByField: 'createdAt',
+        orderDirection: 'asc',
+        limitCount: null
+      });
+      return result.documents;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Change a member's role, flags or status (owners and admins); the owner can't be changed
+  async updateOrganizationMember(organizationId, memberUserId, memberData, context) {
+    try {
+      const ctx = await authorizeOrganization(context, 'organization.members', organizationId);
+
+      const member = await this.members(organizationId).getById(memberUserId);
+      if (member.role === 'owner') {
+        throw new APIError('The organization owner cannot be changed', 'PERMISSION_DENIED', 403);
+      }
+      if (memberData.role !== undefined && !GRANTABLE_ROLES.includes(memberData.role)) {
+        throw new APIError(`Organization role must be one of: ${GRANTABLE_ROLES.join(', ')}`, 'VALIDATION_ERROR', 400);
+      }
+
+      const updateData = {};
+      ['role', 'permissions', 'status'].forEach(field => {
+        if (memberData[field] !== undefined) {
+          updateData[field] = memberData[field];
+        }
+      });
+
+      return await this.members(organizationId).update(memberUserId, updateData, { context: ctx });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async removeOrganizationMember(organizationId, memberUserId, context) {
+    try {
+      const ctx = await authorizeOrganization(context, 'organization.members', organizationId);
+
+      const member = await this.members(organizationId).getById(memberUserId);
+      if (member.role === 'owner') {
+        throw new APIError('The organization owner cannot be removed', 'PERMISSION_DENIED', 403);
+      }
+
+      await this.members(organizationId).delete(memberUserId, { context: ctx });
+      return { success: true, memberId: memberUserId };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // BUSINESSES
+  // =====================================================
+
+  // Businesses grouped under the organization
+  async getOrganizationBusinesses(organizationId, context, options = {}) {
+    try {
+      await authorizeOrganization(context, 'organization.read', organizationId);
+
+      return await businessesAPI.getWhere([
+        { field: 'organizationId', operator: '==', value: organizationId }
+      ], {
+        orderByField: 'name',
+        orderDirection: 'asc',
+        ...pageOptions(options, 50)
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Move a business into the organization: needs the business's owner who is
+  // also an owner/admin of the organization, and room in the org's plan
+  async addBusinessToOrganization(businessId, organizationId, context) {
+    try {
+      const ctx = await authorize(context, 'business.organization', businessId);
+      await ctx.authorizeOrganization('organization.update', organizationId);
+
+      const business = await businessesAPI.getById(businessId);
+      if (business.organizationId === organizationId) {
+        return business;
+      }
+
+      const billing = await this.getOrganizationBilling(organizationId, ctx);
+      if (billing.maxLocations !== null && billing.businessCount >= billing.maxLocations) {
+        throw new APIError(
+          `The organization's plan allows ${billing.maxLocations} businesses`,
+          'PLAN_LIMIT_EXCEEDED',
+          403,
+          { details: { organizationId, maxLocations: billing.maxLocations } }
+        );
+      }
+
+      const result = await businessesAPI.update(businessId, { organizationId }, { context: ctx });
+      ctx.refresh();
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Take a business out of its organization (the business's owner, or an
+  // owner/admin of the organization)
+  async removeBusinessFromOrganization(businessId, context) {
+    try {
+      const ctx = toAPIContext(context);
+      const business = await businessesAPI.getById(businessId);
+      if (!business.organizationId) {
+        return business;
+      }
+
+      if (!(await ctx.canInOrganization('organization.update', business.organizationId))) {
+        await ctx.authorize('business.organization', businessId);
+      }
+
+      const result = await businessesAPI.update(businessId, { organizationId: null }, { context: ctx });
+      ctx.refresh();
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // BILLING
+  // The billing user's user_subscriptions plan covers every business in the org.
+  // Only they can read that subscription, so the organization keeps a copy of
+  // its planId, which the rules check against the subscription on every write.
+  // =====================================================
+
+  // { billingUserId, planId, plan, businessCount, maxLocations } where
+  // maxLocations is null when unlimited or without a subscription. Fails with
+  // FAILED_PRECONDITION while a new billing user hasn't refreshed the plan.
+  async getOrganizationBilling(organizationId, context) {
+    try {
+      await authorizeOrganization(context, 'organization.update', organizationId);
+
+      const organization = await this.getById(organizationId);
+      const planId = organization.planId;
+      const [plan, businessCount] = await Promise.all([
+        subscriptionsAPI.getPlanFromSnapshot(planId),
+        businessesAPI.count([{ field: 'organizationId', operator: '==', value: organizationId }])
+      ]);
+      const maxLocations = plan?.maxLocations;
+
+      return {
+        billingUserId: organization.billingUserId,
+        planId,
+        plan,
+        businessCount,
+        maxLocations: maxLocations === undefined || maxLocations < 0 ? null : maxLocations
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Make another owner/admin of the organization pay for it (owner only). Their
+  // plan can't be read here, so planId is removed until they call
+  // refreshOrganizationPlan or the billing backend syncs it.
+  async setOrganizationBillingUser(organizationId, billingUserId, context) {
+    try {
+      const ctx = await authorizeOrganization(context, 'organization.billing', organizationId);
+
+      const member = await this.getOrganizationMember(organizationId, billingUserId);
+      if (!member || member.status !== 'active' || !['owner', 'admin'].includes(member.role)) {
+        throw new APIError('The billing user must be an organization owner or admin', 'VALIDATION_ERROR', 400);
+      }
+
+      const planId = billingUserId === ctx.userId ? await subscriptionsAPI.getSubscribedPlanId(ctx.userId) : deleteField();
+      return await this.update(organizationId, { billingUserId, planId }, { context: ctx });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Copy the billing user's current plan onto the organization (billing user only)
+  async refreshOrganizationPlan(organizationId, context) {
+    try {
+      const ctx = toAPIContext(context);
+
+      const organization = await this.getById(organizationId);
+      if (organization.billingUserId !== ctx.userId) {
+        throw new APIError('Only the billing user can refresh the organization\'s plan', 'PERMISSION_DENIED', 403);
+      }
+
+      return await this.update(organizationId, { planId: await subscriptionsAPI.getSubscribedPlanId(ctx.userId) }, { context: ctx });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// =====================================================
+// API WRAPPER FUNCTIONS
+// =====================================================
+
+const organizationsAPI = new OrganizationsAPI();
+
+// Organization management functions
+export const createOrganization = async (organizationData, context) => {
+  try {
+    const result = await organizationsAPI.createOrganization(organizationData, context);
+    return formatResponse(result, 'Organization created successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getOrganization = async (organizationId, context) => {
+  try {
+    const result = await organizationsAPI.getOrganization(organizationId, context);
+    return formatResponse(result, 'Organization retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getOrganizationsForUser = async (context) => {
+  try {
+    const result = await organizationsAPI.getOrganizationsForUser(context);
+    return formatResponse(result, 'User organizations retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const updateOrganization = async (organizationId, organizationData, context) => {
+  try {
+    const result = await organizationsAPI.updateOrganization(organizationId, organizationData, context);
+    return formatResponse(result, 'Organization updated successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+// Member management functions
+export const addOrganizationMember = async (organizationId, memberData, context) => {
+  try {
+    const result = await organizationsAPI.addOrganizationMember(organizationId, memberData, context);
+    return formatResponse(result, 'Organization member added successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getOrganizationMembers = async (organizationId, context, options) => {
+  try {
+    const result = await organizationsAPI.getOrganizationMembers(organizationId, context, options);
+    return formatResponse(result, 'Organization members retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const updateOrganizationMember = async (organizationId, memberUserId, memberData, context) => {
+  try {
+    const result = await organizationsAPI.updateOrganizationMember(organizationId, memberUserId, memberData, context);
+    return formatResponse(result, 'Organization member updated successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const removeOrganizationMember = async (organizationId, memberUserId, context) => {
+  try {
+    const result = await organizationsAPI.removeOrganizationMember(organizationId, memberUserId, context);
+    return formatResponse(result, 'Organization member removed successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+// Business grouping functions
+export const getOrganizationBusinesses = async (organizationId, context, options) => {
+  try {
+    const result = await organizationsAPI.getOrganizationBusinesses(organizationId, context, options);
+    return formatResponse(result, 'Organization businesses retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const addBusinessToOrganization = async (businessId, organizationId, context) => {
+  try {
+    const result = await organizationsAPI.addBusinessToOrganization(businessId, organizationId, context);
+    return formatResponse(result, 'Business added to organization successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const removeBusinessFromOrganization = async (businessId, context) => {
+  try {
+    const result = await organizationsAPI.removeBusinessFromOrganization(businessId, context);
+    return formatResponse(result, 'Business removed from organization successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+// Billing functions
+export const getOrganizationBilling = async (organizationId, context) => {
+  try {
+    const result = await organizationsAPI.getOrganizationBilling(organizationId, context);
+    return formatResponse(result, 'Organization billing retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const setOrganizationBillingUser = async (organizationId, billingUserId, context) => {
+  try {
+    const result = await organizationsAPI.setOrganizationBillingUser(organizationId, billingUserId, context);
+    return formatResponse(result, 'Organization billing user updated successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const refreshOrganizationPlan = async (organizationId, context) => {
+  try {
+    const result = await organizationsAPI.refreshOrganizationPlan(organizationId, context);
+    return formatResponse(result, 'Organization plan refreshed successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export default organizationsAPI;
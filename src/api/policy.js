@@ -0,0 +1,161 @@
+// =====================================================
+// ACCESS POLICY
+// Which business actions each team role and permission flag allows
+// =====================================================
+
+import { APIError } from './base.js';
+
+// Flags stored on team_members.permissions
+export const PERMISSIONS = ['canRespond', 'canViewAnalytics', 'canManageSettings', 'canInviteMembers'];
+
+// Team roles that can be given to members; ownership is businesses.userId
+export const TEAM_ROLES = ['admin', 'member'];
+
+// Default flags per role; flags set on a member document override them.
+// The business owner always has every permission.
+export const ROLE_PERMISSIONS = {
+  owner: { canRespond: true, canViewAnalytics: true, canManageSettings: true, canInviteMembers: true },
+  admin: { canRespond: true, canViewAnalytics: true, canManageSettings: true, canInviteMembers: true },
+  member: { canRespond: true, canViewAnalytics: false, canManageSettings: false, canInviteMembers: false }
+};
+
+// Roles in an organization. Org members get access to every business in the
+// org: owners as business owners, admins and members with that role's defaults.
+// 'owner' is only given to the organization's creator.
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+
+// What each action requires of the caller's membership in the business:
+// { owner: true } the business owner, { permission } that flag, {} any active
+// member, { system: true } no member (backend code, via system contexts)
+export const POLICIES = {
+  'business.read': {},
+  'business.update': { permission: 'canManageSettings' },
+  'business.delete': { owner: true },
+  'business.transfer': { owner: true },
+  'business.verify': { system: true },
+  'team.read': {},
+  'team.invite': { permission: 'canInviteMembers' },
+  'team.manage': { permission: 'canManageSettings' },
+  'review.read': {},
+  'review.flag': { permission: 'canRespond' },
+  'review.archive': { permission: 'canRespond' },
+  'review.process': { system: true },
+  'review.manage': { permission: 'canManageSettings' },
+  'response.read': {},
+  'response.write': { permission: 'canRespond' },
+  'template.read': {},
+  'template.write': { permission: 'canRespond' },
+  'analytics.read': { permission: 'canViewAnalytics' },
+  'integration.manage': { permission: 'canManageSettings' },
+  'alerts.manage': { permission: 'canManageSettings' },
+  'business.organization': { owner: true }
+};
+
+// Organization actions and the org roles allowed to perform them
+export const ORGANIZATION_POLICIES = {
+  'organization.read': ['owner', 'admin', 'member'],
+  'organization.update': ['owner', 'admin'],
+  'organization.members': ['owner', 'admin'],
+  'organization.billing': ['owner']
+};
+
+// Actions on a user's own account data (profile, sessions, subscription,
+// notifications, API usage): 'self' lets users act on their own, 'system'
+// is for backend code only. System contexts are allowed every action.
+export const USER_POLICIES = {
+  'user.read': 'self',
+  'user.update': 'self',
+  'user.admin': 'system',
+  'subscription.read': 'self',
+  'subscription.cancel': 'self',
+  'subscription.manage': 'system',
+  'notification.read': 'self',
+  'notification.send': 'system',
+  'usage.read': 'self',
+  'usage.write': 'system'
+};
+
+// Effective flags for a role plus the member document's own flags
+export const resolvePermissions = (role, flags = {}) => {
+  const defaults = ROLE_PERMISSIONS[role] || {};
+  return Object.fromEntries(PERMISSIONS.map(permission => [
+    permission,
+    role === 'owner' ? true : (flags?.[permission] ?? defaults[permission] ?? false) === true
+  ]));
+};
+
+// membership: from APIContext.membership(), null when the user isn't an active member
+export const isAllowed = (membership, action) => {
+  const policy = POLICIES[action];
+  if (!policy) {
+    throw new TypeError(`Unknown policy action "${action}", expected one of: ${Object.keys(POLICIES).join(', ')}`);
+  }
+  if (!membership || policy.system) {
+    return false;
+  }
+  if (policy.owner) {
+    return membership.isOwner === true;
+  }
+  return !policy.permission || membership.permissions[policy.permission] === true;
+};
+
+// orgMembership: from APIContext.organizationMembership(), null for non-members
+export const isAllowedInOrganization = (orgMembership, action) => {
+  const roles = ORGANIZATION_POLICIES[action];
+  if (!roles) {
+    throw new TypeError(`Unknown organization action "${action}", expected one of: ${Object.keys(ORGANIZATION_POLICIES).join(', ')}`);
+  }
+  return !!orgMembership && roles.includes(orgMembership.role);
+};
+
+// caller: { userId, system } of an APIContext; userId: the user acted on
+export const isAllowedForUser = (caller, action, userId) => {
+  const policy = USER_POLICIES[action];
+  if (!policy) {
+    throw new TypeError(`Unknown user action "${action}", expected one of: ${Object.keys(USER_POLICIES).join(', ')}`);
+  }
+  if (caller.system) {
+    return true;
+  }
+  return policy === 'self' && !!caller.userId && caller.userId === userId;
+};
+
+// Combine the ways a user reaches one business (team membership, organization
+// membership) into one membership with the most permissive role and flags
+export const mergeMemberships = (memberships) => {
+  const found = memberships.filter(Boolean);
+  if (found.length === 0) {
+    return null;
+  }
+
+  const rank = ['member', 'admin', 'owner'];
+  const [primary] = [...found].sort((a, b) => rank.indexOf(b.role) - rank.indexOf(a.role));
+  return {
+    ...primary,
+    isOwner: found.some(membership => membership.isOwner),
+    via: found.map(membership => membership.via),
+    permissions: Object.fromEntries(PERMISSIONS.map(permission => [
+      permission,
+      found.some(membership => membership.permissions[permission])
+    ]))
+  };
+};
+
+// Members may only hand out roles and flags they hold themselves, so an
+// inviter can't create an admin more powerful than they are
+export const assertCanGrant = (membership, role, flags) => {
+  if (!TEAM_ROLES.includes(role)) {
+    throw new APIError(`Team role must be one of: ${TEAM_ROLES.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+  if (!membership || membership.isOwner) {
+    return;
+  }
+
+  const granted = resolvePermissions(role, flags);
+  const exceeded = PERMISSIONS.filter(permission => granted[permission] && !membership.permissions[permission]);
+  if (exceeded.length > 0) {
+    throw new APIError('Cannot grant permissions you do not have', 'PERMISSION_DENIED', 403, {
+      details: { permissions: exceeded }
+    });
+  }
+};
@@ -3,37 +3,44 @@
 // Handles AI-generated and manual review responses
 // =====================================================
 
-import { 
-  collection,
-  doc,
-  query,
-  where,
-  orderBy,
+import BaseCRUD, {
+  validateRequired,
   serverTimestamp,
-  getDocs,
-  increment
-} from 'firebase/firestore';
-import { db } from '../firebase-config.js';
-import BaseCRUD, { validateRequired, APIError, formatResponse, formatError } from './base.js';
+  increment,
+  APIError,
+  pageOptions,
+  formatResponse,
+  formatError
+} from './base.js';
+import { toAPIContext, authorize, requirePermission } from './context.js';
+import reviewsAPI from './reviews.js';
+import analyticsAPI from './analytics.js';
 
 class ReviewResponsesAPI extends BaseCRUD {
   constructor() {
-    super('review_responses');
+    super('review_responses', { cache: true, audit: true });
+
+    // Any member with canRespond may edit or publish the business's responses
+    this.hook('beforeUpdate', requirePermission('response.write'), {
+      operations: ['updateResponseText', 'publishResponse']
+    });
   }
 
   // =====================================================
   // RESPONSE-SPECIFIC CRUD OPERATIONS
   // =====================================================
 
-  // Create new response
-  async createResponse(responseData) {
+  // Create new response. The response, the review's response tracking and the
+  // daily stats counters commit together or not at all.
+  async createResponse(responseData, context) {
     try {
-      validateRequired(responseData, ['reviewId', 'businessId', 'userId', 'responseText', 'responseType']);
+      validateRequired(responseData, ['reviewId', 'businessId', 'responseText', 'responseType']);
+      const ctx = await authorize(context, 'response.write', responseData.businessId);
 
       const responseDoc = {
         reviewId: responseData.reviewId,
         businessId: responseData.businessId,
-        userId: responseData.userId,
+        userId: ctx.userId,
         responseText: responseData.responseText.trim(),
         responseType: responseData.responseType, // manual, ai_generated, template
 
@@ -76,15 +83,40 @@ class ReviewResponsesAPI extends BaseCRUD {
         updatedAt: serverTimestamp()
       };
 
-      return await this.create(responseDoc);
+      // Read for the review's audit log entry. The caller was authorized for
+      // responseData.businessId, so the review must belong to it.
+      const review = await reviewsAPI.getById(responseDoc.reviewId);
+      if (review.businessId !== responseDoc.businessId) {
+        throw new APIError('Review not found', 'NOT_FOUND', 404);
+      }
+
+      const batch = this.batch();
+      const response = batch.create(this, responseDoc, null, { context: ctx });
+      batch.update(reviewsAPI, responseDoc.reviewId, reviewsAPI.buildRespondedUpdate(), { before: review, context: ctx });
+      analyticsAPI.queueResponseStats(batch, responseDoc.businessId);
+      await batch.commit();
+
+      return response;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // A response, for members of its business
+  async getResponse(responseId, context) {
+    try {
+      const response = await this.getById(responseId);
+      await authorize(context, 'response.read', response.businessId);
+      return response;
     } catch (error) {
       throw error;
     }
   }
 
   // Get responses for a business
-  async getBusinessResponses(businessId, options = {}) {
+  async getBusinessResponses(businessId, context, options = {}) {
     try {
+      await authorize(context, 'response.read', businessId);
       const filters = [
         { field: 'businessId', operator: '==', value: businessId }
       ];
@@ -102,18 +134,21 @@ class ReviewResponsesAPI extends BaseCRUD {
       return await this.getWhere(filters, {
         orderByField: options.sortBy || 'createdAt',
         orderDirection: options.sortOrder || 'desc',
-        limitCount: options.limit || 25,
-        startAfterDoc: options.startAfter || null
+        ...pageOptions(options)
       });
     } catch (error) {
       throw error;
     }
   }
 
-  // Get response by review ID
-  async getResponseByReviewId(reviewId) {
+  // Get response by review ID. Filtered by the review's business too, as
+  // the security rules need to list responses.
+  async getResponseByReviewId(reviewId, context) {
     try {
+      const review = await reviewsAPI.getById(reviewId);
+      await authorize(context, 'response.read', review.businessId);
       const filters = [
+        { field: 'businessId', operator: '==', value: review.businessId },
         { field: 'reviewId', operator: '==', value: reviewId }
       ];
 
@@ -130,14 +165,10 @@ class ReviewResponsesAPI extends BaseCRUD {
   }
 
   // Update response text
-  async updateResponseText(responseId, newText, userId) {
+  async updateResponseText(responseId, newText, context) {
     try {
+      const ctx = toAPIContext(context);
       const response = await this.getById(responseId);
-      
-      // Verify ownership
-      if (response.userId !== userId) {
-        throw new APIError('Permission denied', 'PERMISSION_DENIED', 403);
-      }
 
       const updateData = {
         responseText: newText.trim(),
@@ -152,14 +183,14 @@ class ReviewResponsesAPI extends BaseCRUD {
         updateData['publishing.error'] = null;
       }
 
-      return await this.update(responseId, updateData);
+      return await this.update(responseId, updateData, { operation: 'updateResponseText', context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
   // Publish response to platform
-  async publishResponse(responseId, publishingData) {
+  async publishResponse(responseId, publishingData, context) {
     try {
       validateRequired(publishingData, ['platformResponseId']);
 
@@ -175,7 +206,10 @@ class ReviewResponsesAPI extends BaseCRUD {
         updatedAt: serverTimestamp()
       };
 
-      return await this.update(responseId, updateData);
+      return await this.update(responseId, updateData, {
+        operation: 'publishResponse',
+        context: toAPIContext(context)
+      });
     } catch (error) {
       throw error;
     }
@@ -217,8 +251,9 @@ class ReviewResponsesAPI extends BaseCRUD {
   }
 
   // Get pending responses (not yet published)
-  async getPendingResponses(businessId, options = {}) {
+  async getPendingResponses(businessId, context, options = {}) {
     try {
+      await authorize(context, 'response.read', businessId);
       const filters = [
         { field: 'businessId', operator: '==', value: businessId },
         { field: 'publishing.status', operator: '==', value: 'pending' }
@@ -227,8 +262,7 @@ class ReviewResponsesAPI extends BaseCRUD {
       return await this.getWhere(filters, {
         orderByField: 'createdAt',
         orderDirection: 'asc',
-        limitCount: options.limit || 25,
-        startAfterDoc: options.startAfter || null
+        ...pageOptions(options)
       });
     } catch (error) {
       throw error;
@@ -236,8 +270,9 @@ class ReviewResponsesAPI extends BaseCRUD {
   }
 
   // Get failed responses
-  async getFailedResponses(businessId, options = {}) {
+  async getFailedResponses(businessId, context, options = {}) {
     try {
+      await authorize(context, 'response.read', businessId);
       const filters = [
         { field: 'businessId', operator: '==', value: businessId },
         { field: 'publishing.status', operator: '==', value: 'failed' }
@@ -246,24 +281,41 @@ class ReviewResponsesAPI extends BaseCRUD {
       return await this.getWhere(filters, {
         orderByField: 'createdAt',
         orderDirection: 'desc',
-        limitCount: options.limit || 25,
-        startAfterDoc: options.startAfter || null
+        ...pageOptions(options)
       });
     } catch (error) {
       throw error;
     }
   }
 
-  // Get response statistics
-  async getResponseStats(businessId, options = {}) {
+  // Get response statistics (server-side aggregation, no document reads)
+  async getResponseStats(businessId, context, options = {}) {
     try {
-      const allResponses = await this.getBusinessResponses(businessId, { 
-        limit: 1000 // Get more responses for accurate stats
-      });
+      await authorize(context, 'response.read', businessId);
+      const businessFilter = [
+        { field: 'businessId', operator: '==', value: businessId }
+      ];
+      const withFilter = (field, value) => [
+        ...businessFilter,
+        { field, operator: '==', value }
+      ];
 
-      const responses = allResponses.documents;
+      const [total, published, pending, failed, aiGenerated, manual, template, avgGenerationTime] = await Promise.all([
+        this.count(businessFilter),
+        this.count(withFilter('publishing.status', 'published')),
+        this.count(withFilter('publishing.status', 'pending')),
+        this.count(withFilter('publishing.status', 'failed')),
+        this.count(withFilter('responseType', 'ai_generated')),
+        this.count(withFilter('responseType', 'manual')),
+        this.count(withFilter('responseType', 'template')),
+        // Average AI generation time, ignoring responses without a recorded time
+        this.average('aiGeneration.generationTimeMs', [
+          ...withFilter('responseType', 'ai_generated'),
+          { field: 'aiGeneration.generationTimeMs', operator: '>', value: 0 }
+        ])
+      ]);
       
-      if (responses.length === 0) {
+      if (total === 0) {
         return {
           total: 0,
           published: 0,
@@ -277,23 +329,8 @@ class ReviewResponsesAPI extends BaseCRUD {
         };
       }
 
-      const total = responses.length;
-      const published = responses.filter(r => r.publishing.status === 'published').length;
-      const pending = responses.filter(r => r.publishing.status === 'pending').length;
-      const failed = responses.filter(r => r.publishing.status === 'failed').length;
       const publishRate = (published / total) * 100;
 
-      // Response type breakdown
-      const aiGenerated = responses.filter(r => r.responseType === 'ai_generated').length;
-      const manual = responses.filter(r => r.responseType === 'manual').length;
-      const template = responses.filter(r => r.responseType === 'template').length;
-
-      // Average AI generation time
-      const aiResponses = responses.filter(r => r.responseType === 'ai_generated' && r.aiGeneration?.generationTimeMs);
-      const avgGenerationTime = aiResponses.length > 0 
-        ? aiResponses.reduce((sum, r) => sum + r.aiGeneration.generationTimeMs, 0) / aiResponses.length
-        : 0;
-
       return {
         total,
         published,
@@ -303,22 +340,54 @@ class ReviewResponsesAPI extends BaseCRUD {
         aiGenerated,
         manual,
         template,
-        avgGenerationTime: Math.round(avgGenerationTime)
+        avgGenerationTime: Math.round(avgGenerationTime || 0)
       };
     } catch (error) {
       throw error;
     }
   }
 
+  // Delete response and roll back the review's response tracking atomically
+  async deleteResponse(responseId, context) {
+    try {
+      const ctx = toAPIContext(context);
+      return await this.runTransaction(async (transaction) => {
+        const response = await transaction.get(this, responseId);
+        if (!response) {
+          throw new APIError('Document not found', 'NOT_FOUND', 404);
+        }
+
+        await authorize(ctx, 'response.write', response.businessId);
+
+        const review = await transaction.get(reviewsAPI, response.reviewId);
+
+        transaction.delete(this, responseId, { before: response, context: ctx });
+
+        if (review) {
+          const remaining = Math.max(0, (review.response?.responseCount || 1) - 1);
+          transaction.update(reviewsAPI, review.id, {
+            'response.responseCount': remaining,
+            'response.hasResponse': remaining > 0
+          }, { before: review, context: ctx });
+        }
+
+        return { success: true, id: responseId };
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get AI generation metrics
-  async getAIMetrics(businessId, options = {}) {
+  async getAIMetrics(businessId, context, options = {}) {
     try {
+      await authorize(context, 'response.read', businessId);
       const filters = [
         { field: 'businessId', operator: '==', value: businessId },
         { field: 'responseType', operator: '==', value: 'ai_generated' }
       ];
 
-      const result = await this.getWhere(filters, { limit: 1000 });
+      const result = await this.getWhere(filters, { limitCount: 1000 });
       const aiResponses = result.documents;
 
       if (aiResponses.length === 0) {
@@ -378,54 +447,54 @@ class ReviewResponsesAPI extends BaseCRUD {
 const responsesAPI = new ReviewResponsesAPI();
 
 // Response management functions
-export const createResponse = async (responseData) => {
+export const createResponse = async (responseData, context) => {
   try {
-    const result = await responsesAPI.createResponse(responseData);
+    const result = await responsesAPI.createResponse(responseData, context);
     return formatResponse(result, 'Response created successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getResponseById = async (responseId) => {
+export const getResponseById = async (responseId, context) => {
   try {
-    const result = await responsesAPI.getById(responseId);
+    const result = await responsesAPI.getResponse(responseId, context);
     return formatResponse(result, 'Response retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getResponseByReviewId = async (reviewId) => {
+export const getResponseByReviewId = async (reviewId, context) => {
   try {
-    const result = await responsesAPI.getResponseByReviewId(reviewId);
+    const result = await responsesAPI.getResponseByReviewId(reviewId, context);
     return formatResponse(result, 'Response retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getBusinessResponses = async (businessId, options) => {
+export const getBusinessResponses = async (businessId, context, options) => {
   try {
-    const result = await responsesAPI.getBusinessResponses(businessId, options);
+    const result = await responsesAPI.getBusinessResponses(businessId, context, options);
     return formatResponse(result, 'Business responses retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateResponseText = async (responseId, newText, userId) => {
+export const updateResponseText = async (responseId, newText, context) => {
   try {
-    const result = await responsesAPI.updateResponseText(responseId, newText, userId);
+    const result = await responsesAPI.updateResponseText(responseId, newText, context);
     return formatResponse(result, 'Response text updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const publishResponse = async (responseId, publishingData) => {
+export const publishResponse = async (responseId, publishingData, context) => {
   try {
-    const result = await responsesAPI.publishResponse(responseId, publishingData);
+    const result = await responsesAPI.publishResponse(responseId, publishingData, context);
     return formatResponse(result, 'Response published successfully');
   } catch (error) {
     return formatError(error);
@@ -450,51 +519,45 @@ export const updateResponsePerformance = async (responseId, performanceData) =>
   }
 };
 
-export const getPendingResponses = async (businessId, options) => {
+export const getPendingResponses = async (businessId, context, options) => {
   try {
-    const result = await responsesAPI.getPendingResponses(businessId, options);
+    const result = await responsesAPI.getPendingResponses(businessId, context, options);
     return formatResponse(result, 'Pending responses retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getFailedResponses = async (businessId, options) => {
+export const getFailedResponses = async (businessId, context, options) => {
   try {
-    const result = await responsesAPI.getFailedResponses(businessId, options);
+    const result = await responsesAPI.getFailedResponses(businessId, context, options);
     return formatResponse(result, 'Failed responses retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getResponseStats = async (businessId, options) => {
+export const getResponseStats = async (businessId, context, options) => {
   try {
-    const result = await responsesAPI.getResponseStats(businessId, options);
+    const result = await responsesAPI.getResponseStats(businessId, context, options);
     return formatResponse(result, 'Response statistics retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getAIMetrics = async (businessId, options) => {
+export const getAIMetrics = async (businessId, context, options) => {
   try {
-    const result = await responsesAPI.getAIMetrics(businessId, options);
+    const result = await responsesAPI.getAIMetrics(businessId, context, options);
     return formatResponse(result, 'AI metrics retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const deleteResponse = async (responseId, userId) => {
+export const deleteResponse = async (responseId, context) => {
   try {
-    // Verify ownership before deletion
-    const response = await responsesAPI.getById(responseId);
-    if (response.userId !== userId) {
-      throw new APIError('Permission denied', 'PERMISSION_DENIED', 403);
-    }
-    
-    const result = await responsesAPI.delete(responseId);
+    const result = await responsesAPI.deleteResponse(responseId, context);
     return formatResponse(result, 'Response deleted successfully');
   } catch (error) {
     return formatError(error);
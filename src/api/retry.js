@@ -0,0 +1,73 @@
+// =====================================================
+// RETRY POLICY
+// Exponential backoff with jitter for transient storage errors
+// =====================================================
+
+import { isFieldValue, isPlainObject } from './storage/field-values.js';
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  baseDelayMs: 200,
+  maxDelayMs: 5000,
+  jitter: true
+});
+
+// Transient errors where the write may already have been applied server-side.
+// Only idempotent operations are retried on these; ABORTED and RESOURCE_EXHAUSTED
+// mean the request was rejected, so any operation can safely be retried.
+export const AMBIGUOUS_ERROR_CODES = ['UNAVAILABLE', 'DEADLINE_EXCEEDED'];
+
+// retry: true for the defaults, false/null to disable, or a partial policy object
+export const resolveRetryPolicy = (retry) => {
+  if (!retry) {
+    return null;
+  }
+  return retry === true ? DEFAULT_RETRY_POLICY : { ...DEFAULT_RETRY_POLICY, ...retry };
+};
+
+// "Full jitter": a random delay up to the capped exponential backoff
+export const getRetryDelay = (policy, attempt) => {
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return policy.jitter ? Math.round(Math.random() * backoff) : backoff;
+};
+
+export const shouldRetry = (error, { idempotent = true } = {}) => {
+  if (!error?.retryable) {
+    return false;
+  }
+  return idempotent || !AMBIGUOUS_ERROR_CODES.includes(error.code);
+};
+
+// Writes are idempotent unless they contain an increment, which would be applied twice
+export const isIdempotentWrite = (data) => {
+  if (isFieldValue(data)) {
+    return data.kind !== 'increment';
+  }
+  if (Array.isArray(data)) {
+    return data.every(isIdempotentWrite);
+  }
+  if (isPlainObject(data)) {
+    return Object.values(data).every(isIdempotentWrite);
+  }
+  return true;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run operation(attempt) until it succeeds, fails with a non-retryable error
+// or runs out of attempts. Errors are expected to be APIErrors.
+export const withRetry = async (operation, retry, { idempotent = true } = {}) => {
+  const policy = resolveRetryPolicy(retry);
+  const maxAttempts = policy ? policy.maxAttempts : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error, { idempotent })) {
+        throw error;
+      }
+      await wait(getRetryDelay(policy, attempt));
+    }
+  }
+};
@@ -3,162 +3,567 @@
 // Handles review management, flagging, and analytics
 // =====================================================
 
-import { 
-  collection,
-  doc,
-  query,
-  where,
-  orderBy,
+import { Timestamp } from 'firebase/firestore';
+import BaseCRUD, {
+  validateRequired,
   serverTimestamp,
-  getDocs,
-  addDoc,
-  updateDoc,
-  increment
-} from 'firebase/firestore';
-import { db } from '../firebase-config.js';
-import BaseCRUD, { validateRequired, APIError, formatResponse, formatError } from './base.js';
+  increment,
+  APIError,
+  pageOptions,
+  logger,
+  toAPIError,
+  formatResponse,
+  formatError
+} from './base.js';
+import { toAPIContext, createSystemContext, requirePermission, authorize, authorizeUser } from './context.js';
+import { getFlaggingRules, reviewLanguage, validateFlaggingRules, evaluateFlaggingRules } from './flagging-rules.js';
+import { getKeywordDictionary, matchKeywords } from './keywords.js';
+import { ANALYSIS_VERSION, analyzeReview, textRating } from './sentiment.js';
+import { SPAM_FLAG_THRESHOLD, BURST_WINDOW_MS, scoreSpam } from './spam.js';
+import notificationsAPI from './notifications.js';
+import { SEARCH_FIELD, buildSearchKeywords, searchIndex, searchCollection, reindexCollection } from './search.js';
+import { isEqualValue } from './audit-trail.js';
+
+// Platforms reviews are synced from
+export const REVIEW_PLATFORMS = ['google', 'yelp', 'facebook', 'tripadvisor'];
+
+// Text indexed for searchReviews, with its ranking weight
+export const REVIEW_SEARCH_FIELDS = { title: 3, 'author.name': 2, text: 1 };
+
+// Document ID of a synced review, so syncing it again finds the same document
+export const reviewDocumentId = (platform, platformReviewId) =>
+  `${platform}_${encodeURIComponent(String(platformReviewId))}`;
+
+// Edits to these make a new version of a review; the old one is kept in its history
+export const REVIEW_CONTENT_FIELDS = ['rating', 'title', 'text'];
+
+// Platform details refreshed on every sync when they were sent
+const REVIEW_SYNC_FIELDS = ['platformUrl', 'author', 'metadata'];
+
+// Flags set by checkAndFlag (flagged by 'system'; older ones have no flaggedBy)
+const isAutomaticFlag = (flagging) => !!flagging?.isFlagged
+  && (!flagging.flaggedBy || flagging.flaggedBy === 'system');
+
+// How long getReviewStats reuses its aggregation results for a business
+const REVIEW_STATS_TTL_MS = 60 * 1000;
+
+// Reviews analyzed per batch by reanalyzeReviews
+const ANALYSIS_BATCH_SIZE = 200;
+
+// Analysis fields as an update of the stored analysis ('analysis.sentimentScore', ...)
+const analysisUpdate = (analysis) => Object.fromEntries(
+  Object.entries(analysis).map(([field, value]) => [`analysis.${field}`, value])
+);
+
+// A review is compared for duplicates with its business's reviews posted
+// within SPAM_COMPARISON_WINDOW_MS of it, the latest SPAM_COMPARISON_LIMIT of them
+const SPAM_COMPARISON_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const SPAM_COMPARISON_LIMIT = 200;
+
+const reviewMillis = (review) => review.reviewDate?.toMillis?.() ?? Date.now();
+
+// What scoreSpam compares a review with, out of candidates of its business:
+// the others within SPAM_COMPARISON_WINDOW_MS and how many of those were
+// posted within BURST_WINDOW_MS
+const spamContext = (review, candidates) => {
+  const date = reviewMillis(review);
+  const others = candidates.filter(other => other.id !== review.id
+    && Math.abs(reviewMillis(other) - date) <= SPAM_COMPARISON_WINDOW_MS);
+  const burstCount = others.filter(other => Math.abs(reviewMillis(other) - date) <= BURST_WINDOW_MS).length;
+  return { others, burstCount };
+};
+
+// Spam fields of a scored review, queued for a person when it looks like spam
+const spamUpdate = (result) => analysisUpdate({
+  ...result,
+  spamReview: result.isSpam ? { status: 'pending', reviewedBy: null, reviewedAt: null } : null
+});
+
+// Detected spam is flagged, unless a person flagged the review
+const flagsSpam = (review, result) => result.spamConfidence >= SPAM_FLAG_THRESHOLD
+  && (!review.flagging?.isFlagged || isAutomaticFlag(review.flagging));
+
 
 class ReviewsAPI extends BaseCRUD {
   constructor() {
-    super('reviews');
+    super('reviews', { audit: true });
+
+    // Keep searchKeywords current (batch writes skip hooks; see reindexReviews)
+    this.hook('beforeCreate', searchIndex(REVIEW_SEARCH_FIELDS));
+    this.hook('beforeUpdate', searchIndex(REVIEW_SEARCH_FIELDS));
+
+    // Auto-flag every new review created through create() (batch writes skip hooks)
+    this.hook('afterCreate', ({ id, data, options }) => this.checkAndFlag(id, data, {
+      context: options.context,
+      trace: options.trace,
+      detectSpam: options.detectSpam
+    }));
+
+    this.hook('beforeUpdate', requirePermission('review.flag'), { operations: ['flagReview', 'unflagReview'] });
+    this.hook('beforeUpdate', requirePermission('review.archive'), {
+      operations: ['archiveReview', 'unarchiveReview']
+    });
+    this.hook('beforeUpdate', requirePermission('review.process'), { operations: ['updateAnalysis'] });
+    this.hook('beforeUpdate', requirePermission('response.write'), { operations: ['markAsResponded'] });
   }
 
   // =====================================================
   // REVIEW-SPECIFIC CRUD OPERATIONS
   // =====================================================
 
-  // Create new review (usually from platform sync)
-  async createReview(reviewData) {
-    try {
-      validateRequired(reviewData, ['businessId', 'platform', 'platformReviewId', 'rating', 'text', 'author']);
-
-      const reviewDoc = {
-        businessId: reviewData.businessId,
-        platform: reviewData.platform,
-        platformReviewId: reviewData.platformReviewId,
-        platformUrl: reviewData.platformUrl || '',
-        
-        // Review content
-        rating: parseInt(reviewData.rating),
-        title: reviewData.title || '',
-        text: reviewData.text.trim(),
-        
-        // Author information
-        author: {
-          name: reviewData.author.name || 'Anonymous',
-          username: reviewData.author.username || '',
-          avatarUrl: reviewData.author.avatarUrl || '',
-          location: reviewData.author.location || '',
-          reviewCount: reviewData.author.reviewCount || 0
-        },
+  // New review document from platform data, shared by createReview and upsertReview
+  buildReviewDocument(reviewData) {
+    validateRequired(reviewData, ['businessId', 'platform', 'platformReviewId', 'rating', 'text', 'author']);
+
+    // Local analysis (sentiment.js); fields passed in reviewData.analysis win
+    const analysis = {
+      languageDetected: 'en',
+      isSpam: false,
+      spamConfidence: 0,
+      ...this.analyzeContent(reviewData, reviewData.analysis?.languageDetected),
+      ...reviewData.analysis
+    };
+
+    return {
+      businessId: reviewData.businessId,
+      platform: reviewData.platform,
+      platformReviewId: reviewData.platformReviewId,
+      platformUrl: reviewData.platformUrl || '',
+    
+      // Review content
+      // Checked against the schema (whole number 1-5) rather than coerced
+      rating: reviewData.rating,
+      title: reviewData.title || '',
+      text: reviewData.text.trim(),
+    
+      // Author information
+      author: {
+        name: reviewData.author.name || 'Anonymous',
+        username: reviewData.author.username || '',
+        avatarUrl: reviewData.author.avatarUrl || '',
+        location: reviewData.author.location || '',
+        reviewCount: reviewData.author.reviewCount || 0
+      },
+
+      // Dates
+      reviewDate: reviewData.reviewDate || serverTimestamp(),
+      lastUpdatedDate: reviewData.lastUpdatedDate || serverTimestamp(),
+
+      // Flagging (initialize as not flagged)
+      flagging: {
+        isFlagged: false,
+        reason: null,
+        keywords: [],
+        flaggedAt: null
+      },
+
+      analysis,
+
+      // Metadata
+      metadata: reviewData.metadata || {
+        helpfulVotes: 0,
+        totalVotes: 0,
+        isVerifiedPurchase: false,
+        hasPhotos: false,
+        hasVideo: false
+      },
+
+      // Response tracking
+      response: {
+        hasResponse: false,
+        responseCount: 0,
+        lastResponseAt: null
+      },
+
+      // Internal tracking
+      isArchived: false,
+      priorityScore: this.calculatePriorityScore(
+        reviewData.rating,
+        reviewData.text,
+        analysis.languageDetected,
+        analysis
+      ),
+
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+  }
 
-        // Dates
-        reviewDate: reviewData.reviewDate || serverTimestamp(),
-        lastUpdatedDate: reviewData.lastUpdatedDate || serverTimestamp(),
+  // Sentiment, emotions and word count of a review's title and text, with
+  // the ANALYSIS_VERSION that produced them and when
+  analyzeContent(review, language) {
+    return { ...analyzeReview(review, language), analyzedAt: serverTimestamp() };
+  }
 
-        // Flagging (initialize as not flagged)
-        flagging: {
-          isFlagged: false,
-          reason: null,
-          keywords: [],
-          flaggedAt: null
-        },
+  // Create new review. Platform syncs should use upsertReview, which doesn't
+  // duplicate reviews that were synced before. Imports pass
+  // options.detectSpam false and call detectBusinessSpam once at the end.
+  async createReview(reviewData, options = {}) {
+    return this.traced('createReview', options, async (options) => {
+      try {
+        const reviewDoc = this.buildReviewDocument(reviewData);
+
+        // Auto-flagged by the afterCreate hook
+        return await this.create(reviewDoc, null, { trace: options.trace, detectSpam: options.detectSpam });
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
 
-        // AI analysis (to be populated by background processing)
-        analysis: reviewData.analysis || {
-          sentimentScore: null,
-          sentimentLabel: null,
-          emotionTags: [],
-          languageDetected: 'en',
-          isSpam: false,
-          spamConfidence: 0,
-          wordCount: reviewData.text.split(' ').length
-        },
+  // Create or update a review from a platform sync, keyed on platform +
+  // platformReviewId. Edited content (REVIEW_CONTENT_FIELDS) replaces the
+  // review's current version, which is kept in its history subcollection, and
+  // the priority score and automatic flags are evaluated again; flags set by
+  // a person are left alone. options.detectSpam: as createReview. Returns
+  // { review, status, changedFields } with status 'created', 'updated' or
+  // 'unchanged' (for addSyncLog's counts).
+  async upsertReview(reviewData, options = {}) {
+    return this.traced('upsertReview', options, async (options) => {
+      try {
+        const incoming = this.buildReviewDocument(reviewData);
+
+        // Reviews created before upserts have generated IDs
+        const existing = await this.getWhere([
+          { field: 'platform', operator: '==', value: incoming.platform },
+          { field: 'platformReviewId', operator: '==', value: incoming.platformReviewId }
+        ], { orderByField: null, limitCount: 1 });
+        const id = existing.documents[0]?.id || reviewDocumentId(incoming.platform, incoming.platformReviewId);
+        const audit = options.audit || { source: 'sync' };
+
+        // Transaction writes skip hooks, so the search index is built here
+        const outcome = await this.runTransaction(async (transaction) => {
+          const current = await transaction.get(this, id);
+
+          if (!current) {
+            transaction.set(this, id, {
+              ...incoming,
+              [SEARCH_FIELD]: buildSearchKeywords(incoming, REVIEW_SEARCH_FIELDS)
+            }, { audit });
+            return { status: 'created', changedFields: [] };
+          }
+
+          if (current.businessId !== incoming.businessId) {
+            throw new APIError('Review is synced for another business', 'ALREADY_EXISTS', 409);
+          }
+
+          const changedFields = REVIEW_CONTENT_FIELDS.filter(field => !isEqualValue(current[field], incoming[field]));
+          const updateData = {};
+          REVIEW_SYNC_FIELDS
+            .filter(field => reviewData[field] !== undefined && !isEqualValue(current[field], incoming[field]))
+            .forEach(field => { updateData[field] = incoming[field]; });
+
+          if (changedFields.length > 0) {
+            transaction.create(this.history(id), {
+              rating: current.rating,
+              title: current.title,
+              text: current.text,
+              lastUpdatedDate: current.lastUpdatedDate,
+              priorityScore: current.priorityScore,
+              flagging: current.flagging,
+              changedFields,
+              replacedAt: serverTimestamp(),
+              createdAt: serverTimestamp()
+            });
+
+            const language = current.analysis?.languageDetected;
+            const analysis = this.analyzeContent(incoming, language);
+            Object.assign(updateData, {
+              rating: incoming.rating,
+              title: incoming.title,
+              text: incoming.text,
+              lastUpdatedDate: incoming.lastUpdatedDate,
+              priorityScore: this.calculatePriorityScore(incoming.rating, incoming.text, language, analysis),
+              ...analysisUpdate(analysis)
+            });
+            if (isAutomaticFlag(current.flagging)) {
+              updateData.flagging = { isFlagged: false, reason: null, keywords: [], flaggedAt: null };
+            }
+          }
+
+          if (Object.keys(updateData).length === 0) {
+            return { status: 'unchanged', changedFields };
+          }
+          if (changedFields.length > 0 || updateData.author) {
+            updateData[SEARCH_FIELD] = buildSearchKeywords({ ...current, ...incoming }, REVIEW_SEARCH_FIELDS);
+          }
+          transaction.update(this, id, updateData, { before: current, audit });
+          return { status: 'updated', changedFields };
+        }, { trace: options.trace });
+
+        let review = await this.getById(id, options);
+        if (outcome.status === 'unchanged') {
+          return { review, status: outcome.status, changedFields: [] };
+        }
 
-        // Metadata
-        metadata: reviewData.metadata || {
-          helpfulVotes: 0,
-          totalVotes: 0,
-          isVerifiedPurchase: false,
-          hasPhotos: false,
-          hasVideo: false
-        },
+        // New and edited reviews are flagged again, unless a person flagged them
+        const reevaluate = outcome.status === 'created'
+          || (outcome.changedFields.length > 0 && !review.flagging?.isFlagged);
+        if (reevaluate) {
+          await this.checkAndFlag(id, review, { trace: options.trace, detectSpam: options.detectSpam });
+          review = await this.getById(id, options);
+        }
 
-        // Response tracking
-        response: {
-          hasResponse: false,
-          responseCount: 0,
-          lastResponseAt: null
-        },
+        return { review, status: outcome.status, changedFields: outcome.changedFields };
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
 
-        // Internal tracking
-        isArchived: false,
-        priorityScore: this.calculatePriorityScore(reviewData.rating, reviewData.text),
+  // Filters shared by getBusinessReviews and subscribeToBusinessReviews
+  buildBusinessReviewFilters(businessId, options = {}) {
+    const filters = [
+      { field: 'businessId', operator: '==', value: businessId }
+    ];
 
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp()
-      };
+    // Add platform filter
+    if (options.platform) {
+      filters.push({ field: 'platform', operator: '==', value: options.platform });
+    }
+
+    // Add rating filter
+    if (options.minRating) {
+      filters.push({ field: 'rating', operator: '>=', value: options.minRating });
+    }
+    if (options.maxRating) {
+      filters.push({ field: 'rating', operator: '<=', value: options.maxRating });
+    }
+
+    // Add flagged filter
+    if (options.flagged !== undefined) {
+      filters.push({ field: 'flagging.isFlagged', operator: '==', value: options.flagged });
+    }
+
+    // Add rating mismatch filter (text contradicting the stars; see sentiment.js).
+    // mismatched: false is applied by businessReviewMatch instead.
+    if (options.mismatched === true) {
+      filters.push({ field: 'analysis.isRatingMismatch', operator: '==', value: true });
+    }
 
-      const result = await this.create(reviewDoc);
+    // Add response filter
+    if (options.hasResponse !== undefined) {
+      filters.push({ field: 'response.hasResponse', operator: '==', value: options.hasResponse });
+    }
 
-      // Auto-flag if needed
-      await this.checkAndFlag(result.id, reviewDoc);
+    // Add archived filter
+    if (options.includeArchived !== true) {
+      filters.push({ field: 'isArchived', operator: '==', value: false });
+    }
 
-      return result;
+    return filters;
+  }
+
+  // Test for the buildBusinessReviewFilters options queries can't express, as
+  // getWhere's match option: reviews analyzed before rating mismatches were
+  // detected have no analysis.isRatingMismatch, so no query finds them with
+  // mismatched: false (reanalyzeReviews fills it in)
+  businessReviewMatch(options = {}) {
+    return options.mismatched === false ? (review => review.analysis?.isRatingMismatch !== true) : null;
+  }
+
+  // A review, for members of its business
+  async getReview(reviewId, context) {
+    try {
+      const review = await this.getById(reviewId);
+      await authorize(context, 'review.read', review.businessId);
+      return review;
     } catch (error) {
       throw error;
     }
   }
 
   // Get reviews for a business
-  async getBusinessReviews(businessId, options = {}) {
+  async getBusinessReviews(businessId, context, options = {}) {
     try {
-      const filters = [
-        { field: 'businessId', operator: '==', value: businessId }
-      ];
+      await authorize(context, 'review.read', businessId);
+      const filters = this.buildBusinessReviewFilters(businessId, options);
 
-      // Add platform filter
-      if (options.platform) {
-        filters.push({ field: 'platform', operator: '==', value: options.platform });
-      }
+      return await this.getWhere(filters, {
+        orderByField: options.sortBy || 'reviewDate',
+        orderDirection: options.sortOrder || 'desc',
+        match: this.businessReviewMatch(options),
+        ...pageOptions(options)
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      // Add rating filter
-      if (options.minRating) {
-        filters.push({ field: 'rating', operator: '>=', value: options.minRating });
-      }
-      if (options.maxRating) {
-        filters.push({ field: 'rating', operator: '<=', value: options.maxRating });
-      }
+  // Live version of getBusinessReviews (see BaseCRUD.subscribe); returns an
+  // unsubscribe function. The query starts once the context is authorized; a
+  // denied context goes to options.onError.
+  subscribeToBusinessReviews(businessId, context, options = {}, callback) {
+    let unsubscribe = null;
+    let stopped = false;
+    const onError = options.onError || (error => logger.error('Live query failed', {
+      collection: this.collectionName,
+      errorCode: error.code,
+      errorMessage: error.message
+    }));
+
+    Promise.resolve()
+      .then(() => authorize(context, 'review.read', businessId))
+      .then(() => {
+        if (stopped) {
+          return;
+        }
+        unsubscribe = this.subscribe(this.buildBusinessReviewFilters(businessId, options), {
+          orderByField: options.sortBy || 'reviewDate',
+          orderDirection: options.sortOrder || 'desc',
+          match: this.businessReviewMatch(options),
+          ...pageOptions(options),
+          onError
+        }, callback);
+      })
+      .catch(error => onError(toAPIError(error)));
+
+    return () => {
+      stopped = true;
+      unsubscribe?.();
+    };
+  }
 
-      // Add flagged filter
-      if (options.flagged !== undefined) {
-        filters.push({ field: 'flagging.isFlagged', operator: '==', value: options.flagged });
-      }
+  // Search a business's reviews by title, author and text, best matches first.
+  // Takes getBusinessReviews' filters plus limit/pageToken; quoted words match
+  // as a phrase, the others as word prefixes. Equal matches are newest first.
+  async searchReviews(businessId, query, context, options = {}) {
+    try {
+      await authorize(context, 'review.read', businessId);
+      return await searchCollection(this, query, {
+        fields: REVIEW_SEARCH_FIELDS,
+        filters: this.buildBusinessReviewFilters(businessId, options),
+        match: this.businessReviewMatch(options),
+        tieBreaker: 'reviewDate',
+        limit: options.limit,
+        pageToken: options.pageToken
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      // Add response filter
-      if (options.hasResponse !== undefined) {
-        filters.push({ field: 'response.hasResponse', operator: '==', value: options.hasResponse });
+  // Rebuild the search index of a business's reviews, including archived ones
+  // and those written by batches. Like the other bulk jobs (reanalyzeReviews,
+  // detectBusinessSpam), needs canManageSettings or a system context.
+  // Returns the number of reviews reindexed.
+  async reindexReviews(businessId, context, options = {}) {
+    return this.traced('reindexReviews', options, async (options) => {
+      try {
+        const ctx = await authorize(context, 'review.manage', businessId);
+        return await reindexCollection(this, REVIEW_SEARCH_FIELDS, [
+          { field: 'businessId', operator: '==', value: businessId }
+        ], { context: ctx, trace: options.trace });
+      } catch (error) {
+        throw error;
       }
+    });
+  }
 
-      // Add archived filter
-      if (options.includeArchived !== true) {
-        filters.push({ field: 'isArchived', operator: '==', value: false });
+  // Run the local analysis again on a business's reviews, including archived
+  // ones, in batches: those analyzed by an older ANALYSIS_VERSION (or never),
+  // or all of them with options.force. Priority scores follow the new
+  // analysis (it can find the text contradicting the rating), except those a
+  // rule or a person set. The flagging rules are then applied again (see
+  // ruleUpdate), so rules on sentiment see the new analysis; old reviews
+  // don't alert the team, so their notify actions are left out.
+  // options.limit caps the reviews read per call; pass the returned
+  // nextPageToken back as options.pageToken to carry on.
+  // Returns { analyzed, skipped, flagged, version, nextPageToken }.
+  async reanalyzeReviews(businessId, context, options = {}) {
+    return this.traced('reanalyzeReviews', options, async (options) => {
+      try {
+        const ctx = await authorize(context, 'review.manage', businessId);
+        const settings = await notificationsAPI.getAlertSettings(businessId);
+        const result = { analyzed: 0, skipped: 0, flagged: 0, version: ANALYSIS_VERSION, nextPageToken: null };
+        let pageToken = options.pageToken || null;
+        let remaining = options.limit || Infinity;
+
+        do {
+          const page = await this.getWhere([
+            { field: 'businessId', operator: '==', value: businessId }
+          ], {
+            orderByField: null,
+            limitCount: Math.min(ANALYSIS_BATCH_SIZE, remaining),
+            pageToken,
+            includeDeleted: true
+          });
+
+          // Batch writes skip hooks, as for reindexReviews
+          const batch = this.batch();
+          page.documents.forEach(review => {
+            if (!options.force && review.analysis?.version >= ANALYSIS_VERSION) {
+              result.skipped++;
+              return;
+            }
+            const analysis = this.analyzeContent(review);
+            const update = analysisUpdate(analysis);
+
+            // Scores other than the one calculated from the old analysis were set by a rule or a person
+            const calculated = this.calculatePriorityScore(review.rating, review.text, review.analysis?.languageDetected, review.analysis);
+            const recalculate = review.priorityScore === calculated;
+            if (recalculate) {
+              update.priorityScore = this.calculatePriorityScore(review.rating, review.text, analysis.languageDetected, analysis);
+            }
+
+            const rules = this.ruleUpdate({ ...review, analysis: { ...review.analysis, ...analysis } }, settings);
+            if (!recalculate && !rules.flagging) {
+              delete rules.priorityScore;
+            }
+            Object.assign(update, rules);
+            result.flagged += rules.flagging ? 1 : 0;
+
+            batch.update(this, review.id, update, { before: review, context: ctx });
+            result.analyzed++;
+          });
+          await batch.commit({ trace: options.trace });
+
+          remaining -= page.documents.length;
+          pageToken = page.nextPageToken;
+        } while (pageToken && remaining > 0);
+
+        result.nextPageToken = pageToken;
+        return result;
+      } catch (error) {
+        throw error;
       }
+    });
+  }
 
-      return await this.getWhere(filters, {
-        orderByField: options.sortBy || 'reviewDate',
-        orderDirection: options.sortOrder || 'desc',
-        limitCount: options.limit || 25,
-        startAfterDoc: options.startAfter || null
-      });
-    } catch (error) {
-      throw error;
+  // The update the flagging rules make to a stored review, as checkAndFlag
+  // applies them but without alerts: a flag, the rules' priority and
+  // archiving. Flagged reviews keep their flag, and those a person unflagged
+  // aren't flagged again. Spam isn't checked against the rules.
+  ruleUpdate(review, settings) {
+    if (review.flagging?.isFlagged && review.flagging.reason === 'spam') {
+      return {};
     }
+
+    const outcome = evaluateFlaggingRules(review, getFlaggingRules(settings, reviewLanguage(review)));
+    const update = {};
+    if (outcome.flag && !review.flagging?.isFlagged && !review.flagging?.unflaggedAt) {
+      update.flagging = {
+        isFlagged: true,
+        reason: outcome.flag.reason,
+        keywords: outcome.flag.keywords || [],
+        flaggedAt: serverTimestamp(),
+        flaggedBy: 'system'
+      };
+      update.priorityScore = Math.min(10, outcome.priorityScore || 8);
+    } else if (outcome.priorityScore !== null) {
+      update.priorityScore = outcome.priorityScore;
+    }
+    if (outcome.archive && !review.isArchived) {
+      update.isArchived = true;
+      update.archivedAt = serverTimestamp();
+    }
+    return update;
   }
 
   // Get flagged reviews
-  async getFlaggedReviews(businessId, options = {}) {
+  async getFlaggedReviews(businessId, context, options = {}) {
     try {
+      await authorize(context, 'review.read', businessId);
       const filters = [
         { field: 'businessId', operator: '==', value: businessId },
         { field: 'flagging.isFlagged', operator: '==', value: true },
@@ -168,8 +573,7 @@ class ReviewsAPI extends BaseCRUD {
       return await this.getWhere(filters, {
         orderByField: 'priorityScore',
         orderDirection: 'desc',
-        limitCount: options.limit || 25,
-        startAfterDoc: options.startAfter || null
+        ...pageOptions(options)
       });
     } catch (error) {
       throw error;
@@ -177,8 +581,9 @@ class ReviewsAPI extends BaseCRUD {
   }
 
   // Get reviews needing response
-  async getReviewsNeedingResponse(businessId, options = {}) {
+  async getReviewsNeedingResponse(businessId, context, options = {}) {
     try {
+      await authorize(context, 'review.read', businessId);
       const filters = [
         { field: 'businessId', operator: '==', value: businessId },
         { field: 'response.hasResponse', operator: '==', value: false },
@@ -193,53 +598,62 @@ class ReviewsAPI extends BaseCRUD {
       return await this.getWhere(filters, {
         orderByField: 'priorityScore',
         orderDirection: 'desc',
-        limitCount: options.limit || 25,
-        startAfterDoc: options.startAfter || null
+        ...pageOptions(options)
       });
     } catch (error) {
       throw error;
     }
   }
 
-  // Update review analysis (from AI processing)
-  async updateAnalysis(reviewId, analysisData) {
+  // Update review analysis (from AI processing, as the system)
+  async updateAnalysis(reviewId, analysisData, context) {
     try {
       const updateData = {
         analysis: analysisData,
         updatedAt: serverTimestamp()
       };
 
-      return await this.update(reviewId, updateData);
+      return await this.update(reviewId, updateData, {
+        operation: 'updateAnalysis',
+        context: toAPIContext(context)
+      });
     } catch (error) {
       throw error;
     }
   }
 
-  // Flag review
-  async flagReview(reviewId, flagData) {
-    try {
-      validateRequired(flagData, ['reason']);
-
-      const updateData = {
-        flagging: {
-          isFlagged: true,
-          reason: flagData.reason,
-          keywords: flagData.keywords || [],
-          flaggedAt: serverTimestamp(),
-          flaggedBy: flagData.flaggedBy || 'system'
-        },
-        priorityScore: Math.min(10, (flagData.priorityScore || 8)),
-        updatedAt: serverTimestamp()
-      };
+  // Flag review, as the context's user or as the system (automatic flags)
+  async flagReview(reviewId, flagData, context, options = {}) {
+    return this.traced('flagReview', options, async (options) => {
+      try {
+        validateRequired(flagData, ['reason']);
+        const ctx = toAPIContext(context);
+
+        const updateData = {
+          flagging: {
+            isFlagged: true,
+            reason: flagData.reason,
+            keywords: flagData.keywords || [],
+            flaggedAt: serverTimestamp(),
+            flaggedBy: ctx.system ? 'system' : ctx.userId
+          },
+          priorityScore: Math.min(10, (flagData.priorityScore || 8)),
+          updatedAt: serverTimestamp()
+        };
 
-      return await this.update(reviewId, updateData);
-    } catch (error) {
-      throw error;
-    }
+        return await this.update(reviewId, updateData, {
+          operation: 'flagReview',
+          context: ctx,
+          trace: options.trace
+        });
+      } catch (error) {
+        throw error;
+      }
+    });
   }
 
   // Unflag review
-  async unflagReview(reviewId) {
+  async unflagReview(reviewId, context) {
     try {
       const updateData = {
         flagging: {
@@ -252,72 +666,80 @@ class ReviewsAPI extends BaseCRUD {
         updatedAt: serverTimestamp()
       };
 
-      return await this.update(reviewId, updateData);
+      return await this.update(reviewId, updateData, {
+        operation: 'unflagReview',
+        context: toAPIContext(context)
+      });
     } catch (error) {
       throw error;
     }
   }
 
   // Archive review
-  async archiveReview(reviewId) {
+  async archiveReview(reviewId, context) {
     try {
       return await this.update(reviewId, {
         isArchived: true,
         archivedAt: serverTimestamp()
-      });
+      }, { operation: 'archiveReview', context: toAPIContext(context) });
     } catch (error) {
       throw error;
     }
   }
 
   // Unarchive review
-  async unarchiveReview(reviewId) {
+  async unarchiveReview(reviewId, context) {
     try {
       return await this.update(reviewId, {
         isArchived: false,
         unarchivedAt: serverTimestamp()
-      });
+      }, { operation: 'unarchiveReview', context: toAPIContext(context) });
     } catch (error) {
       throw error;
     }
   }
 
-  // Mark review as responded
-  async markAsResponded(reviewId, responseData) {
-    try {
-      const updateData = {
-        response: {
-          hasResponse: true,
-          responseCount: increment(1),
-          lastResponseAt: serverTimestamp()
-        },
-        updatedAt: serverTimestamp()
-      };
+  // Response tracking fields written when a response is posted.
+  // Dotted paths so the increment applies to the stored responseCount.
+  buildRespondedUpdate() {
+    return {
+      'response.hasResponse': true,
+      'response.responseCount': increment(1),
+      'response.lastResponseAt': serverTimestamp()
+    };
+  }
 
-      return await this.update(reviewId, updateData);
+  // Mark review as responded, e.g. after replying on the platform itself
+  async markAsResponded(reviewId, context) {
+    try {
+      return await this.update(reviewId, this.buildRespondedUpdate(), {
+        operation: 'markAsResponded',
+        context: toAPIContext(context)
+      });
     } catch (error) {
       throw error;
     }
   }
 
-  // Calculate priority score based on rating and content
-  calculatePriorityScore(rating, text) {
+  // Calculate priority score based on rating and content (keywords from the
+  // built-in dictionary for the review's language). When the analysis finds
+  // the text contradicting the rating, the rating the text reads like counts
+  // instead, and the mix-up itself adds a point.
+  calculatePriorityScore(rating, text, language, analysis = null) {
     let score = 5; // Base score
+    const effectiveRating = analysis?.isRatingMismatch ? textRating(analysis.sentimentScore) : rating;
 
     // Rating-based scoring (lower ratings = higher priority)
-    if (rating <= 2) score += 3;
-    else if (rating <= 3) score += 2;
-    else if (rating >= 5) score -= 1;
+    if (effectiveRating <= 2) score += 3;
+    else if (effectiveRating <= 3) score += 2;
+    else if (effectiveRating >= 5) score -= 1;
+
+    if (analysis?.isRatingMismatch) score += 1;
 
     // Content-based scoring
-    const negativeKeywords = ['terrible', 'horrible', 'worst', 'awful', 'scam', 'rude', 'unprofessional'];
-    const urgentKeywords = ['lawsuit', 'legal', 'health', 'safety', 'discrimination'];
-    
-    const lowerText = text.toLowerCase();
-    
-    if (urgentKeywords.some(keyword => lowerText.includes(keyword))) {
+    if (matchKeywords(text, getKeywordDictionary(language, 'urgent'), { language, matchNegated: true }).length > 0) {
       score += 4;
-    } else if (negativeKeywords.some(keyword => lowerText.includes(keyword))) {
+    } else if (matchKeywords(text, getKeywordDictionary(language, 'negative'), { language }).length > 0) {
       score += 2;
     }
 
@@ -327,65 +749,210 @@ class ReviewsAPI extends BaseCRUD {
     return Math.min(10, Math.max(1, score));
   }
 
-  // Auto-flag review based on criteria
-  async checkAndFlag(reviewId, reviewData) {
-    try {
-      let shouldFlag = false;
-      let flagReason = '';
-      let keywords = [];
-
-      // Flag low ratings
-      if (reviewData.rating <= 2) {
-        shouldFlag = true;
-        flagReason = 'low_rating';
-      }
+  // Apply the business's flagging rules (see flagging-rules.js) to a new or
+  // edited review: flag it, set its priority, alert the team and/or archive
+  // it, as the system. options.context: the API context of the call that
+  // triggered the check, whose user the writes are audited as (see
+  // APIContext.automation). options.detectSpam false skips spam detection
+  // (see detectBusinessSpam). Returns whether the review was flagged.
+  async checkAndFlag(reviewId, reviewData, options = {}) {
+    return this.traced('checkAndFlag', options, async (options) => {
+      try {
+        // High-confidence spam is flagged as such, without the rules' alerts
+        let spam = null;
+        try {
+          if (options.detectSpam !== false) {
+            spam = await this.detectSpam(reviewId, { context: options.context, trace: options.trace });
+          }
+        } catch (error) {
+          this.logAutomationFailure('Spam detection failed', reviewId, error, options);
+        }
+        if (spam?.flagged) {
+          return true;
+        }
 
-      // Flag negative keywords
-      const negativeKeywords = ['terrible', 'horrible', 'worst', 'awful', 'scam', 'rude', 'unprofessional'];
-      const urgentKeywords = ['lawsuit', 'legal', 'health', 'safety', 'discrimination'];
-      
-      const lowerText = reviewData.text.toLowerCase();
-      
-      const foundNegative = negativeKeywords.filter(keyword => lowerText.includes(keyword));
-      const foundUrgent = urgentKeywords.filter(keyword => lowerText.includes(keyword));
-      
-      if (foundUrgent.length > 0) {
-        shouldFlag = true;
-        flagReason = 'urgent_keywords';
-        keywords = foundUrgent;
-      } else if (foundNegative.length > 0) {
-        shouldFlag = true;
-        flagReason = flagReason || 'negative_keywords';
-        keywords = foundNegative;
+        const settings = await notificationsAPI.getAlertSettings(reviewData.businessId);
+        const outcome = evaluateFlaggingRules(reviewData, getFlaggingRules(settings, reviewLanguage(reviewData)));
+        const ctx = options.context ? options.context.automation() : createSystemContext();
+
+        if (outcome.flag) {
+          await this.flagReview(reviewId, {
+            reason: outcome.flag.reason,
+            keywords: outcome.flag.keywords,
+            priorityScore: outcome.priorityScore
+          }, ctx, { trace: options.trace });
+        } else if (outcome.priorityScore !== null && outcome.priorityScore !== reviewData.priorityScore) {
+          await this.update(reviewId, { priorityScore: outcome.priorityScore }, { context: ctx, trace: options.trace });
+        }
+
+        if (outcome.archive && !reviewData.isArchived) {
+          await this.archiveReview(reviewId, ctx);
+        }
+
+        // Only the backend writes notifications; calls from the browser queue the alert
+        if (outcome.notify && options.context && !options.context.system) {
+          await notificationsAPI.queueReviewAlert({ ...reviewData, id: reviewId }, options.context);
+        } else if (outcome.notify) {
+          await notificationsAPI.sendReviewAlert({ ...reviewData, id: reviewId }, outcome, settings);
+        }
+
+        return !!outcome.flag;
+      } catch (error) {
+        // Don't throw error - flagging failure shouldn't fail review creation
+        this.logAutomationFailure('Auto-flagging failed', reviewId, error, options);
+        return false;
       }
+    });
+  }
 
-      if (shouldFlag) {
-        await this.flagReview(reviewId, {
-          reason: flagReason,
-          keywords: keywords,
-          flaggedBy: 'system'
+  // Send the alerts queued by calls from the browser (see
+  // NotificationsAPI.queueReviewAlert), oldest first, options.limit (100) at
+  // a time; needs a system context. The rules are evaluated again against
+  // the stored review, so a request can't pick recipients or channels, and
+  // reviews flagged as spam or deleted since are skipped. Each request is
+  // removed once handled. Returns { sent, skipped }.
+  async deliverQueuedAlerts(context, options = {}) {
+    return this.traced('deliverQueuedAlerts', options, async (options) => {
+      try {
+        await authorizeUser(context, 'notification.send');
+        const queue = await notificationsAPI.alertQueue.getWhere([], {
+          orderByField: 'createdAt',
+          orderDirection: 'asc',
+          limitCount: options.limit || 100
         });
+        const result = { sent: 0, skipped: 0 };
+
+        for (const request of queue.documents) {
+          let review = null;
+          try {
+            review = await this.getById(request.reviewId);
+          } catch (error) {
+            if (error.statusCode !== 404) {
+              throw error;
+            }
+          }
+
+          let settings = null;
+          let outcome = null;
+          if (review && !(review.flagging?.isFlagged && review.flagging.reason === 'spam')) {
+            settings = await notificationsAPI.getAlertSettings(review.businessId);
+            outcome = evaluateFlaggingRules(review, getFlaggingRules(settings, reviewLanguage(review)));
+          }
+
+          if (outcome?.notify) {
+            await notificationsAPI.sendReviewAlert(review, outcome, settings);
+            result.sent++;
+          } else {
+            result.skipped++;
+          }
+          await notificationsAPI.alertQueue.delete(request.id, { trace: options.trace });
+        }
+
+        return result;
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  // Automatic processing logs its failures rather than failing the write behind it
+  logAutomationFailure(message, reviewId, error, options = {}) {
+    logger.error(message, {
+      collection: this.collectionName,
+      documentId: reviewId,
+      correlationId: options.trace?.correlationId || null,
+      errorCode: error?.code || null,
+      errorMessage: error?.message
+    });
+  }
+
+  // Dry run of flagging rules against sample reviews (canManageSettings).
+  // options.rules: rules to try instead of the saved alertRules (the
+  // thresholds' rules still follow them); options.reviews: review data to
+  // test, else the business's latest options.limit (25) reviews.
+  // Nothing is written. Returns { results: [{ reviewId, rating, text, current,
+  // outcome }], summary: { evaluated, flagged, archived, notified, byRule } }.
+  async simulateFlaggingRules(businessId, context, options = {}) {
+    try {
+      await authorize(context, 'alerts.manage', businessId);
+
+      const settings = await notificationsAPI.getAlertSettings(businessId);
+      if (options.rules) {
+        validateFlaggingRules(options.rules);
       }
+      const ruleSettings = { ...settings, alertRules: options.rules || settings?.alertRules };
+
+      const reviews = options.reviews
+        ? options.reviews.map(review => ({ businessId, ...review }))
+        : (await this.getBusinessReviews(businessId, context, { limit: options.limit || 25 })).documents;
+
+      const summary = { evaluated: reviews.length, flagged: 0, archived: 0, notified: 0, byRule: {} };
+      const results = reviews.map(review => {
+        const outcome = evaluateFlaggingRules(review, getFlaggingRules(ruleSettings, reviewLanguage(review)));
+        summary.flagged += outcome.flag ? 1 : 0;
+        summary.archived += outcome.archive ? 1 : 0;
+        summary.notified += outcome.notify ? 1 : 0;
+        outcome.matchedRules.forEach(ruleId => {
+          summary.byRule[ruleId] = (summary.byRule[ruleId] || 0) + 1;
+        });
 
-      return shouldFlag;
+        return {
+          reviewId: review.id || null,
+          rating: review.rating,
+          text: review.text,
+          current: review.flagging ? { isFlagged: review.flagging.isFlagged, reason: review.flagging.reason } : null,
+          outcome
+        };
+      });
+
+      return { results, summary };
     } catch (error) {
-      console.error('Error auto-flagging review:', error);
-      // Don't throw error - flagging failure shouldn't fail review creation
-      return false;
+      throw error;
     }
   }
 
-  // Get review statistics for a business
-  async getReviewStats(businessId, options = {}) {
+  // Get review statistics for a business (server-side aggregation, no document
+  // reads). Results are reused for REVIEW_STATS_TTL_MS per business;
+  // options.cache: false recomputes them.
+  async getReviewStats(businessId, context, options = {}) {
     try {
-      const allReviews = await this.getBusinessReviews(businessId, { 
-        includeArchived: true,
-        limit: 1000 // Get more reviews for accurate stats
-      });
+      await authorize(context, 'review.read', businessId);
+      const key = `stats:${this.collectionName}/${businessId}`;
+      const cached = options.cache === false ? undefined : this.cache.get(key);
+      const stats = cached || await this.cache.load(key, () => this.aggregateReviewStats(businessId), REVIEW_STATS_TTL_MS);
+      return { ...stats };
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      const reviews = allReviews.documents;
+  // Statistics behind getReviewStats: one aggregation query per filter, each
+  // with every count and average that filter needs
+  async aggregateReviewStats(businessId) {
+    try {
+      const businessFilter = [
+        { field: 'businessId', operator: '==', value: businessId }
+      ];
+      const withFilter = (field, value) => [
+        ...businessFilter,
+        { field, operator: '==', value }
+      ];
+      const countAndAverage = {
+        count: { type: 'count' },
+        avgRating: { type: 'average', field: 'rating' }
+      };
+
+      const [overall, ratingCounts, platformStats, flaggedCount, respondedCount] = await Promise.all([
+        this.aggregate(countAndAverage, businessFilter),
+        Promise.all([1, 2, 3, 4, 5].map(rating => this.count(withFilter('rating', rating)))),
+        Promise.all(REVIEW_PLATFORMS.map(platform => this.aggregate(countAndAverage, withFilter('platform', platform)))),
+        this.count(withFilter('flagging.isFlagged', true)),
+        this.count(withFilter('response.hasResponse', true))
+      ]);
+
+      const total = overall.count;
       
-      if (reviews.length === 0) {
+      if (total === 0) {
         return {
           total: 0,
           avgRating: 0,
@@ -397,40 +964,28 @@ class ReviewsAPI extends BaseCRUD {
         };
       }
 
-      // Calculate basic stats
-      const total = reviews.length;
-      const avgRating = reviews.reduce((sum, r) => sum + r.rating, 0) / total;
-      
       // Rating distribution
-      const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-      reviews.forEach(review => {
-        ratingDistribution[review.rating]++;
+      const ratingDistribution = {};
+      ratingCounts.forEach((ratingCount, index) => {
+        ratingDistribution[index + 1] = ratingCount;
       });
 
-      // Platform breakdown
+      // Platform breakdown (only platforms with reviews)
       const platformBreakdown = {};
-      reviews.forEach(review => {
-        if (!platformBreakdown[review.platform]) {
-          platformBreakdown[review.platform] = { count: 0, avgRating: 0 };
+      REVIEW_PLATFORMS.forEach((platform, index) => {
+        if (platformStats[index].count > 0) {
+          platformBreakdown[platform] = {
+            count: platformStats[index].count,
+            avgRating: platformStats[index].avgRating || 0
+          };
         }
-        platformBreakdown[review.platform].count++;
-      });
-
-      // Calculate average rating per platform
-      Object.keys(platformBreakdown).forEach(platform => {
-        const platformReviews = reviews.filter(r => r.platform === platform);
-        const platformAvg = platformReviews.reduce((sum, r) => sum + r.rating, 0) / platformReviews.length;
-        platformBreakdown[platform].avgRating = platformAvg;
       });
 
-      // Flag and response stats
-      const flaggedCount = reviews.filter(r => r.flagging.isFlagged).length;
-      const respondedCount = reviews.filter(r => r.response.hasResponse).length;
       const responseRate = (respondedCount / total) * 100;
 
       return {
         total,
-        avgRating: Math.round(avgRating * 10) / 10,
+        avgRating: Math.round((overall.avgRating || 0) * 10) / 10,
         ratingDistribution,
         platformBreakdown,
         flaggedCount,
@@ -442,14 +997,263 @@ class ReviewsAPI extends BaseCRUD {
     }
   }
 
+  // =====================================================
+  // SPAM DETECTION
+  // =====================================================
+
+  // Score a stored review for spam (see spam.js) against its business's
+  // reviews posted around the same time (SPAM_COMPARISON_WINDOW_MS), save the
+  // result in its analysis and flag it with reason 'spam' at SPAM_FLAG_THRESHOLD.
+  // Detected spam waits in the spam queue (analysis.spamReview) for a person.
+  // Reviews a person already confirmed or cleared are skipped (null).
+  // options.context: as checkAndFlag. Returns { isSpam, spamConfidence,
+  // spamSignals, flagged }.
+  async detectSpam(reviewId, options = {}) {
+    return this.traced('detectSpam', options, async (options) => {
+      try {
+        const review = await this.getById(reviewId, options);
+        if (['confirmed', 'cleared'].includes(review.analysis?.spamReview?.status)) {
+          return null;
+        }
+
+        const date = reviewMillis(review);
+        const candidates = await this.getSpamCandidates(review.businessId, date, date, options);
+        const context = spamContext(review, candidates.documents);
+
+        // Bursts past the comparison limit are counted on the server
+        if (candidates.hasMore) {
+          const nearby = await this.count([
+            { field: 'businessId', operator: '==', value: review.businessId },
+            { field: 'reviewDate', operator: '>=', value: Timestamp.fromMillis(date - BURST_WINDOW_MS) },
+            { field: 'reviewDate', operator: '<=', value: Timestamp.fromMillis(date + BURST_WINDOW_MS) }
+          ]);
+          // The review is one of them
+          context.burstCount = Math.max(0, nearby - 1);
+        }
+
+        const result = scoreSpam(review, context);
+        const ctx = options.context ? options.context.automation() : createSystemContext();
+
+        await this.update(reviewId, spamUpdate(result), { context: ctx, trace: options.trace });
+
+        const flagged = flagsSpam(review, result);
+        if (flagged) {
+          await this.flagReview(reviewId, {
+            reason: 'spam',
+            keywords: [],
+            priorityScore: review.priorityScore
+          }, ctx, { trace: options.trace });
+        }
+
+        return { ...result, flagged };
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  // Spam detection for reviews imported or synced with options.detectSpam
+  // false: scores a business's reviews posted since options.since (a Date)
+  // like detectSpam, ANALYSIS_BATCH_SIZE at a time, each batch against one
+  // query of the reviews around it, and saves them in one batch write.
+  // options.until (a Date, now by default), options.limit and
+  // options.pageToken: as reanalyzeReviews. Spam flags are set as automation
+  // (see APIContext.automation), so canRespond isn't needed on top of
+  // canManageSettings. Returns { scored, flagged, skipped, nextPageToken }.
+  async detectBusinessSpam(businessId, context, options = {}) {
+    return this.traced('detectBusinessSpam', options, async (options) => {
+      try {
+        validateRequired({ businessId, since: options.since }, ['businessId', 'since']);
+
+        const since = options.since.getTime();
+        const until = options.until ? options.until.getTime() : Date.now();
+        const ctx = (await authorize(context, 'review.manage', businessId)).automation();
+        const result = { scored: 0, flagged: 0, skipped: 0, nextPageToken: null };
+        let pageToken = options.pageToken || null;
+        let remaining = options.limit || Infinity;
+
+        do {
+          const page = await this.getWhere([
+            { field: 'businessId', operator: '==', value: businessId },
+            { field: 'reviewDate', operator: '>=', value: Timestamp.fromMillis(since) },
+            { field: 'reviewDate', operator: '<=', value: Timestamp.fromMillis(until) }
+          ], {
+            orderByField: 'reviewDate',
+            orderDirection: 'desc',
+            limitCount: Math.min(ANALYSIS_BATCH_SIZE, remaining),
+            pageToken
+          });
+
+          const dates = page.documents.map(reviewMillis);
+          const candidates = page.documents.length === 0 ? { documents: [] } : await this.getSpamCandidates(
+            businessId, Math.min(...dates), Math.max(...dates), options
+          );
+          const pool = [...new Map([...candidates.documents, ...page.documents].map(review => [review.id, review])).values()];
+
+          // Batch writes skip hooks, as for reanalyzeReviews
+          const batch = this.batch();
+          const toFlag = [];
+          page.documents.forEach(review => {
+            if (['confirmed', 'cleared'].includes(review.analysis?.spamReview?.status)) {
+              result.skipped++;
+              return;
+            }
+            const scored = scoreSpam(review, spamContext(review, pool));
+            batch.update(this, review.id, spamUpdate(scored), { before: review, context: ctx });
+            if (flagsSpam(review, scored)) {
+              toFlag.push(review);
+            }
+            result.scored++;
+          });
+          await batch.commit({ trace: options.trace });
+
+          for (const review of toFlag) {
+            await this.flagReview(review.id, {
+              reason: 'spam',
+              keywords: [],
+              priorityScore: review.priorityScore
+            }, ctx, { trace: options.trace });
+          }
+          result.flagged += toFlag.length;
+
+          remaining -= page.documents.length;
+          pageToken = page.nextPageToken;
+        } while (pageToken && remaining > 0);
+
+        result.nextPageToken = pageToken;
+        return result;
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  // A business's latest reviews (SPAM_COMPARISON_LIMIT of them) posted from
+  // SPAM_COMPARISON_WINDOW_MS before from (in ms) to as long after to
+  async getSpamCandidates(businessId, from, to, options = {}) {
+    return await this.getWhere([
+      { field: 'businessId', operator: '==', value: businessId },
+      { field: 'reviewDate', operator: '>=', value: Timestamp.fromMillis(from - SPAM_COMPARISON_WINDOW_MS) },
+      { field: 'reviewDate', operator: '<=', value: Timestamp.fromMillis(to + SPAM_COMPARISON_WINDOW_MS) }
+    ], {
+      orderByField: 'reviewDate',
+      orderDirection: 'desc',
+      limitCount: SPAM_COMPARISON_LIMIT,
+      trace: options.trace
+    });
+  }
+
+  // Reviews detected as spam that wait for a person, most likely spam first
+  // (needs canRespond, like flagging)
+  async getSpamQueue(businessId, context, options = {}) {
+    try {
+      await authorize(context, 'review.flag', businessId);
+
+      return await this.getWhere([
+        { field: 'businessId', operator: '==', value: businessId },
+        { field: 'analysis.spamReview.status', operator: '==', value: 'pending' }
+      ], {
+        orderByField: 'analysis.spamConfidence',
+        orderDirection: 'desc',
+        ...pageOptions(options)
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Confirm a review is spam: it stays marked, is flagged 'spam' by the
+  // context's user if it isn't already, and is archived with options.archive
+  async confirmSpam(reviewId, context, options = {}) {
+    return this.traced('confirmSpam', options, async (options) => {
+      try {
+        const review = await this.getById(reviewId);
+        const ctx = await authorize(context, 'review.flag', review.businessId);
+
+        await this.update(reviewId, {
+          'analysis.isSpam': true,
+          'analysis.spamReview': { status: 'confirmed', reviewedBy: ctx.userId, reviewedAt: serverTimestamp() },
+          updatedAt: serverTimestamp()
+        }, { operation: 'confirmSpam', context: ctx, trace: options.trace });
+
+        if (review.flagging?.reason !== 'spam') {
+          await this.flagReview(reviewId, {
+            reason: 'spam',
+            keywords: [],
+            priorityScore: review.priorityScore
+          }, ctx, { trace: options.trace });
+        }
+        if (options.archive && !review.isArchived) {
+          await this.archiveReview(reviewId, ctx);
+        }
+
+        return await this.getById(reviewId);
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  // Clear a spam detection: the review is no longer marked as spam and isn't
+  // scored again. A 'spam' flag is removed and the business's flagging
+  // rules, which spam skipped, are applied.
+  async clearSpam(reviewId, context, options = {}) {
+    return this.traced('clearSpam', options, async (options) => {
+      try {
+        const review = await this.getById(reviewId);
+        const ctx = await authorize(context, 'review.flag', review.businessId);
+
+        await this.update(reviewId, {
+          'analysis.isSpam': false,
+          'analysis.spamReview': { status: 'cleared', reviewedBy: ctx.userId, reviewedAt: serverTimestamp() },
+          updatedAt: serverTimestamp()
+        }, { operation: 'clearSpam', context: ctx, trace: options.trace });
+
+        if (review.flagging?.isFlagged && review.flagging.reason === 'spam') {
+          await this.unflagReview(reviewId, ctx);
+          await this.checkAndFlag(reviewId, await this.getById(reviewId), { context: ctx, trace: options.trace });
+        }
+
+        return await this.getById(reviewId);
+      } catch (error) {
+        throw error;
+      }
+    });
+  }
+
+  // =====================================================
+  // REVIEW HISTORY SUBCOLLECTION
+  // =====================================================
+
+  // Earlier versions of a review, written by upsertReview
+  history(reviewId) {
+    return this.subcollection(reviewId, 'history');
+  }
+
+  // Versions a review's content replaced, newest first
+  async getReviewHistory(reviewId, context, options = {}) {
+    try {
+      await this.getReview(reviewId, context);
+      return await this.history(reviewId).getAll({
+        orderByField: 'replacedAt',
+        orderDirection: 'desc',
+        ...pageOptions(options)
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // =====================================================
   // REVIEW MEDIA SUBCOLLECTION
   // =====================================================
 
-  // Add media to review
-  async addReviewMedia(reviewId, mediaData) {
+  // Add media to review (from platform sync, as the system)
+  async addReviewMedia(reviewId, mediaData, context) {
     try {
       validateRequired(mediaData, ['type', 'url']);
+      const review = await this.getById(reviewId);
+      const ctx = await authorize(context, 'review.process', review.businessId);
 
       const mediaDoc = {
         type: mediaData.type, // photo, video
@@ -465,34 +1269,30 @@ class ReviewsAPI extends BaseCRUD {
         createdAt: serverTimestamp()
       };
 
-      const mediaRef = collection(db, 'reviews', reviewId, 'media');
-      const docRef = await addDoc(mediaRef, mediaDoc);
+      const media = await this.subcollection(reviewId, 'media').create(mediaDoc, null, { context: ctx });
 
       // Update review to indicate it has media
       await this.update(reviewId, {
         [`metadata.has${mediaData.type === 'photo' ? 'Photos' : 'Video'}`]: true
-      });
+      }, { context: ctx });
       
-      return { id: docRef.id, ...mediaDoc };
+      return media;
     } catch (error) {
       throw error;
     }
   }
 
   // Get review media
-  async getReviewMedia(reviewId) {
+  async getReviewMedia(reviewId, context) {
     try {
-      const mediaRef = collection(db, 'reviews', reviewId, 'media');
-      const q = query(mediaRef, orderBy('createdAt', 'asc'));
-
-      const querySnapshot = await getDocs(q);
-      const media = [];
-      
-      querySnapshot.forEach(doc => {
-        media.push({ id: doc.id, ...doc.data() });
+      await this.getReview(reviewId, context);
+      const result = await this.subcollection(reviewId, 'media').getAll({
+        orderByField: 'createdAt',
+        orderDirection: 'asc',
+        limitCount: null
       });
 
-      return media;
+      return result.documents;
     } catch (error) {
       throw error;
     }
@@ -506,127 +1306,241 @@ class ReviewsAPI extends BaseCRUD {
 const reviewsAPI = new ReviewsAPI();
 
 // Review management functions
-export const createReview = async (reviewData) => {
+export const createReview = async (reviewData, options) => {
   try {
-    const result = await reviewsAPI.createReview(reviewData);
+    const result = await reviewsAPI.createReview(reviewData, options);
     return formatResponse(result, 'Review created successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getReviewById = async (reviewId) => {
+export const upsertReview = async (reviewData, options) => {
   try {
-    const result = await reviewsAPI.getById(reviewId);
+    const result = await reviewsAPI.upsertReview(reviewData, options);
+    return formatResponse(result, `Review ${result.status}`);
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getReviewById = async (reviewId, context) => {
+  try {
+    const result = await reviewsAPI.getReview(reviewId, context);
     return formatResponse(result, 'Review retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getBusinessReviews = async (businessId, options) => {
+export const getBusinessReviews = async (businessId, context, options) => {
   try {
-    const result = await reviewsAPI.getBusinessReviews(businessId, options);
+    const result = await reviewsAPI.getBusinessReviews(businessId, context, options);
     return formatResponse(result, 'Business reviews retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getFlaggedReviews = async (businessId, options) => {
+// Callback receives formatResponse({ documents, changes, hasMore, nextPageToken })
+// on every change, or formatError(error). Returns an unsubscribe function.
+export const subscribeToBusinessReviews = (businessId, context, options = {}, callback) => {
+  try {
+    return reviewsAPI.subscribeToBusinessReviews(businessId, context, {
+      ...options,
+      onError: error => callback(formatError(error))
+    }, result => callback(formatResponse(result, 'Business reviews updated')));
+  } catch (error) {
+    callback(formatError(error));
+    return () => {};
+  }
+};
+
+export const searchReviews = async (businessId, query, context, options) => {
+  try {
+    const result = await reviewsAPI.searchReviews(businessId, query, context, options);
+    return formatResponse(result, 'Reviews retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const reindexReviews = async (businessId, context, options) => {
   try {
-    const result = await reviewsAPI.getFlaggedReviews(businessId, options);
+    const result = await reviewsAPI.reindexReviews(businessId, context, options);
+    return formatResponse({ reindexed: result }, 'Reviews reindexed successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const reanalyzeReviews = async (businessId, context, options) => {
+  try {
+    const result = await reviewsAPI.reanalyzeReviews(businessId, context, options);
+    return formatResponse(result, 'Reviews reanalyzed successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const detectBusinessSpam = async (businessId, context, options) => {
+  try {
+    const result = await reviewsAPI.detectBusinessSpam(businessId, context, options);
+    return formatResponse(result, 'Spam detection completed successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getFlaggedReviews = async (businessId, context, options) => {
+  try {
+    const result = await reviewsAPI.getFlaggedReviews(businessId, context, options);
     return formatResponse(result, 'Flagged reviews retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getReviewsNeedingResponse = async (businessId, options) => {
+export const getReviewsNeedingResponse = async (businessId, context, options) => {
   try {
-    const result = await reviewsAPI.getReviewsNeedingResponse(businessId, options);
+    const result = await reviewsAPI.getReviewsNeedingResponse(businessId, context, options);
     return formatResponse(result, 'Reviews needing response retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateReviewAnalysis = async (reviewId, analysisData) => {
+export const updateReviewAnalysis = async (reviewId, analysisData, context) => {
   try {
-    const result = await reviewsAPI.updateAnalysis(reviewId, analysisData);
+    const result = await reviewsAPI.updateAnalysis(reviewId, analysisData, context);
     return formatResponse(result, 'Review analysis updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const flagReview = async (reviewId, flagData) => {
+export const flagReview = async (reviewId, flagData, context, options) => {
   try {
-    const result = await reviewsAPI.flagReview(reviewId, flagData);
+    const result = await reviewsAPI.flagReview(reviewId, flagData, context, options);
     return formatResponse(result, 'Review flagged successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const unflagReview = async (reviewId) => {
+export const unflagReview = async (reviewId, context) => {
   try {
-    const result = await reviewsAPI.unflagReview(reviewId);
+    const result = await reviewsAPI.unflagReview(reviewId, context);
     return formatResponse(result, 'Review unflagged successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const archiveReview = async (reviewId) => {
+export const archiveReview = async (reviewId, context) => {
   try {
-    const result = await reviewsAPI.archiveReview(reviewId);
+    const result = await reviewsAPI.archiveReview(reviewId, context);
     return formatResponse(result, 'Review archived successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const unarchiveReview = async (reviewId) => {
+export const unarchiveReview = async (reviewId, context) => {
   try {
-    const result = await reviewsAPI.unarchiveReview(reviewId);
+    const result = await reviewsAPI.unarchiveReview(reviewId, context);
     return formatResponse(result, 'Review unarchived successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const markReviewAsResponded = async (reviewId, responseData) => {
+export const markReviewAsResponded = async (reviewId, context) => {
   try {
-    const result = await reviewsAPI.markAsResponded(reviewId, responseData);
+    const result = await reviewsAPI.markAsResponded(reviewId, context);
     return formatResponse(result, 'Review marked as responded successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getReviewStats = async (businessId, options) => {
+export const simulateFlaggingRules = async (businessId, context, options) => {
   try {
-    const result = await reviewsAPI.getReviewStats(businessId, options);
+    const result = await reviewsAPI.simulateFlaggingRules(businessId, context, options);
+    return formatResponse(result, 'Flagging rules simulated successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getSpamQueue = async (businessId, context, options) => {
+  try {
+    const result = await reviewsAPI.getSpamQueue(businessId, context, options);
+    return formatResponse(result, 'Spam queue retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const confirmSpam = async (reviewId, context, options) => {
+  try {
+    const result = await reviewsAPI.confirmSpam(reviewId, context, options);
+    return formatResponse(result, 'Review confirmed as spam');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const clearSpam = async (reviewId, context) => {
+  try {
+    const result = await reviewsAPI.clearSpam(reviewId, context);
+    return formatResponse(result, 'Spam detection cleared');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const deliverQueuedAlerts = async (context, options) => {
+  try {
+    const result = await reviewsAPI.deliverQueuedAlerts(context, options);
+    return formatResponse(result, 'Queued alerts delivered');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+export const getReviewStats = async (businessId, context, options) => {
+  try {
+    const result = await reviewsAPI.getReviewStats(businessId, context, options);
     return formatResponse(result, 'Review statistics retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
+// History functions
+export const getReviewHistory = async (reviewId, context, options) => {
+  try {
+    const result = await reviewsAPI.getReviewHistory(reviewId, context, options);
+    return formatResponse(result, 'Review history retrieved successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
 // Media functions
-export const addReviewMedia = async (reviewId, mediaData) => {
+export const addReviewMedia = async (reviewId, mediaData, context) => {
   try {
-    const result = await reviewsAPI.addReviewMedia(reviewId, mediaData);
+    const result = await reviewsAPI.addReviewMedia(reviewId, mediaData, context);
     return formatResponse(result, 'Review media added successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getReviewMedia = async (reviewId) => {
+export const getReviewMedia = async (reviewId, context) => {
   try {
-    const result = await reviewsAPI.getReviewMedia(reviewId);
+    const result = await reviewsAPI.getReviewMedia(reviewId, context);
     return formatResponse(result, 'Review media retrieved successfully');
   } catch (error) {
     return formatError(error);
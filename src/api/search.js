@@ -0,0 +1,282 @@
+// =====================================================
+// FULL-TEXT SEARCH
+// Firestore has no full-text search, so searchable documents carry a keyword
+// index: searchKeywords holds every prefix (2+ characters) of every word in
+// their indexed fields. A query fetches candidates with one array-contains on
+// its most selective word, combined with the caller's filters, then matches
+// and ranks them here.
+// =====================================================
+
+import { APIError, getFieldValue, DEFAULT_PAGE_SIZE } from './base.js';
+
+export const SEARCH_FIELD = 'searchKeywords';
+
+// Prefixes indexed per word; longer words are only matched on their first 20 characters
+export const MIN_PREFIX_LENGTH = 2;
+export const MAX_PREFIX_LENGTH = 20;
+
+// Keeps the index within Firestore's per-document index entry limits
+export const MAX_SEARCH_KEYWORDS = 2000;
+
+// Candidates ranked per query, read SEARCH_BATCH_SIZE at a time in document
+// ID order; results report truncated when more matched
+export const MAX_SEARCH_CANDIDATES = 2000;
+export const SEARCH_BATCH_SIZE = 500;
+
+// Lowercased words without accents; anything that isn't a letter or digit separates words
+export const tokenize = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+// Text of an indexed field; arrays (e.g. specialties) are indexed word by word
+const fieldText = (value) => (Array.isArray(value) ? value.join(' ') : typeof value === 'string' ? value : '');
+
+// fields: { fieldPath: weight } of the document's searchable text
+export const buildSearchKeywords = (document, fields) => {
+  const keywords = new Set();
+
+  for (const path of Object.keys(fields)) {
+    for (const word of tokenize(fieldText(getFieldValue(document, path)))) {
+      const end = Math.min(word.length, MAX_PREFIX_LENGTH);
+      for (let length = MIN_PREFIX_LENGTH; length <= end; length++) {
+        keywords.add(word.slice(0, length));
+      }
+      if (keywords.size >= MAX_SEARCH_KEYWORDS) {
+        return [...keywords].slice(0, MAX_SEARCH_KEYWORDS);
+      }
+    }
+  }
+  return [...keywords];
+};
+
+// Apply an update's (possibly dotted) keys to a copy of the stored document
+const applyUpdate = (document, data) => {
+  const result = { ...document };
+  Object.entries(data).forEach(([key, value]) => {
+    const segments = key.split('.');
+    let target = result;
+    segments.slice(0, -1).forEach(segment => {
+      target[segment] = { ...(target[segment] || {}) };
+      target = target[segment];
+    });
+    target[segments[segments.length - 1]] = value;
+  });
+  return result;
+};
+
+// beforeCreate/beforeUpdate hook keeping SEARCH_FIELD in sync with the
+// indexed fields. Updates that don't touch them leave the index alone.
+export const searchIndex = (fields) => async ({ action, data, current }) => {
+  const paths = Object.keys(fields);
+  if (action !== 'create') {
+    const touched = Object.keys(data).some(key => paths.some(path =>
+      key === path || path.startsWith(`${key}.`) || key.startsWith(`${path}.`)
+    ));
+    if (!touched) {
+      return undefined;
+    }
+  }
+
+  const document = action === 'create' ? data : applyUpdate((await current()) || {}, data);
+  return { ...data, [SEARCH_FIELD]: buildSearchKeywords(document, fields) };
+};
+
+// 'great "wood fired" piz' -> { terms: ['great', 'piz'], phrases: [['wood', 'fired']] }.
+// Every term is matched as a word prefix; phrases match consecutive whole words.
+export const parseSearchQuery = (query) => {
+  const phrases = [];
+  const rest = String(query ?? '').replace(/"([^"]*)"/g, (match, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 0) {
+      phrases.push(words);
+    }
+    return ' ';
+  });
+  return { terms: [...new Set(tokenize(rest))], phrases };
+};
+
+// The longest word of the query, which narrows the candidates the most
+const candidateKeyword = ({ terms, phrases }) => {
+  const words = [...terms, ...phrases.flat()].filter(word => word.length >= MIN_PREFIX_LENGTH);
+  if (words.length === 0) {
+    throw new APIError(
+      `Search query needs a word of at least ${MIN_PREFIX_LENGTH} characters`,
+      'VALIDATION_ERROR',
+      400
+    );
+  }
+  return words.reduce((longest, word) => (word.length > longest.length ? word : longest)).slice(0, MAX_PREFIX_LENGTH);
+};
+
+const countPhrase = (words, phrase) => {
+  let count = 0;
+  for (let start = 0; start + phrase.length <= words.length; start++) {
+    if (phrase.every((word, offset) => words[start + offset] === word)) {
+      count++;
+    }
+  }
+  return count;
+};
+
+// Relevance of a document, or 0 unless it matches every term and phrase.
+// Whole-word matches count fully, prefix matches half, phrases double; each
+// is weighted by its field and dampened so long texts don't dominate.
+export const scoreDocument = (document, parsedQuery, fields) => {
+  const indexed = Object.entries(fields).map(([path, weight]) => ({
+    weight,
+    words: tokenize(fieldText(getFieldValue(document, path)))
+  }));
+
+  let score = 0;
+  for (const term of parsedQuery.terms) {
+    let termScore = 0;
+    indexed.forEach(({ weight, words }) => words.forEach(word => {
+      if (word === term) {
+        termScore += weight;
+      } else if (word.startsWith(term)) {
+        termScore += weight / 2;
+      }
+    }));
+    if (termScore === 0) {
+      return 0;
+    }
+    score += Math.log2(1 + termScore);
+  }
+
+  for (const phrase of parsedQuery.phrases) {
+    const phraseScore = indexed.reduce((sum, { weight, words }) => sum + weight * 2 * countPhrase(words, phrase), 0);
+    if (phraseScore === 0) {
+      return 0;
+    }
+    score += Math.log2(1 + phraseScore);
+  }
+  return score;
+};
+
+// Page tokens are result offsets; a token is only meaningful for the same query
+const encodeSearchPageToken = (offset) => btoa(JSON.stringify({ offset })).replace(/=+$/, '');
+
+const decodeSearchPageToken = (token) => {
+  if (!token) {
+    return 0;
+  }
+  try {
+    const { offset } = JSON.parse(atob(token));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new APIError('Invalid search page token', 'INVALID_ARGUMENT', 400);
+};
+
+// Rank and page documents already loaded (e.g. the businesses a user can
+// access) against a query, like searchCollection does its candidates.
+// options: fields (required), limit, pageToken, tieBreaker.
+export const rankDocuments = (documents, query, options = {}) => {
+  const { fields, limit = DEFAULT_PAGE_SIZE, pageToken = null, tieBreaker = null } = options;
+  const parsedQuery = typeof query === 'string' ? parseSearchQuery(query) : query;
+  // Same VALIDATION_ERROR as searchCollection for queries without a usable word
+  candidateKeyword(parsedQuery);
+
+  const tieValue = (document) => {
+    const value = tieBreaker ? getFieldValue(document, tieBreaker) : null;
+    return value instanceof Date ? value.getTime() : value?.toMillis?.() ?? value ?? 0;
+  };
+
+  const ranked = documents
+    .map(document => ({ document, score: scoreDocument(document, parsedQuery, fields) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => (b.score - a.score)
+      || (tieValue(b.document) > tieValue(a.document) ? 1 : tieValue(b.document) < tieValue(a.document) ? -1 : 0)
+      || a.document.id.localeCompare(b.document.id));
+
+  const offset = decodeSearchPageToken(pageToken);
+  const page = ranked.slice(offset, offset + limit);
+  const hasMore = offset + limit < ranked.length;
+  const hasPrevious = offset > 0;
+
+  return {
+    documents: page.map(({ document, score }) => ({ ...document, searchScore: score })),
+    hasMore,
+    hasPrevious,
+    nextPageToken: hasMore ? encodeSearchPageToken(offset + limit) : null,
+    prevPageToken: hasPrevious ? encodeSearchPageToken(Math.max(0, offset - limit)) : null,
+    totalMatches: ranked.length,
+    truncated: false
+  };
+};
+
+// Ranked, paged search of a BaseCRUD collection indexed with searchIndex(fields).
+// options: fields (required), filters (combined with the keyword lookup),
+// limit, pageToken, tieBreaker (field ordering equal scores, newest first) and
+// any getWhere option such as includeDeleted.
+// Every candidate is ranked, up to MAX_SEARCH_CANDIDATES. Past that the rest
+// (by document ID, not date or relevance) is left out and truncated is set.
+// Returns getWhere's page shape plus totalMatches and truncated; documents
+// carry their searchScore.
+export const searchCollection = async (api, query, options = {}) => {
+  const { fields, filters = [], limit, pageToken, tieBreaker, ...queryOptions } = options;
+  const parsedQuery = parseSearchQuery(query);
+  const keywordFilters = [
+    ...filters,
+    { field: SEARCH_FIELD, operator: 'array-contains', value: candidateKeyword(parsedQuery) }
+  ];
+
+  // Unordered queries page by document ID, so batches never overlap. Batches
+  // are counted rather than documents, which options.match can drop.
+  const candidates = [];
+  let batch = { hasMore: false, nextPageToken: null };
+  for (let read = 0; read < MAX_SEARCH_CANDIDATES; read += SEARCH_BATCH_SIZE) {
+    batch = await api.getWhere(keywordFilters, {
+      ...queryOptions,
+      orderByField: null,
+      limitCount: SEARCH_BATCH_SIZE,
+      pageToken: batch.nextPageToken
+    });
+    candidates.push(...batch.documents);
+    if (!batch.nextPageToken) {
+      break;
+    }
+  }
+
+  return {
+    ...rankDocuments(candidates, parsedQuery, { fields, limit, pageToken, tieBreaker }),
+    truncated: batch.hasMore
+  };
+};
+
+// Rebuild SEARCH_FIELD for a collection's documents matching filters, e.g.
+// after adding search to existing data or changing the indexed fields.
+// Returns the number of documents reindexed.
+export const reindexCollection = async (api, fields, filters = [], options = {}) => {
+  let reindexed = 0;
+  let pageToken = null;
+
+  do {
+    const page = await api.getWhere(filters, {
+      orderByField: null,
+      limitCount: 200,
+      pageToken,
+      includeDeleted: true
+    });
+    const batch = api.batch();
+    // With the document as it stands the audit trail sees no change to log
+    page.documents.forEach(document => {
+      batch.update(api, document.id, { [SEARCH_FIELD]: buildSearchKeywords(document, fields) }, {
+        before: document,
+        context: options.context
+      });
+    });
+    await batch.commit({ trace: options.trace });
+
+    reindexed += page.documents.length;
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+
+  return reindexed;
+};
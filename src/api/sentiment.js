@@ -0,0 +1,307 @@
+// =====================================================
+// SENTIMENT & EMOTION ANALYSIS
+// Local, lexicon-based analysis of review text for analysis.sentimentScore,
+// sentimentLabel, emotionTags and wordCount. Words are looked up by their
+// stem in the review's language; negated words count against their sense,
+// intensifiers ("very") scale the word after them. Results carry
+// ANALYSIS_VERSION, so reviews analyzed by an older version can be found and
+// analyzed again (see reanalyzeReviews in reviews.js). The sentiment is also
+// checked against the star rating, for reviews whose stars were misclicked.
+// =====================================================
+
+import { tokenize } from './search.js';
+import { analyzeText, resolveLanguage, stem } from './keywords.js';
+
+// Bump whenever the lexicons or scoring change
+export const ANALYSIS_VERSION = 2;
+
+export const SENTIMENT_LABELS = ['positive', 'neutral', 'negative', 'mixed'];
+export const EMOTIONS = ['joy', 'trust', 'surprise', 'sadness', 'fear', 'anger', 'disgust'];
+
+// Per language: words with their valence (-4 to 4), wholeWords matched as
+// written because their stem is another word ('friendly' -> 'friend'),
+// intensifiers with the factor they scale the next word by, and the words
+// tagging each emotion.
+export const SENTIMENT_LEXICONS = {
+  en: {
+    words: {
+      good: 2, great: 3, excellent: 3, amazing: 3, awesome: 3, fantastic: 3, wonderful: 3, incredible: 3,
+      superb: 3, outstanding: 3, perfect: 3, best: 3, love: 3, enjoy: 2, delicious: 3, tasty: 2.5, fresh: 1.5,
+      nice: 2, pleasant: 2, helpful: 2, attentive: 2, welcoming: 2, professional: 1.5, clean: 1.5,
+      cozy: 1.5, cosy: 1.5, comfortable: 1.5, beautiful: 2, gem: 2.5, favorite: 2.5, favourite: 2.5,
+      recommend: 2, worth: 1.5, reasonable: 1, generous: 2, fast: 1, quick: 1, happy: 2.5, glad: 2,
+      pleased: 2, satisfied: 2, impressed: 2.5, thank: 1.5, wow: 2, better: 1, decent: 1, fine: 0.5,
+      okay: 0.5, ok: 0.5, authentic: 1.5, reliable: 2, honest: 2, trust: 2, fun: 2, delight: 3,
+      bad: -2.5, poor: -2, terrible: -3, horrible: -3, awful: -3, worst: -3.5, worse: -2, mediocre: -1.5,
+      average: -0.5, meh: -1, disappointed: -2.5, disappointing: -2.5, unhappy: -2.5, dissatisfied: -2.5,
+      sad: -2, sorry: -1, unfortunately: -1.5, rude: -3, unprofessional: -2.5, lazy: -2, careless: -2,
+      ignored: -2, slow: -1.5, cold: -1, lukewarm: -1, bland: -1.5, stale: -2, soggy: -2, burnt: -2,
+      greasy: -1.5, salty: -1, dry: -1, raw: -1, undercooked: -2, overcooked: -2, overpriced: -2,
+      expensive: -1, dirty: -2.5, filthy: -3, gross: -3, disgusting: -3.5, nasty: -3, sick: -2.5,
+      poisoning: -3.5, cockroach: -3, unsafe: -3, dangerous: -3, scared: -2, afraid: -2, worried: -1.5,
+      angry: -3, furious: -3.5, upset: -2, annoyed: -2, frustrated: -2.5, hate: -3.5, avoid: -2.5,
+      waste: -2.5, worthless: -3, scam: -3.5, fraud: -3.5, unacceptable: -3, outrageous: -2.5,
+      ridiculous: -2, insulting: -2.5, wrong: -1.5, mistake: -1.5, problem: -1.5, issue: -1, broken: -1.5,
+      refund: -1, noisy: -1, loud: -1, crowded: -1, cramped: -1, unpleasant: -2, shocked: -1.5
+    },
+    wholeWords: { friendly: 2.5, unfriendly: -2.5 },
+    intensifiers: {
+      very: 1.3, really: 1.3, so: 1.2, too: 1.2, most: 1.2, super: 1.3, truly: 1.3, totally: 1.3,
+      highly: 1.4, absolutely: 1.4, extremely: 1.5, incredibly: 1.5, quite: 1.1,
+      fairly: 0.8, somewhat: 0.7, slightly: 0.6, kinda: 0.7
+    },
+    emotions: {
+      joy: ['love', 'enjoy', 'happy', 'glad', 'delight', 'delicious', 'amazing', 'wonderful', 'fantastic', 'fun', 'favorite', 'favourite'],
+      trust: ['recommend', 'reliable', 'trust', 'honest', 'professional', 'friendly', 'helpful', 'attentive', 'welcoming'],
+      surprise: ['surprised', 'unexpected', 'wow', 'shocked', 'unbelievable'],
+      sadness: ['disappointed', 'disappointing', 'sad', 'unhappy', 'sorry', 'unfortunately', 'regret'],
+      fear: ['unsafe', 'dangerous', 'sick', 'poisoning', 'scared', 'afraid', 'worried', 'allergic'],
+      anger: ['rude', 'angry', 'furious', 'outrageous', 'unacceptable', 'ignored', 'scam', 'fraud', 'insulting', 'annoyed', 'frustrated', 'hate'],
+      disgust: ['disgusting', 'gross', 'dirty', 'filthy', 'nasty', 'greasy', 'stale', 'cockroach']
+    }
+  },
+  es: {
+    words: {
+      bueno: 2, excelente: 3, delicioso: 3, rico: 2, amable: 2, perfecto: 3, encanta: 3, genial: 3,
+      recomendable: 2, limpio: 1.5, rapido: 1, feliz: 2.5,
+      malo: -2.5, terrible: -3, horrible: -3, peor: -3, pesimo: -3.5, asqueroso: -3.5, sucio: -2.5,
+      frio: -1, lento: -1.5, caro: -1, grosero: -3, maleducado: -3, estafa: -3.5, decepcion: -2,
+      decepcionante: -2.5, triste: -2, peligroso: -3
+    },
+    intensifiers: { muy: 1.3, super: 1.3, realmente: 1.3, bastante: 1.1, demasiado: 1.2 },
+    emotions: {
+      joy: ['delicioso', 'encanta', 'genial', 'feliz'],
+      trust: ['recomendable', 'amable'],
+      surprise: ['sorpresa', 'increible'],
+      sadness: ['decepcion', 'decepcionante', 'triste'],
+      fear: ['peligroso', 'intoxicacion'],
+      anger: ['grosero', 'maleducado', 'estafa'],
+      disgust: ['asqueroso', 'sucio']
+    }
+  },
+  fr: {
+    words: {
+      bon: 2, bonne: 2, excellent: 3, delicieux: 3, parfait: 3, genial: 3, sympa: 2, aimable: 2,
+      propre: 1.5, rapide: 1, recommande: 2, adore: 3, content: 2,
+      mauvais: -2.5, terrible: -3, horrible: -3, pire: -3, nul: -3, degoutant: -3.5, sale: -2.5,
+      froid: -1, lent: -1.5, cher: -1, impoli: -3, arnaque: -3.5, decevant: -2.5, decu: -2,
+      triste: -2, dangereux: -3
+    },
+    intensifiers: { tres: 1.3, vraiment: 1.3, trop: 1.2, super: 1.3, assez: 1.1, extremement: 1.5 },
+    emotions: {
+      joy: ['delicieux', 'adore', 'genial', 'content'],
+      trust: ['recommande', 'aimable'],
+      surprise: ['surpris', 'incroyable'],
+      sadness: ['decu', 'decevant', 'triste'],
+      fear: ['dangereux', 'intoxication'],
+      anger: ['impoli', 'arnaque'],
+      disgust: ['degoutant', 'sale']
+    }
+  },
+  de: {
+    words: {
+      gut: 2, super: 2.5, lecker: 3, freundlich: 2, ausgezeichnet: 3, perfekt: 3, toll: 2.5,
+      sauber: 1.5, schnell: 1, empfehlen: 2, empfehlenswert: 2.5, zufrieden: 2,
+      schlecht: -2.5, schrecklich: -3, furchtbar: -3, ekelhaft: -3.5, schmutzig: -2.5, kalt: -1,
+      langsam: -1.5, teuer: -1, unfreundlich: -2.5, unhoflich: -3, betrug: -3.5, enttauschend: -2.5,
+      enttauscht: -2, traurig: -2, gefahrlich: -3
+    },
+    intensifiers: { sehr: 1.3, wirklich: 1.3, echt: 1.3, total: 1.3, extrem: 1.5, ziemlich: 1.1 },
+    emotions: {
+      joy: ['lecker', 'toll', 'perfekt', 'zufrieden'],
+      trust: ['empfehlen', 'empfehlenswert', 'freundlich'],
+      surprise: ['uberrascht', 'unglaublich'],
+      sadness: ['enttauscht', 'enttauschend', 'traurig'],
+      fear: ['gefahrlich', 'vergiftung'],
+      anger: ['unfreundlich', 'unhoflich', 'betrug'],
+      disgust: ['ekelhaft', 'schmutzig']
+    }
+  },
+  pt: {
+    words: {
+      bom: 2, boa: 2, otimo: 3, excelente: 3, delicioso: 3, gostoso: 2.5, perfeito: 3, maravilhoso: 3,
+      simpatico: 2, recomendo: 2, limpo: 1.5, rapido: 1, feliz: 2.5,
+      ruim: -2.5, pessimo: -3.5, horrivel: -3, terrivel: -3, pior: -3, nojento: -3.5, sujo: -2.5,
+      frio: -1, lento: -1.5, caro: -1, grosseiro: -3, golpe: -3.5, decepcionante: -2.5, triste: -2,
+      perigoso: -3
+    },
+    intensifiers: { muito: 1.3, super: 1.3, realmente: 1.3, bastante: 1.1 },
+    emotions: {
+      joy: ['delicioso', 'maravilhoso', 'otimo', 'feliz'],
+      trust: ['recomendo', 'simpatico'],
+      surprise: ['surpresa', 'incrivel'],
+      sadness: ['decepcionante', 'triste'],
+      fear: ['perigoso', 'intoxicacao'],
+      anger: ['grosseiro', 'golpe'],
+      disgust: ['nojento', 'sujo']
+    }
+  },
+  it: {
+    words: {
+      buono: 2, ottimo: 3, eccellente: 3, delizioso: 3, perfetto: 3, gentile: 2, cordiale: 2,
+      consigliato: 2, pulito: 1.5, veloce: 1, contento: 2,
+      cattivo: -2.5, pessimo: -3.5, terribile: -3, orribile: -3, peggiore: -3, schifoso: -3.5,
+      sporco: -2.5, freddo: -1, lento: -1.5, caro: -1, scortese: -3, maleducato: -3, truffa: -3.5,
+      deludente: -2.5, triste: -2, pericoloso: -3
+    },
+    intensifiers: { molto: 1.3, davvero: 1.3, troppo: 1.2, super: 1.3, estremamente: 1.5, abbastanza: 1.1 },
+    emotions: {
+      joy: ['delizioso', 'ottimo', 'perfetto', 'contento'],
+      trust: ['consigliato', 'gentile'],
+      surprise: ['sorpresa', 'incredibile'],
+      sadness: ['deludente', 'triste'],
+      fear: ['pericoloso', 'intossicazione'],
+      anger: ['scortese', 'maleducato', 'truffa'],
+      disgust: ['schifoso', 'sporco']
+    }
+  }
+};
+
+// Valence of a negated word, relative to its own ("not bad" is mildly positive)
+const NEGATION_FACTOR = -0.5;
+
+// Added per exclamation mark (up to 3) in the direction of the sentiment
+const EXCLAMATION_EMPHASIS = 0.3;
+const MAX_EXCLAMATIONS = 3;
+
+// Maps the summed valence onto -1..1; higher values approach the bounds slower
+const NORMALIZATION_ALPHA = 15;
+
+// Scores within this distance of 0 are neutral
+const NEUTRAL_SCORE = 0.05;
+
+// Reviews with this much positive and negative valence, and a score closer
+// to 0 than MIXED_MAX_SCORE, are mixed ("great food, rude waiter")
+const MIXED_MIN_VALENCE = 1.5;
+const MIXED_MAX_SCORE = 0.5;
+
+const MAX_EMOTION_TAGS = 3;
+
+// Reviews whose rating mismatch score reaches it are marked analysis.isRatingMismatch
+export const RATING_MISMATCH_THRESHOLD = 0.4;
+
+// Lexicons keyed by stem, built once per language
+const compileLexicon = (language) => {
+  const lexicon = SENTIMENT_LEXICONS[language];
+  const wholeWords = lexicon.wholeWords || {};
+  // Keys as words are looked up: whole words as written, others by stem
+  const keyOf = (word) => (word in wholeWords ? tokenize(word)[0] : stem(tokenize(word)[0], language));
+  const emotions = new Map();
+
+  Object.entries(lexicon.emotions).forEach(([emotion, words]) => words.forEach(word => {
+    const key = keyOf(word);
+    emotions.set(key, [...(emotions.get(key) || []), emotion]);
+  }));
+
+  return {
+    words: new Map(Object.entries(lexicon.words).map(([word, valence]) => [keyOf(word), valence])),
+    wholeWords: new Map(Object.entries(wholeWords).map(([word, valence]) => [keyOf(word), valence])),
+    intensifiers: new Map(Object.entries(lexicon.intensifiers).map(([word, factor]) => [tokenize(word)[0], factor])),
+    emotions
+  };
+};
+
+const compiledLexicons = Object.fromEntries(
+  Object.keys(SENTIMENT_LEXICONS).map(language => [language, compileLexicon(language)])
+);
+
+const roundScore = (value) => Math.round(value * 1000) / 1000;
+
+// Sentiment of text in a language: { sentimentScore (-1 to 1), sentimentLabel,
+// emotionTags (strongest first, at most 3) }
+export const analyzeSentiment = (text, language) => {
+  const code = resolveLanguage(language);
+  const lexicon = compiledLexicons[code];
+  const emotionCounts = {};
+  let positive = 0;
+  let negative = 0;
+
+  analyzeText(text, code).forEach(words => words.forEach((token, index) => {
+    const isWholeWord = lexicon.wholeWords.has(token.word);
+    const base = isWholeWord ? lexicon.wholeWords.get(token.word) : lexicon.words.get(token.stem);
+
+    if (base !== undefined) {
+      const intensity = index > 0 ? lexicon.intensifiers.get(words[index - 1].word) ?? 1 : 1;
+      const valence = base * intensity * (token.negated ? NEGATION_FACTOR : 1);
+      if (valence > 0) {
+        positive += valence;
+      } else {
+        negative -= valence;
+      }
+    }
+
+    if (!token.negated) {
+      (lexicon.emotions.get(isWholeWord ? token.word : token.stem) || []).forEach(emotion => {
+        emotionCounts[emotion] = (emotionCounts[emotion] || 0) + 1;
+      });
+    }
+  }));
+
+  let total = positive - negative;
+  if (total !== 0) {
+    const exclamations = Math.min(MAX_EXCLAMATIONS, (String(text || '').match(/!/g) || []).length);
+    total += Math.sign(total) * exclamations * EXCLAMATION_EMPHASIS;
+  }
+  const sentimentScore = roundScore(total / Math.sqrt(total * total + NORMALIZATION_ALPHA));
+
+  let sentimentLabel = 'neutral';
+  if (positive >= MIXED_MIN_VALENCE && negative >= MIXED_MIN_VALENCE && Math.abs(sentimentScore) < MIXED_MAX_SCORE) {
+    sentimentLabel = 'mixed';
+  } else if (sentimentScore >= NEUTRAL_SCORE) {
+    sentimentLabel = 'positive';
+  } else if (sentimentScore <= -NEUTRAL_SCORE) {
+    sentimentLabel = 'negative';
+  }
+
+  const emotionTags = EMOTIONS
+    .filter(emotion => emotionCounts[emotion])
+    .sort((a, b) => emotionCounts[b] - emotionCounts[a])
+    .slice(0, MAX_EMOTION_TAGS);
+
+  return { sentimentScore, sentimentLabel, emotionTags };
+};
+
+// =====================================================
+// RATING CONSISTENCY
+// =====================================================
+
+// How strongly text sentiment contradicts a 1-5 star rating, from 0 to 1:
+// the sentiment's strength when it's on the other side of the rating,
+// counted in full at 1 or 5 stars and by three quarters at 2 or 4 (3 stars
+// is neither side). { ratingMismatchScore, isRatingMismatch }
+export const scoreRatingMismatch = (rating, sentimentScore) => {
+  const expected = (rating - 3) / 2;
+  const ratingMismatchScore = typeof rating === 'number' && typeof sentimentScore === 'number' && expected * sentimentScore < 0
+    ? roundScore(Math.abs(sentimentScore) * (0.5 + Math.abs(expected) / 2))
+    : 0;
+  return { ratingMismatchScore, isRatingMismatch: ratingMismatchScore >= RATING_MISMATCH_THRESHOLD };
+};
+
+// The 1-5 star rating a sentiment score reads like
+export const textRating = (sentimentScore) => Math.min(5, Math.max(1, Math.round(3 + sentimentScore * 2)));
+
+// Response template category (positive, negative or neutral) for a review:
+// by its text when that contradicts its rating, else by its rating
+export const responseCategory = (review) => {
+  const { isRatingMismatch, sentimentScore } = review.analysis || {};
+  const rating = isRatingMismatch ? textRating(sentimentScore) : review.rating;
+  if (rating >= 4) {
+    return 'positive';
+  }
+  return rating <= 2 ? 'negative' : 'neutral';
+};
+
+// Analysis fields of a review (title and text), in its detected language
+// unless one is given: { sentimentScore, sentimentLabel, emotionTags,
+// ratingMismatchScore, isRatingMismatch, wordCount, version }
+export const analyzeReview = (review, language = review.analysis?.languageDetected) => {
+  // Title and text are separate sentences, so negation doesn't carry over
+  const sentiment = analyzeSentiment([review.title, review.text].filter(Boolean).join('. '), language);
+
+  return {
+    ...sentiment,
+    ...scoreRatingMismatch(review.rating, sentiment.sentimentScore),
+    wordCount: tokenize(review.text).length,
+    version: ANALYSIS_VERSION
+  };
+};
@@ -0,0 +1,138 @@
+// =====================================================
+// SPAM DETECTION
+// Scores how likely a review is spam or fake from what we already store:
+// duplicated text within the business, bursts of reviews, brand-new authors,
+// shouting and links, and a rating that contradicts the text. Each signal
+// found adds its weight; the confidence is the chance that at least one of
+// them is right (1 - the product of 1 - weight). Scoring is pure; reviews.js
+// gathers the other reviews and stores the result.
+// =====================================================
+
+import { tokenize } from './search.js';
+
+// Reviews at or above it are marked analysis.isSpam and queued for a person
+export const SPAM_THRESHOLD = 0.5;
+
+// Reviews at or above it are also flagged with reason 'spam'
+export const SPAM_FLAG_THRESHOLD = 0.8;
+
+// Weight of each signal at full strength
+export const SPAM_SIGNALS = {
+  duplicate_text: 0.85,
+  links: 0.45,
+  review_burst: 0.3,
+  rating_mismatch: 0.3,
+  new_author: 0.25,
+  all_caps: 0.2
+};
+
+// analysis.spamReview.status: awaiting a person, or their decision
+export const SPAM_REVIEW_STATUSES = ['pending', 'confirmed', 'cleared'];
+
+// Other reviews within this long of a review's date, at least this many, make a burst
+export const BURST_WINDOW_MS = 60 * 60 * 1000;
+export const BURST_MIN_REVIEWS = 5;
+
+// Texts this similar (0-1) are near-duplicates; shorter texts ("Great food!")
+// are too common to tell
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+const DUPLICATE_MIN_WORDS = 5;
+const SHINGLE_SIZE = 3;
+
+// Shouting: mostly capitals over enough letters to judge
+const CAPS_MIN_LETTERS = 20;
+const CAPS_RATIO = 0.7;
+
+// URLs, bare domains and email addresses
+const LINK_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+|\b[\w.+-]+@[\w-]+\.[a-z]{2,}\b|\b[\w-]+\.(?:com|net|org|info|biz|io|co|ru|xyz|shop|online)\b/gi;
+
+const roundScore = (value) => Math.round(value * 1000) / 1000;
+
+// Overlapping runs of SHINGLE_SIZE words (the whole text when shorter)
+const shingles = (words) => {
+  if (words.length <= SHINGLE_SIZE) {
+    return new Set([words.join(' ')]);
+  }
+  const result = new Set();
+  for (let start = 0; start + SHINGLE_SIZE <= words.length; start++) {
+    result.add(words.slice(start, start + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+};
+
+// How much two texts share, from 0 to 1 (same words in the same order),
+// ignoring case, accents and punctuation
+export const textSimilarity = (a, b) => {
+  const first = shingles(tokenize(a));
+  const second = shingles(tokenize(b));
+  const shared = [...first].filter(shingle => second.has(shingle)).length;
+  const total = first.size + second.size - shared;
+  return total === 0 ? 0 : shared / total;
+};
+
+// The other review whose text is closest to the review's, when it's a
+// near-duplicate: { reviewId, similarity } or null. The same author
+// posting on several platforms isn't a duplicate.
+export const findDuplicate = (review, others) => {
+  if (tokenize(review.text).length < DUPLICATE_MIN_WORDS) {
+    return null;
+  }
+
+  let closest = null;
+  others.forEach(other => {
+    if (other.platform !== review.platform && other.author?.name && other.author.name === review.author?.name) {
+      return;
+    }
+    const similarity = textSimilarity(review.text, other.text);
+    if (similarity >= NEAR_DUPLICATE_SIMILARITY && similarity > (closest?.similarity ?? 0)) {
+      closest = { reviewId: other.id, similarity: roundScore(similarity) };
+    }
+  });
+  return closest;
+};
+
+// Spam fields of a review: { isSpam, spamConfidence (0-1), spamSignals:
+// [{ signal, score, details }] }. context.others: other reviews of the
+// business to compare with; context.burstCount: how many were posted within
+// BURST_WINDOW_MS of it.
+export const scoreSpam = (review, context = {}) => {
+  const { others = [], burstCount = 0 } = context;
+  const signals = [];
+  const add = (signal, strength, details) => {
+    signals.push({ signal, score: roundScore(SPAM_SIGNALS[signal] * strength), details });
+  };
+
+  const duplicate = findDuplicate(review, others);
+  if (duplicate) {
+    add('duplicate_text', duplicate.similarity, duplicate);
+  }
+
+  const links = String(review.text || '').match(LINK_PATTERN) || [];
+  if (links.length > 0) {
+    add('links', 1, { count: links.length });
+  }
+
+  if (burstCount >= BURST_MIN_REVIEWS) {
+    add('review_burst', 1, { reviews: burstCount, windowMs: BURST_WINDOW_MS });
+  }
+
+  // Text contradicting the rating ("5 stars, worst meal ever"; see sentiment.js)
+  const { isRatingMismatch, ratingMismatchScore, sentimentScore } = review.analysis || {};
+  if (isRatingMismatch) {
+    add('rating_mismatch', ratingMismatchScore, { rating: review.rating, sentimentScore });
+  }
+
+  const reviewCount = review.author?.reviewCount ?? 0;
+  if (reviewCount <= 1) {
+    add('new_author', reviewCount === 0 ? 1 : 0.6, { reviewCount });
+  }
+
+  const letters = String(review.text || '').match(/\p{L}/gu) || [];
+  const capitals = letters.filter(letter => letter !== letter.toLowerCase()).length;
+  if (letters.length >= CAPS_MIN_LETTERS && capitals / letters.length >= CAPS_RATIO) {
+    add('all_caps', 1, { ratio: roundScore(capitals / letters.length) });
+  }
+
+  const spamConfidence = roundScore(1 - signals.reduce((product, { score }) => product * (1 - score), 1));
+  return { isSpam: spamConfidence >= SPAM_THRESHOLD, spamConfidence, spamSignals: signals };
+};
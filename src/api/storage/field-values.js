@@ -0,0 +1,42 @@
+// =====================================================
+// STORAGE FIELD VALUES
+// Adapter-neutral sentinels (serverTimestamp, increment...)
+// Each storage adapter resolves these when a write is applied
+// =====================================================
+
+export class FieldValue {
+  constructor(kind, operand = null) {
+    this.kind = kind;
+    this.operand = operand;
+    Object.freeze(this);
+  }
+}
+
+export const isFieldValue = (value) => value instanceof FieldValue;
+
+export const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+// =====================================================
+// SENTINEL FACTORIES
+// =====================================================
+
+export const serverTimestamp = () => new FieldValue('serverTimestamp');
+
+export const increment = (amount) => {
+  if (typeof amount !== 'number' || Number.isNaN(amount)) {
+    throw new TypeError('increment() requires a numeric amount');
+  }
+  return new FieldValue('increment', amount);
+};
+
+export const arrayUnion = (...elements) => new FieldValue('arrayUnion', elements);
+
+export const arrayRemove = (...elements) => new FieldValue('arrayRemove', elements);
+
+export const deleteField = () => new FieldValue('delete');
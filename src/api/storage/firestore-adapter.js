@@ -0,0 +1,248 @@
+// =====================================================
+// FIRESTORE STORAGE ADAPTER
+// Default BaseCRUD backend, delegates to the Firebase web SDK
+// =====================================================
+
+import {
+  collection,
+  collectionGroup,
+  doc,
+  addDoc,
+  setDoc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  writeBatch,
+  runTransaction,
+  getAggregateFromServer,
+  count,
+  sum,
+  average,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+  arrayRemove,
+  deleteField
+} from 'firebase/firestore';
+import { db } from '../../firebase-config.js';
+import { isFieldValue, isPlainObject } from './field-values.js';
+
+// Translate adapter-neutral sentinels into native Firestore field values
+const toNative = (value) => {
+  if (isFieldValue(value)) {
+    switch (value.kind) {
+      case 'serverTimestamp':
+        return serverTimestamp();
+      case 'increment':
+        return increment(value.operand);
+      case 'arrayUnion':
+        return arrayUnion(...value.operand);
+      case 'arrayRemove':
+        return arrayRemove(...value.operand);
+      case 'delete':
+        return deleteField();
+      default:
+        throw new TypeError(`Unsupported field value: ${value.kind}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toNative);
+  }
+
+  if (isPlainObject(value)) {
+    const converted = {};
+    Object.keys(value).forEach(key => {
+      converted[key] = toNative(value[key]);
+    });
+    return converted;
+  }
+
+  return value;
+};
+
+const toSnapshot = (docSnap) => ({
+  id: docSnap.id,
+  data: docSnap.data()
+});
+
+export class FirestoreAdapter {
+  constructor(firestore = db) {
+    this.name = 'firestore';
+    this.db = firestore;
+  }
+
+  // Client-side auto ID, so batched creates know their document IDs up front
+  generateId(collectionPath) {
+    return doc(collection(this.db, collectionPath)).id;
+  }
+
+  async getDoc(collectionPath, id) {
+    const docSnap = await getDoc(doc(this.db, collectionPath, id));
+    return docSnap.exists() ? toSnapshot(docSnap) : null;
+  }
+
+  async addDoc(collectionPath, data) {
+    const docRef = await addDoc(collection(this.db, collectionPath), toNative(data));
+    return docRef.id;
+  }
+
+  async setDoc(collectionPath, id, data, options = {}) {
+    await setDoc(doc(this.db, collectionPath, id), toNative(data), { merge: !!options.merge });
+  }
+
+  async updateDoc(collectionPath, id, data) {
+    await updateDoc(doc(this.db, collectionPath, id), toNative(data));
+  }
+
+  async deleteDoc(collectionPath, id) {
+    await deleteDoc(doc(this.db, collectionPath, id));
+  }
+
+  // Commit set/update/delete operations atomically (callers keep chunks within 500 writes)
+  async commitBatch(operations) {
+    const batch = writeBatch(this.db);
+
+    operations.forEach(({ type, collectionPath, id, data, options = {} }) => {
+      const docRef = doc(this.db, collectionPath, id);
+      switch (type) {
+        case 'set':
+          batch.set(docRef, toNative(data), { merge: !!options.merge });
+          break;
+        case 'update':
+          batch.update(docRef, toNative(data));
+          break;
+        case 'delete':
+          batch.delete(docRef);
+          break;
+        default:
+          throw new TypeError(`Unsupported batch operation: ${type}`);
+      }
+    });
+
+    await batch.commit();
+  }
+
+  // Run updateFn inside a Firestore transaction; reads must happen before writes
+  async runTransaction(updateFn) {
+    return await runTransaction(this.db, (transaction) => updateFn({
+      get: async (collectionPath, id) => {
+        const docSnap = await transaction.get(doc(this.db, collectionPath, id));
+        return docSnap.exists() ? toSnapshot(docSnap) : null;
+      },
+      set: (collectionPath, id, data, options = {}) => {
+        transaction.set(doc(this.db, collectionPath, id), toNative(data), { merge: !!options.merge });
+      },
+      update: (collectionPath, id, data) => {
+        transaction.update(doc(this.db, collectionPath, id), toNative(data));
+      },
+      delete: (collectionPath, id) => {
+        transaction.delete(doc(this.db, collectionPath, id));
+      }
+    }));
+  }
+
+  async query(collectionPath, spec = {}) {
+    const querySnapshot = await getDocs(this.buildQuery(collectionPath, spec));
+    return querySnapshot.docs.map(toSnapshot);
+  }
+
+  // Collection group query over every collection named collectionId, at any
+  // depth. Filters and limit only; each result carries its collectionPath.
+  async queryGroup(collectionId, spec = {}) {
+    const { filters = [], limit: limitCount = null } = spec;
+
+    let q = query(collectionGroup(this.db, collectionId));
+    filters.forEach(filter => {
+      q = query(q, where(filter.field, filter.operator, filter.value));
+    });
+    if (limitCount !== null) {
+      q = query(q, limit(limitCount));
+    }
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(docSnap => ({ ...toSnapshot(docSnap), collectionPath: docSnap.ref.parent.path }));
+  }
+
+  // Live query: onNext({ docs, changes }) with the full result set on every change,
+  // changes being [{ type: 'added' | 'modified' | 'removed', id }]. Returns an unsubscribe function.
+  subscribe(collectionPath, spec, onNext, onError) {
+    return onSnapshot(this.buildQuery(collectionPath, spec), (querySnapshot) => {
+      onNext({
+        docs: querySnapshot.docs.map(toSnapshot),
+        changes: querySnapshot.docChanges().map(change => ({ type: change.type, id: change.doc.id }))
+      });
+    }, onError);
+  }
+
+  // Server-side aggregation; each document read costs one index entry, not a document read.
+  // Firestore allows at most 5 aggregations per request.
+  async aggregate(collectionPath, spec, aggregations) {
+    const aggregateSpec = {};
+    Object.keys(aggregations).forEach(alias => {
+      const { type, field } = aggregations[alias];
+      switch (type) {
+        case 'count':
+          aggregateSpec[alias] = count();
+          break;
+        case 'sum':
+          aggregateSpec[alias] = sum(field);
+          break;
+        case 'average':
+          aggregateSpec[alias] = average(field);
+          break;
+        default:
+          throw new TypeError(`Unsupported aggregation: ${type}`);
+      }
+    });
+
+    const snapshot = await getAggregateFromServer(this.buildQuery(collectionPath, spec), aggregateSpec);
+    return snapshot.data();
+  }
+
+  // Build a Firestore query from an adapter query spec (see createQuerySpec in base.js)
+  buildQuery(collectionPath, spec = {}) {
+    const {
+      filters = [],
+      orderBy: ordering = [],
+      limit: limitCount = null,
+      startAfter: cursor = null
+    } = spec;
+
+    let q = query(collection(this.db, collectionPath));
+
+    filters.forEach(filter => {
+      q = query(q, where(filter.field, filter.operator, filter.value));
+    });
+
+    ordering.forEach(({ field, direction }) => {
+      q = query(q, orderBy(field, direction));
+    });
+
+    // Explicit document ID tie-break (Firestore's implicit one) so cursors can carry the ID
+    if (ordering.length > 0 || cursor) {
+      const lastDirection = ordering.length > 0 ? ordering[ordering.length - 1].direction : 'asc';
+      q = query(q, orderBy(documentId(), lastDirection));
+    }
+
+    if (cursor) {
+      q = query(q, startAfter(...cursor.values, cursor.id));
+    }
+
+    if (limitCount !== null) {
+      q = query(q, limit(limitCount));
+    }
+
+    return q;
+  }
+}
+
+export default FirestoreAdapter;
@@ -0,0 +1,58 @@
+// =====================================================
+// STORAGE ADAPTERS
+// Pluggable persistence layer behind BaseCRUD
+// =====================================================
+//
+// An adapter is any object implementing:
+//   getDoc(collectionPath, id)                 -> { id, data } | null
+//   addDoc(collectionPath, data)               -> new document ID
+//   setDoc(collectionPath, id, data, { merge })
+//   updateDoc(collectionPath, id, data)        -> supports dotted field paths
+//   deleteDoc(collectionPath, id)
+//   query(collectionPath, spec)                -> [{ id, data }]
+//   queryGroup(collectionId, spec)             -> [{ id, data, collectionPath }]
+//                                              (collection group; filters and limit only)
+//   generateId(collectionPath)                 -> new auto ID, nothing written
+//   commitBatch([{ type, collectionPath, id, data, options }])
+//                                              -> atomic set/update/delete
+//   runTransaction(updateFn)                   -> updateFn({ get, set, update, delete })
+//   aggregate(collectionPath, spec, { alias: { type, field } })
+//                                              -> { alias: value }, type is count/sum/average
+//   subscribe(collectionPath, spec, onNext, onError)
+//                                              -> unsubscribe(); onNext({ docs, changes: [{ type, id }] })
+//
+// Collection paths are slash-separated, so subcollections look like
+// 'businesses/{businessId}/team_members'. Query specs are built by
+// createQuerySpec in base.js. A spec's startAfter cursor is { values, id }:
+// values follow the orderBy clauses and the document ID breaks ties.
+// Writes may contain the sentinels from field-values.js, which each
+// adapter resolves itself.
+
+import { FirestoreAdapter } from './firestore-adapter.js';
+import { MemoryAdapter } from './memory-adapter.js';
+
+let activeAdapter = null;
+
+// Adapter used by every BaseCRUD instance that wasn't given its own
+export const getStorageAdapter = () => {
+  if (!activeAdapter) {
+    activeAdapter = new FirestoreAdapter();
+  }
+  return activeAdapter;
+};
+
+export const setStorageAdapter = (adapter) => {
+  activeAdapter = adapter;
+  return adapter;
+};
+
+export { FirestoreAdapter, MemoryAdapter };
+export {
+  FieldValue,
+  isFieldValue,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+  arrayRemove,
+  deleteField
+} from './field-values.js';
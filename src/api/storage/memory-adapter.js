@@ -0,0 +1,573 @@
+// =====================================================
+// IN-MEMORY STORAGE ADAPTER
+// Offline BaseCRUD backend for unit tests and demo mode
+// Mirrors Firestore query, cursor and field-value semantics
+// =====================================================
+
+import { Timestamp } from 'firebase/firestore';
+import { isFieldValue, isPlainObject } from './field-values.js';
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const generateId = () => {
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += AUTO_ID_CHARS.charAt(Math.floor(Math.random() * AUTO_ID_CHARS.length));
+  }
+  return id;
+};
+
+// Errors carry Firestore-style codes so handleFirebaseError maps them the same way
+const createStorageError = (code, message) => {
+  const error = new Error(message);
+  error.name = 'StorageError';
+  error.code = code;
+  return error;
+};
+
+// =====================================================
+// VALUE HELPERS
+// =====================================================
+
+const isTimestamp = (value) => value instanceof Timestamp || value instanceof Date;
+
+const toMillis = (value) => (value instanceof Date ? value.getTime() : value.toMillis());
+
+const cloneValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+  if (isPlainObject(value)) {
+    const cloned = {};
+    Object.keys(value).forEach(key => {
+      cloned[key] = cloneValue(value[key]);
+    });
+    return cloned;
+  }
+  // Firestore hands dates back as Timestamps
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  return value;
+};
+
+// Firestore cross-type ordering: null < boolean < number < timestamp < string < array < map
+const typeRank = (value) => {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (isTimestamp(value)) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 6;
+  return 7;
+};
+
+const compareValues = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+
+  switch (rankA) {
+    case 0:
+      return 0;
+    case 1:
+      return Number(a) - Number(b);
+    case 2:
+      if (Number.isNaN(a)) return Number.isNaN(b) ? 0 : -1;
+      if (Number.isNaN(b)) return 1;
+      return a - b;
+    case 3:
+      return toMillis(a) - toMillis(b);
+    case 4:
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 6: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      const keysA = Object.keys(a).sort();
+      const keysB = Object.keys(b).sort();
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        const keyResult = compareValues(keysA[i], keysB[i]);
+        if (keyResult !== 0) return keyResult;
+        const valueResult = compareValues(a[keysA[i]], b[keysB[i]]);
+        if (valueResult !== 0) return valueResult;
+      }
+      return keysA.length - keysB.length;
+    }
+  }
+};
+
+const valuesEqual = (a, b) => typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+
+const getField = (data, fieldPath) => {
+  return fieldPath.split('.').reduce((obj, key) => (isPlainObject(obj) ? obj[key] : undefined), data);
+};
+
+const setField = (data, segments, value) => {
+  let target = data;
+  segments.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[segments[segments.length - 1]] = value;
+};
+
+const unsetField = (data, segments) => {
+  let target = data;
+  for (const key of segments.slice(0, -1)) {
+    if (!isPlainObject(target[key])) {
+      return;
+    }
+    target = target[key];
+  }
+  delete target[segments[segments.length - 1]];
+};
+
+// =====================================================
+// WRITE APPLICATION
+// =====================================================
+
+// Strip sentinels out of a value, recording them as transforms at their full path
+const extractTransforms = (value, segments, transforms) => {
+  if (isFieldValue(value)) {
+    transforms.push({ segments, fieldValue: value });
+    return undefined;
+  }
+  if (isPlainObject(value)) {
+    const cleaned = {};
+    Object.keys(value).forEach(key => {
+      const child = extractTransforms(value[key], [...segments, key], transforms);
+      if (child !== undefined) {
+        cleaned[key] = child;
+      }
+    });
+    return cleaned;
+  }
+  return cloneValue(value);
+};
+
+const mergeInto = (target, source) => {
+  Object.keys(source).forEach(key => {
+    if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+      mergeInto(target[key], source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+};
+
+const applyTransform = (data, { segments, fieldValue }, now) => {
+  const current = getField(data, segments.join('.'));
+
+  switch (fieldValue.kind) {
+    case 'serverTimestamp':
+      setField(data, segments, now);
+      break;
+    case 'increment':
+      setField(data, segments, (typeof current === 'number' ? current : 0) + fieldValue.operand);
+      break;
+    case 'arrayUnion': {
+      const next = Array.isArray(current) ? [...current] : [];
+      fieldValue.operand.forEach(element => {
+        if (!next.some(existing => valuesEqual(existing, element))) {
+          next.push(cloneValue(element));
+        }
+      });
+      setField(data, segments, next);
+      break;
+    }
+    case 'arrayRemove': {
+      const next = Array.isArray(current) ? current : [];
+      setField(data, segments, next.filter(existing =>
+        !fieldValue.operand.some(element => valuesEqual(existing, element))
+      ));
+      break;
+    }
+    case 'delete':
+      unsetField(data, segments);
+      break;
+    default:
+      throw createStorageError('invalid-argument', `Unsupported field value: ${fieldValue.kind}`);
+  }
+};
+
+// mode: 'set' replaces the document, 'merge' deep-merges maps, 'update' accepts dotted field paths
+const applyWrite = (existing, data, mode, now) => {
+  const result = mode === 'set' ? {} : cloneValue(existing || {});
+  const transforms = [];
+
+  Object.keys(data).forEach(key => {
+    const segments = mode === 'update' ? key.split('.') : [key];
+    const cleaned = extractTransforms(data[key], segments, transforms);
+    if (cleaned === undefined) {
+      return;
+    }
+
+    const current = getField(result, segments.join('.'));
+    if (mode === 'merge' && isPlainObject(cleaned) && isPlainObject(current)) {
+      mergeInto(current, cleaned);
+    } else {
+      setField(result, segments, cleaned);
+    }
+  });
+
+  transforms.forEach(transform => applyTransform(result, transform, now));
+  return result;
+};
+
+// =====================================================
+// QUERY EVALUATION
+// =====================================================
+
+const matchesFilter = (data, { field, operator, value }) => {
+  const fieldValue = getField(data, field);
+  if (fieldValue === undefined) {
+    return false;
+  }
+
+  switch (operator) {
+    case '==':
+      return valuesEqual(fieldValue, value);
+    case '!=':
+      return !valuesEqual(fieldValue, value);
+    case '<':
+      return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) < 0;
+    case '<=':
+      return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) <= 0;
+    case '>':
+      return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) > 0;
+    case '>=':
+      return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) >= 0;
+    case 'array-contains':
+      return Array.isArray(fieldValue) && fieldValue.some(element => valuesEqual(element, value));
+    case 'array-contains-any':
+      return Array.isArray(fieldValue) && fieldValue.some(element =>
+        value.some(candidate => valuesEqual(element, candidate))
+      );
+    case 'in':
+      return value.some(candidate => valuesEqual(fieldValue, candidate));
+    case 'not-in':
+      return !value.some(candidate => valuesEqual(fieldValue, candidate));
+    default:
+      throw createStorageError('invalid-argument', `Unsupported filter operator: ${operator}`);
+  }
+};
+
+// Orders by each orderBy clause, then by document ID in the direction of the last clause.
+// Entries and cursors share the shape { values, id }, values following the orderBy clauses.
+const createComparator = (ordering) => (a, b) => {
+  for (let i = 0; i < ordering.length; i++) {
+    const result = compareValues(a.values[i], b.values[i]);
+    if (result !== 0) {
+      return ordering[i].direction === 'desc' ? -result : result;
+    }
+  }
+  const lastDirection = ordering.length > 0 ? ordering[ordering.length - 1].direction : 'asc';
+  const idResult = compareValues(a.id, b.id);
+  return lastDirection === 'desc' ? -idResult : idResult;
+};
+
+const toSnapshot = (id, data) => ({
+  id,
+  data: cloneValue(data)
+});
+
+// =====================================================
+// MEMORY ADAPTER
+// =====================================================
+
+export class MemoryAdapter {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.collections = new Map();
+    // Per-document write counters, used to detect transaction conflicts
+    this.versions = new Map();
+    this.clock = options.clock || (() => new Date());
+    this.maxTransactionAttempts = options.maxTransactionAttempts || 5;
+    // Live queries, re-evaluated after every write to their collection
+    this.listeners = new Set();
+
+    if (options.seed) {
+      this.seed(options.seed);
+    }
+  }
+
+  // Load documents keyed by collection path: { 'reviews': { reviewId: {...} } }
+  seed(collections) {
+    Object.keys(collections).forEach(collectionPath => {
+      const documents = collections[collectionPath];
+      Object.keys(documents).forEach(id => {
+        this.getCollection(collectionPath).set(id, applyWrite(null, documents[id], 'set', this.now()));
+      });
+    });
+  }
+
+  clear() {
+    this.collections.clear();
+    this.versions.clear();
+  }
+
+  now() {
+    return Timestamp.fromDate(this.clock());
+  }
+
+  getCollection(collectionPath) {
+    if (!this.collections.has(collectionPath)) {
+      this.collections.set(collectionPath, new Map());
+    }
+    return this.collections.get(collectionPath);
+  }
+
+  generateId(collectionPath) {
+    const documents = this.getCollection(collectionPath);
+    let id = generateId();
+    while (documents.has(id)) {
+      id = generateId();
+    }
+    return id;
+  }
+
+  versionOf(collectionPath, id) {
+    return this.versions.get(`${collectionPath}/${id}`) || 0;
+  }
+
+  async getDoc(collectionPath, id) {
+    const data = this.getCollection(collectionPath).get(id);
+    return data ? toSnapshot(id, data) : null;
+  }
+
+  async addDoc(collectionPath, data) {
+    const id = this.generateId(collectionPath);
+    await this.commitBatch([{ type: 'set', collectionPath, id, data }]);
+    return id;
+  }
+
+  async setDoc(collectionPath, id, data, options = {}) {
+    await this.commitBatch([{ type: 'set', collectionPath, id, data, options }]);
+  }
+
+  async updateDoc(collectionPath, id, data) {
+    await this.commitBatch([{ type: 'update', collectionPath, id, data }]);
+  }
+
+  async deleteDoc(collectionPath, id) {
+    await this.commitBatch([{ type: 'delete', collectionPath, id }]);
+  }
+
+  // Apply every operation to staged copies, then swap them in: all or nothing
+  async commitBatch(operations) {
+    const staged = new Map();
+    const stage = (collectionPath) => {
+      if (!staged.has(collectionPath)) {
+        staged.set(collectionPath, new Map(this.getCollection(collectionPath)));
+      }
+      return staged.get(collectionPath);
+    };
+    const now = this.now();
+
+    operations.forEach(({ type, collectionPath, id, data, options = {} }) => {
+      const documents = stage(collectionPath);
+      switch (type) {
+        case 'set':
+          documents.set(id, applyWrite(documents.get(id), data, options.merge ? 'merge' : 'set', now));
+          break;
+        case 'update':
+          if (!documents.has(id)) {
+            throw createStorageError('not-found', `No document to update: ${collectionPath}/${id}`);
+          }
+          documents.set(id, applyWrite(documents.get(id), data, 'update', now));
+          break;
+        case 'delete':
+          documents.delete(id);
+          break;
+        default:
+          throw createStorageError('invalid-argument', `Unsupported batch operation: ${type}`);
+      }
+    });
+
+    staged.forEach((documents, collectionPath) => this.collections.set(collectionPath, documents));
+    operations.forEach(({ collectionPath, id }) => {
+      this.versions.set(`${collectionPath}/${id}`, this.versionOf(collectionPath, id) + 1);
+    });
+
+    this.listeners.forEach(listener => {
+      if (staged.has(listener.collectionPath)) {
+        this.notifyListener(listener);
+      }
+    });
+  }
+
+  // Optimistic transaction: buffer writes, retry if any document read was changed meanwhile
+  async runTransaction(updateFn) {
+    for (let attempt = 0; attempt < this.maxTransactionAttempts; attempt++) {
+      const reads = new Map();
+      const writes = [];
+
+      const result = await updateFn({
+        get: async (collectionPath, id) => {
+          if (writes.length > 0) {
+            throw createStorageError('invalid-argument', 'Transactions require all reads to be executed before all writes');
+          }
+          reads.set(`${collectionPath}/${id}`, this.versionOf(collectionPath, id));
+          return await this.getDoc(collectionPath, id);
+        },
+        set: (collectionPath, id, data, options = {}) => {
+          writes.push({ type: 'set', collectionPath, id, data, options });
+        },
+        update: (collectionPath, id, data) => {
+          writes.push({ type: 'update', collectionPath, id, data });
+        },
+        delete: (collectionPath, id) => {
+          writes.push({ type: 'delete', collectionPath, id });
+        }
+      });
+
+      const conflicted = [...reads].some(([key, version]) => (this.versions.get(key) || 0) !== version);
+      if (!conflicted) {
+        await this.commitBatch(writes);
+        return result;
+      }
+    }
+
+    throw createStorageError('aborted', 'Transaction aborted after too many conflicting attempts');
+  }
+
+  async query(collectionPath, spec = {}) {
+    const {
+      filters = [],
+      orderBy: ordering = [],
+      limit: limitCount = null,
+      startAfter: cursor = null
+    } = spec;
+
+    const compare = createComparator(ordering);
+
+    let matches = [];
+    this.getCollection(collectionPath).forEach((data, id) => {
+      // Firestore drops documents that lack an orderBy field
+      const hasOrderFields = ordering.every(({ field }) => getField(data, field) !== undefined);
+      if (hasOrderFields && filters.every(filter => matchesFilter(data, filter))) {
+        matches.push({ id, data, values: ordering.map(({ field }) => getField(data, field)) });
+      }
+    });
+
+    matches.sort(compare);
+
+    if (cursor) {
+      matches = matches.filter(entry => compare(entry, cursor) > 0);
+    }
+
+    if (limitCount !== null) {
+      matches = matches.slice(0, limitCount);
+    }
+
+    return matches.map(({ id, data }) => toSnapshot(id, data));
+  }
+
+  // Same contract as FirestoreAdapter.queryGroup
+  async queryGroup(collectionId, spec = {}) {
+    const { filters = [], limit: limitCount = null } = spec;
+
+    const matches = [];
+    this.collections.forEach((documents, collectionPath) => {
+      if (collectionPath.split('/').pop() !== collectionId) {
+        return;
+      }
+      documents.forEach((data, id) => {
+        if (filters.every(filter => matchesFilter(data, filter))) {
+          matches.push({ ...toSnapshot(id, data), collectionPath });
+        }
+      });
+    });
+
+    return limitCount !== null ? matches.slice(0, limitCount) : matches;
+  }
+
+  // Same contract as FirestoreAdapter.subscribe; the first snapshot is delivered asynchronously
+  subscribe(collectionPath, spec, onNext, onError = () => {}) {
+    const listener = { collectionPath, spec, onNext, onError, versions: null };
+    this.listeners.add(listener);
+    queueMicrotask(() => this.notifyListener(listener));
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  // Re-run a live query and report changes since its last snapshot, using the
+  // per-document write counters to spot modified documents
+  async notifyListener(listener) {
+    try {
+      const docs = await this.query(listener.collectionPath, listener.spec);
+      if (!this.listeners.has(listener)) {
+        return;
+      }
+
+      const previous = listener.versions;
+      const versions = new Map(docs.map(({ id }) => [id, this.versionOf(listener.collectionPath, id)]));
+      const changes = [];
+
+      docs.forEach(({ id }) => {
+        if (!previous || !previous.has(id)) {
+          changes.push({ type: 'added', id });
+        } else if (previous.get(id) !== versions.get(id)) {
+          changes.push({ type: 'modified', id });
+        }
+      });
+      if (previous) {
+        previous.forEach((version, id) => {
+          if (!versions.has(id)) {
+            changes.push({ type: 'removed', id });
+          }
+        });
+      }
+
+      listener.versions = versions;
+      if (previous && changes.length === 0) {
+        return;
+      }
+      listener.onNext({ docs, changes });
+    } catch (error) {
+      listener.onError(error);
+    }
+  }
+
+  // Matches Firestore: sum/average skip non-numeric values, average is null when nothing matched
+  async aggregate(collectionPath, spec, aggregations) {
+    const snapshots = await this.query(collectionPath, spec);
+    const result = {};
+
+    Object.keys(aggregations).forEach(alias => {
+      const { type, field } = aggregations[alias];
+      const values = type === 'count'
+        ? []
+        : snapshots.map(snap => getField(snap.data, field)).filter(value => typeof value === 'number');
+      const total = values.reduce((acc, value) => acc + value, 0);
+
+      switch (type) {
+        case 'count':
+          result[alias] = snapshots.length;
+          break;
+        case 'sum':
+          result[alias] = total;
+          break;
+        case 'average':
+          result[alias] = values.length > 0 ? total / values.length : null;
+          break;
+        default:
+          throw createStorageError('invalid-argument', `Unsupported aggregation: ${type}`);
+      }
+    });
+
+    return result;
+  }
+}
+
+export default MemoryAdapter;
@@ -3,22 +3,33 @@
 // Handles subscription plans and user billing
 // =====================================================
 
-import { 
-  collection,
-  doc,
-  query,
-  where,
-  orderBy,
+import BaseCRUD, {
+  validateRequired,
   serverTimestamp,
-  getDocs,
-  addDoc
-} from 'firebase/firestore';
-import { db } from '../firebase-config.js';
-import BaseCRUD, { validateRequired, APIError, formatResponse, formatError } from './base.js';
+  APIError,
+  allowFields,
+  formatResponse,
+  formatError
+} from './base.js';
+import { authorizeUser } from './context.js';
+
+// Fields updateSubscription may change
+const UPDATABLE_FIELDS = [
+  'planId', 'status', 'billingCycle', 'currentPeriodStart', 'currentPeriodEnd',
+  'stripeCustomerId', 'stripeSubscriptionId', 'stripePaymentMethodId',
+  'cancelAtPeriodEnd', 'cancellationReason'
+];
+
+// Organizations and businesses keep a copy of their billing user's or owner's
+// planId, so members who can't read that user's subscription still see the
+// plan (see syncPlanSnapshots)
+const organizations = new BaseCRUD('organizations', { audit: true });
+const businesses = new BaseCRUD('businesses', { audit: true });
 
 class SubscriptionsAPI extends BaseCRUD {
   constructor() {
-    super('user_subscriptions');
+    super('user_subscriptions', { audit: true });
+    this.hook('beforeUpdate', allowFields(UPDATABLE_FIELDS), { operations: ['updateSubscription'] });
     this.plansCollection = new BaseCRUD('subscription_plans');
   }
 
@@ -50,9 +61,12 @@ class SubscriptionsAPI extends BaseCRUD {
   // USER SUBSCRIPTIONS
   // =====================================================
 
-  async createSubscription(subscriptionData) {
+  // Subscriptions are created and changed by the billing backend (system
+  // contexts); users read and cancel their own
+  async createSubscription(subscriptionData, context) {
     try {
       validateRequired(subscriptionData, ['userId', 'planId', 'billingCycle']);
+      const ctx = await authorizeUser(context, 'subscription.manage', subscriptionData.userId);
 
       const subscriptionDoc = {
         userId: subscriptionData.userId,
@@ -76,13 +90,49 @@ class SubscriptionsAPI extends BaseCRUD {
         updatedAt: serverTimestamp()
       };
 
-      return await this.create(subscriptionDoc, subscriptionData.userId);
+      const subscription = await this.create(subscriptionDoc, subscriptionData.userId, { context: ctx });
+      await this.syncPlanSnapshots(subscriptionData.userId, subscriptionData.planId, { context: ctx });
+      return subscription;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // planId of a user's subscription, null without one
+  async getSubscribedPlanId(userId) {
+    try {
+      return (await this.findSubscription(userId))?.planId ?? null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Plan a stored planId copy refers to, null for no subscription. A copy that
+  // is missing (not synced since the billing user changed) fails rather than
+  // reading as unlimited.
+  async getPlanFromSnapshot(planId) {
+    try {
+      if (planId === undefined) {
+        throw new APIError('The plan is not known until the billing user refreshes it', 'FAILED_PRECONDITION', 409);
+      }
+      return planId ? await this.getPlanById(planId) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // The context's user's subscription, null without one
+  async getUserSubscription(context) {
+    try {
+      const ctx = await authorizeUser(context, 'subscription.read');
+      return await this.findSubscription(ctx.userId);
     } catch (error) {
       throw error;
     }
   }
 
-  async getUserSubscription(userId) {
+  // A user's subscription, unchecked; callers authorize first
+  async findSubscription(userId) {
     try {
       return await this.getById(userId);
     } catch (error) {
@@ -93,47 +143,77 @@ class SubscriptionsAPI extends BaseCRUD {
     }
   }
 
-  async updateSubscription(userId, updateData) {
+  // context: usually createSystemContext('sync') for billing webhooks
+  async updateSubscription(userId, updateData, context) {
+    try {
+      const ctx = await authorizeUser(context, 'subscription.manage', userId);
+      const subscription = await this.update(userId, updateData, {
+        operation: 'updateSubscription',
+        context: ctx
+      });
+      if (updateData.planId !== undefined) {
+        await this.syncPlanSnapshots(userId, updateData.planId, { context: ctx });
+      }
+      return subscription;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Copy a user's planId onto the organizations they pay for and the
+  // businesses they own. Called whenever a plan changes, with the context
+  // that changed it (options.context); returns how many documents were updated.
+  async syncPlanSnapshots(userId, planId, options = {}) {
     try {
-      const allowedFields = [
-        'planId', 'status', 'billingCycle', 'currentPeriodStart', 'currentPeriodEnd',
-        'stripeCustomerId', 'stripeSubscriptionId', 'stripePaymentMethodId',
-        'cancelAtPeriodEnd', 'cancellationReason'
+      const snapshots = [
+        { api: organizations, field: 'billingUserId' },
+        { api: businesses, field: 'userId' }
       ];
 
-      const filteredData = {};
-      allowedFields.forEach(field => {
-        if (updateData[field] !== undefined) {
-          filteredData[field] = updateData[field];
+      const counts = await Promise.all(snapshots.map(async ({ api, field }) => {
+        const result = await api.getWhere([
+          { field, operator: '==', value: userId }
+        ], { orderByField: null, limitCount: null });
+
+        const stale = result.documents.filter(document => document.planId !== planId);
+        if (stale.length > 0) {
+          await api.batchUpdate(
+            stale.map(document => ({ id: document.id, data: { planId, updatedAt: serverTimestamp() } })),
+            { context: options.context, documents: stale }
+          );
         }
-      });
+        return stale.length;
+      }));
 
-      return await this.update(userId, filteredData);
+      return counts.reduce((sum, count) => sum + count, 0);
     } catch (error) {
       throw error;
     }
   }
 
-  async cancelSubscription(userId, reason = '') {
+  // Cancel the context's user's subscription at the end of the period
+  async cancelSubscription(context, reason = '') {
     try {
-      return await this.update(userId, {
+      const ctx = await authorizeUser(context, 'subscription.cancel');
+      return await this.update(ctx.userId, {
         canceledAt: serverTimestamp(),
         cancelAtPeriodEnd: true,
         cancellationReason: reason
-      });
+      }, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  async reactivateSubscription(userId) {
+  async reactivateSubscription(userId, context) {
     try {
+      const ctx = await authorizeUser(context, 'subscription.manage', userId);
       return await this.update(userId, {
         status: 'active',
         canceledAt: null,
         cancelAtPeriodEnd: false,
         cancellationReason: ''
-      });
+      }, { context: ctx });
     } catch (error) {
       throw error;
     }
@@ -143,8 +223,13 @@ class SubscriptionsAPI extends BaseCRUD {
   // BILLING HISTORY SUBCOLLECTION
   // =====================================================
 
-  async addBillingRecord(userId, billingData) {
+  billingHistory(userId) {
+    return this.subcollection(userId, 'billing_history');
+  }
+
+  async addBillingRecord(userId, billingData, context) {
     try {
+      const ctx = await authorizeUser(context, 'subscription.manage', userId);
       validateRequired(billingData, ['amount', 'currency', 'status']);
 
       const billingDoc = {
@@ -159,28 +244,23 @@ class SubscriptionsAPI extends BaseCRUD {
         createdAt: serverTimestamp()
       };
 
-      const billingRef = collection(db, 'user_subscriptions', userId, 'billing_history');
-      const docRef = await addDoc(billingRef, billingDoc);
-      
-      return { id: docRef.id, ...billingDoc };
+      return await this.billingHistory(userId).create(billingDoc, null, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  async getBillingHistory(userId, options = {}) {
+  // The context's user's invoices, newest first
+  async getBillingHistory(context, options = {}) {
     try {
-      const billingRef = collection(db, 'user_subscriptions', userId, 'billing_history');
-      const q = query(billingRef, orderBy('billingDate', 'desc'));
-
-      const querySnapshot = await getDocs(q);
-      const history = [];
-      
-      querySnapshot.forEach(doc => {
-        history.push({ id: doc.id, ...doc.data() });
+      const ctx = await authorizeUser(context, 'subscription.read');
+      const result = await this.billingHistory(ctx.userId).getAll({
+        orderByField: 'billingDate',
+        orderDirection: 'desc',
+        limitCount: null
       });
 
-      return history;
+      return result.documents;
     } catch (error) {
       throw error;
     }
@@ -207,45 +287,45 @@ export const getPlanById = async (planId) => {
   }
 };
 
-export const createSubscription = async (subscriptionData) => {
+export const createSubscription = async (subscriptionData, context) => {
   try {
-    const result = await subscriptionsAPI.createSubscription(subscriptionData);
+    const result = await subscriptionsAPI.createSubscription(subscriptionData, context);
     return formatResponse(result, 'Subscription created successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getUserSubscription = async (userId) => {
+export const getUserSubscription = async (context) => {
   try {
-    const result = await subscriptionsAPI.getUserSubscription(userId);
+    const result = await subscriptionsAPI.getUserSubscription(context);
     return formatResponse(result, 'User subscription retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateSubscription = async (userId, updateData) => {
+export const updateSubscription = async (userId, updateData, context) => {
   try {
-    const result = await subscriptionsAPI.updateSubscription(userId, updateData);
+    const result = await subscriptionsAPI.updateSubscription(userId, updateData, context);
     return formatResponse(result, 'Subscription updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const cancelSubscription = async (userId, reason) => {
+export const cancelSubscription = async (context, reason) => {
   try {
-    const result = await subscriptionsAPI.cancelSubscription(userId, reason);
+    const result = await subscriptionsAPI.cancelSubscription(context, reason);
     return formatResponse(result, 'Subscription canceled successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getBillingHistory = async (userId, options) => {
+export const getBillingHistory = async (context, options) => {
   try {
-    const result = await subscriptionsAPI.getBillingHistory(userId, options);
+    const result = await subscriptionsAPI.getBillingHistory(context, options);
     return formatResponse(result, 'Billing history retrieved successfully');
   } catch (error) {
     return formatError(error);
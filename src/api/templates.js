@@ -3,20 +3,37 @@
 // Handles reusable response templates for different scenarios
 // =====================================================
 
-import BaseCRUD, { validateRequired, APIError, formatResponse, formatError } from './base.js';
+import BaseCRUD, {
+  validateRequired,
+  increment,
+  pageOptions,
+  allowFields,
+  formatResponse,
+  formatError
+} from './base.js';
+import { toAPIContext, authorize, requirePermission } from './context.js';
+
+// Fields members with canRespond can change through updateTemplate
+const EDITABLE_FIELDS = ['name', 'description', 'templateText', 'category', 'ratingRange', 'keywords', 'variables', 'isDefault'];
 
 class ResponseTemplatesAPI extends BaseCRUD {
   constructor() {
-    super('response_templates');
+    super('response_templates', { cache: { ttlMs: 5 * 60 * 1000 }, softDelete: true, audit: true });
+
+    this.hook('beforeUpdate', requirePermission('template.write'), {
+      operations: ['updateTemplate', 'deleteTemplate', 'restoreTemplate']
+    });
+    this.hook('beforeUpdate', allowFields(EDITABLE_FIELDS), { operations: ['updateTemplate'] });
   }
 
-  // Create new template
-  async createTemplate(templateData) {
+  // Create new template, authored by the context's user
+  async createTemplate(templateData, context) {
     try {
-      validateRequired(templateData, ['userId', 'businessId', 'name', 'templateText', 'category']);
+      validateRequired(templateData, ['businessId', 'name', 'templateText', 'category']);
+      const ctx = await authorize(context, 'template.write', templateData.businessId);
 
       const templateDoc = {
-        userId: templateData.userId,
+        userId: ctx.userId,
         businessId: templateData.businessId,
         name: templateData.name.trim(),
         description: templateData.description?.trim() || '',
@@ -33,18 +50,18 @@ class ResponseTemplatesAPI extends BaseCRUD {
         updatedAt: new Date()
       };
 
-      return await this.create(templateDoc);
+      return await this.create(templateDoc, null, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
   // Get templates for a business
-  async getBusinessTemplates(businessId, options = {}) {
+  async getBusinessTemplates(businessId, context, options = {}) {
     try {
+      await authorize(context, 'template.read', businessId);
       const filters = [
-        { field: 'businessId', operator: '==', value: businessId },
-        { field: 'isActive', operator: '==', value: true }
+        { field: 'businessId', operator: '==', value: businessId }
       ];
 
       if (options.category) {
@@ -54,31 +71,44 @@ class ResponseTemplatesAPI extends BaseCRUD {
       return await this.getWhere(filters, {
         orderByField: options.sortBy || 'usageCount',
         orderDirection: 'desc',
-        limitCount: options.limit || 50
+        includeDeleted: options.includeDeleted,
+        onlyDeleted: options.onlyDeleted,
+        ...pageOptions(options, 50)
       });
     } catch (error) {
       throw error;
     }
   }
 
-  // Update template
-  async updateTemplate(templateId, templateData, userId) {
+  // Update template (canRespond, EDITABLE_FIELDS; see the constructor hooks)
+  async updateTemplate(templateId, templateData, context) {
     try {
-      const template = await this.getById(templateId);
-      if (template.userId !== userId) {
-        throw new APIError('Permission denied', 'PERMISSION_DENIED', 403);
-      }
+      return await this.update(templateId, templateData, {
+        operation: 'updateTemplate',
+        context: toAPIContext(context)
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      const allowedFields = ['name', 'description', 'templateText', 'category', 'ratingRange', 'keywords', 'variables', 'isDefault'];
-      const updateData = {};
-      
-      allowedFields.forEach(field => {
-        if (templateData[field] !== undefined) {
-          updateData[field] = templateData[field];
-        }
+  async deleteTemplate(templateId, context) {
+    try {
+      return await this.softDelete(templateId, {
+        operation: 'deleteTemplate',
+        context: toAPIContext(context)
       });
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      return await this.update(templateId, updateData);
+  async restoreTemplate(templateId, context) {
+    try {
+      return await this.restore(templateId, {
+        operation: 'restoreTemplate',
+        context: toAPIContext(context)
+      });
     } catch (error) {
       throw error;
     }
@@ -88,7 +118,7 @@ class ResponseTemplatesAPI extends BaseCRUD {
   async incrementUsage(templateId) {
     try {
       return await this.update(templateId, {
-        usageCount: this.db.FieldValue.increment(1),
+        usageCount: increment(1),
         lastUsedAt: new Date()
       });
     } catch (error) {
@@ -99,45 +129,49 @@ class ResponseTemplatesAPI extends BaseCRUD {
 
 const templatesAPI = new ResponseTemplatesAPI();
 
-export const createTemplate = async (templateData) => {
+export const createTemplate = async (templateData, context) => {
   try {
-    const result = await templatesAPI.createTemplate(templateData);
+    const result = await templatesAPI.createTemplate(templateData, context);
     return formatResponse(result, 'Template created successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getBusinessTemplates = async (businessId, options) => {
+export const getBusinessTemplates = async (businessId, context, options) => {
   try {
-    const result = await templatesAPI.getBusinessTemplates(businessId, options);
+    const result = await templatesAPI.getBusinessTemplates(businessId, context, options);
     return formatResponse(result, 'Templates retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateTemplate = async (templateId, templateData, userId) => {
+export const updateTemplate = async (templateId, templateData, context) => {
   try {
-    const result = await templatesAPI.updateTemplate(templateId, templateData, userId);
+    const result = await templatesAPI.updateTemplate(templateId, templateData, context);
     return formatResponse(result, 'Template updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const deleteTemplate = async (templateId, userId) => {
+export const deleteTemplate = async (templateId, context) => {
   try {
-    const template = await templatesAPI.getById(templateId);
-    if (template.userId !== userId) {
-      throw new APIError('Permission denied', 'PERMISSION_DENIED', 403);
-    }
-    
-    const result = await templatesAPI.softDelete(templateId);
+    const result = await templatesAPI.deleteTemplate(templateId, context);
     return formatResponse(result, 'Template deleted successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
+export const restoreTemplate = async (templateId, context) => {
+  try {
+    const result = await templatesAPI.restoreTemplate(templateId, context);
+    return formatResponse(result, 'Template restored successfully');
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
 export default templatesAPI;
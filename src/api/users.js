@@ -3,37 +3,45 @@
 // Handles user profile management and authentication data
 // =====================================================
 
-import { 
-  collection,
-  doc,
-  query,
-  where,
-  orderBy,
+import BaseCRUD, {
+  validateRequired,
+  validateEmail,
   serverTimestamp,
-  getDocs
-} from 'firebase/firestore';
-import { db } from '../firebase-config.js';
-import BaseCRUD, { validateRequired, validateEmail, APIError, formatResponse, formatError } from './base.js';
+  APIError,
+  pageOptions,
+  formatResponse,
+  formatError
+} from './base.js';
+import { authorizeUser } from './context.js';
+import { searchIndex, searchCollection } from './search.js';
+
+// Text indexed for searchUsers, with its ranking weight
+export const USER_SEARCH_FIELDS = { firstName: 2, lastName: 2, email: 1 };
 
 class UsersAPI extends BaseCRUD {
   constructor() {
-    super('users');
+    super('users', { softDelete: true });
+
+    this.hook('beforeCreate', searchIndex(USER_SEARCH_FIELDS));
+    this.hook('beforeUpdate', searchIndex(USER_SEARCH_FIELDS));
   }
 
   // =====================================================
   // USER-SPECIFIC CRUD OPERATIONS
   // =====================================================
 
-  // Create new user
-  async createUser(userData, userId) {
+  // Create the context's user's profile, keyed by their userId
+  async createUser(userData, context) {
     try {
+      const ctx = await authorizeUser(context, 'user.update');
+
       // Validate required fields
       validateRequired(userData, ['email', 'firstName']);
       validateEmail(userData.email);
 
-      // Check if email already exists
-      const existingUser = await this.getUserByEmail(userData.email);
-      if (existingUser) {
+      // Check if email already exists. Firebase Auth keeps sign-in emails
+      // unique; other users' profiles can only be searched by backend code.
+      if (ctx.system && await this.getUserByEmail(userData.email)) {
         throw new APIError('Email already exists', 'EMAIL_EXISTS', 409);
       }
 
@@ -54,39 +62,52 @@ class UsersAPI extends BaseCRUD {
         updatedAt: serverTimestamp()
       };
 
-      return await this.create(userDoc, userId);
+      return await this.create(userDoc, ctx.userId, { context: ctx });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // A user's profile: the context's own, or anyone's for system contexts
+  async getUser(userId, context) {
+    try {
+      await authorizeUser(context, 'user.read', userId);
+      return await this.getById(userId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a user by email (lookups across users are for system contexts)
+  async findUserByEmail(email, context) {
+    try {
+      await authorizeUser(context, 'user.admin');
+      return await this.getUserByEmail(email);
     } catch (error) {
       throw error;
     }
   }
 
-  // Get user by email
+  // Get user by email, unchecked; callers authorize first
   async getUserByEmail(email) {
     try {
       validateEmail(email);
       
-      const q = query(
-        this.collectionRef,
-        where('email', '==', email.toLowerCase().trim()),
-        where('isActive', '==', true)
-      );
-      
-      const querySnapshot = await getDocs(q);
-      
-      if (querySnapshot.empty) {
-        return null;
-      }
-      
-      const doc = querySnapshot.docs[0];
-      return { id: doc.id, ...doc.data() };
+      const result = await this.getWhere([
+        { field: 'email', operator: '==', value: email.toLowerCase().trim() }
+      ], { orderByField: null, limitCount: 1 });
+
+      return result.documents[0] || null;
     } catch (error) {
       throw error;
     }
   }
 
-  // Update user profile
-  async updateProfile(userId, profileData) {
+  // Update the context's user's profile
+  async updateProfile(profileData, context) {
     try {
+      const ctx = await authorizeUser(context, 'user.update');
+
       const allowedFields = [
         'firstName', 'lastName', 'phone', 'avatarUrl', 
         'timezone', 'language', 'onboardingCompleted', 'onboardingStep'
@@ -102,155 +123,136 @@ class UsersAPI extends BaseCRUD {
       // Validate email if provided
       if (profileData.email) {
         validateEmail(profileData.email);
-        // Check if email is already taken by another user
-        const existingUser = await this.getUserByEmail(profileData.email);
-        if (existingUser && existingUser.id !== userId) {
+        // Check if email is already taken by another user (see createUser)
+        const existingUser = ctx.system && await this.getUserByEmail(profileData.email);
+        if (existingUser && existingUser.id !== ctx.userId) {
           throw new APIError('Email already exists', 'EMAIL_EXISTS', 409);
         }
         updateData.email = profileData.email.toLowerCase().trim();
       }
 
-      return await this.update(userId, updateData);
+      return await this.update(ctx.userId, updateData, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  // Update last login timestamp
-  async updateLastLogin(userId) {
+  // Update the context's user's last login timestamp
+  async updateLastLogin(context) {
     try {
-      return await this.update(userId, {
+      const ctx = await authorizeUser(context, 'user.update');
+
+      return await this.update(ctx.userId, {
         lastLoginAt: serverTimestamp()
-      });
+      }, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  // Verify email
-  async verifyEmail(userId) {
+  // Verify email (system contexts, once the auth provider confirms it)
+  async verifyEmail(userId, context) {
     try {
+      const ctx = await authorizeUser(context, 'user.admin', userId);
+
       return await this.update(userId, {
         emailVerified: true
-      });
+      }, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  // Complete onboarding
-  async completeOnboarding(userId, onboardingData = {}) {
+  // Complete the context's user's onboarding
+  async completeOnboarding(onboardingData = {}, context) {
     try {
+      const ctx = await authorizeUser(context, 'user.update');
+
       const updateData = {
         onboardingCompleted: true,
         onboardingStep: 0,
         ...onboardingData
       };
 
-      return await this.update(userId, updateData);
+      return await this.update(ctx.userId, updateData, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  // Deactivate user (soft delete)
-  async deactivateUser(userId) {
+  // Deactivate user (soft delete, admin function)
+  async deactivateUser(userId, context) {
     try {
+      const ctx = await authorizeUser(context, 'user.admin', userId);
+
       return await this.update(userId, {
         isActive: false,
         deactivatedAt: serverTimestamp()
-      });
+      }, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  // Reactivate user
-  async reactivateUser(userId) {
+  // Reactivate user (admin function)
+  async reactivateUser(userId, context) {
     try {
+      const ctx = await authorizeUser(context, 'user.admin', userId);
+
       return await this.update(userId, {
         isActive: true,
         reactivatedAt: serverTimestamp()
-      });
+      }, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
   // Get active users (admin function)
-  async getActiveUsers(options = {}) {
+  async getActiveUsers(context, options = {}) {
     try {
-      const filters = [
-        { field: 'isActive', operator: '==', value: true }
-      ];
+      await authorizeUser(context, 'user.admin');
 
-      return await this.getWhere(filters, {
+      return await this.getWhere([], {
         orderByField: 'createdAt',
         orderDirection: 'desc',
-        limitCount: options.limit || 25,
-        startAfterDoc: options.startAfter || null
+        ...pageOptions(options)
       });
     } catch (error) {
       throw error;
     }
   }
 
-  // Search users by name or email (admin function)
-  async searchUsers(searchTerm, options = {}) {
+  // Search users by name or email, best matches first (admin function).
+  // options: limit, pageToken.
+  async searchUsers(searchTerm, context, options = {}) {
     try {
-      if (!searchTerm || searchTerm.trim().length < 2) {
-        throw new APIError('Search term must be at least 2 characters', 'VALIDATION_ERROR', 400);
-      }
-
-      const term = searchTerm.toLowerCase().trim();
-      
-      // Note: Firestore doesn't support full-text search natively
-      // This is a simplified search - in production, consider using Algolia or similar
-      const filters = [
-        { field: 'isActive', operator: '==', value: true }
-      ];
+      await authorizeUser(context, 'user.admin');
 
-      const results = await this.getWhere(filters, {
-        orderByField: 'createdAt',
-        orderDirection: 'desc',
-        limitCount: options.limit || 50
-      });
-
-      // Filter results client-side for name/email matching
-      const filteredDocs = results.documents.filter(user => {
-        const fullName = `${user.firstName} ${user.lastName}`.toLowerCase();
-        const email = user.email.toLowerCase();
-        
-        return fullName.includes(term) || 
-               email.includes(term) ||
-               user.firstName.toLowerCase().includes(term) ||
-               user.lastName.toLowerCase().includes(term);
+      return await searchCollection(this, searchTerm, {
+        fields: USER_SEARCH_FIELDS,
+        tieBreaker: 'createdAt',
+        limit: options.limit,
+        pageToken: options.pageToken
       });
-
-      return {
-        documents: filteredDocs,
-        hasMore: false // Client-side filtering doesn't support pagination
-      };
     } catch (error) {
       throw error;
     }
   }
 
   // Get user statistics (admin function)
-  async getUserStats() {
+  async getUserStats(context) {
     try {
-      const activeUsers = await this.count([
-        { field: 'isActive', operator: '==', value: true }
-      ]);
-
-      const verifiedUsers = await this.count([
-        { field: 'isActive', operator: '==', value: true },
-        { field: 'emailVerified', operator: '==', value: true }
-      ]);
-
-      const onboardedUsers = await this.count([
-        { field: 'isActive', operator: '==', value: true },
-        { field: 'onboardingCompleted', operator: '==', value: true }
+      await authorizeUser(context, 'user.admin');
+
+      const [activeUsers, verifiedUsers, onboardedUsers] = await Promise.all([
+        this.count(),
+        this.count([
+          { field: 'emailVerified', operator: '==', value: true }
+        ]),
+        this.count([
+          { field: 'onboardingCompleted', operator: '==', value: true }
+        ])
       ]);
 
       return {
@@ -269,9 +271,14 @@ class UsersAPI extends BaseCRUD {
   // USER SESSIONS SUBCOLLECTION
   // =====================================================
 
-  // Create user session
-  async createSession(userId, sessionData) {
+  sessions(userId) {
+    return this.subcollection(userId, 'sessions');
+  }
+
+  // Create a session for the context's user
+  async createSession(sessionData, context) {
     try {
+      const ctx = await authorizeUser(context, 'user.update');
       validateRequired(sessionData, ['tokenHash', 'deviceInfo']);
 
       const sessionDoc = {
@@ -283,46 +290,37 @@ class UsersAPI extends BaseCRUD {
         createdAt: serverTimestamp()
       };
 
-      const sessionRef = collection(db, 'users', userId, 'sessions');
-      const docRef = await addDoc(sessionRef, sessionDoc);
-      
-      return { id: docRef.id, ...sessionDoc };
+      return await this.sessions(ctx.userId).create(sessionDoc, null, { context: ctx });
     } catch (error) {
       throw error;
     }
   }
 
-  // Get user sessions
-  async getUserSessions(userId, options = {}) {
+  // Get the context's user's active sessions
+  async getUserSessions(context) {
     try {
-      const sessionRef = collection(db, 'users', userId, 'sessions');
-      const q = query(
-        sessionRef,
-        where('isActive', '==', true),
-        orderBy('createdAt', 'desc')
-      );
+      const ctx = await authorizeUser(context, 'user.read');
 
-      const querySnapshot = await getDocs(q);
-      const sessions = [];
-      
-      querySnapshot.forEach(doc => {
-        sessions.push({ id: doc.id, ...doc.data() });
-      });
+      const result = await this.sessions(ctx.userId).getWhere(
+        [{ field: 'isActive', operator: '==', value: true }],
+        { orderByField: 'createdAt', orderDirection: 'desc', limitCount: null }
+      );
 
-      return sessions;
+      return result.documents;
     } catch (error) {
       throw error;
     }
   }
 
-  // Revoke user session
-  async revokeSession(userId, sessionId) {
+  // Revoke one of the context's user's sessions
+  async revokeSession(sessionId, context) {
     try {
-      const sessionRef = doc(db, 'users', userId, 'sessions', sessionId);
-      await updateDoc(sessionRef, {
+      const ctx = await authorizeUser(context, 'user.update');
+
+      await this.sessions(ctx.userId).update(sessionId, {
         isActive: false,
         revokedAt: serverTimestamp()
-      });
+      }, { context: ctx });
 
       return { success: true, sessionId };
     } catch (error) {
@@ -330,18 +328,18 @@ class UsersAPI extends BaseCRUD {
     }
   }
 
-  // Revoke all user sessions
-  async revokeAllSessions(userId) {
+  // Revoke all of the context's user's sessions
+  async revokeAllSessions(context) {
     try {
-      const sessions = await this.getUserSessions(userId);
-      const results = [];
+      const ctx = await authorizeUser(context, 'user.update');
+      const sessions = await this.getUserSessions(ctx);
 
-      for (const session of sessions) {
-        const result = await this.revokeSession(userId, session.id);
-        results.push(result);
-      }
+      await this.sessions(ctx.userId).batchUpdate(sessions.map(session => ({
+        id: session.id,
+        data: { isActive: false, revokedAt: serverTimestamp() }
+      })), { context: ctx });
 
-      return results;
+      return sessions.map(session => ({ success: true, sessionId: session.id }));
     } catch (error) {
       throw error;
     }
@@ -355,108 +353,108 @@ class UsersAPI extends BaseCRUD {
 const usersAPI = new UsersAPI();
 
 // User management functions
-export const createUser = async (userData, userId) => {
+export const createUser = async (userData, context) => {
   try {
-    const result = await usersAPI.createUser(userData, userId);
+    const result = await usersAPI.createUser(userData, context);
     return formatResponse(result, 'User created successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getUserById = async (userId) => {
+export const getUserById = async (userId, context) => {
   try {
-    const result = await usersAPI.getById(userId);
+    const result = await usersAPI.getUser(userId, context);
     return formatResponse(result, 'User retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getUserByEmail = async (email) => {
+export const getUserByEmail = async (email, context) => {
   try {
-    const result = await usersAPI.getUserByEmail(email);
+    const result = await usersAPI.findUserByEmail(email, context);
     return formatResponse(result, 'User retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateUserProfile = async (userId, profileData) => {
+export const updateUserProfile = async (profileData, context) => {
   try {
-    const result = await usersAPI.updateProfile(userId, profileData);
+    const result = await usersAPI.updateProfile(profileData, context);
     return formatResponse(result, 'User profile updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const updateLastLogin = async (userId) => {
+export const updateLastLogin = async (context) => {
   try {
-    const result = await usersAPI.updateLastLogin(userId);
+    const result = await usersAPI.updateLastLogin(context);
     return formatResponse(result, 'Last login updated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const verifyUserEmail = async (userId) => {
+export const verifyUserEmail = async (userId, context) => {
   try {
-    const result = await usersAPI.verifyEmail(userId);
+    const result = await usersAPI.verifyEmail(userId, context);
     return formatResponse(result, 'Email verified successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const completeUserOnboarding = async (userId, onboardingData) => {
+export const completeUserOnboarding = async (onboardingData, context) => {
   try {
-    const result = await usersAPI.completeOnboarding(userId, onboardingData);
+    const result = await usersAPI.completeOnboarding(onboardingData, context);
     return formatResponse(result, 'Onboarding completed successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const deactivateUser = async (userId) => {
+export const deactivateUser = async (userId, context) => {
   try {
-    const result = await usersAPI.deactivateUser(userId);
+    const result = await usersAPI.deactivateUser(userId, context);
     return formatResponse(result, 'User deactivated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const reactivateUser = async (userId) => {
+export const reactivateUser = async (userId, context) => {
   try {
-    const result = await usersAPI.reactivateUser(userId);
+    const result = await usersAPI.reactivateUser(userId, context);
     return formatResponse(result, 'User reactivated successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getActiveUsers = async (options) => {
+export const getActiveUsers = async (context, options) => {
   try {
-    const result = await usersAPI.getActiveUsers(options);
+    const result = await usersAPI.getActiveUsers(context, options);
     return formatResponse(result, 'Active users retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const searchUsers = async (searchTerm, options) => {
+export const searchUsers = async (searchTerm, context, options) => {
   try {
-    const result = await usersAPI.searchUsers(searchTerm, options);
+    const result = await usersAPI.searchUsers(searchTerm, context, options);
     return formatResponse(result, 'User search completed successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getUserStats = async () => {
+export const getUserStats = async (context) => {
   try {
-    const result = await usersAPI.getUserStats();
+    const result = await usersAPI.getUserStats(context);
     return formatResponse(result, 'User statistics retrieved successfully');
   } catch (error) {
     return formatError(error);
@@ -464,36 +462,36 @@ export const getUserStats = async () => {
 };
 
 // Session management functions
-export const createUserSession = async (userId, sessionData) => {
+export const createUserSession = async (sessionData, context) => {
   try {
-    const result = await usersAPI.createSession(userId, sessionData);
+    const result = await usersAPI.createSession(sessionData, context);
     return formatResponse(result, 'Session created successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const getUserSessions = async (userId, options) => {
+export const getUserSessions = async (context) => {
   try {
-    const result = await usersAPI.getUserSessions(userId, options);
+    const result = await usersAPI.getUserSessions(context);
     return formatResponse(result, 'Sessions retrieved successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const revokeUserSession = async (userId, sessionId) => {
+export const revokeUserSession = async (sessionId, context) => {
   try {
-    const result = await usersAPI.revokeSession(userId, sessionId);
+    const result = await usersAPI.revokeSession(sessionId, context);
     return formatResponse(result, 'Session revoked successfully');
   } catch (error) {
     return formatError(error);
   }
 };
 
-export const revokeAllUserSessions = async (userId) => {
+export const revokeAllUserSessions = async (context) => {
   try {
-    const result = await usersAPI.revokeAllSessions(userId);
+    const result = await usersAPI.revokeAllSessions(context);
     return formatResponse(result, 'All sessions revoked successfully');
   } catch (error) {
     return formatError(error);
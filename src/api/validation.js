@@ -0,0 +1,214 @@
+// =====================================================
+// SCHEMA VALIDATION
+// Compiles collectionSchemas (+ constraints) into document validators
+// =====================================================
+
+import { Timestamp } from 'firebase/firestore';
+import { collectionSchemas, collectionConstraints } from '../firestore-schema.js';
+import { isFieldValue, isPlainObject } from './storage/field-values.js';
+
+// Field types used in collectionSchemas. A nested object literal in a schema
+// describes a map whose own fields are validated; 'object' is a free-form map.
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  timestamp: value => value instanceof Timestamp
+    || (value instanceof Date && !Number.isNaN(value.getTime()))
+    || typeof value?.toDate === 'function',
+  array: value => Array.isArray(value),
+  object: value => isPlainObject(value),
+  map: value => isPlainObject(value)
+};
+
+// Which field types each storage sentinel may be written to
+const SENTINEL_TYPES = {
+  serverTimestamp: ['timestamp'],
+  increment: ['number'],
+  arrayUnion: ['array'],
+  arrayRemove: ['array']
+};
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date || value instanceof Timestamp) return 'timestamp';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return typeof value;
+};
+
+// =====================================================
+// COMPILATION
+// =====================================================
+
+// definition: a collectionSchemas entry. constraints: { 'dotted.path': { required,
+// enum, min, max, integer, minLength, maxLength } }, length applies to strings and arrays.
+export const compileSchema = (definition, constraints = {}) => {
+  const compileFields = (fields, prefix) => {
+    const compiled = {};
+    Object.keys(fields).forEach(name => {
+      const path = prefix ? `${prefix}.${name}` : name;
+      const spec = fields[name];
+      const rule = { path, ...(constraints[path] || {}) };
+
+      if (isPlainObject(spec)) {
+        rule.type = 'map';
+        rule.fields = compileFields(spec, path);
+      } else if (TYPE_CHECKS[spec]) {
+        rule.type = spec;
+      } else {
+        throw new TypeError(`Unknown schema type "${spec}" for field ${path}`);
+      }
+      compiled[name] = rule;
+    });
+    return compiled;
+  };
+
+  const isDeclared = (path) => {
+    let current = definition;
+    for (const key of path.split('.')) {
+      if (!isPlainObject(current) || current[key] === undefined) {
+        return false;
+      }
+      current = current[key];
+    }
+    return true;
+  };
+
+  const undeclared = Object.keys(constraints).filter(path => !isDeclared(path));
+  if (undeclared.length > 0) {
+    throw new TypeError(`Constraints reference fields missing from the schema: ${undeclared.join(', ')}`);
+  }
+
+  return createValidator(compileFields(definition, ''));
+};
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+const checkValue = (rule, value, errors, { requireAll }) => {
+  const fail = (code, message, extra = {}) => errors.push({ field: rule.path, code, message, ...extra });
+
+  if (value === undefined) {
+    if (requireAll && rule.required) {
+      fail('required', `${rule.path} is required`);
+    }
+    return;
+  }
+
+  if (value === null || (rule.required && typeof value === 'string' && value.trim() === '')) {
+    if (rule.required) {
+      fail('required', `${rule.path} is required`);
+    }
+    return;
+  }
+
+  if (isFieldValue(value)) {
+    if (value.kind === 'delete') {
+      if (rule.required) {
+        fail('required', `${rule.path} is required and cannot be deleted`);
+      }
+    } else if (!(SENTINEL_TYPES[value.kind] || []).includes(rule.type)) {
+      fail('type', `${rule.path} cannot be set with ${value.kind}()`, { expected: rule.type });
+    }
+    return;
+  }
+
+  if (!TYPE_CHECKS[rule.type](value)) {
+    const expected = rule.type === 'map' ? 'object' : rule.type;
+    fail('type', `${rule.path} must be a ${expected}`, { expected, received: describeType(value) });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail('enum', `${rule.path} must be one of: ${rule.enum.join(', ')}`, { allowed: rule.enum });
+  }
+
+  if (rule.type === 'number') {
+    if (rule.integer && !Number.isInteger(value)) {
+      fail('integer', `${rule.path} must be a whole number`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      fail('min', `${rule.path} must be at least ${rule.min}`, { min: rule.min });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      fail('max', `${rule.path} must be at most ${rule.max}`, { max: rule.max });
+    }
+  }
+
+  if (rule.type === 'string' || rule.type === 'array') {
+    const unit = rule.type === 'string' ? 'characters' : 'items';
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail('minLength', `${rule.path} must have at least ${rule.minLength} ${unit}`, { minLength: rule.minLength });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      fail('maxLength', `${rule.path} must have at most ${rule.maxLength} ${unit}`, { maxLength: rule.maxLength });
+    }
+  }
+
+  if (rule.type === 'map') {
+    checkFields(rule.fields, value, errors, { requireAll });
+  }
+};
+
+// Fields missing from the schema are allowed; only declared fields are checked
+const checkFields = (fields, data, errors, { requireAll }) => {
+  Object.keys(fields).forEach(name => {
+    checkValue(fields[name], data[name], errors, { requireAll });
+  });
+};
+
+// Follow a dotted update path ('response.hasResponse') through nested maps
+const resolveRule = (fields, path) => {
+  const segments = path.split('.');
+  let rule = null;
+  let current = fields;
+  for (const segment of segments) {
+    rule = current?.[segment];
+    if (!rule) {
+      return null;
+    }
+    current = rule.fields;
+  }
+  return rule;
+};
+
+// mode 'create': a complete document, required fields must be present.
+// mode 'update': keys may be dotted paths; each value given replaces that field whole.
+// mode 'merge': a set({ merge: true }), nested maps are merged so only given fields are checked.
+const createValidator = (fields) => (data, { mode = 'create' } = {}) => {
+  const errors = [];
+
+  if (mode === 'create') {
+    checkFields(fields, data, errors, { requireAll: true });
+  } else {
+    Object.keys(data).forEach(key => {
+      const rule = resolveRule(fields, key);
+      if (rule) {
+        checkValue(rule, data[key], errors, { requireAll: mode === 'update' });
+      }
+    });
+  }
+
+  return errors;
+};
+
+// =====================================================
+// COLLECTION REGISTRY
+// =====================================================
+
+const registry = new Map();
+
+// Add or replace the schema for a collection (e.g. one not in collectionSchemas)
+export const registerSchema = (collectionName, definition, constraints = {}) => {
+  registry.set(collectionName, compileSchema(definition, constraints));
+};
+
+// Compiled validator for a collection, or null when it has no schema
+export const getCollectionValidator = (collectionName) => {
+  if (!registry.has(collectionName) && collectionSchemas[collectionName]) {
+    registerSchema(collectionName, collectionSchemas[collectionName], collectionConstraints[collectionName]);
+  }
+  return registry.get(collectionName) || null;
+};
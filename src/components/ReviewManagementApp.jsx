@@ -1,10 +1,17 @@
-import React, { useState, useEffect } from 'react';
-import { Star, Bell, MessageSquare, Settings, BarChart3, Search, Filter, Send, AlertTriangle, CheckCircle, Clock, ExternalLink, Plus, ArrowUpRight } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Star, Bell, MessageSquare, Settings, BarChart3, Search, Filter, Send, AlertTriangle, CheckCircle, Clock, ExternalLink, Plus, ArrowUpRight, ChevronLeft, ChevronRight } from 'lucide-react';
 
 // Import our Firebase APIs directly
-import { getBusinessReviews, getReviewStats } from '../api/reviews.js';
+import { subscribeToBusinessReviews, searchReviews, getReviewStats } from '../api/reviews.js';
+import { responseCategory } from '../api/sentiment.js';
 import { createResponse } from '../api/responses.js';
-import { getBusinessesByUser } from '../api/businesses.js';
+import { getBusinessesForUser } from '../api/businesses.js';
+import { createAPIContext } from '../api/context.js';
+import { useDemoAuth } from '../contexts/DemoAuthContext';
+
+const REVIEWS_PAGE_SIZE = 25;
+// Wait for typing to pause before searching
+const SEARCH_DEBOUNCE_MS = 300;
 
 const ReviewManagementApp = () => {
   // State management
@@ -14,8 +21,16 @@ const ReviewManagementApp = () => {
   const [selectedReview, setSelectedReview] = useState(null);
   const [responseText, setResponseText] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  // searchTerm once typing pauses; non-empty switches the list to search results
+  const [searchQuery, setSearchQuery] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
   const [loading, setLoading] = useState(true);
+  // Tokens of the pages visited so far (null = first page); the last one is shown
+  const [pageHistory, setPageHistory] = useState([null]);
+  const [nextPageToken, setNextPageToken] = useState(null);
+  // Search matched more reviews than it ranks (MAX_SEARCH_CANDIDATES)
+  const [searchTruncated, setSearchTruncated] = useState(false);
+  const pageToken = pageHistory[pageHistory.length - 1];
   const [stats, setStats] = useState({
     total: 0,
     flagged: 0,
@@ -23,79 +38,127 @@ const ReviewManagementApp = () => {
     responseRate: 0
   });
 
-  // Demo user ID - in real app, this would come from authentication
-  const userId = 'demo_user_123';
+  // The signed-in user (the demo provider stands in for Firebase Auth)
+  const { user } = useDemoAuth();
+  // Who API calls are made as; checked against the user's business permissions
+  const apiContext = useMemo(() => (user ? createAPIContext(user) : null), [user]);
 
-  // Load initial data
+  // Load initial data once signed in
   useEffect(() => {
-    loadBusinesses();
-  }, []);
+    if (apiContext) {
+      loadBusinesses();
+    }
+  }, [apiContext]);
 
   useEffect(() => {
     if (selectedBusiness) {
-      loadReviews();
       loadStats();
     }
-  }, [selectedBusiness, searchTerm, filterStatus]);
+  }, [selectedBusiness]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearchQuery(searchTerm.trim().length >= 2 ? searchTerm.trim() : '');
+      setPageHistory([null]);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Search results, ranked by relevance, with the same filters as the live list
+  useEffect(() => {
+    if (!selectedBusiness || !searchQuery) return;
+
+    setLoading(true);
+    let cancelled = false;
+
+    searchReviews(selectedBusiness.id, searchQuery, apiContext, buildReviewOptions()).then((response) => {
+      if (cancelled) return;
+      if (response.success) {
+        setReviews(response.data.documents || []);
+        setNextPageToken(response.data.nextPageToken);
+        setSearchTruncated(response.data.truncated);
+      } else {
+        console.error('Error searching reviews:', response.error);
+      }
+      setLoading(false);
+    });
+
+    return () => { cancelled = true; };
+  }, [selectedBusiness, filterStatus, pageToken, searchQuery]);
+
+  // Live review list: updates as reviews arrive from syncs or get responded to
+  useEffect(() => {
+    if (!selectedBusiness || searchQuery) return;
+
+    setLoading(true);
+    let initial = true;
+
+    const unsubscribe = subscribeToBusinessReviews(selectedBusiness.id, apiContext, buildReviewOptions(), (response) => {
+      if (response.success) {
+        setReviews(response.data.documents || []);
+        setNextPageToken(response.data.nextPageToken);
+
+        // Stats only change when reviews do, so skip their cache then
+        if (!initial) {
+          loadStats({ cache: false });
+        }
+      } else {
+        console.error('Error loading reviews:', response.error);
+      }
+      initial = false;
+      setLoading(false);
+    });
+
+    return unsubscribe;
+  }, [selectedBusiness, filterStatus, pageToken, searchQuery]);
 
   const loadBusinesses = async () => {
     try {
-      const response = await getBusinessesByUser(userId);
+      const response = await getBusinessesForUser(apiContext);
       if (response.success && response.data.documents.length > 0) {
         setBusinesses(response.data.documents);
-        setSelectedBusiness(response.data.documents[0]); // Select first business
+        selectBusiness(response.data.documents[0]); // Select first business
       }
     } catch (error) {
       console.error('Error loading businesses:', error);
     }
   };
 
-  const loadReviews = async () => {
-    if (!selectedBusiness) return;
-    
-    setLoading(true);
-    try {
-      const options = {
-        limit: 50,
-        includeArchived: false
-      };
-
-      // Add filters based on current filter status
-      if (filterStatus === 'flagged') {
-        options.flagged = true;
-      } else if (filterStatus === 'pending') {
-        options.flagged = true;
-        options.hasResponse = false;
-      } else if (filterStatus === 'responded') {
-        options.hasResponse = true;
-      }
+  // Page tokens belong to one business's list, so paging restarts with the
+  // business (in the same render, so the old token is never sent for it)
+  const selectBusiness = (business) => {
+    setSelectedBusiness(business);
+    setPageHistory([null]);
+    setNextPageToken(null);
+  };
 
-      const response = await getBusinessReviews(selectedBusiness.id, options);
-      if (response.success) {
-        let reviewData = response.data.documents || [];
-        
-        // Client-side search filter
-        if (searchTerm) {
-          reviewData = reviewData.filter(review => 
-            review.text.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            review.author.name.toLowerCase().includes(searchTerm.toLowerCase())
-          );
-        }
+  const buildReviewOptions = () => {
+    const options = {
+      limit: REVIEWS_PAGE_SIZE,
+      pageToken,
+      includeArchived: false
+    };
 
-        setReviews(reviewData);
-      }
-    } catch (error) {
-      console.error('Error loading reviews:', error);
-    } finally {
-      setLoading(false);
+    // Add filters based on current filter status
+    if (filterStatus === 'flagged') {
+      options.flagged = true;
+    } else if (filterStatus === 'pending') {
+      options.flagged = true;
+      options.hasResponse = false;
+    } else if (filterStatus === 'responded') {
+      options.hasResponse = true;
+    } else if (filterStatus === 'mismatched') {
+      options.mismatched = true;
     }
+
+    return options;
   };
 
-  const loadStats = async () => {
+  const loadStats = async (options) => {
     if (!selectedBusiness) return;
     
     try {
-      const response = await getReviewStats(selectedBusiness.id);
+      const response = await getReviewStats(selectedBusiness.id, apiContext, options);
       if (response.success) {
         setStats({
           total: response.data.total || 0,
@@ -122,7 +185,8 @@ const ReviewManagementApp = () => {
       ]
     };
 
-    const responseType = review.rating <= 3 ? 'negative' : 'positive';
+    // Follows the text when it contradicts the stars
+    const responseType = responseCategory(review) === 'positive' ? 'positive' : 'negative';
     const suggestions = responses[responseType];
     return suggestions[Math.floor(Math.random() * suggestions.length)];
   };
@@ -139,16 +203,14 @@ const ReviewManagementApp = () => {
       const responseData = {
         reviewId: selectedReview.id,
         businessId: selectedBusiness.id,
-        userId: userId,
         responseText: responseText.trim(),
         responseType: 'manual' // or 'ai_generated' if using AI
       };
 
-      const response = await createResponse(responseData);
+      const response = await createResponse(responseData, apiContext);
       if (response.success) {
-        // Refresh reviews to show updated response status
-        await loadReviews();
-        
+        // The review subscription picks up the updated response status
+
         // Close modal and reset
         setSelectedReview(null);
         setResponseText('');
@@ -162,8 +224,6 @@ const ReviewManagementApp = () => {
     }
   };
 
-  const filteredReviews = reviews; // Already filtered in loadReviews
-
   const PlatformBadge = ({ platform }) => {
     const config = {
       google: { color: 'bg-blue-50 text-blue-700 border-blue-200', icon: '🔍' },
@@ -223,6 +283,15 @@ const ReviewManagementApp = () => {
                   </span>
                 )}
                 
+                {review.analysis?.isRatingMismatch && (
+                  <span
+                    className="inline-flex items-center px-2 py-1 rounded-md text-xs font-medium bg-amber-50 text-amber-700 border border-amber-200"
+                    title="The text doesn't match the star rating"
+                  >
+                    Rating mismatch
+                  </span>
+                )}
+                
                 {review.response?.hasResponse && (
                   <span className="inline-flex items-center px-2 py-1 rounded-md text-xs font-medium bg-green-50 text-green-700 border border-green-200">
                     <CheckCircle className="w-3 h-3 mr-1" />
@@ -434,13 +503,17 @@ const ReviewManagementApp = () => {
             
             <select
               value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
+              onChange={(e) => {
+                setFilterStatus(e.target.value);
+                setPageHistory([null]);
+              }}
               className="px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="all">All Reviews</option>
               <option value="flagged">Flagged</option>
               <option value="pending">Need Response</option>
               <option value="responded">Responded</option>
+              <option value="mismatched">Rating Mismatch</option>
             </select>
 
             <button className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors">
@@ -450,6 +523,12 @@ const ReviewManagementApp = () => {
           </div>
         </div>
 
+        {!loading && searchQuery && searchTruncated && (
+          <p className="text-sm text-gray-500 mb-3">
+            Too many reviews match; only some were searched. Add words or filters to narrow it down.
+          </p>
+        )}
+
         {/* Reviews */}
         {loading ? (
           <div className="flex items-center justify-center py-12">
@@ -457,13 +536,39 @@ const ReviewManagementApp = () => {
           </div>
         ) : (
           <div className="space-y-3">
-            {filteredReviews.map(review => (
+            {reviews.map(review => (
               <ReviewCard key={review.id} review={review} />
             ))}
           </div>
         )}
 
-        {!loading && filteredReviews.length === 0 && (
+        {!loading && (pageHistory.length > 1 || nextPageToken) && (
+          <div className="flex items-center justify-between mt-6">
+            <span className="text-sm text-gray-500">
+              Page {pageHistory.length}
+            </span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPageHistory(pageHistory.slice(0, -1))}
+                disabled={pageHistory.length === 1}
+                className="flex items-center gap-1 px-3 py-2 text-sm border border-gray-200 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="w-4 h-4" />
+                Previous
+              </button>
+              <button
+                onClick={() => setPageHistory([...pageHistory, nextPageToken])}
+                disabled={!nextPageToken}
+                className="flex items-center gap-1 px-3 py-2 text-sm border border-gray-200 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!loading && reviews.length === 0 && (
           <div className="text-center py-12">
             <MessageSquare className="w-12 h-12 text-gray-300 mx-auto mb-4" />
             <h3 className="text-lg font-medium text-gray-900 mb-2">No reviews found</h3>
@@ -0,0 +1,144 @@
+// =====================================================
+// DEMO DATA
+// Seed for the in-memory storage adapter (npm run dev:demo)
+// =====================================================
+
+import { Timestamp } from 'firebase/firestore';
+import { SEARCH_FIELD, buildSearchKeywords } from './api/search.js';
+import { USER_SEARCH_FIELDS } from './api/users.js';
+import { BUSINESS_SEARCH_FIELDS } from './api/businesses.js';
+import { REVIEW_SEARCH_FIELDS } from './api/reviews.js';
+import { analyzeReview } from './api/sentiment.js';
+
+const DEMO_USER_ID = 'demo_user_123';
+const DEMO_BUSINESS_ID = 'demo_business_pizza';
+
+const daysAgo = (days) => Timestamp.fromDate(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+
+// Seeded documents skip the API's hooks, so their search index is built here
+const indexed = (document, fields) => ({ ...document, [SEARCH_FIELD]: buildSearchKeywords(document, fields) });
+
+const createDemoReview = ({ platform, rating, text, authorName, days, flagReason = null, keywords = [], priorityScore }) => indexed({
+  businessId: DEMO_BUSINESS_ID,
+  platform,
+  platformReviewId: `${platform}_${authorName.toLowerCase().replace(/\s+/g, '_')}`,
+  platformUrl: '',
+  rating,
+  title: '',
+  text,
+  author: {
+    name: authorName,
+    username: '',
+    avatarUrl: '',
+    location: '',
+    reviewCount: 3
+  },
+  reviewDate: daysAgo(days),
+  lastUpdatedDate: daysAgo(days),
+  flagging: {
+    isFlagged: !!flagReason,
+    reason: flagReason,
+    keywords,
+    flaggedAt: flagReason ? daysAgo(days) : null
+  },
+  analysis: {
+    languageDetected: 'en',
+    isSpam: false,
+    spamConfidence: 0,
+    ...analyzeReview({ rating, text }, 'en'),
+    analyzedAt: daysAgo(days)
+  },
+  metadata: {
+    helpfulVotes: 0,
+    totalVotes: 0,
+    isVerifiedPurchase: false,
+    hasPhotos: false,
+    hasVideo: false
+  },
+  response: {
+    hasResponse: false,
+    responseCount: 0,
+    lastResponseAt: null
+  },
+  isArchived: false,
+  priorityScore,
+  createdAt: daysAgo(days),
+  updatedAt: daysAgo(days)
+}, REVIEW_SEARCH_FIELDS);
+
+export const demoCollections = {
+  users: {
+    [DEMO_USER_ID]: indexed({
+      email: 'demo@example.com',
+      firstName: 'Demo',
+      lastName: 'User',
+      phone: '',
+      avatarUrl: '',
+      emailVerified: true,
+      isActive: true,
+      onboardingCompleted: true,
+      onboardingStep: 0,
+      timezone: 'America/New_York',
+      language: 'en',
+      createdAt: daysAgo(60),
+      updatedAt: daysAgo(1)
+    }, USER_SEARCH_FIELDS)
+  },
+
+  businesses: {
+    [DEMO_BUSINESS_ID]: indexed({
+      userId: DEMO_USER_ID,
+      name: 'Amazing Pizza Palace (Demo)',
+      description: 'Offline demo business served from the in-memory adapter',
+      category: 'restaurant',
+      industry: 'food_service',
+      city: 'Demo City',
+      specialties: ['pizza', 'pasta'],
+      brandVoice: 'friendly',
+      isActive: true,
+      verificationStatus: 'verified',
+      createdAt: daysAgo(60),
+      updatedAt: daysAgo(1)
+    }, BUSINESS_SEARCH_FIELDS)
+  },
+
+  reviews: {
+    demo_review_1: createDemoReview({
+      platform: 'google',
+      rating: 5,
+      text: 'Best pizza in town! The crust is perfect and the staff are lovely.',
+      authorName: 'Sarah Johnson',
+      days: 1,
+      priorityScore: 4
+    }),
+    demo_review_2: createDemoReview({
+      platform: 'yelp',
+      rating: 1,
+      text: 'Waited an hour for a cold pizza and the manager was rude about it. Terrible service.',
+      authorName: 'Mike Chen',
+      days: 2,
+      flagReason: 'negative_keywords',
+      keywords: ['rude', 'terrible'],
+      priorityScore: 10
+    }),
+    demo_review_3: createDemoReview({
+      platform: 'facebook',
+      rating: 4,
+      text: 'Great food, a little noisy on Friday nights.',
+      authorName: 'Emily Davis',
+      days: 4,
+      priorityScore: 5
+    }),
+    demo_review_4: createDemoReview({
+      platform: 'google',
+      rating: 2,
+      text: 'Toppings were sparse for the price.',
+      authorName: 'Robert Wilson',
+      days: 6,
+      flagReason: 'low_rating',
+      priorityScore: 8
+    })
+  }
+};
+
+export default demoCollections;
@@ -150,11 +150,13 @@ export const collectionSchemas = {
     avatarUrl: "string",
     emailVerified: "boolean",
     isActive: "boolean",
+    deletedAt: "timestamp",
     lastLoginAt: "timestamp",
     onboardingCompleted: "boolean",
     onboardingStep: "number",
     timezone: "string",
     language: "string",
+    searchKeywords: "array", // word prefixes of the searchable text, see src/api/search.js
     createdAt: "timestamp",
     updatedAt: "timestamp"
   },
@@ -162,6 +164,7 @@ export const collectionSchemas = {
   // 2. Businesses Collection
   businesses: {
     userId: "string",
+    organizationId: "string", // null when not in an organization
     name: "string",
     description: "string",
     category: "string",
@@ -187,7 +190,9 @@ export const collectionSchemas = {
     specialties: "array",
     brandVoice: "string",
     isActive: "boolean",
+    deletedAt: "timestamp",
     verificationStatus: "string",
+    searchKeywords: "array", // word prefixes of the searchable text, see src/api/search.js
     createdAt: "timestamp",
     updatedAt: "timestamp"
   },
@@ -221,9 +226,19 @@ export const collectionSchemas = {
       sentimentLabel: "string",
       emotionTags: "array",
       languageDetected: "string",
+      ratingMismatchScore: "number", // how strongly the text contradicts the rating
+      isRatingMismatch: "boolean",
       isSpam: "boolean",
       spamConfidence: "number",
-      wordCount: "number"
+      spamSignals: "array", // [{ signal, score, details }] from spam.js
+      spamReview: {
+        status: "string", // pending, confirmed, cleared
+        reviewedBy: "string",
+        reviewedAt: "timestamp"
+      },
+      wordCount: "number",
+      version: "number", // sentiment.js ANALYSIS_VERSION that produced it
+      analyzedAt: "timestamp"
     },
     metadata: {
       helpfulVotes: "number",
@@ -238,7 +253,9 @@ export const collectionSchemas = {
       lastResponseAt: "timestamp"
     },
     isArchived: "boolean",
+    archivedWithBusiness: "boolean", // archived by deleteBusiness, undone by restoreBusiness
     priorityScore: "number",
+    searchKeywords: "array", // word prefixes of the searchable text, see src/api/search.js
     createdAt: "timestamp",
     updatedAt: "timestamp"
   },
@@ -293,6 +310,8 @@ export const collectionSchemas = {
     usageCount: "number",
     lastUsedAt: "timestamp",
     isActive: "boolean",
+    deletedAt: "timestamp",
+    archivedWithBusiness: "boolean",
     isDefault: "boolean",
     createdAt: "timestamp",
     updatedAt: "timestamp"
@@ -310,6 +329,7 @@ export const collectionSchemas = {
     tokenExpiresAt: "timestamp",
     tokenScope: "array",
     isActive: "boolean",
+    archivedWithBusiness: "boolean",
     connectionStatus: "string",
     lastError: "string",
     lastSyncAt: "timestamp",
@@ -327,8 +347,10 @@ export const collectionSchemas = {
   alert_settings: {
     businessId: "string",
     thresholds: {
-      minRating: "number",
-      keywords: "array"
+      minRating: "number", // reviews rated below are flagged
+      keywords: "array", // negative keywords (English reviews)
+      urgentKeywords: "array",
+      languageKeywords: "object" // { [language]: { keywords, urgentKeywords } }
     },
     notifications: {
       email: "boolean",
@@ -345,7 +367,7 @@ export const collectionSchemas = {
         timezone: "string"
       }
     },
-    alertRules: "array",
+    alertRules: "array", // flagging rules, see src/api/flagging-rules.js
     team: {
       notifyMembers: "boolean",
       escalationRules: "object"
@@ -475,6 +497,196 @@ export const collectionSchemas = {
     },
     createdAt: "timestamp",
     updatedAt: "timestamp"
+  },
+
+  // 13. Audit Logs Collection (written by BaseCRUD, see src/api/audit-trail.js)
+  audit_logs: {
+    collection: "string",
+    documentId: "string",
+    businessId: "string",
+    action: "string",
+    actorId: "string",
+    source: "string",
+    changes: "object", // { 'dotted.path': { before, after } }
+    createdAt: "timestamp",
+    updatedAt: "timestamp"
+  },
+
+  // 14. Organizations Collection (see src/api/organizations.js)
+  // Members live in organizations/{organizationId}/members/{userId}
+  organizations: {
+    name: "string",
+    description: "string",
+    ownerId: "string",
+    billingUserId: "string", // whose user_subscriptions plan covers the org
+    isActive: "boolean",
+    createdAt: "timestamp",
+    updatedAt: "timestamp"
+  },
+
+  // 15. Team Invitations Collection (see src/api/invitations.js)
+  team_invitations: {
+    businessId: "string",
+    businessName: "string",
+    email: "string", // lowercased
+    role: "string",
+    permissions: "object",
+    status: "string", // pending, accepted, declined, revoked
+    tokenHash: "string", // SHA-256 of the token in the invitation link
+    expiresAt: "timestamp",
+    invitedBy: "string",
+    sendCount: "number",
+    lastSentAt: "timestamp",
+    acceptedBy: "string",
+    acceptedAt: "timestamp",
+    declinedAt: "timestamp",
+    revokedBy: "string",
+    revokedAt: "timestamp",
+    createdAt: "timestamp",
+    updatedAt: "timestamp"
+  },
+
+  // 16. Alert Queue Collection (alerts for the backend to send, see deliverQueuedAlerts in src/api/reviews.js)
+  alert_queue: {
+    businessId: "string",
+    reviewId: "string",
+    requestedBy: "string",
+    createdAt: "timestamp"
+  }
+};
+
+// =====================================================
+// FIELD CONSTRAINTS
+// Layered on collectionSchemas by src/api/validation.js; keys are dotted field paths.
+// required, enum, min/max (numbers), integer, minLength/maxLength (strings & arrays)
+// =====================================================
+
+export const collectionConstraints = {
+  users: {
+    email: { required: true, maxLength: 254 },
+    firstName: { maxLength: 100 },
+    lastName: { maxLength: 100 },
+    onboardingStep: { integer: true, min: 0 }
+  },
+
+  businesses: {
+    userId: { required: true },
+    name: { required: true, maxLength: 200 },
+    description: { maxLength: 2000 },
+    'location.latitude': { min: -90, max: 90 },
+    'location.longitude': { min: -180, max: 180 },
+    verificationStatus: { enum: ['pending', 'verified', 'rejected'] }
+  },
+
+  reviews: {
+    businessId: { required: true },
+    platform: { required: true, enum: ['google', 'yelp', 'facebook', 'tripadvisor'] },
+    platformReviewId: { required: true },
+    rating: { required: true, integer: true, min: 1, max: 5 },
+    text: { maxLength: 20000 },
+    'analysis.sentimentScore': { min: -1, max: 1 },
+    'analysis.sentimentLabel': { enum: ['positive', 'neutral', 'negative', 'mixed'] },
+    'analysis.spamConfidence': { min: 0, max: 1 },
+    'analysis.ratingMismatchScore': { min: 0, max: 1 },
+    'analysis.spamReview.status': { enum: ['pending', 'confirmed', 'cleared'] },
+    priorityScore: { min: 0, max: 10 }
+  },
+
+  review_responses: {
+    reviewId: { required: true },
+    businessId: { required: true },
+    userId: { required: true },
+    responseText: { required: true, maxLength: 5000 },
+    responseType: { required: true, enum: ['manual', 'ai_generated', 'template'] },
+    'aiGeneration.confidence': { min: 0, max: 1 },
+    'publishing.status': { enum: ['pending', 'published', 'failed'] },
+    editCount: { integer: true, min: 0 }
+  },
+
+  response_templates: {
+    businessId: { required: true },
+    name: { required: true, maxLength: 200 },
+    templateText: { required: true, maxLength: 5000 },
+    category: { required: true, enum: ['positive', 'negative', 'neutral', 'specific_issue'] },
+    ratingRange: { maxLength: 2 },
+    usageCount: { integer: true, min: 0 }
+  },
+
+  platform_integrations: {
+    businessId: { required: true },
+    platform: { required: true, enum: ['google', 'yelp', 'facebook', 'tripadvisor'] },
+    connectionStatus: { enum: ['connected', 'expired', 'error', 'disconnected'] },
+    syncFrequencyMinutes: { min: 1 },
+    responseDelayMinutes: { min: 0 }
+  },
+
+  alert_settings: {
+    businessId: { required: true },
+    'thresholds.minRating': { min: 1, max: 5 },
+    alertRules: { maxLength: 50 }
+  },
+
+  notifications: {
+    userId: { required: true },
+    type: { required: true },
+    channel: { required: true, enum: ['email', 'sms', 'in_app', 'slack', 'webhook'] },
+    title: { required: true, maxLength: 200 },
+    message: { required: true, maxLength: 5000 },
+    'delivery.status': { enum: ['pending', 'sent', 'failed', 'canceled'] },
+    'delivery.attempts': { integer: true, min: 0 }
+  },
+
+  user_subscriptions: {
+    userId: { required: true },
+    planId: { required: true },
+    billingCycle: { required: true, enum: ['monthly', 'yearly'] },
+    status: { enum: ['trialing', 'active', 'past_due', 'canceled', 'unpaid', 'incomplete', 'incomplete_expired', 'paused'] }
+  },
+
+  daily_stats: {
+    businessId: { required: true },
+    date: { required: true }
+  },
+
+  monthly_stats: {
+    businessId: { required: true },
+    year: { required: true, integer: true },
+    month: { required: true, integer: true, min: 1, max: 12 }
+  },
+
+  api_usage: {
+    userId: { required: true },
+    date: { required: true }
+  },
+
+  audit_logs: {
+    collection: { required: true },
+    documentId: { required: true },
+    action: { required: true, enum: ['create', 'update', 'delete', 'soft_delete', 'restore'] },
+    source: { required: true, enum: ['ui', 'sync', 'system'] }
+  },
+
+  organizations: {
+    name: { required: true, maxLength: 200 },
+    description: { maxLength: 2000 },
+    ownerId: { required: true },
+    billingUserId: { required: true }
+  },
+
+  team_invitations: {
+    businessId: { required: true },
+    email: { required: true, maxLength: 254 },
+    role: { required: true, enum: ['admin', 'member'] },
+    status: { required: true, enum: ['pending', 'accepted', 'declined', 'revoked'] },
+    tokenHash: { required: true },
+    expiresAt: { required: true },
+    sendCount: { integer: true, min: 1 }
+  },
+
+  alert_queue: {
+    businessId: { required: true },
+    reviewId: { required: true },
+    requestedBy: { required: true }
   }
 };
 
@@ -590,6 +802,7 @@ export const createAlertSettingsDocument = async (businessId, settings = {}) =>
 export default {
   initializeCollections,
   collectionSchemas,
+  collectionConstraints,
   createUserDocument,
   createBusinessDocument,
   createAlertSettingsDocument
@@ -1,8 +1,15 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { setStorageAdapter, MemoryAdapter } from './api/index.js'
+import { demoCollections } from './demo-data.js'
 import './index.css'
 
+// `npm run dev:demo` serves the dashboard from the in-memory adapter, no Firebase project needed
+if (import.meta.env.MODE === 'demo') {
+  setStorageAdapter(new MemoryAdapter({ seed: demoCollections }))
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import analyticsAPI from '../../src/api/analytics.js';
+import { createAPIContext } from '../../src/api/context.js';
+import { useMemoryStorage, business } from './helpers.js';
+
+const owner = () => createAPIContext({ uid: 'owner_1' });
+
+const day = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+const dailyStats = (daysAgo, reviews, responses) => ({
+  businessId: 'business_1',
+  date: day(daysAgo),
+  reviews: { new: reviews, avgRating: 4 },
+  responses: { new: responses, total: responses }
+});
+
+describe('AnalyticsAPI', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      businesses: { business_1: business() },
+      daily_stats: {
+        [`business_1_${day(1)}`]: dailyStats(1, 4, 2),
+        [`business_1_${day(20)}`]: dailyStats(20, 6, 6)
+      }
+    });
+  });
+
+  describe('getBusinessOverview', () => {
+    it('covers the last 30 days, or options.days', async () => {
+      expect(await analyticsAPI.getBusinessOverview('business_1', owner()))
+        .toMatchObject({ totalReviews: 10, totalResponses: 8, responseRate: 80 });
+      expect(await analyticsAPI.getBusinessOverview('business_1', owner(), { days: 7 }))
+        .toMatchObject({ totalReviews: 4, totalResponses: 2, responseRate: 50 });
+    });
+
+    it('needs canViewAnalytics', async () => {
+      await expect(analyticsAPI.getBusinessOverview('business_1', createAPIContext({ uid: 'stranger' })))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    });
+  });
+});
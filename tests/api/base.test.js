@@ -0,0 +1,266 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import BaseCRUD, { APIError, AUDIT_COLLECTION, increment, serverTimestamp } from '../../src/api/base.js';
+import { useMemoryStorage, storedDocuments } from './helpers.js';
+
+describe('BaseCRUD', () => {
+  let adapter;
+  let notes;
+
+  beforeEach(() => {
+    adapter = useMemoryStorage();
+    notes = new BaseCRUD('notes');
+  });
+
+  describe('create, read, update, delete', () => {
+    it('stores documents with timestamps and reads them back', async () => {
+      const created = await notes.create({ createdAt: serverTimestamp(), title: 'First', views: 0 });
+
+      const stored = await notes.getById(created.id);
+      expect(stored).toMatchObject({ id: created.id, title: 'First', views: 0 });
+      expect(stored.createdAt).toBeDefined();
+      expect(stored.updatedAt).toBeDefined();
+    });
+
+    it('uses a custom ID when given', async () => {
+      await notes.create({ createdAt: serverTimestamp(), title: 'Pinned' }, 'note_1');
+      expect((await notes.getById('note_1')).title).toBe('Pinned');
+    });
+
+    it('applies field values on update and returns the updated document', async () => {
+      await notes.create({ createdAt: serverTimestamp(), title: 'First', views: 1 }, 'note_1');
+
+      const updated = await notes.update('note_1', { views: increment(2), title: 'Renamed' });
+      expect(updated).toMatchObject({ title: 'Renamed', views: 3 });
+    });
+
+    it('throws NOT_FOUND for missing documents', async () => {
+      await expect(notes.getById('missing')).rejects.toMatchObject({ code: 'NOT_FOUND', statusCode: 404 });
+      await expect(notes.update('missing', { title: 'x' })).rejects.toBeInstanceOf(APIError);
+    });
+
+    it('deletes documents', async () => {
+      await notes.create({ createdAt: serverTimestamp(), title: 'Gone soon' }, 'note_1');
+      await notes.delete('note_1');
+      expect(storedDocuments(adapter, 'notes')).toEqual({});
+    });
+  });
+
+  describe('getWhere', () => {
+    beforeEach(async () => {
+      for (let i = 1; i <= 5; i++) {
+        await notes.create({ createdAt: serverTimestamp(), title: `Note ${i}`, rank: i, tag: i % 2 ? 'odd' : 'even' }, `note_${i}`);
+      }
+    });
+
+    it('filters and orders', async () => {
+      const result = await notes.getWhere([{ field: 'tag', operator: '==', value: 'odd' }], {
+        orderByField: 'rank',
+        orderDirection: 'desc'
+      });
+      expect(result.documents.map(note => note.rank)).toEqual([5, 3, 1]);
+    });
+
+    it('pages forwards and backwards with page tokens', async () => {
+      const options = { orderByField: 'rank', orderDirection: 'asc', limitCount: 2 };
+
+      const first = await notes.getWhere([], options);
+      expect(first.documents.map(note => note.rank)).toEqual([1, 2]);
+      expect(first.hasMore).toBe(true);
+
+      const second = await notes.getWhere([], { ...options, pageToken: first.nextPageToken });
+      expect(second.documents.map(note => note.rank)).toEqual([3, 4]);
+
+      const back = await notes.getWhere([], { ...options, pageToken: second.prevPageToken });
+      expect(back.documents.map(note => note.rank)).toEqual([1, 2]);
+      expect(back.hasPrevious).toBe(false);
+    });
+
+    it('rejects page tokens from a different ordering', async () => {
+      const first = await notes.getWhere([], { orderByField: 'rank', limitCount: 2 });
+      await expect(notes.getWhere([], { orderByField: 'title', pageToken: first.nextPageToken }))
+        .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+
+    it('adds the total count on request', async () => {
+      const result = await notes.getWhere([], { orderByField: 'rank', limitCount: 2, includeTotal: true });
+      expect(result.totalCount).toBe(5);
+    });
+  });
+
+  describe('soft delete', () => {
+    let places;
+
+    beforeEach(async () => {
+      places = new BaseCRUD('places', { softDelete: true });
+      await places.create({ createdAt: serverTimestamp(), name: 'Kept', isActive: true }, 'kept');
+      await places.create({ createdAt: serverTimestamp(), name: 'Trashed', isActive: true }, 'trashed');
+      await places.softDelete('trashed');
+    });
+
+    it('hides soft-deleted documents from queries unless asked', async () => {
+      const names = async (options) => (await places.getWhere([], { orderByField: 'name', orderDirection: 'asc', ...options }))
+        .documents.map(place => place.name);
+
+      expect(await names()).toEqual(['Kept']);
+      expect(await names({ includeDeleted: true })).toEqual(['Kept', 'Trashed']);
+      expect(await names({ onlyDeleted: true })).toEqual(['Trashed']);
+    });
+
+    it('restores documents', async () => {
+      const restored = await places.restore('trashed');
+      expect(restored.isActive).toBe(true);
+      expect(restored.deletedAt).toBeUndefined();
+    });
+
+    it('purges documents deleted before the cutoff', async () => {
+      const result = await places.purgeDeleted(new Date(Date.now() + 1000));
+      expect(result.purgedCount).toBe(1);
+      expect(Object.keys(storedDocuments(adapter, 'places'))).toEqual(['kept']);
+    });
+  });
+
+  describe('batches and transactions', () => {
+    it('commits a batch across collections atomically', async () => {
+      const tags = new BaseCRUD('tags');
+      await notes.create({ createdAt: serverTimestamp(), title: 'First' }, 'note_1');
+
+      const batch = notes.batch();
+      batch.update(notes, 'note_1', { title: 'Renamed' });
+      batch.create(tags, { createdAt: serverTimestamp(), name: 'new' }, 'tag_1');
+      batch.update(notes, 'missing', { title: 'Nope' });
+
+      await expect(batch.commit()).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      expect((await notes.getById('note_1')).title).toBe('First');
+      expect(storedDocuments(adapter, 'tags')).toEqual({});
+    });
+
+    it('runs transactions with reads before writes', async () => {
+      await notes.create({ createdAt: serverTimestamp(), title: 'Counter', views: 1 }, 'note_1');
+
+      const views = await notes.runTransaction(async (transaction) => {
+        const note = await transaction.get(notes, 'note_1');
+        transaction.update(notes, 'note_1', { views: note.views + 1 });
+        return note.views + 1;
+      });
+
+      expect(views).toBe(2);
+      expect((await notes.getById('note_1')).views).toBe(2);
+    });
+  });
+
+  describe('aggregation', () => {
+    it('counts, sums and averages in one request', async () => {
+      await notes.create({ createdAt: serverTimestamp(), tag: 'a', score: 2 });
+      await notes.create({ createdAt: serverTimestamp(), tag: 'a', score: 4 });
+      await notes.create({ createdAt: serverTimestamp(), tag: 'b', score: 10 });
+
+      const result = await notes.aggregate({
+        total: { type: 'count' },
+        points: { type: 'sum', field: 'score' },
+        mean: { type: 'average', field: 'score' }
+      }, [{ field: 'tag', operator: '==', value: 'a' }]);
+
+      expect(result).toEqual({ total: 2, points: 6, mean: 3 });
+      expect(await notes.average('score', [{ field: 'tag', operator: '==', value: 'c' }])).toBeNull();
+    });
+  });
+
+  describe('hooks', () => {
+    it('lets before-hooks replace or reject writes', async () => {
+      notes.hook('beforeCreate', ({ data }) => ({ ...data, title: data.title.trim() }));
+      notes.hook('beforeUpdate', ({ data }) => {
+        if (data.title === '') {
+          throw new APIError('Title required', 'VALIDATION_ERROR', 400);
+        }
+      });
+
+      const created = await notes.create({ createdAt: serverTimestamp(), title: '  Padded  ' }, 'note_1');
+      expect(created.title).toBe('Padded');
+      await expect(notes.update('note_1', { title: '' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect((await notes.getById('note_1')).title).toBe('Padded');
+    });
+
+    it('limits hooks to named operations', async () => {
+      const seen = [];
+      notes.hook('afterUpdate', ({ operation }) => seen.push(operation), { operations: ['rename'] });
+      await notes.create({ createdAt: serverTimestamp(), title: 'First' }, 'note_1');
+
+      await notes.update('note_1', { title: 'Second' });
+      await notes.update('note_1', { title: 'Third' }, { operation: 'rename' });
+      expect(seen).toEqual(['rename']);
+    });
+  });
+
+  describe('audit trail', () => {
+    it('logs audited writes with their field changes', async () => {
+      const audited = new BaseCRUD('places', { audit: true });
+      await audited.create({ createdAt: serverTimestamp(), name: 'Old', city: 'Rome' }, 'place_1', { audit: { actorId: 'user_1', source: 'ui' } });
+      await audited.update('place_1', { name: 'New' }, { audit: { actorId: 'user_1', source: 'ui' } });
+
+      const entries = Object.values(storedDocuments(adapter, AUDIT_COLLECTION));
+      expect(entries.map(entry => entry.action).sort()).toEqual(['create', 'update']);
+      expect(entries.find(entry => entry.action === 'update')).toMatchObject({
+        collection: 'places',
+        documentId: 'place_1',
+        actorId: 'user_1',
+        source: 'ui',
+        changes: { name: { before: 'Old', after: 'New' } }
+      });
+    });
+
+    it('logs batch writes in the same commit, diffed against the stored documents', async () => {
+      const audited = new BaseCRUD('places', { audit: true });
+      const audit = { actorId: 'user_1', source: 'ui' };
+      await audited.batchCreate([{ createdAt: serverTimestamp(), name: 'Cafe', visits: 1 }], { audit });
+      const [place] = Object.keys(storedDocuments(adapter, 'places'));
+
+      await audited.batchUpdate([{ id: place, data: { visits: increment(2), 'address.city': 'Rome' } }], { audit });
+      await audited.batchDelete([place], { audit });
+
+      const entries = Object.values(storedDocuments(adapter, AUDIT_COLLECTION));
+      expect(entries.map(entry => entry.action).sort()).toEqual(['create', 'delete', 'update']);
+      expect(entries.find(entry => entry.action === 'update')).toMatchObject({
+        actorId: 'user_1',
+        changes: { visits: { before: 1, after: 3 }, address: { before: null, after: { city: 'Rome' } } }
+      });
+      expect(entries.find(entry => entry.action === 'delete').changes.name).toEqual({ before: 'Cafe', after: null });
+    });
+
+    it('keeps each batch write in the same chunk as its log entry', async () => {
+      const audited = new BaseCRUD('places', { audit: true });
+      const commitBatch = vi.spyOn(adapter, 'commitBatch');
+      await audited.batchCreate(Array.from({ length: 300 }, (_, i) => ({ createdAt: serverTimestamp(), rank: i })));
+
+      const chunks = commitBatch.mock.calls.map(([operations]) => operations);
+      expect(chunks.map(operations => operations.length)).toEqual([500, 100]);
+      chunks.forEach(operations => {
+        const written = new Set(operations.filter(({ collectionPath }) => collectionPath === 'places').map(({ id }) => id));
+        const logged = operations.filter(({ collectionPath }) => collectionPath === AUDIT_COLLECTION).map(({ data }) => data.documentId);
+        expect(logged.sort()).toEqual([...written].sort());
+      });
+    });
+
+    it('logs transaction writes', async () => {
+      const audited = new BaseCRUD('places', { audit: true });
+      await audited.create({ createdAt: serverTimestamp(), name: 'Old' }, 'place_1');
+
+      await audited.runTransaction(async (transaction) => {
+        const place = await transaction.get(audited, 'place_1');
+        transaction.update(audited, 'place_1', { name: 'New' }, { before: place, audit: { actorId: 'user_1', source: 'ui' } });
+      });
+
+      const entries = Object.values(storedDocuments(adapter, AUDIT_COLLECTION));
+      expect(entries.find(entry => entry.action === 'update')).toMatchObject({
+        actorId: 'user_1',
+        changes: { name: { before: 'Old', after: 'New' } }
+      });
+    });
+
+    it('rejects unknown audit sources before writing', async () => {
+      const audited = new BaseCRUD('places', { audit: true });
+      await expect(audited.create({ createdAt: serverTimestamp(), name: 'x' }, 'place_1', { audit: { source: 'cron' } }))
+        .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+      expect(storedDocuments(adapter, 'places')).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,256 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import businessesAPI, { BUSINESS_SEARCH_FIELDS } from '../../src/api/businesses.js';
+import reviewsAPI from '../../src/api/reviews.js';
+import { AUDIT_COLLECTION } from '../../src/api/base.js';
+import { createAPIContext, createSystemContext } from '../../src/api/context.js';
+import { buildSearchKeywords } from '../../src/api/search.js';
+import { useMemoryStorage, storedDocuments, business, teamMember, reviewInput } from './helpers.js';
+
+const owner = () => createAPIContext({ uid: 'owner_1' });
+
+describe('BusinessesAPI', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = useMemoryStorage({
+      businesses: { business_1: business({ teamMemberIds: ['admin_1', 'member_1'], planId: 'growth' }) },
+      'businesses/business_1/team_members': {
+        admin_1: teamMember('admin_1', { role: 'admin' }),
+        member_1: teamMember('member_1')
+      },
+      subscription_plans: { growth: { name: 'Growth Plan', maxTeamMembers: 4, maxLocations: 3 } },
+      user_subscriptions: { owner_1: { userId: 'owner_1', planId: 'growth', status: 'active' } }
+    });
+  });
+
+  describe('createBusiness', () => {
+    it('creates a pending business owned by the caller', async () => {
+      const created = await businessesAPI.createBusiness({ name: ' Taco Stand ', userId: 'owner_2' }, createAPIContext({ uid: 'owner_2' }));
+      expect(created).toMatchObject({ name: 'Taco Stand', userId: 'owner_2', isActive: true, verificationStatus: 'pending' });
+    });
+
+    it('refuses to create businesses for someone else', async () => {
+      await expect(businessesAPI.createBusiness({ name: 'Taco Stand', userId: 'owner_2' }, owner()))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    });
+
+    it('requires a context', async () => {
+      await expect(businessesAPI.createBusiness({ name: 'Taco Stand', userId: 'owner_2' }))
+        .rejects.toMatchObject({ code: 'UNAUTHENTICATED' });
+    });
+  });
+
+  describe('updateBusiness', () => {
+    it('lets canManageSettings members edit profile fields only', async () => {
+      const updated = await businessesAPI.updateBusiness('business_1', { name: 'Renamed', userId: 'admin_1' }, createAPIContext({ uid: 'admin_1' }));
+      expect(updated).toMatchObject({ name: 'Renamed', userId: 'owner_1' });
+    });
+
+    it('denies members without canManageSettings', async () => {
+      await expect(businessesAPI.updateBusiness('business_1', { name: 'Renamed' }, createAPIContext({ uid: 'member_1' })))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    });
+  });
+
+  describe('team members', () => {
+    it('adds members keyed by their userId, within the plan seats', async () => {
+      const member = await businessesAPI.addTeamMember('business_1', { userId: 'user_2', role: 'member' }, owner());
+      expect(member.id).toBe('user_2');
+      expect((await businessesAPI.getById('business_1')).teamMemberIds).toEqual(['admin_1', 'member_1', 'user_2']);
+
+      // Owner, admin_1, member_1 and user_2 fill the plan's 4 seats
+      await expect(businessesAPI.addTeamMember('business_1', { userId: 'user_3', role: 'member' }, owner()))
+        .rejects.toMatchObject({ code: 'PLAN_LIMIT_EXCEEDED' });
+    });
+
+    it('frees the seat of suspended members, who lose access', async () => {
+      await businessesAPI.updateTeamMember('business_1', 'member_1', { status: 'suspended' }, owner());
+
+      expect((await businessesAPI.getById('business_1')).teamMemberIds).toEqual(['admin_1']);
+      await expect(businessesAPI.getBusiness('business_1', createAPIContext({ uid: 'member_1' })))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+      await businessesAPI.addTeamMember('business_1', { userId: 'user_2', role: 'member' }, owner());
+    });
+
+    it('gives no access to member documents without a seat', async () => {
+      adapter.seed({ businesses: { business_1: business({ teamMemberIds: ['admin_1'], planId: 'growth' }) } });
+
+      await expect(businessesAPI.getBusiness('business_1', createAPIContext({ uid: 'member_1' })))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    });
+
+    it('refuses new seats while the plan is not known', async () => {
+      const { planId, ...withoutPlan } = business({ teamMemberIds: ['admin_1', 'member_1'] });
+      adapter.seed({ businesses: { business_1: withoutPlan } });
+
+      await expect(businessesAPI.addTeamMember('business_1', { userId: 'user_2', role: 'member' }, owner()))
+        .rejects.toMatchObject({ code: 'FAILED_PRECONDITION' });
+    });
+
+    it('refuses to grant flags the inviter lacks', async () => {
+      const inviter = createAPIContext({ uid: 'admin_1' });
+      adapter.seed({
+        'businesses/business_1/team_members': {
+          admin_1: teamMember('admin_1', { role: 'admin', permissions: { canViewAnalytics: false } })
+        }
+      });
+
+      await expect(businessesAPI.addTeamMember('business_1', { userId: 'user_2', role: 'admin' }, inviter))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED', details: { permissions: ['canViewAnalytics'] } });
+    });
+  });
+
+  describe('deleteBusiness', () => {
+    beforeEach(async () => {
+      await reviewsAPI.createReview(reviewInput());
+    });
+
+    it('reports what would change on a dry run without writing', async () => {
+      const report = await businessesAPI.deleteBusiness('business_1', owner(), { dryRun: true });
+
+      expect(report.collections).toContainEqual({ collection: 'reviews', action: 'archive', count: 1 });
+      expect((await businessesAPI.getById('business_1')).isActive).toBe(true);
+    });
+
+    it('archives the business with its data and restores both', async () => {
+      await businessesAPI.deleteBusiness('business_1', owner());
+
+      const [review] = Object.values(storedDocuments(adapter, 'reviews'));
+      expect(review).toMatchObject({ isArchived: true, archivedWithBusiness: true });
+      expect((await businessesAPI.getById('business_1')).isActive).toBe(false);
+
+      await businessesAPI.restoreBusiness('business_1', owner());
+      const [restored] = Object.values(storedDocuments(adapter, 'reviews'));
+      expect(restored.isArchived).toBe(false);
+      expect(restored.archivedWithBusiness).toBeUndefined();
+    });
+
+    it('purges the business, its data and its team', async () => {
+      await businessesAPI.deleteBusiness('business_1', owner(), { mode: 'purge' });
+
+      expect(storedDocuments(adapter, 'businesses')).toEqual({});
+      expect(storedDocuments(adapter, 'reviews')).toEqual({});
+      expect(storedDocuments(adapter, 'businesses/business_1/team_members')).toEqual({});
+
+      const deleted = Object.values(storedDocuments(adapter, AUDIT_COLLECTION)).filter(entry => entry.action === 'delete');
+      expect(deleted.map(entry => entry.collection).sort()).toEqual([
+        'businesses', 'businesses/business_1/team_members', 'businesses/business_1/team_members', 'reviews'
+      ]);
+      deleted.forEach(entry => expect(entry).toMatchObject({ actorId: 'owner_1', source: 'ui', businessId: 'business_1' }));
+
+      const marked = Object.values(storedDocuments(adapter, AUDIT_COLLECTION))
+        .find(entry => entry.action === 'update' && entry.changes.purge);
+      expect(marked.changes.purge.after).toMatchObject({ status: 'in_progress' });
+    });
+
+    it('lets organization owners purge, as the security rules do', async () => {
+      adapter.seed({
+        businesses: { business_1: business({ organizationId: 'org_1', teamMemberIds: ['admin_1', 'member_1'], planId: 'growth' }) },
+        organizations: { org_1: { name: 'Group', ownerId: 'org_owner', billingUserId: 'org_owner', planId: 'growth', isActive: true } },
+        'organizations/org_1/members': { org_owner: { userId: 'org_owner', role: 'owner', status: 'active' } }
+      });
+
+      await businessesAPI.deleteBusiness('business_1', createAPIContext({ uid: 'org_owner' }), { mode: 'purge' });
+      expect(storedDocuments(adapter, 'businesses')).toEqual({});
+    });
+
+    it('never restores a business whose purge has started', async () => {
+      adapter.seed({
+        businesses: { business_1: business({ isActive: false, purge: { status: 'in_progress' }, teamMemberIds: [], planId: 'growth' }) }
+      });
+
+      await expect(businessesAPI.restoreBusiness('business_1', owner()))
+        .rejects.toMatchObject({ code: 'FAILED_PRECONDITION' });
+      // Others learn nothing about the business
+      await expect(businessesAPI.restoreBusiness('business_1', createAPIContext({ uid: 'admin_1' })))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    });
+
+    it('is owner only', async () => {
+      await expect(businessesAPI.deleteBusiness('business_1', createAPIContext({ uid: 'admin_1' })))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    });
+  });
+
+  describe('transferBusinessOwnership', () => {
+    it('hands the business to a team member and keeps the previous owner as admin', async () => {
+      const result = await businessesAPI.transferBusinessOwnership('business_1', 'admin_1', owner());
+
+      expect(result.business.userId).toBe('admin_1');
+      expect(result.business.teamMemberIds).toEqual(['member_1', 'owner_1']);
+      // admin_1 has no subscription
+      expect(result.business.planId).toBeNull();
+      const team = storedDocuments(adapter, 'businesses/business_1/team_members');
+      expect(team.admin_1).toBeUndefined();
+      expect(team.owner_1).toMatchObject({ role: 'admin', status: 'active' });
+    });
+
+    it('refuses new owners whose plan the team doesn\'t fit', async () => {
+      adapter.seed({
+        subscription_plans: { starter: { name: 'Starter Plan', maxTeamMembers: 2 } },
+        user_subscriptions: { admin_1: { userId: 'admin_1', planId: 'starter', status: 'active' } }
+      });
+
+      // admin_1 with member_1 and owner_1 as admin need 3 seats
+      await expect(businessesAPI.transferBusinessOwnership('business_1', 'admin_1', owner()))
+        .rejects.toMatchObject({ code: 'PLAN_LIMIT_EXCEEDED', details: { maxTeamMembers: 2, used: 3 } });
+      expect((await businessesAPI.getById('business_1')).userId).toBe('owner_1');
+
+      const result = await businessesAPI.transferBusinessOwnership('business_1', 'admin_1', owner(), { previousOwnerRole: null });
+      expect(result.business).toMatchObject({ userId: 'admin_1', teamMemberIds: ['member_1'], planId: 'starter' });
+    });
+
+    it('only transfers to active team members', async () => {
+      await expect(businessesAPI.transferBusinessOwnership('business_1', 'stranger', owner()))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('getBusinessesForUser', () => {
+    it('lists owned, team and organization businesses with how they are reached', async () => {
+      adapter.seed({
+        businesses: {
+          business_2: business({ userId: 'owner_2', name: 'Bakery', organizationId: 'org_1' }),
+          business_3: business({ userId: 'owner_3', name: 'Cafe' })
+        },
+        organizations: { org_1: { name: 'Group', ownerId: 'owner_2', billingUserId: 'owner_2', isActive: true } },
+        'organizations/org_1/members': { member_1: { userId: 'member_1', role: 'member', status: 'active' } }
+      });
+
+      const result = await businessesAPI.getBusinessesForUser(createAPIContext({ uid: 'member_1' }));
+      expect(result.documents.map(({ id, accessVia }) => [id, accessVia])).toEqual([
+        ['business_2', ['organization']],
+        ['business_1', ['team']]
+      ]);
+    });
+  });
+
+  describe('searchBusinesses', () => {
+    beforeEach(() => {
+      const indexed = (overrides) => {
+        const data = business(overrides);
+        return { ...data, searchKeywords: buildSearchKeywords(data, BUSINESS_SEARCH_FIELDS) };
+      };
+      adapter.seed({
+        businesses: {
+          business_1: indexed({ teamMemberIds: ['admin_1', 'member_1'], planId: 'growth' }),
+          business_2: indexed({ userId: 'owner_2', name: 'Pizza Corner' })
+        }
+      });
+    });
+
+    it('only finds businesses the user can access', async () => {
+      const result = await businessesAPI.searchBusinesses('pizza', createAPIContext({ uid: 'member_1' }));
+      expect(result.documents.map(({ id }) => id)).toEqual(['business_1']);
+      expect(result).toMatchObject({ totalMatches: 1, truncated: false });
+
+      const stranger = await businessesAPI.searchBusinesses('pizza', createAPIContext({ uid: 'stranger' }));
+      expect(stranger.documents).toEqual([]);
+    });
+
+    it('searches every business for system contexts', async () => {
+      const result = await businessesAPI.searchBusinesses('pizza', createSystemContext());
+      expect(result.documents.map(({ id }) => id).sort()).toEqual(['business_1', 'business_2']);
+    });
+  });
+});
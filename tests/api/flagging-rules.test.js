@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateFlaggingRules,
+  evaluateFlaggingRules,
+  getFlaggingRules,
+  buildThresholdRules
+} from '../../src/api/flagging-rules.js';
+
+const patternRule = (regex, flags) => ({
+  id: 'pattern',
+  conditions: { pattern: { regex, flags } },
+  actions: { flag: { reason: 'pattern' } }
+});
+
+const problems = (rules) => {
+  try {
+    validateFlaggingRules(rules);
+    return null;
+  } catch (error) {
+    return error.details.rules;
+  }
+};
+
+const rule = (id, conditions, actions) => ({ id, conditions, actions });
+
+describe('flagging rules', () => {
+  describe('validateFlaggingRules', () => {
+    it('reports every problem by rule ID', () => {
+      expect(problems([
+        rule('bad_rating', { rating: { max: 7 } }, { flag: { reason: 'low' } }),
+        rule('no_action', { rating: { max: 2 } }, {}),
+        rule('bad_channel', {}, { notify: { channels: ['pager'] } }),
+        rule('bad_label', { sentiment: { labels: ['furious'] } }, { priority: 11 })
+      ])).toEqual({
+        bad_rating: ['rating.min and rating.max must be between 1 and 5'],
+        no_action: ['at least one action (flag, priority, notify, archive) is required'],
+        bad_channel: [expect.stringMatching(/^notify.channels must be some of/)],
+        bad_label: [expect.stringMatching(/^sentiment.labels must be some of/), 'priority must be between 1 and 10']
+      });
+    });
+
+    it('rejects repeated IDs and too many rules', () => {
+      const archive = rule('archive', { rating: { max: 1 } }, { archive: true });
+      expect(problems([archive, archive]).archive).toEqual(['id is used by another rule']);
+      expect(() => validateFlaggingRules(Array.from({ length: 51 }, (item, index) => ({ ...archive, id: `r${index}` }))))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    });
+  });
+
+  describe('getFlaggingRules', () => {
+    it('puts enabled alert rules before the threshold rules', () => {
+      const rules = getFlaggingRules({
+        alertRules: [
+          rule('first', { rating: { max: 1 } }, { priority: 9 }),
+          { ...rule('off', { rating: { max: 1 } }, { archive: true }), enabled: false }
+        ],
+        thresholds: { minRating: 2 }
+      });
+      expect(rules.map(({ id }) => id)).toEqual(['first', 'urgent_keywords', 'low_rating', 'negative_keywords']);
+    });
+
+    it('uses the dictionary of the review\'s language', () => {
+      const [urgent] = buildThresholdRules({}, 'pt-BR');
+      expect(urgent.conditions.keywords.any).toContain('intoxicação');
+    });
+  });
+
+  describe('evaluateFlaggingRules', () => {
+    const review = { rating: 1, text: 'The staff were rude and I want a refund.', platform: 'google' };
+
+    it('takes the reason of the first matching flag rule and keywords from all of them', () => {
+      const outcome = evaluateFlaggingRules(review, [
+        rule('google_only', { platforms: ['yelp'] }, { flag: { reason: 'yelp' } }),
+        rule('refunds', { keywords: { any: ['refund'] } }, { flag: { reason: 'refund_request' } }),
+        rule('rude', { keywords: { any: ['rude'] } }, { flag: { reason: 'rude_staff' } })
+      ]);
+      expect(outcome.matchedRules).toEqual(['refunds', 'rude']);
+      expect(outcome.flag).toEqual({ reason: 'refund_request', keywords: ['refund', 'rude'], ruleId: 'refunds' });
+    });
+
+    it('keeps the highest priority and any archive', () => {
+      const outcome = evaluateFlaggingRules(review, [
+        rule('high', { rating: { max: 2 } }, { priority: 8 }),
+        rule('low', {}, { priority: 3, archive: true })
+      ]);
+      expect(outcome).toMatchObject({ priorityScore: 8, archive: true, flag: null });
+    });
+
+    it('merges notify channels, every enabled channel winning over lists', () => {
+      const notify = (id, channels) => rule(id, {}, { notify: channels ? { channels } : {} });
+
+      expect(evaluateFlaggingRules(review, [notify('a', ['email']), notify('b', ['slack', 'email'])]).notify)
+        .toEqual({ channels: ['email', 'slack'], ruleIds: ['a', 'b'] });
+      expect(evaluateFlaggingRules(review, [notify('a', ['email']), notify('b')]).notify)
+        .toEqual({ channels: null, ruleIds: ['a', 'b'] });
+      expect(evaluateFlaggingRules(review, [notify('a'), notify('b', ['sms'])]).notify.channels).toBeNull();
+    });
+
+    it('matches sentiment conditions against the analysis', () => {
+      const rules = [rule('angry', { sentiment: { max: -0.5, labels: ['negative'] } }, { priority: 9 })];
+      expect(evaluateFlaggingRules({ ...review, analysis: { sentimentScore: -0.8, sentimentLabel: 'negative' } }, rules).matchedRules)
+        .toEqual(['angry']);
+      expect(evaluateFlaggingRules({ ...review, analysis: { sentimentScore: -0.2, sentimentLabel: 'negative' } }, rules).matchedRules)
+        .toEqual([]);
+      expect(evaluateFlaggingRules(review, rules).matchedRules).toEqual([]);
+    });
+  });
+
+  describe('pattern conditions', () => {
+    it('reject patterns that can backtrack exponentially', () => {
+      ['(a+)+', '(\\w+\\s?)*', '((ab)+c)+', '(a{2,})*'].forEach(regex => {
+        expect(problems([patternRule(regex)]).pattern[0]).toMatch(/nested quantifiers/);
+      });
+      ['(a)\\1', '(?<word>\\w)\\k<word>'].forEach(regex => {
+        expect(problems([patternRule(regex)]).pattern[0]).toMatch(/backreferences/);
+      });
+    });
+
+    it('accept quantifiers that aren\'t nested', () => {
+      expect(problems([patternRule('\\blaw(yer|suit)s?\\b')])).toBeNull();
+      expect(problems([patternRule('(?:call|email) (me|us)+ [\\d-]{7,}')])).toBeNull();
+    });
+
+    it('reject flags that make matching stateful', () => {
+      expect(problems([patternRule('refund', 'g')]).pattern[0]).toMatch(/flags/);
+    });
+
+    it('reuse the compiled pattern across reviews', () => {
+      const rules = [patternRule('\\brefund\\b', 'i')];
+      const RealRegExp = globalThis.RegExp;
+      let compiled = 0;
+      globalThis.RegExp = new Proxy(RealRegExp, {
+        construct: (target, args) => {
+          compiled++;
+          return new target(...args);
+        }
+      });
+      try {
+        const reviews = ['I want a refund', 'Great food', 'REFUND please'].map(text => ({ text, rating: 2 }));
+        const outcomes = reviews.map(review => evaluateFlaggingRules(review, rules));
+        expect(outcomes.map(outcome => outcome.matchedRules)).toEqual([['pattern'], [], ['pattern']]);
+      } finally {
+        globalThis.RegExp = RealRegExp;
+      }
+      // Once to validate it, once to compile it
+      expect(compiled).toBeLessThanOrEqual(2);
+    });
+
+    it('never match stored patterns validation would reject', () => {
+      const outcome = evaluateFlaggingRules({ text: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaa!' }, [patternRule('(a+)+$')]);
+      expect(outcome.matchedRules).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+// =====================================================
+// TEST HELPERS
+// Run the API modules against a fresh in-memory backend
+// =====================================================
+
+import { setStorageAdapter, MemoryAdapter } from '../../src/api/storage/index.js';
+import { configureLogging } from '../../src/api/logging.js';
+
+// New MemoryAdapter for every API module, seeded with { collectionPath: { id: data } }.
+// Each adapter has its own read cache, so nothing leaks between tests.
+export const useMemoryStorage = (seed = {}) => {
+  configureLogging({ sinks: [] });
+  return setStorageAdapter(new MemoryAdapter({ seed }));
+};
+
+// Stored documents of a collection, keyed by ID
+export const storedDocuments = (adapter, collectionPath) =>
+  Object.fromEntries([...adapter.getCollection(collectionPath)].map(([id, data]) => [id, data]));
+
+export const business = (overrides = {}) => ({
+  userId: 'owner_1',
+  name: 'Pizza Place',
+  isActive: true,
+  verificationStatus: 'pending',
+  teamMemberIds: [],
+  planId: null,
+  ...overrides
+});
+
+export const teamMember = (userId, overrides = {}) => ({
+  userId,
+  role: 'member',
+  permissions: {},
+  status: 'active',
+  ...overrides
+});
+
+export const reviewInput = (overrides = {}) => ({
+  businessId: 'business_1',
+  platform: 'google',
+  platformReviewId: 'g_1',
+  rating: 4,
+  text: 'Lovely pizza and friendly staff, we will be back soon.',
+  author: { name: 'Sam', reviewCount: 12 },
+  ...overrides
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import invitationsAPI from '../../src/api/invitations.js';
+import businessesAPI from '../../src/api/businesses.js';
+import { createAPIContext } from '../../src/api/context.js';
+import { useMemoryStorage, storedDocuments, business } from './helpers.js';
+
+const owner = () => createAPIContext({ uid: 'owner_1' });
+const invitee = () => createAPIContext({ uid: 'user_2' });
+
+describe('InvitationsAPI', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = useMemoryStorage({
+      businesses: { business_1: business({ planId: 'starter' }) },
+      users: { user_2: { email: 'sam@example.com' } },
+      subscription_plans: { starter: { name: 'Starter Plan', maxTeamMembers: 2, maxLocations: 1 } }
+    });
+  });
+
+  it('invites by email without looking the invitee up', async () => {
+    const invitation = await invitationsAPI.createInvitation('business_1', { email: ' Sam@Example.com ', role: 'member' }, owner());
+
+    expect(invitation).toMatchObject({ email: 'sam@example.com', status: 'pending', businessName: 'Pizza Place' });
+    expect(invitation.token).toEqual(expect.any(String));
+    expect(invitation).not.toHaveProperty('tokenHash');
+  });
+
+  it('makes the invitee a team member with a seat', async () => {
+    const { token, id } = await invitationsAPI.createInvitation('business_1', { email: 'sam@example.com', role: 'member' }, owner());
+
+    const member = await invitationsAPI.acceptInvitation(token, invitee());
+
+    expect(member).toMatchObject({ id: 'user_2', role: 'member', status: 'active', invitationId: id });
+    expect(storedDocuments(adapter, 'businesses').business_1.teamMemberIds).toEqual(['user_2']);
+    expect(storedDocuments(adapter, 'team_invitations')[id]).toMatchObject({ status: 'accepted', acceptedBy: 'user_2' });
+    await expect(businessesAPI.getBusiness('business_1', invitee())).resolves.toMatchObject({ id: 'business_1' });
+  });
+
+  it('counts pending invitations against the plan', async () => {
+    await invitationsAPI.createInvitation('business_1', { email: 'sam@example.com', role: 'member' }, owner());
+
+    await expect(invitationsAPI.createInvitation('business_1', { email: 'alex@example.com', role: 'member' }, owner()))
+      .rejects.toMatchObject({ code: 'PLAN_LIMIT_EXCEEDED' });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveLanguage,
+  getKeywordDictionary,
+  stem,
+  findKeywords,
+  matchKeywords
+} from '../../src/api/keywords.js';
+
+describe('keywords', () => {
+  describe('resolveLanguage', () => {
+    it('resolves language tags to a supported language, falling back to English', () => {
+      expect(resolveLanguage('pt-BR')).toBe('pt');
+      expect(resolveLanguage('fr_CA')).toBe('fr');
+      expect(resolveLanguage('DE')).toBe('de');
+      expect(resolveLanguage('ja')).toBe('en');
+      expect(resolveLanguage(undefined)).toBe('en');
+    });
+  });
+
+  describe('getKeywordDictionary', () => {
+    it('picks the list for the resolved language', () => {
+      expect(getKeywordDictionary('pt-BR', 'negators')).toContain('não');
+      expect(getKeywordDictionary('ja', 'urgent')).toContain('lawsuit');
+      expect(getKeywordDictionary('en', 'unknown')).toEqual([]);
+    });
+  });
+
+  describe('stem', () => {
+    it('brings inflections of a word to the same stem', () => {
+      expect(stem('scammed')).toBe(stem('scam'));
+      expect(stem('scams')).toBe(stem('scam'));
+      expect(stem('ruder')).not.toBe(stem('prudent'));
+      expect(stem('legally')).toBe(stem('legal'));
+    });
+
+    it('keeps stems of at least 3 characters and the final s of words like "glass"', () => {
+      expect(stem('is')).toBe('is');
+      expect(stem('glass')).toBe('glass');
+      expect(stem('bus')).toBe('bus');
+    });
+
+    it('uses the language\'s suffixes', () => {
+      expect(stem('demandas', 'es')).toBe(stem('demanda', 'es'));
+      // Words come tokenized, without accents
+      expect(stem('intoxicacoes', 'pt-BR')).toBe(stem('intoxicacao', 'pt'));
+      expect(stem('discriminazioni', 'it')).toBe(stem('discriminazione', 'it'));
+    });
+  });
+
+  describe('matchKeywords', () => {
+    it('matches whole words only', () => {
+      expect(matchKeywords('The pasta was illegally good', ['legal'])).toEqual([]);
+      expect(matchKeywords('A prudent choice', ['rude'])).toEqual([]);
+      expect(matchKeywords('We may take legal action', ['legal'])).toEqual(['legal']);
+    });
+
+    it('matches inflections and ignores case and accents', () => {
+      expect(matchKeywords('I got SCAMMED', ['scam'])).toEqual(['scam']);
+      expect(matchKeywords('Cafe was fine', ['café'])).toEqual(['café']);
+    });
+
+    it('skips keywords negated within their clause', () => {
+      expect(matchKeywords('The staff was not rude at all', ['rude'])).toEqual([]);
+      expect(matchKeywords('Never been so rudely treated', ['rude'])).toEqual([]);
+      expect(matchKeywords('The waiter wasn\'t rude', ['rude'])).toEqual([]);
+    });
+
+    it('ends negation at the clause or past its window', () => {
+      expect(matchKeywords('Not cheap, and the staff was rude', ['rude'])).toEqual(['rude']);
+      expect(matchKeywords('The food was not bad but the waiter was rude', ['rude'])).toEqual(['rude']);
+      expect(matchKeywords('No one at the front desk was anything but rude', ['rude'])).toEqual(['rude']);
+    });
+
+    it('counts a keyword once any occurrence isn\'t negated', () => {
+      expect(matchKeywords('Not rude today. Rude last time', ['rude'])).toEqual(['rude']);
+    });
+
+    it('counts negated occurrences with matchNegated', () => {
+      expect(matchKeywords('There were no safety measures', ['safety'])).toEqual([]);
+      expect(matchKeywords('There were no safety measures', ['safety'], { matchNegated: true })).toEqual(['safety']);
+    });
+
+    it('matches keywords of several words in a row', () => {
+      expect(matchKeywords('Worst food poisoning ever', ['food poisoning'])).toEqual(['food poisoning']);
+      expect(matchKeywords('The food was fine, no poisoning', ['food poisoning'])).toEqual([]);
+    });
+
+    it('uses the language\'s negation words', () => {
+      expect(matchKeywords('O garçom não foi grosseiro', ['grosseiro'], { language: 'pt-BR' })).toEqual([]);
+      expect(matchKeywords('O garçom foi grosseiro', ['grosseiro'], { language: 'pt-BR' })).toEqual(['grosseiro']);
+      expect(matchKeywords('Duas intoxicações', ['intoxicação'], { language: 'pt' })).toEqual(['intoxicação']);
+    });
+  });
+
+  describe('findKeywords', () => {
+    it('counts occurrences and negated occurrences', () => {
+      expect(findKeywords('Rude host. Not rude waiter. Rude chef', ['rude', 'scam'])).toEqual([
+        { keyword: 'rude', count: 3, negatedCount: 1 },
+        { keyword: 'scam', count: 0, negatedCount: 0 }
+      ]);
+    });
+  });
+});
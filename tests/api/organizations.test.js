@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import organizationsAPI from '../../src/api/organizations.js';
+import subscriptionsAPI from '../../src/api/subscriptions.js';
+import { createAPIContext, createSystemContext } from '../../src/api/context.js';
+import { useMemoryStorage, storedDocuments, business } from './helpers.js';
+
+const owner = () => createAPIContext({ uid: 'owner_1' });
+const admin = () => createAPIContext({ uid: 'admin_1' });
+
+describe('OrganizationsAPI', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = useMemoryStorage({
+      organizations: {
+        org_1: { name: 'Group', ownerId: 'owner_1', billingUserId: 'owner_1', planId: 'growth', isActive: true }
+      },
+      'organizations/org_1/members': {
+        owner_1: { userId: 'owner_1', role: 'owner', status: 'active' },
+        admin_1: { userId: 'admin_1', role: 'admin', status: 'active' }
+      },
+      businesses: { business_1: business({ organizationId: 'org_1' }) },
+      subscription_plans: {
+        growth: { name: 'Growth Plan', maxTeamMembers: 4, maxLocations: 3 },
+        agency: { name: 'Agency Plan', maxTeamMembers: -1, maxLocations: -1 }
+      },
+      user_subscriptions: {
+        owner_1: { userId: 'owner_1', planId: 'growth', status: 'active' },
+        admin_1: { userId: 'admin_1', planId: 'agency', status: 'active' }
+      }
+    });
+  });
+
+  describe('billing', () => {
+    it('reads the plan from the organization, not the billing user\'s subscription', async () => {
+      // Admins can't read the owner's subscription under the security rules
+      adapter.getCollection('user_subscriptions').delete('owner_1');
+
+      const billing = await organizationsAPI.getOrganizationBilling('org_1', admin());
+
+      expect(billing).toMatchObject({ billingUserId: 'owner_1', planId: 'growth', businessCount: 1, maxLocations: 3 });
+      expect(billing.plan.name).toBe('Growth Plan');
+    });
+
+    it('copies the creator\'s plan onto new organizations', async () => {
+      const organization = await organizationsAPI.createOrganization({ name: 'Agency' }, admin());
+
+      expect(storedDocuments(adapter, 'organizations')[organization.id].planId).toBe('agency');
+    });
+
+    it('forgets the plan when someone else takes over billing until they refresh it', async () => {
+      await organizationsAPI.setOrganizationBillingUser('org_1', 'admin_1', owner());
+      expect(storedDocuments(adapter, 'organizations').org_1.billingUserId).toBe('admin_1');
+      expect(storedDocuments(adapter, 'organizations').org_1).not.toHaveProperty('planId');
+      await expect(organizationsAPI.getOrganizationBilling('org_1', owner()))
+        .rejects.toMatchObject({ code: 'FAILED_PRECONDITION' });
+
+      await expect(organizationsAPI.refreshOrganizationPlan('org_1', owner()))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+      await organizationsAPI.refreshOrganizationPlan('org_1', admin());
+      expect(storedDocuments(adapter, 'organizations').org_1.planId).toBe('agency');
+    });
+
+    it('follows plan changes made by the billing backend', async () => {
+      await subscriptionsAPI.updateSubscription('owner_1', { planId: 'agency' }, createSystemContext('sync'));
+
+      expect(storedDocuments(adapter, 'organizations').org_1.planId).toBe('agency');
+      const billing = await organizationsAPI.getOrganizationBilling('org_1', admin());
+      expect(billing.maxLocations).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import responsesAPI from '../../src/api/responses.js';
+import reviewsAPI from '../../src/api/reviews.js';
+import { createAPIContext } from '../../src/api/context.js';
+import { useMemoryStorage, storedDocuments, business, reviewInput } from './helpers.js';
+
+const owner = () => createAPIContext({ uid: 'owner_1' });
+
+const responseInput = (overrides = {}) => ({
+  businessId: 'business_1',
+  responseText: ' Thanks for visiting! ',
+  responseType: 'manual',
+  ...overrides
+});
+
+describe('ReviewResponsesAPI', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = useMemoryStorage({
+      businesses: {
+        business_1: business(),
+        business_2: business({ userId: 'owner_2', name: 'Bakery' })
+      }
+    });
+  });
+
+  describe('createResponse', () => {
+    it('responds to a review of the business and marks it responded', async () => {
+      const review = await reviewsAPI.createReview(reviewInput());
+
+      const response = await responsesAPI.createResponse(responseInput({ reviewId: review.id }), owner());
+
+      expect(response).toMatchObject({ reviewId: review.id, userId: 'owner_1', responseText: 'Thanks for visiting!' });
+      expect(storedDocuments(adapter, 'reviews')[review.id].response).toMatchObject({ hasResponse: true, responseCount: 1 });
+    });
+
+    it('refuses reviews of another business', async () => {
+      const review = await reviewsAPI.createReview(reviewInput({ businessId: 'business_2' }));
+
+      await expect(responsesAPI.createResponse(responseInput({ reviewId: review.id }), owner()))
+        .rejects.toMatchObject({ code: 'NOT_FOUND' });
+      expect(storedDocuments(adapter, 'review_responses')).toEqual({});
+      expect(storedDocuments(adapter, 'reviews')[review.id].response.hasResponse).toBe(false);
+    });
+  });
+});
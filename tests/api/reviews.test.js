@@ -0,0 +1,338 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import reviewsAPI from '../../src/api/reviews.js';
+import { AUDIT_COLLECTION, deleteField } from '../../src/api/base.js';
+import { createAPIContext, createSystemContext } from '../../src/api/context.js';
+import { ANALYSIS_VERSION } from '../../src/api/sentiment.js';
+import { useMemoryStorage, storedDocuments, business, teamMember, reviewInput } from './helpers.js';
+
+const member = () => createAPIContext({ uid: 'member_1' });
+const owner = () => createAPIContext({ uid: 'owner_1' });
+
+describe('ReviewsAPI', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = useMemoryStorage({
+      businesses: { business_1: business({ teamMemberIds: ['member_1'] }) },
+      'businesses/business_1/team_members': { member_1: teamMember('member_1') }
+    });
+  });
+
+  describe('createReview', () => {
+    it('stores the review with its analysis, priority and search index', async () => {
+      const review = await reviewsAPI.createReview(reviewInput());
+      const stored = await reviewsAPI.getById(review.id);
+
+      expect(stored.analysis).toMatchObject({ version: ANALYSIS_VERSION, sentimentLabel: 'positive', isRatingMismatch: false });
+      expect(stored.priorityScore).toBeGreaterThanOrEqual(1);
+      expect(stored.searchKeywords).toContain('pizza');
+      expect(stored.flagging.isFlagged).toBe(false);
+    });
+
+    it('scores urgent, low-rated reviews higher', async () => {
+      const calm = await reviewsAPI.createReview(reviewInput({ rating: 5 }));
+      const urgent = await reviewsAPI.createReview(reviewInput({
+        platformReviewId: 'g_2',
+        rating: 1,
+        text: 'I got food poisoning here and I am calling my lawyer about a lawsuit.'
+      }));
+
+      expect(urgent.priorityScore).toBeGreaterThan(calm.priorityScore);
+    });
+
+    it('validates required fields', async () => {
+      await expect(reviewsAPI.createReview(reviewInput({ text: undefined })))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('upsertReview', () => {
+    it('creates, leaves unchanged, then updates and keeps the previous version', async () => {
+      const created = await reviewsAPI.upsertReview(reviewInput());
+      expect(created.status).toBe('created');
+
+      const unchanged = await reviewsAPI.upsertReview(reviewInput());
+      expect(unchanged.status).toBe('unchanged');
+
+      const edited = await reviewsAPI.upsertReview(reviewInput({ rating: 2, text: 'Cold pizza and a long wait this time.' }));
+      expect(edited.status).toBe('updated');
+      expect(edited.changedFields).toEqual(['rating', 'text']);
+      expect(edited.review.id).toBe(created.review.id);
+
+      const history = Object.values(storedDocuments(adapter, `reviews/${created.review.id}/history`));
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ rating: 4, changedFields: ['rating', 'text'] });
+    });
+
+    it('refuses a review synced for another business', async () => {
+      await reviewsAPI.upsertReview(reviewInput());
+      await expect(reviewsAPI.upsertReview(reviewInput({ businessId: 'business_2' })))
+        .rejects.toMatchObject({ code: 'ALREADY_EXISTS' });
+    });
+  });
+
+  describe('getBusinessReviews', () => {
+    beforeEach(async () => {
+      await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_1', rating: 5 }));
+      await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_2', rating: 2, platform: 'yelp' }));
+      const archived = await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_3', rating: 1 }));
+      await reviewsAPI.archiveReview(archived.id, createAPIContext({ uid: 'owner_1' }));
+    });
+
+    it('filters by rating and platform and leaves out archived reviews', async () => {
+      const ratings = async (options) => (await reviewsAPI.getBusinessReviews('business_1', member(), { sortBy: 'rating', ...options }))
+        .documents.map(review => review.rating);
+
+      expect(await ratings()).toEqual([5, 2]);
+      expect(await ratings({ maxRating: 3 })).toEqual([2]);
+      expect(await ratings({ platform: 'yelp' })).toEqual([2]);
+      expect(await ratings({ includeArchived: true })).toEqual([5, 2, 1]);
+    });
+
+    it('counts reviews analyzed before mismatches were detected as not mismatched', async () => {
+      const contradicting = await reviewsAPI.createReview(reviewInput({
+        platformReviewId: 'g_4', rating: 5, text: 'Worst meal ever, the food was cold and disgusting and the staff were rude.'
+      }));
+      const [older] = (await reviewsAPI.getBusinessReviews('business_1', member(), { platform: 'yelp' })).documents;
+      await reviewsAPI.update(older.id, { 'analysis.isRatingMismatch': deleteField() });
+
+      const ids = async (mismatched) => (await reviewsAPI.getBusinessReviews('business_1', member(), { mismatched }))
+        .documents.map(review => review.id);
+
+      expect(await ids(true)).toEqual([contradicting.id]);
+      expect(await ids(false)).toHaveLength(2);
+      expect(await ids(false)).toContain(older.id);
+    });
+
+    it('is for members of the business, signed in', async () => {
+      await expect(reviewsAPI.getBusinessReviews('business_1', createAPIContext({ uid: 'stranger' })))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+      await expect(reviewsAPI.getBusinessReviews('business_1', 'member_1'))
+        .rejects.toMatchObject({ code: 'UNAUTHENTICATED' });
+    });
+  });
+
+  describe('reanalyzeReviews', () => {
+    it('updates calculated priority scores with the new analysis and keeps the others', async () => {
+      const text = 'Worst meal ever, the food was cold and disgusting and the staff were rude.';
+      const calculated = await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_1', rating: 5, text }));
+      const set = await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_2', rating: 5, text }));
+      // As analyzed and scored before rating mismatches were detected
+      const before = reviewsAPI.calculatePriorityScore(5, text, 'en');
+      const outdated = { 'analysis.version': 1, 'analysis.isRatingMismatch': deleteField(), priorityScore: before };
+      await reviewsAPI.update(calculated.id, outdated);
+      await reviewsAPI.update(set.id, { ...outdated, priorityScore: 9 });
+
+      const result = await reviewsAPI.reanalyzeReviews('business_1', owner());
+
+      expect(result).toMatchObject({ analyzed: 2, skipped: 0 });
+      const reviews = storedDocuments(adapter, 'reviews');
+      expect(reviews[calculated.id].analysis.isRatingMismatch).toBe(true);
+      expect(reviews[calculated.id].priorityScore).toBe(calculated.priorityScore);
+      expect(reviews[calculated.id].priorityScore).toBeGreaterThan(before);
+      expect(reviews[set.id].priorityScore).toBe(9);
+    });
+
+    it('applies sentiment rules to the new analysis, without alerts', async () => {
+      const text = 'The pasta was bland and soggy, very disappointing.';
+      const flagged = await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_1', text }));
+      const unflagged = await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_2', text }));
+      await reviewsAPI.unflagReview(unflagged.id, owner());
+      for (const review of [flagged, unflagged]) {
+        await reviewsAPI.update(review.id, { 'analysis.version': 1, 'analysis.sentimentScore': 0 });
+      }
+      adapter.seed({
+        alert_settings: {
+          business_1: {
+            alertRules: [{
+              id: 'disappointed',
+              conditions: { sentiment: { max: -0.5 } },
+              actions: { flag: { reason: 'negative_sentiment' }, priority: 9, notify: {} }
+            }]
+          }
+        }
+      });
+
+      const result = await reviewsAPI.reanalyzeReviews('business_1', owner());
+
+      expect(result).toMatchObject({ analyzed: 2, flagged: 1 });
+      const reviews = storedDocuments(adapter, 'reviews');
+      expect(reviews[flagged.id].analysis.sentimentScore).toBeLessThan(-0.5);
+      expect(reviews[flagged.id].flagging).toMatchObject({ isFlagged: true, reason: 'negative_sentiment', flaggedBy: 'system' });
+      expect(reviews[flagged.id].priorityScore).toBe(9);
+      expect(reviews[unflagged.id].flagging.isFlagged).toBe(false);
+      expect(storedDocuments(adapter, 'notifications')).toEqual({});
+    });
+  });
+
+  describe('bulk jobs', () => {
+    it('need canManageSettings and audit the writes as the caller', async () => {
+      const review = await reviewsAPI.createReview(reviewInput());
+      await reviewsAPI.update(review.id, { 'analysis.version': 1 });
+      adapter.getCollection(AUDIT_COLLECTION).clear();
+
+      for (const job of [
+        () => reviewsAPI.reindexReviews('business_1', member()),
+        () => reviewsAPI.reanalyzeReviews('business_1', member()),
+        () => reviewsAPI.detectBusinessSpam('business_1', member(), { since: new Date(0) })
+      ]) {
+        await expect(job()).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+      }
+      expect(storedDocuments(adapter, AUDIT_COLLECTION)).toEqual({});
+
+      await reviewsAPI.reanalyzeReviews('business_1', owner());
+      const entries = Object.values(storedDocuments(adapter, AUDIT_COLLECTION));
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ documentId: review.id, actorId: 'owner_1', source: 'ui' });
+    });
+  });
+
+  describe('flagReview', () => {
+    let reviewId;
+
+    beforeEach(async () => {
+      reviewId = (await reviewsAPI.createReview(reviewInput())).id;
+    });
+
+    it('lets members with canRespond flag and unflag', async () => {
+      const context = createAPIContext({ uid: 'member_1' });
+
+      const flagged = await reviewsAPI.flagReview(reviewId, { reason: 'inappropriate' }, context);
+      expect(flagged.flagging).toMatchObject({ isFlagged: true, reason: 'inappropriate', flaggedBy: 'member_1' });
+
+      const unflagged = await reviewsAPI.unflagReview(reviewId, context);
+      expect(unflagged.flagging.isFlagged).toBe(false);
+    });
+
+    it('denies users outside the business', async () => {
+      await expect(reviewsAPI.flagReview(reviewId, { reason: 'spam' }, createAPIContext({ uid: 'stranger' })))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+      expect((await reviewsAPI.getById(reviewId)).flagging.isFlagged).toBe(false);
+    });
+  });
+
+  describe('spam detection', () => {
+    const copied = 'Best pizza in town, the staff are amazing and the prices are great.';
+    const daysAgo = (days) => Timestamp.fromMillis(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    it('compares new reviews with those posted around the same time', async () => {
+      await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_1', text: copied, reviewDate: daysAgo(90) }));
+
+      const first = await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_2', text: copied, author: { name: 'Alex', reviewCount: 12 } }));
+      expect((await reviewsAPI.getById(first.id)).analysis.isSpam).toBe(false);
+
+      const second = await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_3', text: copied, author: { name: 'Kim', reviewCount: 12 } }));
+      const stored = await reviewsAPI.getById(second.id);
+      expect(stored.analysis.spamSignals.map(({ signal }) => signal)).toEqual(['duplicate_text']);
+      expect(stored.flagging).toMatchObject({ isFlagged: true, reason: 'spam' });
+    });
+
+    it('lets imports skip detection and run it once for the batch', async () => {
+      for (const [index, name] of ['Alex', 'Kim', 'Lee'].entries()) {
+        await reviewsAPI.createReview(reviewInput({
+          platformReviewId: `g_${index}`, text: copied, author: { name, reviewCount: 12 }, reviewDate: daysAgo(1)
+        }), { detectSpam: false });
+      }
+      expect(Object.values(storedDocuments(adapter, 'reviews')).some(review => review.analysis.isSpam)).toBe(false);
+
+      const result = await reviewsAPI.detectBusinessSpam('business_1', owner(), { since: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) });
+
+      expect(result).toMatchObject({ scored: 3, flagged: 3, skipped: 0, nextPageToken: null });
+      Object.values(storedDocuments(adapter, 'reviews')).forEach(review => {
+        expect(review.analysis.spamReview.status).toBe('pending');
+        expect(review.flagging.reason).toBe('spam');
+      });
+    });
+  });
+
+  describe('clearSpam', () => {
+    it('applies the flagging rules as automation audited as the user', async () => {
+      const review = await reviewsAPI.createReview(reviewInput({
+        rating: 1,
+        text: 'I got food poisoning here and I am calling my lawyer about a lawsuit.'
+      }));
+      await reviewsAPI.update(review.id, {
+        flagging: { isFlagged: true, reason: 'spam', keywords: [], flaggedBy: 'system' },
+        'analysis.isSpam': true,
+        'analysis.spamReview': { status: 'pending', reviewedBy: null, reviewedAt: null }
+      });
+      // Only the entries of clearSpam and what it triggers
+      adapter.getCollection(AUDIT_COLLECTION).clear();
+
+      const cleared = await reviewsAPI.clearSpam(review.id, createAPIContext({ uid: 'member_1' }));
+
+      expect(cleared.flagging).toMatchObject({ isFlagged: true, flaggedBy: 'system' });
+      const entries = Object.values(storedDocuments(adapter, AUDIT_COLLECTION));
+      expect(entries.length).toBeGreaterThanOrEqual(3);
+      entries.forEach(entry => expect(entry).toMatchObject({ actorId: 'member_1', source: 'ui' }));
+    });
+
+    it('queues the rules\' alerts for the backend to send', async () => {
+      const review = await reviewsAPI.createReview(reviewInput({ rating: 1, text: 'Cold pizza and a long wait.' }));
+      await reviewsAPI.update(review.id, {
+        flagging: { isFlagged: true, reason: 'spam', keywords: [], flaggedBy: 'system' },
+        'analysis.isSpam': true,
+        'analysis.spamReview': { status: 'pending', reviewedBy: null, reviewedAt: null }
+      });
+      adapter.seed({
+        alert_settings: {
+          business_1: {
+            notifications: { inApp: true },
+            alertRules: [{ id: 'one_star', conditions: { rating: { max: 1 } }, actions: { notify: {} } }]
+          }
+        }
+      });
+
+      await reviewsAPI.clearSpam(review.id, member());
+
+      // The rules don't let members write notifications
+      expect(storedDocuments(adapter, 'notifications')).toEqual({});
+      expect(Object.values(storedDocuments(adapter, 'alert_queue')))
+        .toEqual([expect.objectContaining({ businessId: 'business_1', reviewId: review.id, requestedBy: 'member_1' })]);
+
+      await expect(reviewsAPI.deliverQueuedAlerts(member())).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+      expect(await reviewsAPI.deliverQueuedAlerts(createSystemContext())).toEqual({ sent: 1, skipped: 0 });
+
+      expect(Object.values(storedDocuments(adapter, 'notifications')))
+        .toEqual([expect.objectContaining({ userId: 'owner_1', reviewId: review.id, type: 'review_alert', channel: 'in_app' })]);
+      expect(storedDocuments(adapter, 'alert_queue')).toEqual({});
+    });
+  });
+
+  describe('getReviewStats', () => {
+    it('aggregates counts, ratings, platforms and responses', async () => {
+      await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_1', rating: 5 }));
+      await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_2', rating: 3 }));
+      const answered = await reviewsAPI.createReview(reviewInput({ platformReviewId: 'y_1', rating: 4, platform: 'yelp' }));
+      await reviewsAPI.markAsResponded(answered.id, member());
+
+      const stats = await reviewsAPI.getReviewStats('business_1', member());
+      expect(stats).toMatchObject({
+        total: 3,
+        avgRating: 4,
+        ratingDistribution: { 1: 0, 2: 0, 3: 1, 4: 1, 5: 1 },
+        platformBreakdown: { google: { count: 2, avgRating: 4 }, yelp: { count: 1, avgRating: 4 } },
+        respondedCount: 1,
+        responseRate: 33.3
+      });
+    });
+
+    it('reuses results per business until asked for fresh ones', async () => {
+      await reviewsAPI.createReview(reviewInput());
+      expect((await reviewsAPI.getReviewStats('business_1', member())).total).toBe(1);
+
+      await reviewsAPI.createReview(reviewInput({ platformReviewId: 'g_2' }));
+      const aggregate = vi.spyOn(adapter, 'aggregate');
+      expect((await reviewsAPI.getReviewStats('business_1', member())).total).toBe(1);
+      expect(aggregate).not.toHaveBeenCalled();
+
+      expect((await reviewsAPI.getReviewStats('business_1', member(), { cache: false })).total).toBe(2);
+    });
+
+    it('returns zeros for a business without reviews', async () => {
+      const stats = await reviewsAPI.getReviewStats('business_1', member());
+      expect(stats).toMatchObject({ total: 0, avgRating: 0, responseRate: 0 });
+    });
+  });
+});
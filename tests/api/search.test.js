@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import BaseCRUD from '../../src/api/base.js';
+import {
+  SEARCH_BATCH_SIZE,
+  tokenize,
+  buildSearchKeywords,
+  parseSearchQuery,
+  scoreDocument,
+  rankDocuments,
+  searchCollection
+} from '../../src/api/search.js';
+import { useMemoryStorage } from './helpers.js';
+
+const FIELDS = { title: 2, body: 1 };
+
+const note = (title, body = '') => {
+  const data = { title, body };
+  return { ...data, searchKeywords: buildSearchKeywords(data, FIELDS) };
+};
+
+describe('search', () => {
+  let notes;
+
+  beforeEach(() => {
+    notes = new BaseCRUD('notes');
+  });
+
+  describe('tokenize', () => {
+    it('lowercases, strips accents and splits on anything but letters and digits', () => {
+      expect(tokenize('Crème Brûlée, 2 for $10!')).toEqual(['creme', 'brulee', '2', 'for', '10']);
+      expect(tokenize('wood-fired')).toEqual(['wood', 'fired']);
+      expect(tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('buildSearchKeywords', () => {
+    it('indexes every prefix of 2 to 20 characters of each word', () => {
+      expect(buildSearchKeywords({ title: 'Pizza' }, FIELDS)).toEqual(['pi', 'piz', 'pizz', 'pizza']);
+
+      const long = buildSearchKeywords({ title: 'a'.repeat(30) }, FIELDS);
+      expect(Math.max(...long.map(keyword => keyword.length))).toBe(20);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('splits quoted phrases from the other words', () => {
+      expect(parseSearchQuery('great "Wood Fired" piz great')).toEqual({
+        terms: ['great', 'piz'],
+        phrases: [['wood', 'fired']]
+      });
+    });
+  });
+
+  describe('scoreDocument', () => {
+    const score = (query, document) => scoreDocument(document, parseSearchQuery(query), FIELDS);
+
+    it('matches terms as word prefixes, scoring whole words higher', () => {
+      const document = { title: 'Pizza night', body: '' };
+      expect(score('piz', document)).toBeGreaterThan(0);
+      expect(score('pizza', document)).toBeGreaterThan(score('piz', document));
+      // Prefixes of words, not their middle
+      expect(score('izza', document)).toBe(0);
+    });
+
+    it('needs every term', () => {
+      expect(score('pizza pasta', { title: 'Pizza night', body: '' })).toBe(0);
+    });
+
+    it('matches phrases as consecutive whole words', () => {
+      expect(score('"wood fired"', { title: '', body: 'A wood fired oven' })).toBeGreaterThan(0);
+      expect(score('"wood fired"', { title: '', body: 'Fired up the wood oven' })).toBe(0);
+      expect(score('"wood fir"', { title: '', body: 'A wood fired oven' })).toBe(0);
+    });
+
+    it('weights matches by field', () => {
+      expect(score('pizza', { title: 'Pizza', body: '' })).toBeGreaterThan(score('pizza', { title: '', body: 'pizza' }));
+    });
+  });
+
+  describe('rankDocuments', () => {
+    it('ranks best matches first and pages them', () => {
+      const documents = [
+        { id: 'a', title: '', body: 'pizza' },
+        { id: 'b', title: 'Pizza', body: 'pizza' },
+        { id: 'c', title: 'Pasta', body: '' }
+      ];
+
+      const first = rankDocuments(documents, 'pizza', { fields: FIELDS, limit: 1 });
+      expect(first.documents.map(({ id }) => id)).toEqual(['b']);
+      expect(first).toMatchObject({ totalMatches: 2, hasMore: true });
+
+      const second = rankDocuments(documents, 'pizza', { fields: FIELDS, limit: 1, pageToken: first.nextPageToken });
+      expect(second.documents.map(({ id }) => id)).toEqual(['a']);
+    });
+
+    it('needs a word of at least 2 characters', () => {
+      expect(() => rankDocuments([], 'a', { fields: FIELDS })).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    });
+  });
+
+  describe('searchCollection', () => {
+    it('ranks candidates past the first batch', async () => {
+      const seeded = {};
+      for (let index = 0; index < SEARCH_BATCH_SIZE; index++) {
+        seeded[`a_${String(index).padStart(4, '0')}`] = note('Pizza night', 'pizza');
+      }
+      // Last in document ID order, so only a later batch reads it
+      seeded.z_best = note('Pizza pizza', 'pizza pizza pizza');
+      useMemoryStorage({ notes: seeded });
+
+      const result = await searchCollection(notes, 'pizza', { fields: FIELDS, limit: 1 });
+
+      expect(result.documents[0].id).toBe('z_best');
+      expect(result).toMatchObject({ totalMatches: SEARCH_BATCH_SIZE + 1, truncated: false });
+    });
+  });
+});
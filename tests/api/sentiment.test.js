@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ANALYSIS_VERSION,
+  RATING_MISMATCH_THRESHOLD,
+  analyzeSentiment,
+  scoreRatingMismatch,
+  textRating,
+  responseCategory,
+  analyzeReview
+} from '../../src/api/sentiment.js';
+
+const score = (text, language) => analyzeSentiment(text, language).sentimentScore;
+
+describe('sentiment', () => {
+  describe('analyzeSentiment', () => {
+    it('labels positive, negative and neutral text', () => {
+      expect(analyzeSentiment('The food was great and the staff were friendly'))
+        .toMatchObject({ sentimentLabel: 'positive', emotionTags: ['trust'] });
+      expect(analyzeSentiment('Disgusting and dirty, the staff was rude'))
+        .toMatchObject({ sentimentLabel: 'negative', emotionTags: ['disgust', 'anger'] });
+      expect(analyzeSentiment('It was a Tuesday')).toEqual({ sentimentScore: 0, sentimentLabel: 'neutral', emotionTags: [] });
+    });
+
+    it('labels text with strong praise and complaints that cancel out as mixed', () => {
+      expect(analyzeSentiment('Great food, but the waiter was rude').sentimentLabel).toBe('mixed');
+    });
+
+    it('counts negated words mildly against their sense, without their emotions', () => {
+      expect(score('The food was not bad')).toBeGreaterThan(0);
+      expect(score('The food was not bad')).toBeLessThan(-score('The food was bad'));
+      expect(analyzeSentiment('The staff was not rude').emotionTags).toEqual([]);
+    });
+
+    it('scales words after an intensifier, and adds emphasis per exclamation mark', () => {
+      expect(score('The food was very good')).toBeGreaterThan(score('The food was good'));
+      expect(score('The food was slightly good')).toBeLessThan(score('The food was good'));
+      expect(score('Good!!!')).toBeGreaterThan(score('Good'));
+      expect(score('Good!!!!!!')).toBe(score('Good!!!'));
+    });
+
+    it('keeps scores between -1 and 1', () => {
+      const furious = 'Worst, filthy, disgusting scam! Rude, furious, awful, horrible fraud!!!';
+      expect(score(furious)).toBeGreaterThan(-1);
+      expect(score(furious)).toBeLessThan(-0.9);
+    });
+
+    it('matches whole words as written, others by stem', () => {
+      expect(score('Friendly staff')).toBeGreaterThan(0);
+      expect(score('Unfriendly staff')).toBeLessThan(0);
+      expect(score('We loved it')).toBe(score('We love it'));
+    });
+
+    it('uses the lexicon of the review\'s language', () => {
+      expect(analyzeSentiment('Comida deliciosa, muy buena', 'es').sentimentLabel).toBe('positive');
+      expect(analyzeSentiment('Il cibo era pessimo', 'it').sentimentLabel).toBe('negative');
+      // Portuguese negation
+      expect(score('O garçom não foi grosseiro', 'pt-BR')).toBeGreaterThan(0);
+    });
+  });
+
+  describe('scoreRatingMismatch', () => {
+    it('scores sentiment on the other side of the rating, less at 2 and 4 stars', () => {
+      expect(scoreRatingMismatch(5, -0.8)).toEqual({ ratingMismatchScore: 0.8, isRatingMismatch: true });
+      expect(scoreRatingMismatch(4, -0.8)).toEqual({ ratingMismatchScore: 0.6, isRatingMismatch: true });
+      expect(scoreRatingMismatch(1, 0.3).isRatingMismatch).toBe(false);
+      expect(scoreRatingMismatch(1, 0.3).ratingMismatchScore).toBeLessThan(RATING_MISMATCH_THRESHOLD);
+    });
+
+    it('never mismatches 3 stars, agreeing sentiment or missing values', () => {
+      expect(scoreRatingMismatch(3, -0.8).ratingMismatchScore).toBe(0);
+      expect(scoreRatingMismatch(5, 0.8).ratingMismatchScore).toBe(0);
+      expect(scoreRatingMismatch(undefined, -0.8).ratingMismatchScore).toBe(0);
+      expect(scoreRatingMismatch(5, undefined).ratingMismatchScore).toBe(0);
+    });
+  });
+
+  describe('textRating', () => {
+    it('reads a sentiment score as 1 to 5 stars', () => {
+      expect([-1, 0, 0.3, 0.9].map(textRating)).toEqual([1, 3, 4, 5]);
+    });
+  });
+
+  describe('responseCategory', () => {
+    it('goes by the rating, or by the text when it contradicts the rating', () => {
+      expect(responseCategory({ rating: 5 })).toBe('positive');
+      expect(responseCategory({ rating: 3 })).toBe('neutral');
+      expect(responseCategory({ rating: 2, analysis: { isRatingMismatch: false, sentimentScore: 0.9 } })).toBe('negative');
+      expect(responseCategory({ rating: 5, analysis: { isRatingMismatch: true, sentimentScore: -0.8 } })).toBe('negative');
+    });
+  });
+
+  describe('analyzeReview', () => {
+    it('analyzes title and text as separate sentences, and counts the text\'s words', () => {
+      const analysis = analyzeReview({ rating: 5, title: 'Not', text: 'good' });
+      expect(analysis).toMatchObject({ sentimentLabel: 'positive', wordCount: 1, version: ANALYSIS_VERSION });
+    });
+
+    it('checks the sentiment against the rating', () => {
+      expect(analyzeReview({ rating: 5, title: 'Never again', text: 'Terrible service' }))
+        .toMatchObject({ sentimentLabel: 'negative', isRatingMismatch: true });
+    });
+
+    it('uses the detected language unless one is given', () => {
+      const review = { rating: 1, text: 'pessimo', analysis: { languageDetected: 'it' } };
+      expect(analyzeReview(review).sentimentLabel).toBe('negative');
+      expect(analyzeReview(review, 'en').sentimentLabel).toBe('neutral');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SPAM_SIGNALS,
+  SPAM_THRESHOLD,
+  BURST_MIN_REVIEWS,
+  textSimilarity,
+  findDuplicate,
+  scoreSpam
+} from '../../src/api/spam.js';
+
+const text = 'Best pizza in town, the staff are amazing and the prices are great.';
+
+const review = (overrides = {}) => ({
+  id: 'review_1',
+  platform: 'google',
+  rating: 5,
+  text,
+  author: { name: 'Sam', reviewCount: 12 },
+  ...overrides
+});
+
+const signalsOf = (result) => result.spamSignals.map(({ signal }) => signal);
+
+describe('spam', () => {
+  describe('textSimilarity', () => {
+    it('compares runs of words in order, ignoring case, accents and punctuation', () => {
+      expect(textSimilarity(text, text.toUpperCase().replace(/[,.]/g, ''))).toBe(1);
+      expect(textSimilarity('Crème brûlée was great', 'creme brulee was great')).toBe(1);
+      expect(textSimilarity(text, text.split(' ').reverse().join(' '))).toBe(0);
+      expect(textSimilarity('Great food', 'Great food!')).toBe(1);
+    });
+  });
+
+  describe('findDuplicate', () => {
+    it('finds the closest near-duplicate', () => {
+      const others = [
+        review({ id: 'close', text: `${text} Will be back!` }),
+        review({ id: 'same', text }),
+        review({ id: 'other', text: 'Slow service but the pasta made up for it.' })
+      ];
+      expect(findDuplicate(review(), others)).toEqual({ reviewId: 'same', similarity: 1 });
+    });
+
+    it('ignores short texts and the same author on another platform', () => {
+      expect(findDuplicate(review({ text: 'Great food!' }), [review({ id: 'other', text: 'Great food!' })])).toBeNull();
+      expect(findDuplicate(review(), [review({ id: 'yelp_1', platform: 'yelp' })])).toBeNull();
+      expect(findDuplicate(review(), [review({ id: 'yelp_1', platform: 'yelp', author: { name: 'Alex' } })]))
+        .toMatchObject({ reviewId: 'yelp_1' });
+    });
+  });
+
+  describe('scoreSpam', () => {
+    it('finds nothing in an ordinary review', () => {
+      expect(scoreSpam(review())).toEqual({ isSpam: false, spamConfidence: 0, spamSignals: [] });
+    });
+
+    it('scores duplicated text as spam', () => {
+      const result = scoreSpam(review(), { others: [review({ id: 'review_2', author: { name: 'Alex' } })] });
+
+      expect(result).toMatchObject({ isSpam: true, spamConfidence: SPAM_SIGNALS.duplicate_text });
+      expect(result.spamSignals[0]).toMatchObject({ signal: 'duplicate_text', details: { reviewId: 'review_2' } });
+    });
+
+    it('detects links, bursts, new authors and shouting', () => {
+      expect(signalsOf(scoreSpam(review({ text: 'Order at cheap-pizza.shop or mail deals@example.com' }))))
+        .toEqual(['links']);
+      expect(signalsOf(scoreSpam(review(), { burstCount: BURST_MIN_REVIEWS }))).toEqual(['review_burst']);
+      expect(signalsOf(scoreSpam(review(), { burstCount: BURST_MIN_REVIEWS - 1 }))).toEqual([]);
+      expect(signalsOf(scoreSpam(review({ text: text.toUpperCase() })))).toEqual(['all_caps']);
+      expect(signalsOf(scoreSpam(review({ text: 'GREAT PIZZA!' })))).toEqual([]);
+    });
+
+    it('weighs authors with no reviews more than those with one', () => {
+      const none = scoreSpam(review({ author: { name: 'Sam', reviewCount: 0 } }));
+      const one = scoreSpam(review({ author: { name: 'Sam', reviewCount: 1 } }));
+
+      expect(none.spamSignals).toEqual([{ signal: 'new_author', score: SPAM_SIGNALS.new_author, details: { reviewCount: 0 } }]);
+      expect(one.spamConfidence).toBeLessThan(none.spamConfidence);
+      expect(signalsOf(scoreSpam(review({ author: { name: 'Sam' } })))).toEqual(['new_author']);
+    });
+
+    it('scales the rating mismatch signal by its score', () => {
+      const result = scoreSpam(review({ analysis: { isRatingMismatch: true, ratingMismatchScore: 0.5, sentimentScore: -0.5 } }));
+      expect(result.spamSignals).toEqual([{
+        signal: 'rating_mismatch',
+        score: SPAM_SIGNALS.rating_mismatch * 0.5,
+        details: { rating: 5, sentimentScore: -0.5 }
+      }]);
+    });
+
+    it('combines signals as the chance that any of them is right', () => {
+      const result = scoreSpam(review({
+        text: `${text.toUpperCase()} VISIT WWW.PIZZA-DEALS.XYZ`,
+        author: { name: 'Sam', reviewCount: 0 }
+      }));
+
+      expect(signalsOf(result)).toEqual(['links', 'new_author', 'all_caps']);
+      const expected = 1 - (1 - SPAM_SIGNALS.links) * (1 - SPAM_SIGNALS.new_author) * (1 - SPAM_SIGNALS.all_caps);
+      expect(result.spamConfidence).toBeCloseTo(expected, 3);
+      expect(result.isSpam).toBe(result.spamConfidence >= SPAM_THRESHOLD);
+    });
+  });
+});
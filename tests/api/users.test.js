@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import usersAPI, { USER_SEARCH_FIELDS } from '../../src/api/users.js';
+import subscriptionsAPI from '../../src/api/subscriptions.js';
+import notificationsAPI from '../../src/api/notifications.js';
+import { createAPIContext, createSystemContext } from '../../src/api/context.js';
+import { buildSearchKeywords } from '../../src/api/search.js';
+import { useMemoryStorage, storedDocuments } from './helpers.js';
+
+const user = () => createAPIContext({ uid: 'user_1' });
+const otherUser = () => createAPIContext({ uid: 'user_2' });
+const backend = () => createSystemContext('sync');
+
+const profile = (overrides = {}) => {
+  const data = { email: 'sam@example.com', firstName: 'Sam', isActive: true, ...overrides };
+  return { ...data, searchKeywords: buildSearchKeywords(data, USER_SEARCH_FIELDS) };
+};
+
+describe('user-level APIs', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = useMemoryStorage({
+      users: { user_1: profile(), user_2: profile({ email: 'alex@example.com', firstName: 'Alex' }) },
+      user_subscriptions: {
+        user_1: { userId: 'user_1', planId: 'growth', status: 'active' },
+        user_2: { userId: 'user_2', planId: 'agency', status: 'active' }
+      },
+      notifications: {
+        n_1: { userId: 'user_1', type: 'review_alert', channel: 'inApp', title: 'New review', createdAt: new Date() },
+        n_2: { userId: 'user_2', type: 'review_alert', channel: 'inApp', title: 'New review', createdAt: new Date() }
+      }
+    });
+  });
+
+  describe('UsersAPI', () => {
+    it('reads and updates the context\'s own profile only', async () => {
+      expect(await usersAPI.getUser('user_1', user())).toMatchObject({ firstName: 'Sam' });
+      await expect(usersAPI.getUser('user_2', user())).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+
+      await usersAPI.updateProfile({ lastName: 'Lee', isActive: false }, user());
+      expect(storedDocuments(adapter, 'users').user_1).toMatchObject({ lastName: 'Lee', isActive: true });
+      expect(storedDocuments(adapter, 'users').user_2.lastName).toBeUndefined();
+    });
+
+    it('leaves admin functions to system contexts', async () => {
+      await expect(usersAPI.deactivateUser('user_2', user())).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+      await expect(usersAPI.findUserByEmail('alex@example.com', user())).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+
+      expect(await usersAPI.findUserByEmail('alex@example.com', backend())).toMatchObject({ id: 'user_2' });
+      await usersAPI.deactivateUser('user_2', backend());
+      expect(storedDocuments(adapter, 'users').user_2.isActive).toBe(false);
+    });
+
+    it('only lets system contexts search users', async () => {
+      await expect(usersAPI.searchUsers('alex', user())).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+
+      const result = await usersAPI.searchUsers('alex', backend());
+      expect(result.documents.map(({ id }) => id)).toEqual(['user_2']);
+    });
+  });
+
+  describe('SubscriptionsAPI', () => {
+    it('reads and cancels the context\'s own subscription', async () => {
+      expect(await subscriptionsAPI.getUserSubscription(otherUser())).toMatchObject({ planId: 'agency' });
+
+      await subscriptionsAPI.cancelSubscription(user(), 'Too expensive');
+      expect(storedDocuments(adapter, 'user_subscriptions').user_1)
+        .toMatchObject({ cancelAtPeriodEnd: true, cancellationReason: 'Too expensive' });
+      expect(storedDocuments(adapter, 'user_subscriptions').user_2.cancelAtPeriodEnd).toBeUndefined();
+    });
+
+    it('only lets system contexts change plans', async () => {
+      await expect(subscriptionsAPI.updateSubscription('user_1', { planId: 'agency' }, user()))
+        .rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+
+      await subscriptionsAPI.updateSubscription('user_1', { planId: 'agency' }, backend());
+      expect(storedDocuments(adapter, 'user_subscriptions').user_1.planId).toBe('agency');
+    });
+  });
+
+  describe('NotificationsAPI', () => {
+    it('lists the context\'s own notifications', async () => {
+      const result = await notificationsAPI.getUserNotifications(user());
+      expect(result.documents.map(notification => notification.id)).toEqual(['n_1']);
+    });
+  });
+});
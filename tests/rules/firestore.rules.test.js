@@ -0,0 +1,329 @@
+// =====================================================
+// FIRESTORE RULES TESTS
+// Run firestore.rules in the Firestore emulator: npm run test:rules
+// (starts the emulator through the Firebase CLI, which needs Java)
+// =====================================================
+
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  doc, getDoc, setDoc, updateDoc, deleteDoc, collection, query, where, getDocs, writeBatch, arrayUnion, arrayRemove,
+  serverTimestamp, deleteField, Timestamp
+} from 'firebase/firestore';
+
+let testEnv;
+
+// Writes documents with the rules disabled: { 'collection/id': data }
+const seed = (documents) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  for (const [path, data] of Object.entries(documents)) {
+    await setDoc(doc(db, path), data);
+  }
+});
+
+const as = (uid, token = {}) => testEnv.authenticatedContext(uid, token).firestore();
+
+const business = (overrides = {}) => ({
+  userId: 'owner_1',
+  name: 'Pizza Place',
+  isActive: true,
+  verificationStatus: 'pending',
+  ...overrides
+});
+
+const plans = {
+  'subscription_plans/starter': { name: 'Starter Plan', maxTeamMembers: 2 },
+  'subscription_plans/growth': { name: 'Growth Plan', maxTeamMembers: 4 }
+};
+
+const member = (userId, overrides = {}) => ({
+  userId,
+  role: 'member',
+  status: 'active',
+  ...overrides
+});
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'your-reviews-rules-test',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+describe('team members', () => {
+  beforeEach(async () => {
+    await seed({
+      'businesses/business_1': business({ teamMemberIds: ['member_1', 'legacy_1'] }),
+      'businesses/business_1/team_members/member_1': member('member_1'),
+      // Legacy auto-ID document (see scripts/migrate-team-members.js)
+      'businesses/business_1/team_members/legacy_id': member('legacy_1'),
+      'reviews/review_1': { businessId: 'business_1', rating: 5, text: 'Great' }
+    });
+  });
+
+  it('grants access through the member document keyed by userId', async () => {
+    await assertSucceeds(getDoc(doc(as('member_1'), 'businesses/business_1')));
+    await assertSucceeds(getDoc(doc(as('member_1'), 'reviews/review_1')));
+  });
+
+  it('does not grant access through documents keyed by anything else', async () => {
+    await assertFails(getDoc(doc(as('legacy_1'), 'businesses/business_1')));
+    await assertFails(getDoc(doc(as('legacy_1'), 'reviews/review_1')));
+  });
+
+  it('denies members without a seat in teamMemberIds', async () => {
+    await seed({ 'businesses/business_1': business({ teamMemberIds: ['legacy_1'] }) });
+
+    await assertFails(getDoc(doc(as('member_1'), 'reviews/review_1')));
+  });
+
+  it('denies suspended members', async () => {
+    await seed({ 'businesses/business_1/team_members/member_1': member('member_1', { status: 'suspended' }) });
+
+    await assertFails(getDoc(doc(as('member_1'), 'reviews/review_1')));
+  });
+
+  it('only lets members be added under their own userId', async () => {
+    const owner = as('owner_1');
+
+    await assertSucceeds(setDoc(doc(owner, 'businesses/business_1/team_members/member_2'), member('member_2')));
+    await assertFails(setDoc(doc(owner, 'businesses/business_1/team_members/other_id'), member('member_3')));
+  });
+});
+
+describe('team seats', () => {
+  const invitee = () => as('user_2', { email: 'sam@example.com', email_verified: true });
+
+  // The writes of InvitationsAPI.acceptInvitation
+  const accept = (db) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'team_invitations/invitation_1'), {
+      status: 'accepted', acceptedBy: 'user_2', acceptedAt: serverTimestamp(), updatedAt: serverTimestamp()
+    });
+    batch.update(doc(db, 'businesses/business_1'), { teamMemberIds: arrayUnion('user_2'), updatedAt: serverTimestamp() });
+    batch.set(doc(db, 'businesses/business_1/team_members/user_2'), member('user_2', { invitationId: 'invitation_1' }));
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await seed({
+      ...plans,
+      'user_subscriptions/owner_1': { planId: 'starter', status: 'active' },
+      'businesses/business_1': business({ teamMemberIds: [], planId: 'starter' }),
+      'team_invitations/invitation_1': {
+        businessId: 'business_1', email: 'sam@example.com', role: 'member', permissions: {},
+        status: 'pending', invitedBy: 'owner_1', expiresAt: Timestamp.fromDate(new Date(Date.now() + 60 * 60 * 1000))
+      }
+    });
+  });
+
+  it('lets invitees join without reading the business or its team', async () => {
+    await assertFails(getDoc(doc(invitee(), 'businesses/business_1')));
+
+    await assertSucceeds(accept(invitee()));
+    await assertSucceeds(getDoc(doc(invitee(), 'businesses/business_1')));
+  });
+
+  it('refuses invitees once the plan\'s seats are taken', async () => {
+    await seed({
+      'businesses/business_1': business({ teamMemberIds: ['member_1'], planId: 'starter' }),
+      'businesses/business_1/team_members/member_1': member('member_1')
+    });
+
+    await assertFails(accept(invitee()));
+  });
+
+  it('only lets invitees take their own seat', async () => {
+    const db = invitee();
+
+    await assertFails(updateDoc(doc(db, 'businesses/business_1'), { teamMemberIds: ['user_2'] }));
+    await assertFails(setDoc(doc(db, 'businesses/business_1/team_members/user_2'), member('user_2', { invitationId: 'invitation_1' })));
+  });
+
+  it('lets managers add seats within the plan and free them', async () => {
+    const owner = as('owner_1');
+
+    await assertSucceeds(updateDoc(doc(owner, 'businesses/business_1'), { teamMemberIds: arrayUnion('member_1') }));
+    await assertFails(updateDoc(doc(owner, 'businesses/business_1'), { teamMemberIds: arrayUnion('member_2') }));
+    await assertFails(updateDoc(doc(owner, 'businesses/business_1'), { teamMemberIds: arrayUnion('owner_1') }));
+    await assertSucceeds(updateDoc(doc(owner, 'businesses/business_1'), { teamMemberIds: arrayRemove('member_1') }));
+  });
+
+  it('only accepts the owner\'s actual plan', async () => {
+    await seed({ 'businesses/business_1': business({ teamMemberIds: [], planId: null }) });
+    const owner = as('owner_1');
+
+    await assertFails(updateDoc(doc(owner, 'businesses/business_1'), { planId: 'growth' }));
+    await assertSucceeds(updateDoc(doc(owner, 'businesses/business_1'), { planId: 'starter' }));
+    await assertFails(setDoc(doc(owner, 'businesses/business_2'), business({ teamMemberIds: [], planId: 'growth' })));
+    await assertSucceeds(setDoc(doc(owner, 'businesses/business_2'), business({ teamMemberIds: [], planId: 'starter' })));
+  });
+});
+
+describe('business ownership', () => {
+  beforeEach(async () => {
+    await seed({
+      ...plans,
+      'user_subscriptions/owner_1': { planId: 'growth', status: 'active' },
+      'user_subscriptions/admin_1': { planId: 'starter', status: 'active' },
+      'businesses/business_1': business({ teamMemberIds: ['admin_1', 'member_1'], planId: 'growth' }),
+      'businesses/business_1/team_members/admin_1': member('admin_1', { role: 'admin' }),
+      'businesses/business_1/team_members/member_1': member('member_1'),
+      'reviews/review_1': { businessId: 'business_1', rating: 5, text: 'Great' }
+    });
+  });
+
+  // The business update of BusinessesAPI.transferBusinessOwnership
+  const transfer = (teamMemberIds) => updateDoc(doc(as('owner_1'), 'businesses/business_1'), {
+    userId: 'admin_1', teamMemberIds, planId: deleteField()
+  });
+
+  it('only transfers to new owners whose plan the team fits', async () => {
+    await assertFails(transfer(['member_1', 'owner_1']));
+    await assertSucceeds(transfer(['member_1']));
+  });
+
+  it('lets organization owners purge a deleted business', async () => {
+    await seed({
+      'organizations/org_1': { name: 'Group', ownerId: 'org_owner', billingUserId: 'org_owner', isActive: true },
+      'organizations/org_1/members/org_owner': { userId: 'org_owner', role: 'owner', status: 'active' },
+      'organizations/org_1/members/org_admin': { userId: 'org_admin', role: 'admin', status: 'active' },
+      'businesses/business_1': business({ organizationId: 'org_1', isActive: false, teamMemberIds: [] })
+    });
+
+    await assertFails(updateDoc(doc(as('org_admin'), 'businesses/business_1'), { purge: { status: 'in_progress' } }));
+    await assertSucceeds(updateDoc(doc(as('org_owner'), 'businesses/business_1'), { purge: { status: 'in_progress' } }));
+    await assertSucceeds(deleteDoc(doc(as('org_owner'), 'reviews/review_1')));
+    await assertSucceeds(deleteDoc(doc(as('org_owner'), 'businesses/business_1/team_members/member_1')));
+    await assertSucceeds(deleteDoc(doc(as('org_owner'), 'businesses/business_1')));
+  });
+
+  it('never restores a business once its purge has started', async () => {
+    await seed({ 'businesses/business_1': business({ isActive: false, purge: { status: 'in_progress' } }) });
+
+    await assertFails(updateDoc(doc(as('owner_1'), 'businesses/business_1'), { isActive: true, deletedAt: deleteField() }));
+  });
+});
+
+describe('user subscriptions', () => {
+  beforeEach(async () => {
+    await seed({
+      'user_subscriptions/user_1': { planId: 'growth', status: 'active', cancelAtPeriodEnd: false }
+    });
+  });
+
+  it('lets users cancel with a server timestamp', async () => {
+    await assertSucceeds(updateDoc(doc(as('user_1'), 'user_subscriptions/user_1'), {
+      cancelAtPeriodEnd: true,
+      canceledAt: serverTimestamp(),
+      cancellationReason: 'Too expensive'
+    }));
+  });
+
+  it('rejects client-supplied cancellation times', async () => {
+    await assertFails(updateDoc(doc(as('user_1'), 'user_subscriptions/user_1'), {
+      cancelAtPeriodEnd: true,
+      canceledAt: Timestamp.fromDate(new Date('2020-01-01'))
+    }));
+  });
+
+  it('keeps plans and status out of the user\'s reach', async () => {
+    const db = as('user_1');
+
+    await assertFails(updateDoc(doc(db, 'user_subscriptions/user_1'), { planId: 'enterprise' }));
+    await assertFails(updateDoc(doc(db, 'user_subscriptions/user_1'), { status: 'canceled' }));
+    await assertFails(getDoc(doc(as('user_2'), 'user_subscriptions/user_1')));
+  });
+});
+
+describe('organizations', () => {
+  beforeEach(async () => {
+    await seed({
+      'organizations/org_1': { name: 'Group', ownerId: 'owner_1', billingUserId: 'owner_1', planId: 'growth', isActive: true },
+      'organizations/org_1/members/owner_1': { userId: 'owner_1', role: 'owner', status: 'active' },
+      'organizations/org_1/members/admin_1': { userId: 'admin_1', role: 'admin', status: 'active' },
+      'organizations/org_2': { name: 'Other', ownerId: 'owner_2', billingUserId: 'owner_2', isActive: true },
+      'businesses/business_1': business({ organizationId: 'org_1' }),
+      'businesses/business_2': business({ userId: 'owner_2', organizationId: 'org_2' }),
+      'user_subscriptions/owner_1': { planId: 'growth', status: 'active' },
+      'user_subscriptions/admin_1': { planId: 'agency', status: 'active' }
+    });
+  });
+
+  // The queries getBusinessesForUser runs for organization members
+  it('lets members query their organization\'s businesses one organization at a time', async () => {
+    const businesses = collection(as('admin_1'), 'businesses');
+
+    await assertSucceeds(getDocs(query(businesses, where('organizationId', '==', 'org_1'), where('isActive', '==', true))));
+    await assertFails(getDocs(query(businesses, where('organizationId', '==', 'org_2'), where('isActive', '==', true))));
+    await assertFails(getDocs(query(businesses, where('organizationId', 'in', ['org_1']), where('isActive', '==', true))));
+  });
+
+  it('shows members the plan copy without its subscription', async () => {
+    const db = as('admin_1');
+
+    await assertSucceeds(getDoc(doc(db, 'organizations/org_1')));
+    await assertFails(getDoc(doc(db, 'user_subscriptions/owner_1')));
+  });
+
+  it('only accepts the billing user\'s actual plan', async () => {
+    await assertFails(setDoc(doc(as('admin_1'), 'organizations/org_3'), {
+      name: 'Agency', ownerId: 'admin_1', billingUserId: 'admin_1', planId: 'enterprise', isActive: true
+    }));
+    await assertSucceeds(setDoc(doc(as('admin_1'), 'organizations/org_3'), {
+      name: 'Agency', ownerId: 'admin_1', billingUserId: 'admin_1', planId: 'agency', isActive: true
+    }));
+
+    await assertFails(updateDoc(doc(as('owner_1'), 'organizations/org_1'), { planId: 'agency' }));
+    await assertFails(updateDoc(doc(as('owner_1'), 'organizations/org_1'), { billingUserId: 'admin_1', planId: 'enterprise' }));
+    await assertFails(updateDoc(doc(as('owner_1'), 'organizations/org_1'), { billingUserId: 'admin_1', planId: null }));
+    await assertSucceeds(updateDoc(doc(as('owner_1'), 'organizations/org_1'), { billingUserId: 'admin_1', planId: deleteField() }));
+    await assertSucceeds(updateDoc(doc(as('admin_1'), 'organizations/org_1'), { planId: 'agency' }));
+  });
+});
+
+describe('alert queue', () => {
+  beforeEach(async () => {
+    await seed({
+      'businesses/business_1': business({ teamMemberIds: ['member_1'] }),
+      'businesses/business_1/team_members/member_1': member('member_1'),
+      'businesses/business_2': business({ userId: 'owner_2' }),
+      'reviews/review_1': { businessId: 'business_1', rating: 1, text: 'Cold' },
+      'reviews/review_2': { businessId: 'business_2', rating: 1, text: 'Cold' }
+    });
+  });
+
+  const request = (overrides = {}) => ({
+    businessId: 'business_1', reviewId: 'review_1', requestedBy: 'member_1', createdAt: serverTimestamp(), ...overrides
+  });
+
+  it('lets members queue alerts for their business\'s reviews', async () => {
+    await assertSucceeds(setDoc(doc(as('member_1'), 'alert_queue/request_1'), request()));
+  });
+
+  it('rejects requests for other reviews, users or extra fields', async () => {
+    const db = as('member_1');
+
+    await assertFails(setDoc(doc(db, 'alert_queue/request_1'), request({ reviewId: 'review_2' })));
+    await assertFails(setDoc(doc(db, 'alert_queue/request_1'), request({ businessId: 'business_2', reviewId: 'review_2' })));
+    await assertFails(setDoc(doc(db, 'alert_queue/request_1'), request({ requestedBy: 'owner_1' })));
+    await assertFails(setDoc(doc(db, 'alert_queue/request_1'), request({ channels: ['sms'] })));
+  });
+
+  it('leaves reading and sending the queue to the backend', async () => {
+    await seed({ 'alert_queue/request_1': request({ createdAt: Timestamp.now() }) });
+
+    await assertFails(getDoc(doc(as('owner_1'), 'alert_queue/request_1')));
+    await assertFails(deleteDoc(doc(as('owner_1'), 'alert_queue/request_1')));
+    await assertFails(setDoc(doc(as('member_1'), 'notifications/n_1'), { userId: 'owner_1', type: 'review_alert' }));
+  });
+});